@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * `cactuz-validate` command, see cli.js
+ */
+
+import { readFileSync } from 'node:fs';
+import { runCli } from '../cli.js';
+
+process.exitCode = runCli(process.argv.slice(2), {
+  readFile: (path) => readFileSync(path, 'utf8'),
+  log: (line) => console.log(line),
+  error: (line) => console.error(line),
+});
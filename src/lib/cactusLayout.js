@@ -9,24 +9,127 @@
  * technique that recursively stacks child nodes on parent nodes.
  */
 
+import { optimizeSiblingOrder } from './edgeOrdering.js';
+import {
+  DEFAULT_COLLISION_ITERATIONS,
+  findSiblingCollisions,
+  separateSiblings,
+} from './collisions.js';
+
 /**
  * @typedef {import('$lib/types.js').TreeNode} TreeNode
  * @typedef {import('$lib/types.js').NodeData} NodeData
  * @typedef {import('$lib/types.js').BoundingBox} BoundingBox
  * @typedef {import('$lib/types.js').ChildNode} ChildNode
+ * @typedef {import('$lib/types.js').Ordering} Ordering
+ * @typedef {import('$lib/types.js').EdgeOrderingOptions} EdgeOrderingOptions
+ * @typedef {import('$lib/types.js').LayoutParameter} LayoutParameter
+ * @typedef {import('$lib/types.js').LayoutDepth} LayoutDepth
+ * @typedef {import('$lib/types.js').SizingOptions} SizingOptions
+ * @typedef {import('$lib/types.js').FitOptions} FitOptions
+ * @typedef {import('$lib/types.js').CollisionOptions} CollisionOptions
+ * @typedef {import('$lib/types.js').Accessor} Accessor
+ */
+
+/**
+ * @typedef {Object} NodeSignature
+ * @property {string|number|null} parent - Parent id (null for roots)
+ * @property {string} signature - Fingerprint of parent, weight and sibling index
+ */
+
+/**
+ * @typedef {Object} CachedPlacement
+ * @property {number} depth - Depth the placement was computed for
+ * @property {number} radius - Unscaled node radius
+ * @property {Array<{id: string|number, offset: number, distance: number}>} children - Child angle offsets (relative to the parent's angle) and center distances
+ */
+
+/** Maximum number of distinct layout settings kept in the placement cache */
+const MAX_PLACEMENT_CACHE_SETTINGS = 4;
+
+/** Id of the synthetic root that holds the trees of a forest */
+const FOREST_ROOT_ID = '__cactuz_forest_root__';
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} str
+ * @param {number} [seed=0x811c9dc5]
+ * @returns {number}
+ */
+function fnv1a(str, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** @type {WeakMap<Function, number>} Function setting to cache key id */
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+/**
+ * Cache key part for a setting. Functions are keyed by identity.
+ * @param {Ordering|LayoutParameter|Accessor|undefined} value
+ * @returns {string}
+ */
+function settingKey(value) {
+  if (Array.isArray(value)) return `[${value.join(',')}]`;
+  if (typeof value !== 'function') return String(value);
+  let id = functionIds.get(value);
+  if (id === undefined) {
+    id = nextFunctionId++;
+    functionIds.set(value, id);
+  }
+  return `fn${id}`;
+}
+
+/**
+ * Resolve a layout parameter for a node: a number applies to every depth, an
+ * array holds one value per depth (its last value is used for deeper
+ * levels) and a function is called with the node and its depth.
+ * @param {LayoutParameter} value
+ * @param {TreeNode} node
+ * @param {number} depth
+ * @returns {number}
  */
+function resolveParameter(value, node, depth) {
+  if (typeof value === 'function') return value(node, depth);
+  if (Array.isArray(value)) {
+    return value[Math.max(0, Math.min(depth, value.length - 1))];
+  }
+  return value;
+}
 
 /** @type {CactusLayout|null} */
 let _sharedCactusLayout = null;
 
+/**
+ * Normalise a fit margin to pixels per side.
+ * @param {FitOptions['margin']} margin
+ * @returns {{top: number, right: number, bottom: number, left: number}}
+ */
+function resolveMargin(margin) {
+  if (typeof margin === 'number') {
+    return { top: margin, right: margin, bottom: margin, left: margin };
+  }
+  return {
+    top: margin?.top ?? 0,
+    right: margin?.right ?? 0,
+    bottom: margin?.bottom ?? 0,
+    left: margin?.left ?? 0,
+  };
+}
+
 export class CactusLayout {
   /**
    * @param {number} width - Target width in pixels
    * @param {number} height - Target height in pixels
    * @param {number} zoom - Zoom factor
-   * @param {number} overlap - Overlap factor (0 = no overlap, 1 = maximum overlap, negative values for gaps)
-   * @param {number} arcSpan - Arc span in radians
-   * @param {number} sizeGrowthRate - Growth rate for node sizes based on weight
+   * @param {LayoutParameter} overlap - Overlap factor (0 = no overlap, 1 = maximum overlap, negative values for gaps)
+   * @param {LayoutParameter} arcSpan - Arc span in radians
+   * @param {LayoutParameter} sizeGrowthRate - Growth rate for node sizes based on weight
    */
   constructor(
     width,
@@ -43,23 +146,134 @@ export class CactusLayout {
     this.arcSpan = arcSpan;
     this.sizeGrowthRate = sizeGrowthRate;
 
+    /**
+     * Per-depth overrides of `overlap`, `arcSpan` and `sizeGrowthRate`. When
+     * several entries match a depth, later entries win.
+     * @type {LayoutDepth[]}
+     */
+    this.depths = [];
+
+    /**
+     * Value-based node sizing. When `value` is set, node weights come from
+     * the value accessor and are aggregated up the tree; `scale`, `minRadius`
+     * and `maxRadius` also apply to count-based weights.
+     * @type {SizingOptions|null}
+     */
+    this.sizing = null;
+
+    /**
+     * How inputs with several roots are laid out: `'hidden'` places the trees
+     * around a synthetic invisible root, `'pack'` lays out each tree as its
+     * own cactus and packs them side by side. When unset, only the last root
+     * is laid out.
+     * @type {'hidden'|'pack'|null}
+     */
+    this.forest = null;
+
+    /**
+     * Order of siblings around their parent: `'weight-center'` puts the
+     * heaviest child in the middle, `'input'` keeps the input order,
+     * `'name'` sorts by name, and a comparator function sorts with it.
+     * @type {Ordering}
+     */
+    this.ordering = 'weight-center';
+
+    /**
+     * Edge-aware sibling reordering, applied on top of `ordering`. When set,
+     * children are reordered to shorten the given `edges`.
+     * @type {EdgeOrderingOptions|null}
+     */
+    this.edgeOrdering = null;
+    /** @type {Array<{source: any, target: any}>} */
+    this.edges = [];
+
+    /**
+     * How the layout is scaled into the target area. When unset, the layout
+     * is scaled to 95% of the area and centered.
+     * @type {FitOptions|null}
+     */
+    this.fit = null;
+
+    /**
+     * Size of a node's outer label in pixels, used when `fit.labels` is set.
+     * Only the `labelCount` largest nodes are measured; `labelOffset` is the
+     * gap between a node and its label.
+     * @type {((node: TreeNode) => {width: number, height: number})|null}
+     */
+    this.measureLabel = null;
+    this.labelOffset = 0;
+    this.labelCount = 20;
+
+    /**
+     * Collision-free mode. When set, sibling subtrees that run into each
+     * other are moved apart after layout (see resolveCollisions), and the
+     * pairs that still collide are kept in `unresolvedCollisions`.
+     * @type {CollisionOptions|null}
+     */
+    this.avoidCollisions = null;
+    /** @type {Array<[string|number, string|number]>} Ids of the roots of colliding sibling subtrees */
+    this.unresolvedCollisions = [];
+
     /** @type {NodeData[]} */
     this.nodes = [];
     this.globalScale = 1;
 
     // Performance optimization caches
     this.weightCache = new Map();
+    /** @type {string} Sizing settings the weight cache was filled with */
+    this._weightCacheKey = '';
+    /** Unclamped radius of the root, the reference for radius clamps */
+    this._referenceRadius = 1;
     this.hierarchyCache = new Map();
     /** @type {string|null} */
     this.lastDataHash = null;
+    /** @type {TreeNode[]|TreeNode|null} */
+    this._hierarchyInput = null;
+    /** @type {'hidden'|'pack'|null} */
+    this._hierarchyForest = null;
+    /** @type {TreeNode|null} Synthetic root of the current forest, if any */
+    this._forestRoot = null;
 
     // Bounding box cache for pass-1 (standard settings: overlap=0, arcSpan=PI)
     /** @type {BoundingBox|null} */
     this._boundingBoxCache = null;
     /** @type {string|null} */
     this._boundingBoxCacheHash = null;
-    /** @type {number|null} */
+    /** @type {string|null} */
     this._boundingBoxCacheSizeGrowthRate = null;
+    /** @type {'hidden'|'pack'|null} */
+    this._boundingBoxCacheForest = null;
+    /** @type {string|null} */
+    this._boundingBoxCacheOrdering = null;
+
+    // Incremental re-layout: structural signatures of the last rendered input
+    // and cached child placements per layout settings. Only nodes whose
+    // signature changed (and their ancestors) are recomputed on data updates.
+    /** @type {Map<string|number, NodeSignature>} */
+    this._nodeSignatures = new Map();
+    /** @type {Map<string, Map<string|number, CachedPlacement>>} */
+    this._placementCache = new Map();
+
+    // Sibling ranks from edge-aware reordering, and what they were computed
+    // from. The version changes whenever the ranks do.
+    /** @type {Map<string|number, number>|null} */
+    this._siblingRanks = null;
+    this._siblingRanksVersion = 0;
+    /** @type {string|null} */
+    this._siblingRanksKey = null;
+    /** @type {Array<{source: any, target: any}>|null} */
+    this._siblingRanksEdges = null;
+
+    // Child angle offsets that resolve collisions, replacing the computed
+    // ones, and the layout they were found for
+    /** @type {Map<string|number, number>} */
+    this._offsetOverrides = new Map();
+    /** @type {string|null} */
+    this._collisionCacheKey = null;
+    /** @type {Map<string|number, number>} */
+    this._collisionOverrides = new Map();
+    /** @type {Array<[string|number, string|number]>} */
+    this._collisionCacheResult = [];
   }
 
   /**
@@ -77,9 +291,9 @@ export class CactusLayout {
    * @param {number} width
    * @param {number} height
    * @param {number} zoom
-   * @param {number} overlap
-   * @param {number} arcSpan
-   * @param {number} sizeGrowthRate
+   * @param {LayoutParameter} overlap
+   * @param {LayoutParameter} arcSpan
+   * @param {LayoutParameter} sizeGrowthRate
    * @returns {CactusLayout}
    */
   static getShared(
@@ -114,12 +328,84 @@ export class CactusLayout {
   }
 
   /**
-   * Get radius of a node based on its weight (Algorithm 3 from paper)
+   * Get radius of a node based on its weight (Algorithm 3 from paper),
+   * clamped to `sizing.minRadius` / `sizing.maxRadius`
    * @param {number} weight - The weight (number of leaf nodes) in the subtree
+   * @param {number} [sizeGrowthRate] - Growth rate for this node (defaults to the global number)
    * @returns {number} The radius for the node
    */
-  getRadius(weight) {
-    return Math.pow(weight, this.sizeGrowthRate);
+  getRadius(
+    weight,
+    sizeGrowthRate = /** @type {number} */ (this.sizeGrowthRate),
+  ) {
+    const radius = this.scaleRadius(weight, sizeGrowthRate);
+    const minRadius = this.sizing?.minRadius;
+    const maxRadius = this.sizing?.maxRadius;
+    if (minRadius === undefined && maxRadius === undefined) return radius;
+
+    const reference = this._referenceRadius;
+    return Math.min(
+      Math.max(radius, (minRadius ?? 0) * reference),
+      (maxRadius ?? Infinity) * reference,
+    );
+  }
+
+  /**
+   * Map a weight to an unclamped radius with the `sizing.scale` function.
+   * Zero, negative and non-numeric weights give a radius of 0.
+   * @param {number} weight - Node weight
+   * @param {number} sizeGrowthRate - Exponent of the power scale
+   * @returns {number} Unclamped radius
+   */
+  scaleRadius(weight, sizeGrowthRate) {
+    const w = weight > 0 ? weight : 0;
+
+    switch (this.sizing?.scale) {
+      case 'sqrt':
+        return Math.sqrt(w);
+      case 'log':
+        return Math.log1p(w);
+      case 'linear':
+        return w;
+      default:
+        return w > 0 ? Math.pow(w, sizeGrowthRate) : 0;
+    }
+  }
+
+  /**
+   * Own value of a node from the `sizing.value` accessor. Missing,
+   * non-numeric and negative values count as 0.
+   * @param {TreeNode} node
+   * @returns {number}
+   */
+  nodeValue(node) {
+    const accessor = this.sizing?.value;
+    if (accessor === undefined || accessor === null) return 0;
+
+    const value = Number(
+      typeof accessor === 'function'
+        ? accessor(node)
+        : /** @type {any} */ (node)[accessor],
+    );
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  }
+
+  /**
+   * Value of `overlap`, `arcSpan` or `sizeGrowthRate` for a node, with
+   * `depths` overrides applied (later entries win)
+   * @param {'overlap'|'arcSpan'|'sizeGrowthRate'} name - Parameter name
+   * @param {TreeNode} node - The node
+   * @param {number} depth - Depth of the node
+   * @returns {number} Resolved value
+   */
+  getParameter(name, node, depth) {
+    let value = this[name];
+    for (const entry of this.depths) {
+      if (entry.depth === depth && entry[name] !== undefined) {
+        value = /** @type {LayoutParameter} */ (entry[name]);
+      }
+    }
+    return resolveParameter(value, node, depth);
   }
 
   /**
@@ -134,7 +420,9 @@ export class CactusLayout {
     }
 
     let weight;
-    if (node.weight !== undefined && node.weight !== null) {
+    if (this.sizing?.value !== undefined && this.sizing?.value !== null) {
+      weight = this.aggregateValue(node);
+    } else if (node.weight !== undefined && node.weight !== null) {
       weight = node.weight;
     } else if (!node.children || node.children.length === 0) {
       weight = 1;
@@ -151,6 +439,58 @@ export class CactusLayout {
     return weight;
   }
 
+  /**
+   * Weight of a node in value mode: the own value for leaves, otherwise the
+   * children's weights combined according to `sizing.aggregate`
+   * @param {TreeNode} node
+   * @returns {number}
+   */
+  aggregateValue(node) {
+    const children = node.children || [];
+    if (children.length === 0) return this.nodeValue(node);
+
+    let sum = 0;
+    let max = 0;
+    for (const child of children) {
+      const childWeight = this.weight(child);
+      sum += childWeight;
+      max = Math.max(max, childWeight);
+    }
+
+    switch (this.sizing?.aggregate) {
+      case 'max':
+        return max;
+      case 'mean':
+        return sum / children.length;
+      case 'own-plus-children':
+        return this.nodeValue(node) + sum;
+      default:
+        return sum;
+    }
+  }
+
+  /**
+   * Key identifying the sizing settings node weights depend on.
+   * @returns {string}
+   */
+  weightSettingsKey() {
+    const value = this.sizing?.value;
+    if (value === undefined || value === null) return '';
+    return `${settingKey(value)}|${this.sizing?.aggregate ?? 'sum'}`;
+  }
+
+  /**
+   * Key identifying the sizing settings radii depend on (besides weights).
+   * @returns {string}
+   */
+  radiusSettingsKey() {
+    const sizing = this.sizing;
+    if (!sizing) return '';
+    const clamped =
+      sizing.minRadius !== undefined || sizing.maxRadius !== undefined;
+    return `${sizing.scale ?? 'power'}|${sizing.minRadius ?? ''}|${sizing.maxRadius ?? ''}|${clamped ? this._referenceRadius : ''}`;
+  }
+
   /**
    * Sort child nodes by weight: leaf nodes first, then larger subtrees
    * @param {TreeNode[]} childList - List of child nodes
@@ -187,19 +527,198 @@ export class CactusLayout {
   }
 
   /**
-   * Main CactusLayout layout algorithm
-   * @param {TreeNode} currentNode - The current node to draw
-   * @param {number} x - X coordinate of the node center
-   * @param {number} y - Y coordinate of the node center
-   * @param {number} alpha - Orientation angle in radians (direction from parent)
-   * @param {((nodeData: NodeData) => void)|null} drawCallback - Callback function to draw circles
-   * @param {number} depth - Current depth in the tree (0 = root)
+   * Order sibling nodes according to the `ordering` setting
+   * @param {TreeNode[]} childList - List of child nodes in input order
+   * @returns {TreeNode[]} Ordered list of child nodes
    */
-  drawCactusLayout(currentNode, x, y, alpha, drawCallback, depth = 0) {
+  orderChildNodes(childList) {
+    const ordering = this.ordering;
+
+    if (typeof ordering === 'function') {
+      return childList.slice().sort(ordering);
+    }
+
+    switch (ordering) {
+      case 'input':
+        return childList.slice();
+      case 'name':
+        return childList.slice().sort((a, b) =>
+          String(a.name ?? '').localeCompare(String(b.name ?? ''), undefined, {
+            numeric: true,
+          }),
+        );
+      default:
+        return this.orderMaxInCenter(this.sortChildNodesByWeight(childList));
+    }
+  }
+
+  /**
+   * Reorder siblings by the ranks of the edge-aware reordering, if any
+   * @param {TreeNode[]} orderedList - Siblings in `ordering` order
+   * @returns {TreeNode[]} Siblings in rank order
+   */
+  applySiblingRanks(orderedList) {
+    const ranks = this._siblingRanks;
+    if (!ranks) return orderedList;
+
+    // Siblings without a rank go last, in `ordering` order
+    return orderedList
+      .slice()
+      .sort(
+        (a, b) =>
+          (ranks.get(a.id) ?? ranks.size) - (ranks.get(b.id) ?? ranks.size),
+      );
+  }
+
+  /**
+   * Recompute the edge-aware sibling ranks when the data, edges or ordering
+   * settings changed since the last computation.
+   * @param {TreeNode} root - Root of the current hierarchy
+   * @param {string} dataHash - Hash of the current input
+   */
+  updateSiblingRanks(root, dataHash) {
+    if (!this.edgeOrdering || !this.edges?.length) {
+      this._siblingRanks = null;
+      this._siblingRanksKey = null;
+      this._siblingRanksEdges = null;
+      return;
+    }
+
+    const { sweeps, budget } = this.edgeOrdering;
+    const key = `${dataHash}|${this.forest}|${settingKey(this.ordering)}|${sweeps}|${budget}`;
+    if (key === this._siblingRanksKey && this.edges === this._siblingRanksEdges)
+      return;
+
+    const ranks = optimizeSiblingOrder(
+      root,
+      this.edges,
+      (childList) => this.orderChildNodes(childList),
+      (node) => this.weight(node),
+      this.edgeOrdering,
+    );
+
+    const previous = this._siblingRanks;
+    const unchanged =
+      previous !== null &&
+      previous.size === ranks.size &&
+      [...ranks].every(([id, rank]) => previous.get(id) === rank);
+    if (!unchanged) this._siblingRanksVersion++;
+
+    this._siblingRanks = ranks;
+    this._siblingRanksKey = key;
+    this._siblingRanksEdges = this.edges;
+  }
+
+  /**
+   * Key identifying the sibling order settings (including edge-aware ranks).
+   * @returns {string}
+   */
+  orderingCacheKey() {
+    const key = settingKey(this.ordering);
+    return this._siblingRanks ? `${key}|r${this._siblingRanksVersion}` : key;
+  }
+
+  /**
+   * Whether the ordering or a layout parameter (global or per depth) is a
+   * function of the nodes.
+   * @returns {boolean}
+   */
+  hasNodeFunctions() {
+    if (typeof this.ordering === 'function') return true;
+    return /** @type {const} */ (['overlap', 'arcSpan', 'sizeGrowthRate']).some(
+      (name) =>
+        typeof this[name] === 'function' ||
+        this.depths.some((entry) => typeof entry[name] === 'function'),
+    );
+  }
+
+  /**
+   * Key identifying the per-depth overrides of the given parameters.
+   * @param {Array<'overlap'|'arcSpan'|'sizeGrowthRate'>} names
+   * @returns {string}
+   */
+  depthsCacheKey(names) {
+    return this.depths
+      .map(
+        (entry) =>
+          `${entry.depth}:${names.map((name) => settingKey(entry[name])).join(':')}`,
+      )
+      .join(',');
+  }
+
+  /**
+   * Key identifying the layout settings that child placements depend on.
+   * @returns {string}
+   */
+  placementSettingsKey() {
+    const names = /** @type {const} */ ([
+      'overlap',
+      'arcSpan',
+      'sizeGrowthRate',
+    ]);
+    return `${names.map((name) => settingKey(this[name])).join('|')}|${this.depthsCacheKey([...names])}|${this.weightSettingsKey()}|${this.radiusSettingsKey()}|${this.orderingCacheKey()}`;
+  }
+
+  /**
+   * Key identifying the node size settings (global and per-depth).
+   * @returns {string}
+   */
+  sizeSettingsKey() {
+    return `${settingKey(this.sizeGrowthRate)}|${this.depthsCacheKey(['sizeGrowthRate'])}|${this.weightSettingsKey()}|${this.radiusSettingsKey()}`;
+  }
+
+  /**
+   * Compute where the children of a node are placed relative to it: their
+   * angle offsets from the node's own orientation and their center distances.
+   * Placements of clean subtrees are served from the placement cache.
+   *
+   * The node's `arcSpan` sets the fan of its children, each child's
+   * `overlap` its overlap with the node, and `sizeGrowthRate` is taken per
+   * node for its radius.
+   * @param {TreeNode} currentNode - The node whose children to place
+   * @param {number} [depth=0] - Depth of the node
+   * @returns {{ radius: number, children: Array<{child: TreeNode, offset: number, distance: number}> }}
+   */
+  getChildPlacement(currentNode, depth = 0) {
     const childList = currentNode.children || [];
+    const settingsKey = this.placementSettingsKey();
+
+    let cacheForSettings = this._placementCache.get(settingsKey);
+    if (!cacheForSettings) {
+      if (this._placementCache.size >= MAX_PLACEMENT_CACHE_SETTINGS) {
+        const oldestKey = this._placementCache.keys().next().value;
+        if (oldestKey !== undefined) this._placementCache.delete(oldestKey);
+      }
+      cacheForSettings = new Map();
+      this._placementCache.set(settingsKey, cacheForSettings);
+    }
+
+    const cached = cacheForSettings.get(currentNode.id);
+    if (
+      cached &&
+      cached.depth === depth &&
+      cached.children.length === childList.length
+    ) {
+      const childById = new Map();
+      for (const child of childList) childById.set(child.id, child);
+
+      const children = [];
+      for (const { id, offset, distance } of cached.children) {
+        const child = childById.get(id);
+        if (!child) break;
+        children.push({ child, offset, distance });
+      }
+
+      if (children.length === childList.length) {
+        return { radius: cached.radius, children };
+      }
+    }
 
     const nodeWeight = this.weight(currentNode); // Uses cache
-    const radius = this.getRadius(nodeWeight);
+    const radius = this.getRadius(
+      nodeWeight,
+      this.getParameter('sizeGrowthRate', currentNode, depth),
+    );
 
     // Use Map for O(1) lookups instead of O(n) array.find()
     const childInfoMap = new Map();
@@ -207,15 +726,76 @@ export class CactusLayout {
 
     for (const child of childList) {
       const childWeight = this.weight(child); // Uses cache
-      const childRadius = this.getRadius(childWeight);
+      const childRadius = this.getRadius(
+        childWeight,
+        this.getParameter('sizeGrowthRate', child, depth + 1),
+      );
       const childInfo = { child, weight: childWeight, radius: childRadius };
       childInfoMap.set(child, childInfo);
       totalArcNeeded += 2 * childRadius;
     }
 
-    const gapSpace = this.arcSpan * 0.1;
+    const arcSpan = this.getParameter('arcSpan', currentNode, depth);
+    const gapSpace = arcSpan * 0.1;
     const spacePerCircle =
-      totalArcNeeded > 0 ? (this.arcSpan - gapSpace) / totalArcNeeded : 0;
+      totalArcNeeded > 0 ? (arcSpan - gapSpace) / totalArcNeeded : 0;
+
+    /** @type {Array<{child: TreeNode, offset: number, distance: number}>} */
+    const children = [];
+
+    if (childList.length > 0) {
+      const orderedList = this.applySiblingRanks(
+        this.orderChildNodes(childList),
+      );
+
+      let offset = -arcSpan / 2;
+
+      for (const child of orderedList) {
+        const info = childInfoMap.get(child); // O(1) lookup!
+        if (!info) continue;
+
+        const childRadius = info.radius;
+        const childDiameter = 2 * childRadius;
+
+        const diameterArc = childDiameter * spacePerCircle;
+        const gap = gapSpace / childList.length;
+        const angleSpan = diameterArc + gap;
+
+        offset += angleSpan / 2;
+
+        const overlap = this.getParameter('overlap', child, depth + 1);
+        const distance = radius + childRadius * (1 - 2 * overlap);
+        children.push({ child, offset, distance });
+
+        offset += angleSpan / 2;
+      }
+    }
+
+    cacheForSettings.set(currentNode.id, {
+      depth,
+      radius,
+      children: children.map(({ child, offset, distance }) => ({
+        id: child.id,
+        offset,
+        distance,
+      })),
+    });
+
+    return { radius, children };
+  }
+
+  /**
+   * Main CactusLayout layout algorithm
+   * @param {TreeNode} currentNode - The current node to draw
+   * @param {number} x - X coordinate of the node center
+   * @param {number} y - Y coordinate of the node center
+   * @param {number} alpha - Orientation angle in radians (direction from parent)
+   * @param {((nodeData: NodeData) => void)|null} drawCallback - Callback function to draw circles
+   * @param {number} depth - Current depth in the tree (0 = root)
+   */
+  drawCactusLayout(currentNode, x, y, alpha, drawCallback, depth = 0) {
+    const childList = currentNode.children || [];
+    const { radius, children } = this.getChildPlacement(currentNode, depth);
 
     const nodeData = {
       x: x,
@@ -225,49 +805,28 @@ export class CactusLayout {
       isLeaf: childList.length === 0,
       depth: depth,
       angle: alpha,
+      overlap: this.getParameter('overlap', currentNode, depth),
     };
 
     this.nodes.push(nodeData);
 
-    if (childList.length === 0) {
-      return;
-    }
-
-    const orderedList = this.sortChildNodesByWeight(childList);
-    const centeredList = this.orderMaxInCenter(orderedList);
-
-    let childAlpha = alpha - this.arcSpan / 2;
-
-    for (const child of centeredList) {
-      const info = childInfoMap.get(child); // O(1) lookup!
-      if (!info) continue;
-
-      const childRadius = info.radius;
-      const childDiameter = 2 * childRadius;
-
-      const diameterArc = childDiameter * spacePerCircle;
-      const gap = childList.length > 0 ? gapSpace / childList.length : 0;
-      const angleSpan = diameterArc + gap;
-
-      childAlpha += angleSpan / 2;
-
-      const currentOverlap = this.overlap;
-      const distance = radius + childRadius * (1 - 2 * currentOverlap);
+    for (const { child, offset, distance } of children) {
+      const childAlpha =
+        alpha + (this._offsetOverrides.get(child.id) ?? offset);
       const x2 = x + distance * Math.cos(childAlpha);
       const y2 = y - distance * Math.sin(childAlpha);
 
       this.drawCactusLayout(child, x2, y2, childAlpha, drawCallback, depth + 1);
-
-      childAlpha += angleSpan / 2;
     }
   }
 
   /**
    * Calculate bounding box of all nodes
+   * @param {NodeData[]} [nodes] - Nodes to measure (defaults to all laid out nodes)
    * @returns {BoundingBox} Bounding box with minX, maxX, minY, maxY, width, height
    */
-  calculateBoundingBox() {
-    if (this.nodes.length === 0) {
+  calculateBoundingBox(nodes = this.nodes) {
+    if (nodes.length === 0) {
       return { minX: 0, maxX: 0, minY: 0, maxY: 0, width: 0, height: 0 };
     }
 
@@ -276,7 +835,7 @@ export class CactusLayout {
     let minY = Infinity,
       maxY = -Infinity;
 
-    this.nodes.forEach((node) => {
+    nodes.forEach((node) => {
       minX = Math.min(minX, node.x - node.radius);
       maxX = Math.max(maxX, node.x + node.radius);
       minY = Math.min(minY, node.y - node.radius);
@@ -293,6 +852,248 @@ export class CactusLayout {
     };
   }
 
+  /**
+   * Lay out the hierarchy around the origin. A forest is either drawn around
+   * its synthetic root, which is then dropped from the output, or (in 'pack'
+   * mode) laid out tree by tree and packed side by side.
+   * @param {TreeNode} root - Root returned by getCachedHierarchy
+   * @param {number} startAngle - Orientation of the root(s) in radians
+   */
+  layoutHierarchy(root, startAngle) {
+    if (root !== this._forestRoot) {
+      this.drawCactusLayout(root, 0, 0, startAngle, null);
+      return;
+    }
+
+    if (this.forest === 'pack') {
+      this.packForest(root.children || [], startAngle);
+      return;
+    }
+
+    // The synthetic root sits at depth -1 so the real roots keep depth 0
+    this.drawCactusLayout(root, 0, 0, startAngle, null, -1);
+    this.nodes = this.nodes.filter((nodeData) => nodeData.node !== root);
+  }
+
+  /**
+   * Lay out each tree of a forest as a separate cactus and pack the results
+   * into rows, left to right, so the overall shape roughly matches the
+   * aspect ratio of the target area.
+   * @param {TreeNode[]} trees - Roots of the forest in input order
+   * @param {number} startAngle - Orientation of every root in radians
+   */
+  packForest(trees, startAngle) {
+    const slices = [];
+    for (const tree of trees) {
+      const start = this.nodes.length;
+      this.drawCactusLayout(tree, 0, 0, startAngle, null);
+      const box = this.calculateBoundingBox(this.nodes.slice(start));
+      slices.push({ start, end: this.nodes.length, box });
+    }
+
+    if (slices.length === 0) return;
+
+    let totalArea = 0;
+    let maxWidth = 0;
+    for (const { box } of slices) {
+      totalArea += box.width * box.height;
+      maxWidth = Math.max(maxWidth, box.width);
+    }
+
+    const aspect =
+      this.width > 0 && this.height > 0 ? this.width / this.height : 1;
+    const gap = 0.1 * Math.sqrt(totalArea / slices.length);
+    const rowLimit = Math.max(maxWidth, Math.sqrt(totalArea * aspect));
+
+    let cursorX = 0;
+    let cursorY = 0;
+    let rowHeight = 0;
+
+    for (const { start, end, box } of slices) {
+      if (cursorX > 0 && cursorX + box.width > rowLimit) {
+        cursorX = 0;
+        cursorY += rowHeight + gap;
+        rowHeight = 0;
+      }
+
+      const dx = cursorX - box.minX;
+      const dy = cursorY - box.minY;
+      for (let i = start; i < end; i++) {
+        this.nodes[i].x += dx;
+        this.nodes[i].y += dy;
+      }
+
+      cursorX += box.width + gap;
+      rowHeight = Math.max(rowHeight, box.height);
+    }
+  }
+
+  /**
+   * Scale and offset that fit the laid out (unscaled) nodes into the target
+   * area according to `fit`. With `fit.labels`, the outer labels of the
+   * largest nodes count towards the bounds: each may reach `labelOffset`
+   * plus its larger side beyond its node, in any direction, and together
+   * they take up at most half of the area. Labels are not scaled, so the
+   * scale is refined a few times.
+   *
+   * The fit is computed at zoom 1; `zoom` then scales around the center of
+   * the target area, like interactive zooming does.
+   * @param {BoundingBox} bbox - Bounding box of the unscaled nodes
+   * @returns {{scale: number, offsetX: number, offsetY: number}}
+   */
+  fitTransform(bbox) {
+    /** @type {FitOptions} */
+    const fit = this.fit ?? {};
+    const mode = fit.mode ?? 'contain';
+    const margin = resolveMargin(fit.margin);
+    const areaWidth = Math.max(this.width - margin.left - margin.right, 0);
+    const areaHeight = Math.max(this.height - margin.top - margin.bottom, 0);
+
+    /**
+     * @param {number} width - Available width
+     * @param {number} height - Available height
+     */
+    const scaleFor = (width, height) => {
+      const scaleX = bbox.width > 0 ? Math.max(width, 0) / bbox.width : 1;
+      const scaleY = bbox.height > 0 ? Math.max(height, 0) / bbox.height : 1;
+      if (mode === 'none') return 1;
+      if (mode === 'width') return scaleX;
+      if (mode === 'height') return scaleY;
+      return Math.min(scaleX, scaleY);
+    };
+
+    /** @type {Array<{nodeData: NodeData, width: number, height: number}>} */
+    const labels = [];
+    if (fit.labels && this.measureLabel && this.labelCount > 0) {
+      const largest = this.nodes
+        .slice()
+        .sort((a, b) => b.radius - a.radius)
+        .slice(0, this.labelCount);
+      for (const nodeData of largest) {
+        const { width, height } = this.measureLabel(nodeData.node);
+        labels.push({ nodeData, width, height });
+      }
+    }
+
+    /** @param {number} scale */
+    const boundsAt = (scale) => {
+      let minX = bbox.minX * scale;
+      let maxX = bbox.maxX * scale;
+      let minY = bbox.minY * scale;
+      let maxY = bbox.maxY * scale;
+      for (const { nodeData, width, height } of labels) {
+        const radius = nodeData.radius * scale;
+        // Labels that fit inside their node stay there (see LabelPositioner)
+        if (Math.hypot(width, height) <= 2 * radius * 0.9) continue;
+        const reach = radius + this.labelOffset + Math.max(width, height);
+        minX = Math.min(minX, nodeData.x * scale - reach);
+        maxX = Math.max(maxX, nodeData.x * scale + reach);
+        minY = Math.min(minY, nodeData.y * scale - reach);
+        maxY = Math.max(maxY, nodeData.y * scale + reach);
+      }
+      return { minX, maxX, minY, maxY };
+    };
+
+    let scale = scaleFor(areaWidth, areaHeight);
+    let bounds = boundsAt(scale);
+    for (let i = 0; i < 3 && labels.length > 0 && mode !== 'none'; i++) {
+      const extraWidth =
+        bbox.minX * scale - bounds.minX + (bounds.maxX - bbox.maxX * scale);
+      const extraHeight =
+        bbox.minY * scale - bounds.minY + (bounds.maxY - bbox.maxY * scale);
+      // Labels may take up at most half of the area
+      scale = scaleFor(
+        Math.max(areaWidth - extraWidth, areaWidth / 2),
+        Math.max(areaHeight - extraHeight, areaHeight / 2),
+      );
+      bounds = boundsAt(scale);
+    }
+
+    let offsetX = margin.left - bounds.minX;
+    let offsetY = margin.top - bounds.minY;
+    if ((fit.align ?? 'center') === 'center') {
+      offsetX += (areaWidth - (bounds.maxX - bounds.minX)) / 2;
+      offsetY += (areaHeight - (bounds.maxY - bounds.minY)) / 2;
+    }
+
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
+    return {
+      scale: scale * this.zoom,
+      offsetX: centerX + (offsetX - centerX) * this.zoom,
+      offsetY: centerY + (offsetY - centerY) * this.zoom,
+    };
+  }
+
+  /**
+   * Key identifying what resolved collision offsets depend on.
+   * @param {string} dataHash - Hash of the input
+   * @param {number} startAngle
+   * @returns {string}
+   */
+  collisionCacheKey(dataHash, startAngle) {
+    const iterations =
+      this.avoidCollisions?.iterations ?? DEFAULT_COLLISION_ITERATIONS;
+    return `${dataHash}|${this.placementSettingsKey()}|${this.forest}|${startAngle}|${iterations}|${this._siblingRanksVersion}`;
+  }
+
+  /**
+   * Move colliding sibling subtrees of the (unscaled) layout in `this.nodes`
+   * apart. Each round turns siblings away from each other, or shrinks their
+   * fans when the parent's fan cannot widen any further (see
+   * separateSiblings), and lays out again. Rounds stop when no collisions
+   * are left or after `avoidCollisions.iterations`; the pairs that still
+   * collide end up in `unresolvedCollisions`.
+   *
+   * The trees of a packed forest are not siblings and are not checked
+   * against each other.
+   * @param {TreeNode} root - Root returned by getCachedHierarchy
+   * @param {number} startAngle - Orientation of the root(s) in radians
+   */
+  resolveCollisions(root, startAngle) {
+    const iterations =
+      this.avoidCollisions?.iterations ?? DEFAULT_COLLISION_ITERATIONS;
+    // The synthetic root of a forest is dropped from the nodes after layout
+    /** @type {NodeData[]} */
+    const extraParents =
+      root === this._forestRoot && this.forest !== 'pack'
+        ? [
+            {
+              x: 0,
+              y: 0,
+              radius: 0,
+              node: root,
+              isLeaf: false,
+              depth: -1,
+              angle: startAngle,
+            },
+          ]
+        : [];
+
+    /** @type {Map<string|number, number>} */
+    const offsets = new Map();
+    /** @type {Map<string|number, number>} */
+    const fanScales = new Map();
+    let collisions = findSiblingCollisions(this.nodes, extraParents);
+    for (let i = 0; i < iterations && collisions.length > 0; i++) {
+      separateSiblings(
+        collisions,
+        [...extraParents, ...this.nodes],
+        offsets,
+        fanScales,
+      );
+      this._offsetOverrides = offsets;
+      this.nodes = [];
+      this.layoutHierarchy(root, startAngle);
+      collisions = findSiblingCollisions(this.nodes, extraParents);
+    }
+
+    this.unresolvedCollisions = collisions.map(({ a, b }) => [
+      a.node.id,
+      b.node.id,
+    ]);
+  }
+
   /**
    * Main rendering function
    * @param {TreeNode[]|TreeNode} input - Array of nodes or single root node
@@ -303,30 +1104,55 @@ export class CactusLayout {
    */
   render(input, startX, startY, startAngle = Math.PI / 2) {
     this.nodes = [];
+    this._offsetOverrides = new Map();
 
-    // Only clear the weight cache when the input data has changed.
-    // Clearing it unconditionally prevented reuse of expensive subtree weight
-    // computations across repeated renders of the same dataset.
-    const incomingHash = this.hashData(input);
-    if (this.lastDataHash !== incomingHash) {
+    // Only invalidate cached weights and placements when the input data has
+    // changed, and then only for the nodes whose structure changed and their
+    // ancestors. Unchanged subtrees keep their cached layout.
+    const weightKey = this.weightSettingsKey();
+    if (weightKey !== this._weightCacheKey) {
       this.weightCache.clear();
+      this._weightCacheKey = weightKey;
+    }
+    const signatures = this.computeNodeSignatures(input);
+    const incomingHash = this.hashData(input, signatures);
+    if (this.lastDataHash !== incomingHash) {
+      this.invalidateChangedNodes(signatures);
+      this._boundingBoxCache = null;
+    }
+    // Functions may read any field of the nodes, which the signatures do not
+    // cover, so nothing laid out with them is reused across renders
+    if (this.hasNodeFunctions()) {
+      this._placementCache.clear();
       this._boundingBoxCache = null;
+      this._siblingRanksKey = null;
+      this._collisionCacheKey = null;
     }
 
     // Use cached hierarchy if possible
-    const root = this.getCachedHierarchy(input);
+    const root = this.getCachedHierarchy(input, incomingHash);
+    this.updateSiblingRanks(root, incomingHash);
+    this._referenceRadius =
+      this.scaleRadius(
+        this.weight(root),
+        this.getParameter('sizeGrowthRate', root, 0),
+      ) || 1;
 
     // Store original settings for restoration
     const refOverlap = this.overlap;
     const refArcSpan = this.arcSpan;
+    const refDepths = this.depths;
 
     // First pass: calculate layout with standard settings to get bounding box.
     // Cache the result since pass-1 uses fixed settings (overlap=0, arcSpan=PI)
     // and only depends on the data and sizeGrowthRate.
+    const sizeKey = this.sizeSettingsKey();
     const canReuseBBox =
       this._boundingBoxCache !== null &&
       this._boundingBoxCacheHash === incomingHash &&
-      this._boundingBoxCacheSizeGrowthRate === this.sizeGrowthRate;
+      this._boundingBoxCacheSizeGrowthRate === sizeKey &&
+      this._boundingBoxCacheForest === this.forest &&
+      this._boundingBoxCacheOrdering === this.orderingCacheKey();
 
     let bbox;
     if (canReuseBBox) {
@@ -334,12 +1160,19 @@ export class CactusLayout {
     } else {
       this.overlap = 0;
       this.arcSpan = Math.PI;
-      this.drawCactusLayout(root, 0, 0, startAngle, null);
+      // Keep only the per-depth node sizes
+      this.depths = refDepths.map(({ depth, sizeGrowthRate }) => ({
+        depth,
+        sizeGrowthRate,
+      }));
+      this.layoutHierarchy(root, startAngle);
       bbox = this.calculateBoundingBox();
 
       this._boundingBoxCache = bbox;
       this._boundingBoxCacheHash = incomingHash;
-      this._boundingBoxCacheSizeGrowthRate = this.sizeGrowthRate;
+      this._boundingBoxCacheSizeGrowthRate = sizeKey;
+      this._boundingBoxCacheForest = this.forest;
+      this._boundingBoxCacheOrdering = this.orderingCacheKey();
     }
 
     const scaleX = bbox && bbox.width > 0 ? this.width / bbox.width : 1;
@@ -349,18 +1182,49 @@ export class CactusLayout {
     // Restore original settings
     this.overlap = refOverlap;
     this.arcSpan = refArcSpan;
+    this.depths = refDepths;
+
+    // Second pass: layout with actual settings and apply scaling. Collisions
+    // only depend on the unscaled layout, so resolved offsets are reused
+    // until the data or layout settings change.
+    const collisionKey = this.avoidCollisions
+      ? this.collisionCacheKey(incomingHash, startAngle)
+      : null;
+    const reuseCollisions =
+      collisionKey !== null && collisionKey === this._collisionCacheKey;
+    if (reuseCollisions) this._offsetOverrides = this._collisionOverrides;
 
-    // Second pass: layout with actual settings and apply scaling
     this.nodes = [];
-    this.drawCactusLayout(root, 0, 0, startAngle, null);
+    this.layoutHierarchy(root, startAngle);
+
+    if (collisionKey === null) {
+      this.unresolvedCollisions = [];
+    } else if (reuseCollisions) {
+      this.unresolvedCollisions = this._collisionCacheResult;
+    } else {
+      this.resolveCollisions(root, startAngle);
+      this._collisionCacheKey = collisionKey;
+      this._collisionOverrides = this._offsetOverrides;
+      this._collisionCacheResult = this.unresolvedCollisions;
+    }
 
     const scaledBBox = this.calculateBoundingBox();
-    const offsetX =
-      this.width / 2 -
-      (scaledBBox.minX + scaledBBox.width / 2) * this.globalScale;
-    const offsetY =
-      this.height / 2 -
-      (scaledBBox.minY + scaledBBox.height / 2) * this.globalScale;
+    let offsetX, offsetY;
+    // An explicit fit scales the final layout rather than the first pass
+    if (this.fit) {
+      ({
+        scale: this.globalScale,
+        offsetX,
+        offsetY,
+      } = this.fitTransform(scaledBBox));
+    } else {
+      offsetX =
+        this.width / 2 -
+        (scaledBBox.minX + scaledBBox.width / 2) * this.globalScale;
+      offsetY =
+        this.height / 2 -
+        (scaledBBox.minY + scaledBBox.height / 2) * this.globalScale;
+    }
 
     this.nodes.forEach((node) => {
       node.x = node.x * this.globalScale + offsetX;
@@ -371,20 +1235,22 @@ export class CactusLayout {
     return this.nodes;
   }
 
-  /**
-   * Build hierarchy from flat array of nodes
-   * @param {TreeNode[]} nodeArray - Flat array of nodes
-   * @returns {TreeNode} Root node with built hierarchy
-   */
   /**
    * Get cached hierarchy or build new one
    * @param {TreeNode[]|TreeNode} input
+   * @param {string} [dataHash] - Precomputed hash of the input
    * @returns {TreeNode}
    */
-  getCachedHierarchy(input) {
-    const dataHash = this.hashData(input);
-
-    if (this.lastDataHash === dataHash && this.hierarchyCache.has(dataHash)) {
+  getCachedHierarchy(input, dataHash = this.hashData(input)) {
+    // The hierarchy links the input's own node objects, so it is only reused
+    // for the same input; structurally equal copies still share the cached
+    // weights and placements, which are keyed by node id.
+    if (
+      this.lastDataHash === dataHash &&
+      this._hierarchyInput === input &&
+      this._hierarchyForest === this.forest &&
+      this.hierarchyCache.has(dataHash)
+    ) {
       return this.hierarchyCache.get(dataHash);
     }
 
@@ -394,30 +1260,144 @@ export class CactusLayout {
       root = this.buildHierarchyFromArray(input);
     } else {
       root = input;
+      this._forestRoot = null;
       this.setParentReferences(root, null);
     }
 
-    // Cache it
+    // Cache it (only the current hierarchy is kept, so live-updating data
+    // does not accumulate stale trees)
+    this.hierarchyCache.clear();
     this.hierarchyCache.set(dataHash, root);
     this.lastDataHash = dataHash;
+    this._hierarchyInput = input;
+    this._hierarchyForest = this.forest;
 
     return root;
   }
 
   /**
-   * Simple hash function for input data
+   * Compute a structural signature for every node of the input: its parent,
+   * explicit weight and position among its siblings, and its name when
+   * siblings are ordered by name. Signatures are listed in
+   * input order (flat arrays) or pre-order (nested input).
    * @param {TreeNode[]|TreeNode} input
-   * @returns {string}
+   * @returns {Map<string|number, NodeSignature>}
    */
-  hashData(input) {
+  computeNodeSignatures(input) {
+    /** @type {Map<string|number, NodeSignature>} */
+    const signatures = new Map();
+    /** @type {Map<string|number|null, number>} */
+    const siblingCounts = new Map();
+    const valueMode = this.weightSettingsKey() !== '';
+    const nameMode = this.ordering === 'name';
+
+    /**
+     * @param {TreeNode} node
+     * @param {string|number|null} parent
+     */
+    const add = (node, parent) => {
+      const index = siblingCounts.get(parent) ?? 0;
+      siblingCounts.set(parent, index + 1);
+      signatures.set(node.id, {
+        parent,
+        signature: `${parent ?? ''}|${node.weight ?? ''}|${index}${valueMode ? `|${this.nodeValue(node)}` : ''}${nameMode ? `|${node.name ?? ''}` : ''}`,
+      });
+    };
+
     if (Array.isArray(input)) {
-      // Simple hash to avoid circular reference issues
-      const first = input[0] || {};
-      const last = input[input.length - 1] || {};
-      return `${input.length}-${first.id || 'none'}-${first.name || 'none'}-${last.id || 'none'}-${last.name || 'none'}`;
+      for (const node of input) {
+        add(node, node.parent || null);
+      }
+      return signatures;
+    }
+
+    if (!input) return signatures;
+
+    /** @type {Array<{node: TreeNode, parent: string|number|null}>} */
+    const stack = [{ node: input, parent: null }];
+    while (stack.length > 0) {
+      const { node, parent } =
+        /** @type {{node: TreeNode, parent: string|number|null}} */ (
+          stack.pop()
+        );
+      add(node, parent);
+      const children = node.children || [];
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push({ node: children[i], parent: node.id });
+      }
     }
-    // For object input, create a simple hash without circular references
-    return `single-${input.id || 'root'}-${input.name || 'unnamed'}`;
+
+    return signatures;
+  }
+
+  /**
+   * Drop cached weights and child placements of every node whose signature
+   * differs from the previous render, together with all of its ancestors
+   * (under both the old and the new parent links). Clean subtrees keep their
+   * cached values, so re-layout only recomputes what actually changed.
+   * @param {Map<string|number, NodeSignature>} signatures
+   */
+  invalidateChangedNodes(signatures) {
+    const previous = this._nodeSignatures;
+    this._nodeSignatures = signatures;
+
+    if (previous.size === 0) {
+      this.weightCache.clear();
+      this._placementCache.clear();
+      return;
+    }
+
+    /** @type {Array<string|number>} */
+    const changed = [];
+    for (const [id, entry] of signatures) {
+      if (previous.get(id)?.signature !== entry.signature) changed.push(id);
+    }
+    for (const id of previous.keys()) {
+      if (!signatures.has(id)) changed.push(id);
+    }
+
+    /** @type {Set<string|number>} */
+    const dirty = new Set();
+    for (const entries of [previous, signatures]) {
+      // Separate visited set per pass so cycles in the data still terminate
+      const visited = new Set();
+      for (const id of changed) {
+        /** @type {string|number|null|undefined} */
+        let current = id;
+        while (current != null && !visited.has(current)) {
+          visited.add(current);
+          dirty.add(current);
+          current = entries.get(current)?.parent;
+        }
+      }
+    }
+
+    // Any structural change may alter the set of roots of a forest
+    if (changed.length > 0) dirty.add(FOREST_ROOT_ID);
+
+    for (const id of dirty) {
+      this.weightCache.delete(id);
+      for (const placements of this._placementCache.values()) {
+        placements.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Structural hash of the input data. Covers every node's id, parent,
+   * explicit weight and sibling order, so any change that affects the layout
+   * produces a different hash.
+   * @param {TreeNode[]|TreeNode} input
+   * @param {Map<string|number, NodeSignature>} [signatures] - Precomputed node signatures
+   * @returns {string}
+   */
+  hashData(input, signatures = this.computeNodeSignatures(input)) {
+    let hash = 0x811c9dc5;
+    for (const [id, entry] of signatures) {
+      hash = fnv1a(`${id}\u0001${entry.signature}\u0002`, hash);
+    }
+    const fingerprint = `${signatures.size}-${hash.toString(36)}`;
+    return Array.isArray(input) ? fingerprint : `single-${fingerprint}`;
   }
 
   /**
@@ -439,10 +1419,14 @@ export class CactusLayout {
   }
 
   /**
-   * @param {TreeNode[]} nodeArray
+   * Build hierarchy from flat array of nodes. Nodes without a parent are
+   * roots; when there are several and a `forest` mode is set, they are
+   * gathered under a synthetic root, otherwise only the last one is used.
+   * @param {TreeNode[]} nodeArray - Flat array of nodes
    */
   buildHierarchyFromArray(nodeArray) {
     const nodeMap = new Map();
+    this._forestRoot = null;
 
     // Create lookup map
     nodeArray.forEach((/** @type {any} */ node) => {
@@ -452,7 +1436,8 @@ export class CactusLayout {
     });
 
     // Build parent-child relationships
-    let root = null;
+    /** @type {any[]} */
+    const roots = [];
     nodeArray.forEach((/** @type {any} */ node) => {
       if (node.parent) {
         const parentNode = nodeMap.get(node.parent);
@@ -461,11 +1446,29 @@ export class CactusLayout {
           node.parentRef = parentNode;
         }
       } else {
-        root = node; // This is the root
+        roots.push(node);
       }
     });
 
-    return root || { id: 'empty', name: 'empty', parent: null, children: [] };
+    if (roots.length > 1 && this.forest) {
+      this._forestRoot = {
+        id: FOREST_ROOT_ID,
+        name: '',
+        parent: null,
+        children: roots,
+        parentRef: null,
+      };
+      return this._forestRoot;
+    }
+
+    return (
+      roots[roots.length - 1] || {
+        id: 'empty',
+        name: 'empty',
+        parent: null,
+        children: [],
+      }
+    );
   }
 
   /**
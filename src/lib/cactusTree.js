@@ -6,29 +6,57 @@
  */
 
 import { setupCanvas } from './canvasUtils.js';
-import { drawNode } from './drawNode.js';
-import * as drawEdge from './drawEdge.js';
-import { drawConnectingLinks } from './drawLink.js';
+import { drawTree } from './drawTree.js';
 import {
   clearLabelLayoutCache,
-  computeLabelLayout,
-  drawLabelConnectors,
-  drawPositionedLabel,
-  drawCenteredLabel,
-  getLabelStyle,
+  decorateLabelNodes,
+  layoutLabels,
 } from './drawLabel.js';
+import { SvgContext } from './svgContext.js';
+import {
+  aggregateSubtrees,
+  rerouteEdges,
+  resolveLodMinRadius,
+} from './levelOfDetail.js';
 import { createMouseHandlers } from './mouseHandlers.js';
 import {
   calculateLayout,
   computeZoomLimitsFromNodes,
   buildLookupMaps,
+  getUnresolvedCollisions,
 } from './layoutUtils.js';
 import { buildLeafVoronoi } from './voronoiHover.js';
+import {
+  DEFAULT_IMAGE_MIN_RADIUS,
+  ImageCache,
+  referenceImage,
+} from './nodeImages.js';
+import {
+  DEFAULT_LEGEND_STYLE,
+  buildLegend,
+  resolveLegendOptions,
+} from './legend.js';
+import { validateData, ValidationError } from './validation.js';
+import { validateOptions, validateStyles } from './configValidation.js';
+import { flattenHierarchy, isNestedInput } from './hierarchy.js';
+import {
+  toWorkerNodes,
+  unpackLayout,
+  unpackLabelLayout,
+} from './layoutTransfer.js';
 import {
   easeInOutCubic,
   getDescendantIds,
   computeCollapsedPositions,
+  planMorph,
+  interpolateMorph,
 } from './collapseAnimation.js';
+import { extendTheme } from './themes.js';
+import {
+  readCssValues,
+  resolveCssStyle,
+  watchCssValues,
+} from './cssVariables.js';
 
 // ── Default options & styles ────────────────────────────────────────────────
 
@@ -90,6 +118,34 @@ const DEFAULT_STYLE = {
     strokeOpacity: 1,
     strokeWidth: 1,
   },
+  image: {
+    value: 'image',
+    minRadius: DEFAULT_IMAGE_MIN_RADIUS,
+    padding: 0,
+    opacity: 1,
+  },
+  legend: DEFAULT_LEGEND_STYLE,
+  collapsed: {
+    ring: {
+      visible: true,
+      strokeColor: '#333333',
+      strokeOpacity: 0.6,
+      strokeWidth: 1.5,
+      padding: 2,
+    },
+    badge: {
+      visible: true,
+      fillColor: '#333333',
+      fillOpacity: 0.85,
+      textColor: '#ffffff',
+      fontFamily: 'monospace',
+      fontWeight: 'bold',
+      fontSize: 10,
+      padding: 3,
+      format: '+{descendants}',
+      edgeFormat: '{edges} edges',
+    },
+  },
   highlight: {
     node: {
       strokeColor: '#333333',
@@ -110,20 +166,57 @@ const DEFAULT_STYLE = {
   depths: [],
 };
 
-/** @import { EdgeOptions, Options, Styles } from '$lib/types.js' */
+/** @import { Diagnostic, EdgeOptions, HierarchyAccessors, LegendEntry, Options, RenderNode, Styles, ThemeName } from '$lib/types.js' */
+/** @import { TreeScene } from './drawTree.js' */
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
 /** @param {Options} [userOptions] */
-function mergeOptions(userOptions) {
+export function mergeOptions(userOptions) {
   const merged = { ...DEFAULT_OPTIONS, ...userOptions };
   merged.edges = { ...DEFAULT_OPTIONS.edges, ...(userOptions?.edges || {}) };
   return merged;
 }
 
-/** @param {Styles} [userStyles] */
-function mergeStyles(userStyles) {
-  const s = /** @type {Record<string, any>} */ (userStyles || {});
+/**
+ * Flat node array for the given input; nested input is flattened.
+ * @param {any[] | Record<string, any>} nodes
+ * @param {HierarchyAccessors} [accessors]
+ * @returns {any[]}
+ */
+export function toFlatNodes(nodes, accessors) {
+  return isNestedInput(nodes, accessors)
+    ? flattenHierarchy(nodes, accessors)
+    : /** @type {any[]} */ (nodes);
+}
+
+/**
+ * Cache key for the label placement described by a worker label request.
+ * @param {any} spec
+ * @returns {string}
+ */
+function workerLabelKey(spec) {
+  return [
+    spec.width,
+    spec.height,
+    spec.hoveredNodeId,
+    spec.highlightedNodeIds.join(','),
+    spec.excludedNodeIds.join(','),
+    spec.numLabels,
+    Math.round(spec.panX),
+    Math.round(spec.panY),
+  ].join('|');
+}
+
+/**
+ * Default styles with a theme and the user styles merged over them.
+ * @param {Styles} [userStyles]
+ * @param {ThemeName | Styles | null} [theme] - Deep-merged under the user styles, see extendTheme
+ */
+export function mergeStyles(userStyles, theme) {
+  const s = /** @type {Record<string, any>} */ (
+    theme ? extendTheme(theme, userStyles) : userStyles || {}
+  );
 
   /** @param {string} key */
   const mergeGroup = (key) => {
@@ -138,6 +231,15 @@ function mergeStyles(userStyles) {
     node: mergeGroup('node'),
     edge: mergeGroup('edge'),
     edgeNode: mergeGroup('edgeNode'),
+    image: mergeGroup('image'),
+    legend: mergeGroup('legend'),
+    collapsed: {
+      ring: { ...DEFAULT_STYLE.collapsed.ring, ...(s.collapsed?.ring || {}) },
+      badge: {
+        ...DEFAULT_STYLE.collapsed.badge,
+        ...(s.collapsed?.badge || {}),
+      },
+    },
     label: {
       ...DEFAULT_STYLE.label,
       ...(s.label || {}),
@@ -192,7 +294,7 @@ function mergeStyles(userStyles) {
 export class CactusTree {
   /**
    * @param {HTMLCanvasElement} canvas
-   * @param {{ width?: number, height?: number, nodes?: any[], edges?: any[], options?: Options, styles?: Styles, pannable?: boolean, zoomable?: boolean, collapsible?: boolean }} config
+   * @param {{ width?: number, height?: number, nodes?: any[] | Record<string, any>, edges?: any[], options?: Options, theme?: ThemeName | Styles | null, styles?: Styles, pannable?: boolean, zoomable?: boolean, collapsible?: boolean, onWarning?: ((diagnostic: Diagnostic) => void) | null, strict?: boolean, worker?: boolean | Worker, renderNode?: RenderNode | null }} config
    */
   constructor(canvas, config = {}) {
     this.canvas = canvas;
@@ -206,10 +308,32 @@ export class CactusTree {
     this.pannable = config.pannable ?? true;
     this.zoomable = config.zoomable ?? true;
     this.collapsible = config.collapsible ?? true;
+    /** @type {RenderNode | null} Custom node renderer, see drawCustomNode */
+    this.renderNode = config.renderNode ?? null;
 
     // Merged options / styles
     this.mergedOptions = mergeOptions(config.options);
-    this.mergedStyle = mergeStyles(config.styles);
+    /** @type {Options | undefined} The `options` config value */
+    this._options = config.options;
+    /** @type {ThemeName | Styles | null} */
+    this.theme = config.theme ?? null;
+    /** @type {Styles} */
+    this.styles = config.styles ?? {};
+    /** @type {(() => void) | null} Stops watching the CSS values of the styles */
+    this._stopCssWatch = null;
+    this.mergedStyle = this._resolveCss(mergeStyles(this.styles, this.theme));
+
+    /** @type {any[]} Flat nodes ({ id, name, parent }) derived from `nodes` */
+    this.flatNodes = toFlatNodes(this.nodes, this.mergedOptions.accessors);
+
+    // Input validation
+    /** @type {((diagnostic: Diagnostic) => void) | null} */
+    this.onWarning = config.onWarning ?? null;
+    this.strict = config.strict ?? false;
+    /** @type {Diagnostic[]} Problems found in the current nodes and edges */
+    this.diagnostics = [];
+    this._validateConfig(config);
+    this._validate(this.flatNodes, this.edges, this.mergedOptions.forest);
 
     // Layout state
     /** @type {any[]} */
@@ -220,6 +344,10 @@ export class CactusTree {
     this.depthStyleCache = new Map();
     this.hierarchicalPathCache = new Map();
     this.parentToChildrenNodeMap = new Map();
+    /** @type {Array<[any, any]>} Sibling subtrees that still collide with `avoidCollisions` set, as pairs of root ids */
+    this.unresolvedCollisions = [];
+    /** @type {string} Collisions last reported to onWarning */
+    this._collisionsKey = '';
 
     // Interaction state
     /** @type {string|null} */
@@ -248,6 +376,11 @@ export class CactusTree {
 
     // Animation frame id
     this._animationFrameId = null;
+    /** @type {number|null} Frame of a redraw for newly loaded images */
+    this._imageFrameId = null;
+
+    /** Node images loaded from URLs */
+    this._imageCache = new ImageCache(() => this._scheduleDraw());
 
     // Collapse state
     /** @type {Set<string>} */
@@ -260,9 +393,44 @@ export class CactusTree {
     this._collapseAnimFrameId = null;
     this._isCollapseAnimating = false;
 
+    // Level of detail state
+    /** @type {any[]|null} Edges rerouted to aggregated subtrees, if any */
+    this._lodEdges = null;
+
+    // Dataset transition state
+    /** @type {any[]|null} Nodes shown when new data arrived, to morph from */
+    this._morphFrom = null;
+    /** @type {any[]|null} Interpolated nodes drawn while morphing */
+    this._morphFrame = null;
+    /** @type {number|null} */
+    this._morphFrameId = null;
+
     // Event handler refs (for cleanup)
     this._boundHandlers = null;
 
+    // Worker mode
+    /** @type {Worker|null} */
+    this._layoutWorker = null;
+    this._ownsLayoutWorker = false;
+    /** @type {boolean | Worker | undefined} The `worker` config value */
+    this._workerConfig = undefined;
+    /** @type {any[]|null} Nodes last posted to the worker */
+    this._workerNodes = null;
+    /** @type {any[]|null} Edges last posted to the worker */
+    this._workerEdges = null;
+    /** Version of the data last posted to the worker */
+    this._workerDataVersion = 0;
+    /** @type {Record<string, any>|null} Inputs of the last layout request */
+    this._workerLayoutInputs = null;
+    /** @type {string|null} Key of the last label request */
+    this._workerLabelKey = null;
+    /** @type {any} Last label layout received from the worker */
+    this._workerLabelLayout = null;
+    this._workerBusy = false;
+    /** @type {any} Request to post once the worker is idle */
+    this._workerQueued = null;
+    this._setupWorker(config.worker);
+
     // Initial setup
     this._setupMouseHandlers();
     this._scheduleRender();
@@ -273,27 +441,81 @@ export class CactusTree {
   /**
    * Update configuration. Any subset of the config properties may be provided.
    * Triggers a full re-render.
-   * @param {{ width?: number, height?: number, nodes?: any[], edges?: any[], options?: Options, styles?: Styles, pannable?: boolean, zoomable?: boolean, collapsible?: boolean }} config
+   * @param {{ width?: number, height?: number, nodes?: any[] | Record<string, any>, edges?: any[], options?: Options, theme?: ThemeName | Styles | null, styles?: Styles, pannable?: boolean, zoomable?: boolean, collapsible?: boolean, onWarning?: ((diagnostic: Diagnostic) => void) | null, strict?: boolean, worker?: boolean | Worker, renderNode?: RenderNode | null }} config
    */
   update(config) {
     if (!config) return;
 
+    if (config.onWarning !== undefined) this.onWarning = config.onWarning;
+    if (config.strict !== undefined) this.strict = config.strict;
+
+    // Validate incoming data before it replaces the current data, so that a
+    // strict-mode error leaves the tree untouched. Like the data, options,
+    // theme and styles are only validated again when they change.
+    this._validateConfig({
+      options: config.options !== this._options ? config.options : undefined,
+      theme: config.theme !== this.theme ? config.theme : undefined,
+      styles: config.styles !== this.styles ? config.styles : undefined,
+    });
+    const nextOptions =
+      config.options !== undefined
+        ? mergeOptions(config.options)
+        : this.mergedOptions;
+    // Before anything changes too, as unknown theme names throw
+    const nextStyle =
+      config.theme !== undefined || config.styles !== undefined
+        ? mergeStyles(
+            config.styles ?? this.styles,
+            config.theme !== undefined ? config.theme : this.theme,
+          )
+        : this.mergedStyle;
+    const nodesChanged =
+      config.nodes !== undefined && config.nodes !== this.nodes;
+    const flatNodes =
+      nodesChanged || nextOptions.accessors !== this.mergedOptions.accessors
+        ? toFlatNodes(config.nodes ?? this.nodes, nextOptions.accessors)
+        : this.flatNodes;
+    if (
+      flatNodes !== this.flatNodes ||
+      (config.edges !== undefined && config.edges !== this.edges) ||
+      nextOptions.forest !== this.mergedOptions.forest
+    ) {
+      this._validate(flatNodes, config.edges ?? this.edges, nextOptions.forest);
+    }
+
     let needsHandlerRebind = false;
 
     if (config.width !== undefined) this.width = config.width;
     if (config.height !== undefined) this.height = config.height;
-    if (config.options !== undefined)
-      this.mergedOptions = mergeOptions(config.options);
-    if (config.styles !== undefined)
-      this.mergedStyle = mergeStyles(config.styles);
+    if (config.options !== undefined) {
+      this._options = config.options;
+      this.mergedOptions = nextOptions;
+    }
+    if (config.theme !== undefined) this.theme = config.theme;
+    if (config.styles !== undefined) this.styles = config.styles;
+    if (nextStyle !== this.mergedStyle) {
+      this.mergedStyle = this._resolveCss(nextStyle);
+    }
+    this.flatNodes = flatNodes;
     if (config.nodes !== undefined) {
-      const nodesChanged = config.nodes !== this.nodes;
       this.nodes = config.nodes;
       if (nodesChanged) {
-        this.currentZoom = 1;
-        this.panX = 0;
-        this.panY = 0;
-        this.collapsedNodeIds.clear();
+        if (this.mergedOptions.transition && this.renderedNodes.length > 0) {
+          // Morph from what is shown now; keep the view and the collapsed
+          // nodes that are still there
+          this._morphFrom =
+            this._morphFrom ?? this._morphFrame ?? this._getDrawableNodes();
+          const ids = new Set(flatNodes.map((node) => node.id));
+          for (const id of this.collapsedNodeIds) {
+            if (!ids.has(id)) this.collapsedNodeIds.delete(id);
+          }
+        } else {
+          this.currentZoom = 1;
+          this.panX = 0;
+          this.panY = 0;
+          this.collapsedNodeIds.clear();
+          this._morphFrom = null;
+        }
         this._collapsedDescendantIds.clear();
         this._animatedPositions.clear();
         if (this._collapseAnimFrameId) {
@@ -301,6 +523,7 @@ export class CactusTree {
           this._collapseAnimFrameId = null;
         }
         this._isCollapseAnimating = false;
+        this._stopMorph();
       }
     }
     if (config.edges !== undefined) this.edges = config.edges;
@@ -315,6 +538,10 @@ export class CactusTree {
     if (config.collapsible !== undefined) {
       this.collapsible = config.collapsible;
     }
+    if (config.worker !== undefined && config.worker !== this._workerConfig) {
+      this._setupWorker(config.worker);
+    }
+    if (config.renderNode !== undefined) this.renderNode = config.renderNode;
 
     if (needsHandlerRebind) {
       this._removeMouseHandlers();
@@ -338,6 +565,41 @@ export class CactusTree {
     this._draw();
   }
 
+  /**
+   * Export the current view as an SVG document: the same nodes, edges,
+   * links, labels and highlight state the canvas shows, at the current zoom
+   * and pan. Labels are placed on the main thread, also in worker mode.
+   * @returns {string}
+   */
+  toSVG() {
+    if (this.renderedNodes.length === 0 && this.flatNodes.length > 0) {
+      this._calculateLayoutAndMaps();
+    }
+
+    const ctx = new SvgContext(this.width, this.height);
+    this._drawFrame(
+      /** @type {any} */ (ctx),
+      (scene, nodeHighlightedIds) =>
+        this._morphFrame ? null : this._placeLabels(scene, nodeHighlightedIds),
+      referenceImage,
+    );
+    return ctx.toSVG();
+  }
+
+  /**
+   * What the colors of the tree mean: swatches for the depth styles,
+   * gradients for field color scales and keys for branch color scales, as
+   * drawn with the `legend` option. Available whether or not the legend is
+   * drawn, e.g. to render one in HTML.
+   * @returns {LegendEntry[]}
+   */
+  getLegend() {
+    if (this.renderedNodes.length === 0 && this.flatNodes.length > 0) {
+      this._calculateLayoutAndMaps();
+    }
+    return buildLegend(this.mergedStyle);
+  }
+
   /**
    * Clean up event listeners and cancel pending animation frames.
    */
@@ -353,6 +615,90 @@ export class CactusTree {
       cancelAnimationFrame(this._collapseAnimFrameId);
       this._collapseAnimFrameId = null;
     }
+
+    if (this._imageFrameId) {
+      cancelAnimationFrame(this._imageFrameId);
+      this._imageFrameId = null;
+    }
+    this._imageCache.clear();
+
+    this._stopMorph();
+    this._terminateWorker();
+    this._stopCssWatch?.();
+    this._stopCssWatch = null;
+  }
+
+  // ── Internal: validation ────────────────────────────────────────────────
+
+  /**
+   * Validate nodes and edges, keep the result in `diagnostics` and report
+   * each problem to `onWarning`. In strict mode a ValidationError is thrown.
+   * @param {any[]} nodes
+   * @param {any[]} edges
+   * @param {'hidden'|'pack'} [forest] - Forest mode, which allows several roots
+   */
+  _validate(nodes, edges, forest) {
+    try {
+      this.diagnostics = validateData(nodes, edges, {
+        strict: this.strict,
+        forest,
+      }).diagnostics;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.diagnostics = error.diagnostics;
+      }
+      throw error;
+    }
+
+    if (this.onWarning) {
+      for (const diagnostic of this.diagnostics) {
+        this.onWarning(diagnostic);
+      }
+    }
+  }
+
+  /**
+   * Validate the options, theme and styles of a config and report each
+   * problem to `onWarning`. In strict mode a ValidationError is thrown.
+   * @param {{ options?: Options, theme?: ThemeName | Styles | null, styles?: Styles }} config
+   */
+  _validateConfig({ options, theme, styles }) {
+    const diagnostics = [
+      ...validateOptions(options).diagnostics,
+      ...(theme && typeof theme === 'object'
+        ? validateStyles(theme, { path: 'theme' }).diagnostics
+        : []),
+      ...validateStyles(styles).diagnostics,
+    ];
+    if (this.strict && diagnostics.length > 0) {
+      throw new ValidationError(diagnostics, 'cactus config');
+    }
+
+    if (this.onWarning) {
+      for (const diagnostic of diagnostics) {
+        this.onWarning(diagnostic);
+      }
+    }
+  }
+
+  /**
+   * Resolve the CSS variables and `currentColor` in merged styles against
+   * the canvas, and watch them to render again with their new values when
+   * they change.
+   * @param {any} style - Result of mergeStyles
+   * @returns {any}
+   */
+  _resolveCss(style) {
+    this._stopCssWatch?.();
+    this._stopCssWatch = null;
+
+    const values = readCssValues(style, this.canvas);
+    if (values.size === 0) return style;
+    this._stopCssWatch = watchCssValues(style, this.canvas, values, (next) => {
+      this.mergedStyle = resolveCssStyle(style, next);
+      this._scheduleRender();
+    });
+    return resolveCssStyle(style, values);
   }
 
   // ── Internal: layout & drawing ──────────────────────────────────────────
@@ -360,7 +706,7 @@ export class CactusTree {
   _calculateLayoutAndMaps() {
     clearLabelLayoutCache();
 
-    if (!this.nodes?.length) {
+    if (!this.flatNodes?.length) {
       this.renderedNodes = [];
       this.nodeIdToRenderedNodeMap = new Map();
       this.leafNodes = new Set();
@@ -368,6 +714,8 @@ export class CactusTree {
       this.depthStyleCache = new Map();
       this.hierarchicalPathCache = new Map();
       this.parentToChildrenNodeMap = new Map();
+      this._lodEdges = null;
+      this._reportCollisions([]);
       return;
     }
 
@@ -376,12 +724,47 @@ export class CactusTree {
       this.width,
       this.height,
       layoutZoom,
-      this.nodes,
+      this.flatNodes,
       this.mergedOptions,
+      this.edges,
+      this.mergedStyle,
     );
+    this._reportCollisions(getUnresolvedCollisions());
+
+    this._updateLookupMaps();
+  }
 
+  /**
+   * Keep the sibling subtrees that still collide after layout and report
+   * each pair to `onWarning` when they differ from the last reported ones.
+   * The layout is recomputed on zoom, so unchanged collisions are reported
+   * only once.
+   * @param {Array<[any, any]>} collisions
+   */
+  _reportCollisions(collisions) {
+    this.unresolvedCollisions = collisions;
+    const key = collisions.map((pair) => pair.join('\u0000')).join('\u0001');
+    if (key === this._collisionsKey) return;
+    this._collisionsKey = key;
+
+    if (!this.onWarning) return;
+    for (const [a, b] of collisions) {
+      this.onWarning({
+        code: 'overlapping-subtrees',
+        severity: 'warning',
+        message: `Subtrees of "${a}" and "${b}" overlap`,
+        ids: [a, b],
+      });
+    }
+  }
+
+  /**
+   * Rebuild the lookup maps, zoom limits, Voronoi data and collapsed
+   * positions for the current renderedNodes.
+   */
+  _updateLookupMaps() {
     const lookupMaps = /** @type {any} */ (
-      buildLookupMaps(this.renderedNodes, this.mergedStyle)
+      buildLookupMaps(this.renderedNodes, this.mergedStyle, this.edges)
     );
 
     this.nodeIdToRenderedNodeMap = lookupMaps.nodeIdToRenderedNodeMap;
@@ -408,6 +791,23 @@ export class CactusTree {
       }
     }
 
+    // Replace subtrees too small to see with aggregates. The zoom limits
+    // above come from the full layout, so they can still be zoomed into.
+    const lodMinRadius = resolveLodMinRadius(this.mergedOptions.lod);
+    if (lodMinRadius !== null) {
+      const lod = aggregateSubtrees(
+        this.renderedNodes,
+        lookupMaps,
+        lodMinRadius,
+      );
+      this.renderedNodes = lod.renderedNodes;
+      this.nodeIdToRenderedNodeMap = lod.nodeIdToRenderedNodeMap;
+      this.parentToChildrenNodeMap = lod.parentToChildrenNodeMap;
+      this._lodEdges = rerouteEdges(this.edges, lod.aggregateIds);
+    } else {
+      this._lodEdges = null;
+    }
+
     // Build Voronoi triangulation for leaf hover tolerance
     this._voronoiData = buildLeafVoronoi(this.renderedNodes, this.leafNodes);
 
@@ -425,92 +825,101 @@ export class CactusTree {
   _draw() {
     if (!this.canvas || !this.ctx) return;
 
-    const drawableNodes = this._getDrawableNodes();
-    const drawableNodeMap =
-      this._animatedPositions.size > 0
-        ? this._buildDrawableNodeMap(drawableNodes)
-        : this.nodeIdToRenderedNodeMap;
-
-    // Nodes excluding collapsed descendants (for links and labels)
-    const visibleNodes =
-      this._collapsedDescendantIds.size > 0
-        ? drawableNodes.filter((n) => !this._collapsedDescendantIds.has(n.id))
-        : drawableNodes;
-
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.save();
-    this.ctx.translate(this.panX, this.panY);
 
-    // Draw connecting parent->child links (only when overlap < 0)
-    drawConnectingLinks(
+    // Label layout is computed upfront (simulated annealing, cached). In
+    // worker mode the last placement is drawn while a new one is computed;
+    // animated (collapsed) positions are only known here, so those are
+    // labeled here.
+    this._drawFrame(
       this.ctx,
-      visibleNodes,
-      this.parentToChildrenNodeMap,
-      this.mergedStyle,
-      this.depthStyleCache,
-      this.mergedOptions.overlap,
-      this.negativeDepthNodes,
-      this._collapsedDescendantIds.size > 0
-        ? this._collapsedDescendantIds
-        : undefined,
+      (scene, nodeHighlightedIds) =>
+        this._morphFrame
+          ? null
+          : this._layoutWorker && this._animatedPositions.size === 0
+            ? this._requestWorkerLabels(nodeHighlightedIds)
+            : this._placeLabels(scene, nodeHighlightedIds),
+      (source) => this._imageCache.get(source),
     );
+  }
 
-    // Compute visible edge node ids
-    const edgeNodeIds = drawEdge.computeVisibleEdgeNodeIds(
-      this.edges,
+  /**
+   * Draw the current frame to the given context.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(scene: TreeScene, nodeHighlightedIds: Set<any>) => any} placeLabels - Label layout for the frame, or null
+   * @param {(source: any) => any} loadImage - Image to draw for a node image source, or null
+   */
+  _drawFrame(ctx, placeLabels, loadImage) {
+    const drawableNodes = this._morphFrame ?? this._getDrawableNodes();
+    const drawableNodeMap =
+      this._morphFrame || this._animatedPositions.size > 0
+        ? this._buildDrawableNodeMap(drawableNodes)
+        : this.nodeIdToRenderedNodeMap;
+
+    /** @type {TreeScene} */
+    const scene = {
+      drawableNodes,
       drawableNodeMap,
-      this.hoveredNodeId,
+      // Nodes excluding collapsed descendants (for links and labels)
+      visibleNodes:
+        this._collapsedDescendantIds.size > 0
+          ? drawableNodes.filter((n) => !this._collapsedDescendantIds.has(n.id))
+          : drawableNodes,
+      childrenMap: this._morphFrame
+        ? this._buildChildrenMap(drawableNodes)
+        : this.parentToChildrenNodeMap,
+      excludedNodeIds:
+        this._collapsedDescendantIds.size > 0
+          ? this._collapsedDescendantIds
+          : undefined,
+      edges: this._lodEdges ?? this.edges,
+      hierarchicalPathCache: this.hierarchicalPathCache,
+      leafNodes: this.leafNodes,
+      mergedStyle: this.mergedStyle,
+      mergedOptions: this.mergedOptions,
+      depthStyleCache: this.depthStyleCache,
+      negativeDepthNodes: this.negativeDepthNodes,
+      hoveredNodeId: this.hoveredNodeId,
+      renderNode: this.renderNode,
+      collapsedNodeIds: this.collapsedNodeIds,
+      loadImage,
+      panX: this.panX,
+      panY: this.panY,
+      legend: this._legendScene(),
+    };
+
+    drawTree(ctx, scene, (nodeHighlightedIds) =>
+      placeLabels(scene, nodeHighlightedIds),
     );
+  }
 
-    const edgeNodeIdSet = new Set();
-    if (edgeNodeIds && edgeNodeIds.length) {
-      for (const id of edgeNodeIds) {
-        edgeNodeIdSet.add(id);
-      }
-    }
+  /**
+   * Legend to draw with a frame, or null when the `legend` option is off.
+   * @returns {TreeScene['legend']}
+   */
+  _legendScene() {
+    const options = resolveLegendOptions(this.mergedOptions.legend);
+    if (!options) return null;
+    return {
+      entries: buildLegend(this.mergedStyle),
+      width: this.width,
+      height: this.height,
+      options,
+    };
+  }
 
-    // Compute all edge node ids (nodes that appear in any edge)
-    const allEdgeNodeIds = new Set();
-    for (const edge of this.edges || []) {
-      allEdgeNodeIds.add(edge.source);
-      allEdgeNodeIds.add(edge.target);
-    }
-
-    // Node highlight set
-    const nodeHighlightedIds = (() => {
-      const s = new Set();
-      if (!this.hoveredNodeId) return s;
-      s.add(this.hoveredNodeId);
-
-      for (const edge of this.edges || []) {
-        if (
-          edge.source === this.hoveredNodeId &&
-          edgeNodeIdSet.has(edge.target)
-        ) {
-          s.add(edge.target);
-        } else if (
-          edge.target === this.hoveredNodeId &&
-          edgeNodeIdSet.has(edge.source)
-        ) {
-          s.add(edge.source);
-        }
-      }
-      return s;
-    })();
-
-    // Edge highlight set
-    const edgeHighlightedNodeIds = (() => {
-      if (!this.hoveredNodeId) return null;
-      const s = new Set();
-      s.add(this.hoveredNodeId);
-      return s;
-    })();
-
-    // Compute label layout upfront (simulated annealing, cached) so positions
-    // are available when we draw each node in DFS order.
-    const labelLayout = computeLabelLayout(
-      this.ctx,
-      visibleNodes,
+  /**
+   * Place labels for a frame on the main thread.
+   * @param {TreeScene} scene
+   * @param {Set<any>} nodeHighlightedIds
+   */
+  _placeLabels(scene, nodeHighlightedIds) {
+    if (scene.visibleNodes.length === 0) return null;
+
+    return layoutLabels(
+      this.width,
+      this.height,
+      scene.visibleNodes,
       this.leafNodes,
       this.hoveredNodeId,
       nodeHighlightedIds,
@@ -521,140 +930,6 @@ export class CactusTree {
       this.panX,
       this.panY,
     );
-
-    // Build per-node label lookup maps for O(1) access during the draw loop.
-    /** @type {Map<string, any>} nodeId -> labelData */
-    const labelDataByNodeId = new Map();
-    /** @type {Map<string, any>} nodeId -> nodeData (from nodesWithLabels) */
-    const labelNodeDataById = new Map();
-    if (labelLayout) {
-      for (const lbl of labelLayout.labels) {
-        labelDataByNodeId.set(lbl.nodeId, lbl);
-      }
-      for (const nd of labelLayout.nodesWithLabels) {
-        labelNodeDataById.set(nd.node.id, nd);
-      }
-    }
-
-    const ctx = this.ctx;
-
-    /**
-     * Draw the label for a single node immediately after its circle is drawn.
-     * @param {any} nodeData - entry from renderedNodes/drawableNodes
-     */
-    const drawNodeLabel = (nodeData) => {
-      if (!labelLayout) return;
-      const { node, depth, radius } = nodeData;
-      const labelData = labelDataByNodeId.get(node.id);
-      if (!labelData) return;
-      const nd = labelNodeDataById.get(node.id);
-      if (!nd) return;
-
-      const isHighlighted =
-        this.hoveredNodeId === node.id ||
-        (nodeHighlightedIds && nodeHighlightedIds.has(node.id));
-
-      if (labelData.isInside) {
-        const labelStyle = getLabelStyle(
-          depth,
-          node.id,
-          this.mergedStyle,
-          this.depthStyleCache,
-          this.negativeDepthNodes,
-        );
-        const text = String(node.name || node.id);
-        const minFS =
-          labelStyle.inner?.minFontSize ?? labelLayout.labelMinFontSize;
-        const maxFS =
-          labelStyle.inner?.maxFontSize ?? labelLayout.labelMaxFontSize;
-        drawCenteredLabel(
-          ctx,
-          text,
-          nd.x,
-          nd.y,
-          radius,
-          labelStyle,
-          minFS,
-          maxFS,
-          isHighlighted,
-          isHighlighted ? nd.highlightStyle : {},
-        );
-      } else {
-        drawPositionedLabel(
-          ctx,
-          labelData,
-          nd,
-          this.leafNodes,
-          this.mergedStyle,
-          this.depthStyleCache,
-          this.negativeDepthNodes,
-          isHighlighted,
-        );
-      }
-    };
-
-    // Draw nodes in DFS order, immediately followed by each node's label.
-    // This ensures labels of nodes drawn later (on top) also appear on top,
-    // so labels of occluded nodes are naturally hidden.
-    for (const nodeData of drawableNodes) {
-      const { x, y, radius, node, depth } = nodeData;
-      drawNode(
-        this.ctx,
-        x,
-        y,
-        radius,
-        node,
-        depth,
-        this.hoveredNodeId,
-        this.mergedStyle,
-        this.depthStyleCache,
-        this.negativeDepthNodes,
-        nodeHighlightedIds,
-        allEdgeNodeIds,
-      );
-      drawNodeLabel(nodeData);
-    }
-
-    // Draw edges on top of all nodes
-    drawEdge.drawEdges(
-      this.ctx,
-      this.edges,
-      drawableNodeMap,
-      this.hierarchicalPathCache,
-      this.mergedStyle,
-      this.hoveredNodeId,
-      edgeHighlightedNodeIds,
-      Number(this.mergedOptions?.edges?.bundlingStrength ?? 0.97),
-      this.mergedOptions?.edges ?? {},
-      this.depthStyleCache,
-      this.negativeDepthNodes,
-    );
-
-    // Draw label connectors (leader lines) using destination-over compositing
-    // so they appear behind all nodes and labels.
-    if (labelLayout && labelLayout.links && labelLayout.links.length > 0) {
-      let connectorHighlightIds = null;
-      if (this.hoveredNodeId) {
-        connectorHighlightIds = new Set();
-        connectorHighlightIds.add(this.hoveredNodeId);
-        if (nodeHighlightedIds) {
-          for (const id of nodeHighlightedIds) {
-            connectorHighlightIds.add(id);
-          }
-        }
-      }
-      drawLabelConnectors(
-        this.ctx,
-        labelLayout.links,
-        this.mergedStyle,
-        labelLayout.nodesWithLabels,
-        this.depthStyleCache,
-        this.negativeDepthNodes,
-        connectorHighlightIds,
-      );
-    }
-
-    this.ctx.restore();
   }
 
   /**
@@ -688,6 +963,22 @@ export class CactusTree {
     return map;
   }
 
+  /**
+   * Group drawable nodes by parent id, like parentToChildrenNodeMap.
+   * @param {any[]} drawableNodes
+   * @returns {Map<string, any[]>}
+   */
+  _buildChildrenMap(drawableNodes) {
+    const map = new Map();
+    for (const nodeData of drawableNodes) {
+      const parentId = nodeData.node?.parent;
+      if (!parentId) continue;
+      if (!map.has(parentId)) map.set(parentId, []);
+      map.get(parentId).push(nodeData);
+    }
+    return map;
+  }
+
   /**
    * Handle click/tap on a node: toggle collapse/expand of its subtree.
    * @param {string} nodeId
@@ -816,6 +1107,51 @@ export class CactusTree {
     this._collapseAnimFrameId = requestAnimationFrame(animate);
   }
 
+  /**
+   * Morph from the nodes shown when new data arrived (`_morphFrom`) to the
+   * new layout, keyed by node id (see planMorph).
+   */
+  _startMorph() {
+    const fromNodes = /** @type {any[]} */ (this._morphFrom);
+    this._morphFrom = null;
+    this._stopMorph();
+
+    const transition = this.mergedOptions.transition;
+    const duration =
+      (typeof transition === 'object' ? transition.duration : undefined) ?? 300;
+    const tracks = planMorph(fromNodes, this._getDrawableNodes());
+    const startTime = performance.now();
+
+    const animate = (/** @type {number} */ now) => {
+      const t = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+
+      if (t < 1) {
+        this._morphFrame = interpolateMorph(tracks, easeInOutCubic(t));
+        this._draw();
+        this._morphFrameId = requestAnimationFrame(animate);
+      } else {
+        this._morphFrame = null;
+        this._morphFrameId = null;
+        this._draw();
+      }
+    };
+
+    this._morphFrame = interpolateMorph(tracks, 0);
+    this._draw();
+    this._morphFrameId = requestAnimationFrame(animate);
+  }
+
+  /**
+   * Cancel a running morph; the new layout is drawn without it.
+   */
+  _stopMorph() {
+    if (this._morphFrameId) {
+      cancelAnimationFrame(this._morphFrameId);
+      this._morphFrameId = null;
+    }
+    this._morphFrame = null;
+  }
+
   /**
    * Find if a node belongs to a still-collapsed ancestor's subtree.
    * @param {string} nodeId
@@ -854,11 +1190,19 @@ export class CactusTree {
   }
 
   _render() {
-    if (!this.canvas || !this.nodes?.length) return;
+    if (!this.canvas || !this.flatNodes?.length) return;
 
     this.ctx = setupCanvas(this.canvas, this.width, this.height);
+    if (this._layoutWorker) {
+      this._requestWorkerLayout();
+      return;
+    }
     this._calculateLayoutAndMaps();
-    this._draw();
+    if (this._morphFrom) {
+      this._startMorph();
+    } else {
+      this._draw();
+    }
   }
 
   _scheduleRender() {
@@ -872,6 +1216,256 @@ export class CactusTree {
     });
   }
 
+  /**
+   * Redraw in the next frame, unless a render is scheduled already. Images
+   * loading at the same time are drawn together.
+   */
+  _scheduleDraw() {
+    if (this._animationFrameId || this._imageFrameId) return;
+
+    this._imageFrameId = requestAnimationFrame(() => {
+      this._imageFrameId = null;
+      this._draw();
+    });
+  }
+
+  // ── Internal: worker mode ───────────────────────────────────────────────
+
+  /**
+   * Start the layout worker for the `worker` config value, replacing any
+   * previous one. `true` creates a module worker from layoutWorker.js; a
+   * Worker instance running that script is used as is. Without Worker
+   * support the layout stays on the main thread.
+   * @param {boolean | Worker | undefined} worker
+   */
+  _setupWorker(worker) {
+    this._terminateWorker();
+    this._workerConfig = worker;
+    if (!worker) return;
+
+    if (worker === true) {
+      if (typeof Worker === 'undefined') return;
+      try {
+        this._layoutWorker = new Worker(
+          new URL('./layoutWorker.js', import.meta.url),
+          { type: 'module' },
+        );
+      } catch {
+        return;
+      }
+      this._ownsLayoutWorker = true;
+    } else {
+      this._layoutWorker = worker;
+      this._ownsLayoutWorker = false;
+    }
+
+    this._layoutWorker.onmessage = (event) =>
+      this._handleWorkerMessage(event.data);
+    this._layoutWorker.onerror = () => this._fallBackToMainThread();
+    this._scheduleRender();
+  }
+
+  /**
+   * Detach from the layout worker (terminating it if it was created here)
+   * and reset the worker state.
+   */
+  _terminateWorker() {
+    if (this._layoutWorker) {
+      this._layoutWorker.onmessage = null;
+      this._layoutWorker.onerror = null;
+      if (this._ownsLayoutWorker) this._layoutWorker.terminate();
+    }
+    this._layoutWorker = null;
+    this._ownsLayoutWorker = false;
+    this._workerNodes = null;
+    this._workerEdges = null;
+    this._workerDataVersion = 0;
+    this._workerLayoutInputs = null;
+    this._workerLabelKey = null;
+    this._workerLabelLayout = null;
+    this._workerBusy = false;
+    this._workerQueued = null;
+  }
+
+  /**
+   * Stop using the worker (e.g. when options cannot be cloned or the
+   * worker script fails) and render on the main thread instead.
+   */
+  _fallBackToMainThread() {
+    this._terminateWorker();
+    this._scheduleRender();
+  }
+
+  /**
+   * Post a message to the worker. Layout and label requests are sent one at
+   * a time: while one is in flight only the latest request is kept, and a
+   * label request is folded into a pending layout request.
+   * @param {any} message
+   * @returns {boolean} false if the worker could not be used
+   */
+  _postToWorker(message) {
+    if (!this._layoutWorker) return false;
+
+    if (message.type !== 'data' && this._workerBusy) {
+      this._workerQueued =
+        message.type === 'labels' && this._workerQueued?.type === 'layout'
+          ? { ...this._workerQueued, labels: message.labels }
+          : message;
+      return true;
+    }
+
+    try {
+      this._layoutWorker.postMessage(message);
+    } catch {
+      this._fallBackToMainThread();
+      return false;
+    }
+    if (message.type !== 'data') this._workerBusy = true;
+    return true;
+  }
+
+  /**
+   * Viewport description for label placement in the worker.
+   * @param {Set<any>} highlightedNodeIds
+   */
+  _workerLabelSpec(highlightedNodeIds) {
+    return {
+      width: this.width,
+      height: this.height,
+      hoveredNodeId: this.hoveredNodeId,
+      highlightedNodeIds: [...highlightedNodeIds],
+      excludedNodeIds: [...this._collapsedDescendantIds],
+      numLabels: this.mergedOptions.numLabels,
+      panX: this.panX,
+      panY: this.panY,
+    };
+  }
+
+  /**
+   * Send changed data and a layout request to the worker. When the layout
+   * inputs have not changed (panning, hovering) the current layout is
+   * redrawn right away; otherwise the previous frame stays on the canvas
+   * until the result arrives.
+   */
+  _requestWorkerLayout() {
+    if (
+      this._workerNodes !== this.flatNodes ||
+      this._workerEdges !== this.edges
+    ) {
+      this._workerNodes = this.flatNodes;
+      this._workerEdges = this.edges;
+      this._workerDataVersion++;
+      const posted = this._postToWorker({
+        type: 'data',
+        version: this._workerDataVersion,
+        nodes: toWorkerNodes(this.flatNodes),
+        edges: this.edges,
+      });
+      if (!posted) return;
+    }
+
+    /** @type {Record<string, any>} */
+    const inputs = {
+      version: this._workerDataVersion,
+      width: this.width,
+      height: this.height,
+      layoutZoom: this.mergedOptions.zoom * this.currentZoom,
+      options: this.mergedOptions,
+      style: this.mergedStyle,
+    };
+    const last = this._workerLayoutInputs;
+    if (
+      last &&
+      this.renderedNodes.length > 0 &&
+      Object.keys(inputs).every((key) => inputs[key] === last[key])
+    ) {
+      this._draw();
+      return;
+    }
+    this._workerLayoutInputs = inputs;
+
+    const labels = this.hoveredNodeId ? null : this._workerLabelSpec(new Set());
+    this._workerLabelKey = labels ? workerLabelKey(labels) : null;
+    this._postToWorker({
+      type: 'layout',
+      width: inputs.width,
+      height: inputs.height,
+      layoutZoom: inputs.layoutZoom,
+      options: inputs.options,
+      style: inputs.style,
+      labels,
+    });
+  }
+
+  /**
+   * Label layout to draw in worker mode: the last one received. A new
+   * placement is requested when the hover state or viewport has changed.
+   * @param {Set<any>} highlightedNodeIds
+   * @returns {any}
+   */
+  _requestWorkerLabels(highlightedNodeIds) {
+    const spec = this._workerLabelSpec(highlightedNodeIds);
+    const key = workerLabelKey(spec);
+    if (key !== this._workerLabelKey) {
+      this._workerLabelKey = key;
+      this._postToWorker({ type: 'labels', labels: spec });
+    }
+    return this._workerLabelLayout;
+  }
+
+  /**
+   * Apply a result from the worker and post the queued request, if any.
+   * Results computed from replaced data are dropped.
+   * @param {any} message
+   */
+  _handleWorkerMessage(message) {
+    this._workerBusy = false;
+
+    if (message.version === this._workerDataVersion) {
+      if (message.type === 'layout') {
+        const zoom = this.currentZoom;
+        this.renderedNodes = unpackLayout(message.layout, this.flatNodes);
+        this._reportCollisions(message.collisions ?? []);
+        this._updateLookupMaps();
+        this._applyWorkerLabels(message.labels);
+        // Zoom limits changed the zoom: lay out again at the clamped zoom
+        if (this.currentZoom !== zoom) this._scheduleRender();
+      } else if (message.type === 'labels') {
+        this._applyWorkerLabels(message.labels);
+      }
+      if (message.type === 'layout' && this._morphFrom) {
+        this._startMorph();
+      } else {
+        this._draw();
+      }
+    }
+
+    const queued = this._workerQueued;
+    this._workerQueued = null;
+    if (queued) this._postToWorker(queued);
+  }
+
+  /**
+   * Unpack a label layout from the worker and attach label styles.
+   * @param {import('./layoutTransfer.js').PackedLabelLayout|null} packed
+   */
+  _applyWorkerLabels(packed) {
+    const labelLayout = unpackLabelLayout(
+      packed,
+      this.flatNodes,
+      this.nodeIdToRenderedNodeMap,
+    );
+    if (labelLayout) {
+      decorateLabelNodes(
+        labelLayout.nodesWithLabels,
+        this.mergedStyle,
+        this.depthStyleCache,
+        this.negativeDepthNodes,
+      );
+    }
+    this._workerLabelLayout = labelLayout;
+  }
+
   // ── Internal: event handling ────────────────────────────────────────────
 
   _setupMouseHandlers() {
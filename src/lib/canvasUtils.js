@@ -23,7 +23,7 @@ let _cachedCtx = null;
 export function setupCanvas(canvas, width, height) {
   if (!canvas) return null;
 
-  const devicePixelRatio = window.devicePixelRatio || 1;
+  const devicePixelRatio = globalThis.devicePixelRatio || 1;
 
   if (
     canvas === _lastCanvasRef &&
@@ -176,3 +176,27 @@ export function setCanvasStyles(ctx, styles) {
     ctx.font = font;
   }
 }
+
+/**
+ * Create a canvas for measuring text: a detached canvas, an OffscreenCanvas
+ * when there is no document (e.g. in a worker), or null when neither is
+ * available (e.g. in Node).
+ * @returns {HTMLCanvasElement | OffscreenCanvas | null}
+ */
+export function createMeasureCanvas() {
+  if (typeof document !== 'undefined') return document.createElement('canvas');
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+  return null;
+}
+
+/**
+ * Width of a text in the font of the given context. Without a context, the
+ * width is estimated at 0.6em per character.
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null} ctx
+ * @param {string} text
+ * @param {number} fontSize - Font size in px, used for the estimate
+ * @returns {number}
+ */
+export function measureTextWidth(ctx, text, fontSize) {
+  return ctx ? ctx.measureText(text).width : text.length * fontSize * 0.6;
+}
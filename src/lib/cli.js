@@ -0,0 +1,82 @@
+/**
+ * Command line validation of style and option files
+ *
+ *   npx cactuz-validate styles/*.json
+ *   npx cactuz-validate --options options.json
+ *
+ * Checks JSON files with validateStyles (or validateOptions with
+ * `--options`) and prints each problem. Exits with 1 when any file has
+ * errors, or with `--strict` any problems at all, and with 2 on usage errors.
+ * File access is passed in, so this runs anywhere; bin/cactuz-validate.js
+ * runs it in Node.
+ */
+
+import { validateOptions, validateStyles } from './configValidation.js';
+
+const USAGE = `Usage: cactuz-validate [--options] [--strict] <file.json>...
+
+Checks style files (or option files with --options) and prints each
+problem. Exits with 1 when errors are found, with --strict also for
+warnings such as unknown keys.`;
+
+/**
+ * @typedef {Object} CliIO
+ * @property {(path: string) => string} readFile
+ * @property {(line: string) => void} log
+ * @property {(line: string) => void} error
+ */
+
+/**
+ * Run the validation command.
+ * @param {string[]} args - Command line arguments, without node and the script
+ * @param {CliIO} io
+ * @returns {number} Exit code
+ */
+export function runCli(args, io) {
+  const files = [];
+  let validate = validateStyles;
+  let strict = false;
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      io.log(USAGE);
+      return 0;
+    } else if (arg === '--options') {
+      validate = validateOptions;
+    } else if (arg === '--strict') {
+      strict = true;
+    } else if (arg.startsWith('-')) {
+      io.error(`Unknown flag ${arg}\n\n${USAGE}`);
+      return 2;
+    } else {
+      files.push(arg);
+    }
+  }
+  if (files.length === 0) {
+    io.error(USAGE);
+    return 2;
+  }
+
+  let failed = false;
+  for (const file of files) {
+    let value;
+    try {
+      value = JSON.parse(io.readFile(file));
+    } catch (error) {
+      io.error(`${file}: error: ${/** @type {Error} */ (error).message}`);
+      failed = true;
+      continue;
+    }
+
+    const { valid, diagnostics } = validate(value);
+    for (const diagnostic of diagnostics) {
+      const line = `${file}: ${diagnostic.severity}: ${diagnostic.message}`;
+      if (diagnostic.severity === 'error') io.error(line);
+      else io.log(line);
+    }
+    if (diagnostics.length === 0) io.log(`${file}: ok`);
+    if (!valid || (strict && diagnostics.length > 0)) failed = true;
+  }
+
+  return failed ? 1 : 0;
+}
@@ -1,5 +1,5 @@
 /**
- * Collapse/Expand animation utilities for CactusTree.
+ * Collapse/Expand and dataset transition animation utilities for CactusTree.
  *
  * Pure utility functions for managing collapse state and computing
  * animated positions. No side effects or DOM dependencies.
@@ -71,3 +71,102 @@ export function computeCollapsedPositions(
 
   return overrides;
 }
+
+/**
+ * @typedef {{ x: number, y: number, radius: number }} MorphState
+ * @typedef {{ nodeData: any, from: MorphState, to: MorphState }} MorphTrack
+ */
+
+/**
+ * Plan a morph from the layout currently shown to a new one, keyed by node
+ * id. Surviving nodes move from their old to their new position and radius.
+ * Entering nodes grow from radius 0 at the old position of their nearest
+ * ancestor that was shown before; exiting nodes shrink to radius 0 at the
+ * new position of their nearest ancestor that is still shown. Without such
+ * an ancestor a node grows or shrinks in place.
+ *
+ * Exiting nodes come first so they are drawn below the new layout, which
+ * keeps its draw order.
+ *
+ * @param {any[]} fromNodes - Rendered nodes currently shown ({ id, x, y, radius, node })
+ * @param {any[]} toNodes - Rendered nodes of the new layout
+ * @returns {MorphTrack[]}
+ */
+export function planMorph(fromNodes, toNodes) {
+  const fromById = new Map(
+    fromNodes.map((nodeData) => [nodeData.id, nodeData]),
+  );
+  const toById = new Map(toNodes.map((nodeData) => [nodeData.id, nodeData]));
+
+  /**
+   * Nearest ancestor (following `parent` in `nodesById`) present in `targetById`.
+   * @param {any} nodeData
+   * @param {Map<any, any>} nodesById
+   * @param {Map<any, any>} targetById
+   */
+  const findAnchor = (nodeData, nodesById, targetById) => {
+    const seen = new Set();
+    let parentId = nodeData.node?.parent;
+    while (parentId != null && !seen.has(parentId)) {
+      seen.add(parentId);
+      const anchor = targetById.get(parentId);
+      if (anchor) return anchor;
+      parentId = nodesById.get(parentId)?.node?.parent;
+    }
+    return null;
+  };
+
+  /**
+   * @param {any} nodeData
+   * @returns {MorphState}
+   */
+  const stateOf = (nodeData) => ({
+    x: nodeData.x,
+    y: nodeData.y,
+    radius: nodeData.radius,
+  });
+
+  /** @type {MorphTrack[]} */
+  const tracks = [];
+
+  for (const nodeData of fromNodes) {
+    if (toById.has(nodeData.id)) continue;
+    const anchor = findAnchor(nodeData, fromById, toById) ?? nodeData;
+    tracks.push({
+      nodeData,
+      from: stateOf(nodeData),
+      to: { x: anchor.x, y: anchor.y, radius: 0 },
+    });
+  }
+
+  for (const nodeData of toNodes) {
+    const previous = fromById.get(nodeData.id);
+    if (previous) {
+      tracks.push({ nodeData, from: stateOf(previous), to: stateOf(nodeData) });
+      continue;
+    }
+    const anchor = findAnchor(nodeData, toById, fromById) ?? nodeData;
+    tracks.push({
+      nodeData,
+      from: { x: anchor.x, y: anchor.y, radius: 0 },
+      to: stateOf(nodeData),
+    });
+  }
+
+  return tracks;
+}
+
+/**
+ * Rendered nodes of a morph at the given (eased) progress.
+ * @param {MorphTrack[]} tracks - Result of planMorph
+ * @param {number} progress - Eased progress between 0 and 1
+ * @returns {any[]} Copies of the tracked nodes with interpolated x, y and radius
+ */
+export function interpolateMorph(tracks, progress) {
+  return tracks.map(({ nodeData, from, to }) => ({
+    ...nodeData,
+    x: from.x + (to.x - from.x) * progress,
+    y: from.y + (to.y - from.y) * progress,
+    radius: from.radius + (to.radius - from.radius) * progress,
+  }));
+}
@@ -0,0 +1,302 @@
+/**
+ * Collision detection between sibling subtrees for CactusLayout
+ *
+ * With positive `overlap` or a wide `arcSpan`, the subtrees of neighboring
+ * siblings can run into each other. Subtrees are tested pairwise through a
+ * hierarchy of bounding circles: two subtrees collide when a node of one
+ * intersects a node of the other. The two siblings themselves may overlap,
+ * which is part of the cactus look.
+ *
+ * Collisions are resolved by CactusLayout through child angle offsets (see
+ * separateSiblings); these functions only read the laid out nodes.
+ */
+
+/**
+ * @typedef {import('$lib/types.js').TreeNode} TreeNode
+ * @typedef {import('$lib/types.js').NodeData} NodeData
+ */
+
+/**
+ * @typedef {Object} Circle
+ * @property {number} x
+ * @property {number} y
+ * @property {number} r
+ */
+
+/**
+ * @typedef {Object} SiblingCollision
+ * @property {NodeData} parent - Common parent of the two subtrees
+ * @property {NodeData} a - Root of the subtree with the smaller angle offset
+ * @property {NodeData} b - Root of the other subtree
+ * @property {number} turn - Angle the two subtrees need to turn apart by, in radians, to clear their deepest intersecting nodes
+ */
+
+/** Overlaps smaller than this fraction of the radii are not collisions */
+const TOLERANCE = 1e-6;
+
+/** Default number of resolution rounds */
+export const DEFAULT_COLLISION_ITERATIONS = 10;
+
+/** Factor the turn that clears a collision is enlarged by */
+const TURN_MARGIN = 1.05;
+
+/** Angle in radians added to every turn, so touching subtrees get apart */
+const MIN_TURN = 0.01;
+
+/** Widest fan of children collisions may spread (unless already wider) */
+export const MAX_FAN_SPAN = 1.5 * Math.PI;
+
+/** Factor a fan is shrunk by when it cannot widen any further */
+export const FAN_SHRINK = 0.8;
+
+/** Smallest factor a fan is shrunk to, relative to its original width */
+export const MIN_FAN_SCALE = 0.4;
+
+/**
+ * Smallest circle containing both circles.
+ * @param {Circle} c1
+ * @param {Circle} c2
+ * @returns {Circle}
+ */
+function enclose(c1, c2) {
+  const dx = c2.x - c1.x;
+  const dy = c2.y - c1.y;
+  const d = Math.hypot(dx, dy);
+  if (d + c2.r <= c1.r) return c1;
+  if (d + c1.r <= c2.r) return c2;
+  const r = (d + c1.r + c2.r) / 2;
+  const t = (r - c1.r) / d;
+  return { x: c1.x + dx * t, y: c1.y + dy * t, r };
+}
+
+/**
+ * How deep two circles overlap, or 0 when they do not.
+ * @param {Circle} c1
+ * @param {Circle} c2
+ * @returns {number}
+ */
+function overlapDepth(c1, c2) {
+  const depth = c1.r + c2.r - Math.hypot(c2.x - c1.x, c2.y - c1.y);
+  return depth > (c1.r + c2.r) * TOLERANCE ? depth : 0;
+}
+
+/**
+ * Function returning the laid out children of a laid out node.
+ * @param {NodeData[]} nodes
+ * @returns {(nodeData: NodeData) => NodeData[]}
+ */
+function childLookup(nodes) {
+  /** @type {Map<TreeNode, NodeData>} */
+  const dataByNode = new Map();
+  for (const nodeData of nodes) dataByNode.set(nodeData.node, nodeData);
+
+  return (nodeData) => {
+    const children = [];
+    for (const child of nodeData.node.children || []) {
+      const childData = dataByNode.get(child);
+      if (childData) children.push(childData);
+    }
+    return children;
+  };
+}
+
+/**
+ * Find the colliding sibling subtrees of a layout.
+ *
+ * `extraParents` are parents that are not in `nodes`, like the synthetic
+ * root of a forest, which is dropped from the output after layout.
+ *
+ * @param {NodeData[]} nodes - Laid out nodes, parents before their children
+ * @param {NodeData[]} [extraParents=[]]
+ * @returns {SiblingCollision[]} Ordered by parent, then by angle offset
+ */
+export function findSiblingCollisions(nodes, extraParents = []) {
+  const childrenOf = childLookup(nodes);
+
+  // Bounding circles of all subtrees, children first
+  /** @type {Map<NodeData, Circle>} */
+  const bounds = new Map();
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const nodeData = nodes[i];
+    /** @type {Circle} */
+    let circle = { x: nodeData.x, y: nodeData.y, r: nodeData.radius };
+    for (const child of childrenOf(nodeData)) {
+      circle = enclose(circle, /** @type {Circle} */ (bounds.get(child)));
+    }
+    bounds.set(nodeData, circle);
+  }
+
+  /** @param {NodeData} nodeData @returns {Circle} */
+  const circleOf = (nodeData) => ({
+    x: nodeData.x,
+    y: nodeData.y,
+    r: nodeData.radius,
+  });
+
+  /**
+   * Report every pair of intersecting nodes of a node and a subtree.
+   * @param {NodeData} node
+   * @param {NodeData} subtree
+   * @param {(nodeA: NodeData, nodeB: NodeData, depth: number) => void} hit
+   */
+  const nodeVsSubtree = (node, subtree, hit) => {
+    const circle = circleOf(node);
+    if (!overlapDepth(circle, /** @type {Circle} */ (bounds.get(subtree)))) {
+      return;
+    }
+    const depth = overlapDepth(circle, circleOf(subtree));
+    if (depth) hit(node, subtree, depth);
+    for (const child of childrenOf(subtree)) nodeVsSubtree(node, child, hit);
+  };
+
+  /**
+   * Report every pair of intersecting nodes of two subtrees.
+   * @param {NodeData} a
+   * @param {NodeData} b
+   * @param {boolean} skipRoots - Whether the two roots may overlap
+   * @param {(nodeA: NodeData, nodeB: NodeData, depth: number) => void} hit
+   */
+  const subtreeVsSubtree = (a, b, skipRoots, hit) => {
+    const boundsA = /** @type {Circle} */ (bounds.get(a));
+    const boundsB = /** @type {Circle} */ (bounds.get(b));
+    if (!overlapDepth(boundsA, boundsB)) return;
+    if (!skipRoots) {
+      const depth = overlapDepth(circleOf(a), circleOf(b));
+      if (depth) hit(a, b, depth);
+    }
+    const childrenA = childrenOf(a);
+    const childrenB = childrenOf(b);
+    for (const child of childrenB) nodeVsSubtree(a, child, hit);
+    for (const child of childrenA) {
+      nodeVsSubtree(b, child, (nodeB, nodeA, depth) =>
+        hit(nodeA, nodeB, depth),
+      );
+    }
+    for (const childA of childrenA) {
+      for (const childB of childrenB) {
+        subtreeVsSubtree(childA, childB, false, hit);
+      }
+    }
+  };
+
+  /** @type {SiblingCollision[]} */
+  const collisions = [];
+  for (const parent of [...extraParents, ...nodes]) {
+    const children = childrenOf(parent);
+    if (children.length < 2) continue;
+    children.sort((c1, c2) => c1.angle - c2.angle);
+
+    /** @param {NodeData} nodeData */
+    const reach = (nodeData) =>
+      Math.max(
+        Math.hypot(nodeData.x - parent.x, nodeData.y - parent.y),
+        Number.EPSILON,
+      );
+
+    for (let i = 0; i < children.length; i++) {
+      for (let j = i + 1; j < children.length; j++) {
+        // Turning both subtrees around the parent moves the nodes apart by
+        // about their distance from the parent times the angle
+        let turn = 0;
+        subtreeVsSubtree(
+          children[i],
+          children[j],
+          true,
+          (nodeA, nodeB, depth) => {
+            turn = Math.max(turn, (2 * depth) / (reach(nodeA) + reach(nodeB)));
+          },
+        );
+        if (turn > 0) {
+          collisions.push({ parent, a: children[i], b: children[j], turn });
+        }
+      }
+    }
+  }
+  return collisions;
+}
+
+/**
+ * Child angle offsets that move colliding sibling subtrees apart.
+ *
+ * For each collision, the siblings on either side of the gap are turned
+ * away from each other by the angle that clears the overlap found, plus a
+ * margin. Fans that would grow wider than MAX_FAN_SPAN (for roots: wider
+ * than an even spread all around) are squeezed back around their middle,
+ * and the fans of the two colliding subtrees are shrunk instead, down to
+ * MIN_FAN_SCALE of their original width.
+ *
+ * @param {SiblingCollision[]} collisions - See findSiblingCollisions
+ * @param {NodeData[]} nodes - Laid out nodes, including extra parents
+ * @param {Map<string|number, number>} offsets - Child id to angle offset from its parent, updated in place
+ * @param {Map<string|number, number>} fanScales - Node id to the factor its fan has been shrunk by, updated in place
+ */
+export function separateSiblings(collisions, nodes, offsets, fanScales) {
+  const childrenOf = childLookup(nodes);
+
+  /** @type {Set<TreeNode>} */
+  const hasParent = new Set();
+  for (const nodeData of nodes) {
+    for (const child of childrenOf(nodeData)) hasParent.add(child.node);
+  }
+
+  /** @type {Map<NodeData, SiblingCollision[]>} */
+  const byParent = new Map();
+  for (const collision of collisions) {
+    const list = byParent.get(collision.parent);
+    if (list) list.push(collision);
+    else byParent.set(collision.parent, [collision]);
+  }
+
+  /** @type {Set<NodeData>} */
+  const squeezed = new Set();
+
+  for (const [parent, list] of byParent) {
+    const children = childrenOf(parent).sort((c1, c2) => c1.angle - c2.angle);
+    const current = children.map((child) => child.angle - parent.angle);
+    const shifted = current.slice();
+
+    for (const { a, b, turn: needed } of list) {
+      const turn = needed * TURN_MARGIN + MIN_TURN;
+      const indexA = children.indexOf(a);
+      const indexB = children.indexOf(b);
+      for (let k = 0; k <= indexA; k++) shifted[k] -= turn / 2;
+      for (let k = indexB; k < children.length; k++) shifted[k] += turn / 2;
+    }
+
+    const span = current[current.length - 1] - current[0];
+    // A root has no link to its parent to keep clear: its children may
+    // spread all around it, as long as they stay apart at the back
+    const maxSpan = Math.max(
+      span,
+      hasParent.has(parent.node)
+        ? MAX_FAN_SPAN
+        : (2 * Math.PI * (children.length - 1)) / children.length,
+    );
+    const newSpan = shifted[shifted.length - 1] - shifted[0];
+    if (newSpan > maxSpan) {
+      const middle = (current[0] + current[current.length - 1]) / 2;
+      const newMiddle = (shifted[0] + shifted[shifted.length - 1]) / 2;
+      const factor = maxSpan / newSpan;
+      for (let k = 0; k < shifted.length; k++) {
+        shifted[k] = middle + (shifted[k] - newMiddle) * factor;
+      }
+      for (const { a, b } of list) {
+        squeezed.add(a);
+        squeezed.add(b);
+      }
+    }
+
+    children.forEach((child, k) => offsets.set(child.node.id, shifted[k]));
+  }
+
+  for (const nodeData of squeezed) {
+    const scale = fanScales.get(nodeData.node.id) ?? 1;
+    const factor = Math.max(scale * FAN_SHRINK, MIN_FAN_SCALE) / scale;
+    if (factor >= 1) continue;
+    fanScales.set(nodeData.node.id, scale * factor);
+    for (const child of childrenOf(nodeData)) {
+      const offset = offsets.get(child.node.id) ?? child.angle - nodeData.angle;
+      offsets.set(child.node.id, offset * factor);
+    }
+  }
+}
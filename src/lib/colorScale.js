@@ -25,6 +25,44 @@ export function getInterpolator(name) {
   return typeof interpolator === 'function' ? { key, interpolator } : null;
 }
 
+/**
+ * Resolve a scheme name (e.g. 'tableau10') to a d3 categorical color scheme.
+ * @param {string} name - Scheme name (case-insensitive, e.g. 'tableau10', 'set2')
+ * @returns {readonly string[] | null} The scheme colors, or null if not found
+ */
+export function getScheme(name) {
+  const key = 'scheme' + name.charAt(0).toUpperCase() + name.slice(1);
+  const scheme = /** @type {Record<string, any>} */ (d3ScaleChromatic)[key];
+  // Sequential schemes are arrays of color arrays by size
+  return Array.isArray(scheme) && typeof scheme[0] === 'string' ? scheme : null;
+}
+
+/**
+ * Names of the d3 sequential scales, as accepted by getInterpolator.
+ * @returns {string[]} e.g. ['blues', ..., 'magma', ...]
+ */
+export function getInterpolatorNames() {
+  return Object.keys(d3ScaleChromatic)
+    .filter((key) => key.startsWith('interpolate'))
+    .map((key) => lowerFirst(key.slice('interpolate'.length)));
+}
+
+/**
+ * Names of the d3 categorical schemes, as accepted by getScheme.
+ * @returns {string[]} e.g. ['accent', ..., 'tableau10']
+ */
+export function getSchemeNames() {
+  return Object.keys(d3ScaleChromatic)
+    .filter((key) => key.startsWith('scheme'))
+    .map((key) => lowerFirst(key.slice('scheme'.length)))
+    .filter((name) => getScheme(name) !== null);
+}
+
+/** @param {string} name */
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
 /**
  * Sample `n` evenly-spaced colors from a d3 sequential interpolator.
  * @param {(t: number) => string} interpolator - d3 interpolator function
@@ -54,10 +92,456 @@ export function isColorScale(value) {
   );
 }
 
+/**
+ * Check whether a value is a color scale mapping a data field
+ * ({ scale, field, ... }) rather than one sampled across depths.
+ * @param {any} value
+ * @returns {value is import('$lib/types.js').ColorScale}
+ */
+export function isFieldColorScale(value) {
+  return value?.field != null && isColorScale(value);
+}
+
+/**
+ * Check whether a value is a color scale coloring the subtrees below a depth
+ * ({ scale, branch, ... }).
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isBranchColorScale(value) {
+  return value?.branch != null && value.branch !== false && isColorScale(value);
+}
+
+/**
+ * Check whether a value is a color scale evaluated per node or edge (a field
+ * or branch color scale).
+ * @param {any} value
+ * @returns {value is import('$lib/types.js').ColorScale}
+ */
+export function isDataColorScale(value) {
+  return isFieldColorScale(value) || isBranchColorScale(value);
+}
+
+/**
+ * Check whether a value is a color scale sampled across depths by a
+ * wildcard depth entry.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isDepthColorScale(value) {
+  return isColorScale(value) && !isDataColorScale(value);
+}
+
+/**
+ * Color function of a field or branch color scale for a node or edge. It
+ * carries what a legend shows of the scale: the `domain` a field scale maps
+ * and the `branches` of a branch scale with their colors.
+ * @typedef {((datum: any, isEdge?: boolean) => string|undefined) & { domain?: [number, number], branches?: Array<{ id: any, name: string, color: string }> }} DataColorScale
+ */
+
+/**
+ * Value of a color scale's field for a datum, or null when it is missing or
+ * not a finite number.
+ * @param {import('$lib/types.js').ColorScale} spec
+ * @param {any} datum
+ * @returns {number|null}
+ */
+function fieldValue(spec, datum) {
+  const value =
+    typeof spec.field === 'function'
+      ? spec.field(datum)
+      : datum?.[/** @type {string} */ (spec.field)];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Create the color function of a field color scale. The field value is
+ * mapped to a position on the scale:
+ * - `linear` (default): linearly between the ends of `domain`
+ * - `log`: logarithmically between the ends of `domain` (positive values only)
+ * - `quantile`: by its rank among the values of the data
+ *
+ * Without a `domain`, the extent of the data values is used. Values outside
+ * the domain get the end colors, or the fallback with `clamp: false`.
+ * Missing values get `fallback`, or undefined so that the next style in line
+ * applies.
+ *
+ * @param {import('$lib/types.js').ColorScale} spec
+ * @param {any[]} [data=[]] - Nodes or edges the domain is computed from
+ * @returns {DataColorScale}
+ */
+export function createFieldColorScale(spec, data = []) {
+  const fallback = spec.fallback;
+  const found = getInterpolator(spec.scale);
+  if (!found) return () => fallback;
+  const { interpolator } = found;
+  const type = spec.type ?? 'linear';
+
+  /** @type {number[]} */
+  const values = [];
+  for (const datum of data) {
+    const value = fieldValue(spec, datum);
+    if (value !== null && (type !== 'log' || value > 0)) values.push(value);
+  }
+
+  /** @type {(value: number) => number|null} */
+  let position;
+  /** @type {[number, number]} */
+  let domain;
+  if (type === 'quantile') {
+    values.sort((a, b) => a - b);
+    domain = values.length
+      ? [values[0], values[values.length - 1]]
+      : [NaN, NaN];
+    position = (value) => {
+      if (values.length < 2) return values.length ? 0.5 : null;
+      const below = bisect(values, value, false);
+      const notAbove = bisect(values, value, true);
+      // Ties share their middle rank
+      return (below + notAbove - 1) / 2 / (values.length - 1);
+    };
+  } else {
+    /** @type {(value: number) => number} */
+    const transform = type === 'log' ? Math.log : (value) => value;
+    let [min, max] = spec.domain ?? extent(values);
+    if (type === 'log' && (min <= 0 || max <= 0)) min = max = NaN;
+    domain = [min, max];
+    const start = transform(min);
+    const span = transform(max) - start;
+    position = (value) => {
+      if (type === 'log' && value <= 0) return null;
+      if (!Number.isFinite(start) || !Number.isFinite(span)) return null;
+      return span === 0 ? 0.5 : (transform(value) - start) / span;
+    };
+  }
+
+  /** @type {DataColorScale} */
+  const color = (datum) => {
+    const value = fieldValue(spec, datum);
+    if (value === null) return fallback;
+    let t = position(value);
+    if (t === null) return fallback;
+    if (t < 0 || t > 1) {
+      if (spec.clamp === false) return fallback;
+      t = Math.min(1, Math.max(0, t));
+    }
+    return interpolator(spec.reverse ? 1 - t : t);
+  };
+  color.domain = domain;
+  return color;
+}
+
+/** Default lightness change per depth below the root of a branch */
+export const DEFAULT_BRANCH_LIGHTNESS = 0.08;
+
+/**
+ * Create the color function of a branch color scale. Each node at the
+ * `branch` depth (`true` for 1) gets the next color of a categorical scheme
+ * (e.g. 'tableau10'), in the order of the nodes (the layout order when
+ * prepared by buildLookupMaps); sequential scales are sampled evenly across
+ * the branches instead. Descendants keep the hue of their branch and get
+ * `lightness` lighter per depth below it (darker when negative). Edges
+ * (called with `isEdge` set) take the color of their source's branch.
+ * Nodes above the branch depth get `fallback`.
+ *
+ * @param {import('$lib/types.js').ColorScale} spec
+ * @param {any[]} [nodes=[]] - Nodes of the tree
+ * @param {Map<any, number>} [depths] - Depth by node id; computed from the parent references when missing
+ * @returns {DataColorScale}
+ */
+export function createBranchColorScale(spec, nodes = [], depths = undefined) {
+  const fallback = spec.fallback;
+  const branchDepth = spec.branch === true ? 1 : Number(spec.branch);
+  const lightness = spec.lightness ?? DEFAULT_BRANCH_LIGHTNESS;
+
+  const nodeById = new Map();
+  for (const node of nodes) nodeById.set(node.id, node);
+
+  /** @type {Map<any, number>} */
+  const depthCache = new Map();
+  /** @param {any} id @returns {number} */
+  const depthOf = (id) => {
+    const known = depths?.get(id) ?? depthCache.get(id);
+    if (known !== undefined) return known;
+    const parent = nodeById.get(id)?.parent;
+    // Guard against cycles while the depth is being computed
+    depthCache.set(id, 0);
+    const depth = nodeById.has(parent) ? depthOf(parent) + 1 : 0;
+    depthCache.set(id, depth);
+    return depth;
+  };
+
+  // Branch root and depth below it by node id
+  /** @type {Map<any, { root: any, level: number }>} */
+  const branchOf = new Map();
+  /** @param {any} id @returns {{ root: any, level: number }|null} */
+  const findBranch = (id) => {
+    if (branchOf.has(id)) return branchOf.get(id) ?? null;
+    const depth = depthOf(id);
+    let branch = null;
+    if (depth === branchDepth) branch = { root: id, level: 0 };
+    else if (depth > branchDepth) {
+      const parent = findBranch(nodeById.get(id)?.parent);
+      if (parent) branch = { root: parent.root, level: parent.level + 1 };
+    }
+    if (branch) branchOf.set(id, branch);
+    return branch;
+  };
+
+  /** @type {Map<any, string>} */
+  const rootColors = new Map();
+  for (const node of nodes) {
+    if (nodeById.has(node.id) && depthOf(node.id) === branchDepth) {
+      rootColors.set(node.id, '');
+    }
+  }
+  const colors = branchColors(spec, rootColors.size);
+  let index = 0;
+  for (const id of rootColors.keys()) {
+    rootColors.set(id, colors ? colors[index++ % colors.length] : '');
+  }
+
+  /** @type {Map<any, string>} */
+  const nodeColors = new Map();
+  /** @type {DataColorScale} */
+  const color = (datum, isEdge = false) => {
+    if (!colors || datum == null) return fallback;
+    const branch = findBranch(isEdge ? datum.source : datum.id);
+    if (!branch) return fallback;
+    const base = rootColors.get(branch.root);
+    if (!base) return fallback;
+    if (isEdge || branch.level === 0 || lightness === 0) return base;
+
+    let nodeColor = nodeColors.get(datum.id);
+    if (nodeColor === undefined) {
+      nodeColor = adjustLightness(base, branch.level * lightness);
+      nodeColors.set(datum.id, nodeColor);
+    }
+    return nodeColor;
+  };
+  color.branches = [...rootColors]
+    .filter(([, base]) => base)
+    .map(([id, base]) => ({
+      id,
+      name: String(nodeById.get(id)?.name ?? id),
+      color: base,
+    }));
+  return color;
+}
+
+/**
+ * Colors for `n` branches: a categorical scheme as it is, or a sequential
+ * scale sampled evenly. Null for unknown names.
+ * @param {import('$lib/types.js').ColorScale} spec
+ * @param {number} n
+ * @returns {readonly string[]|null}
+ */
+function branchColors(spec, n) {
+  const scheme = getScheme(spec.scale);
+  if (scheme) return spec.reverse ? [...scheme].reverse() : scheme;
+  const found = getInterpolator(spec.scale);
+  if (!found) return null;
+  return sampleColors(found.interpolator, Math.max(n, 1), spec.reverse);
+}
+
+/**
+ * Change the HSL lightness of a hex or rgb() color by `delta` (-1 to 1),
+ * keeping its hue and saturation. Other colors are returned as they are.
+ * @param {string} color
+ * @param {number} delta
+ * @returns {string}
+ */
+function adjustLightness(color, delta) {
+  const rgb = parseRgb(color);
+  if (!rgb) return color;
+  const [r, g, b] = rgb.map((c) => c / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const chroma = max - min;
+  let h = 0;
+  let s = 0;
+  if (chroma > 0) {
+    s = chroma / (1 - Math.abs(2 * l - 1));
+    if (max === r) h = ((g - b) / chroma + 6) % 6;
+    else if (max === g) h = (b - r) / chroma + 2;
+    else h = (r - g) / chroma + 4;
+  }
+
+  const lightness = Math.min(0.95, Math.max(0.05, l + delta));
+  const c = (1 - Math.abs(2 * lightness - 1)) * s;
+  const x = c * (1 - Math.abs((h % 2) - 1));
+  const m = lightness - c / 2;
+  const [r1, g1, b1] =
+    h < 1
+      ? [c, x, 0]
+      : h < 2
+        ? [x, c, 0]
+        : h < 3
+          ? [0, c, x]
+          : h < 4
+            ? [0, x, c]
+            : h < 5
+              ? [x, 0, c]
+              : [c, 0, x];
+  return (
+    '#' +
+    [r1, g1, b1]
+      .map((v) =>
+        Math.round((v + m) * 255)
+          .toString(16)
+          .padStart(2, '0'),
+      )
+      .join('')
+  );
+}
+
+/**
+ * Red, green and blue (0-255) of a hex or rgb() color, or null.
+ * @param {string} color
+ * @returns {number[]|null}
+ */
+function parseRgb(color) {
+  const c = color.trim();
+  if (c[0] === '#') {
+    let hex = c.slice(1);
+    if (hex.length === 3) hex = [...hex].map((h) => h + h).join('');
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  }
+  const match = /^rgba?\(([^)]*)\)$/.exec(c);
+  if (!match) return null;
+  const parts = match[1].split(',').slice(0, 3).map(Number);
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+}
+
+/**
+ * Smallest and largest of some values ([NaN, NaN] without values).
+ * @param {number[]} values
+ * @returns {[number, number]}
+ */
+function extent(values) {
+  if (!values.length) return [NaN, NaN];
+  let min = values[0];
+  let max = values[0];
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return [min, max];
+}
+
+/**
+ * Number of sorted values below a value (or not above it, with `after`).
+ * @param {number[]} sorted
+ * @param {number} value
+ * @param {boolean} after
+ * @returns {number}
+ */
+function bisect(sorted, value, after) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (after ? sorted[mid] <= value : sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Field and branch color scales compiled for a merged style
+ * @type {WeakMap<object, Map<object, DataColorScale>>}
+ */
+const fieldScalesByStyle = new WeakMap();
+
+/**
+ * Field color scales compiled without data, for styles that have not been
+ * prepared (only field scales with a `domain` give colors)
+ * @type {WeakMap<object, DataColorScale>}
+ */
+const unpreparedFieldScales = new WeakMap();
+
+/**
+ * Compile the field and branch color scales of a merged style against the
+ * data, so field domains cover the current nodes and edges and branches
+ * follow the current tree. Field scales in `edge` groups map edges, all
+ * others map nodes.
+ * @param {any} mergedStyle
+ * @param {any[]} nodes
+ * @param {any[]} [edges=[]]
+ * @param {Map<any, number>} [depths] - Depth by node id, for branch color scales
+ * @returns {Map<object, DataColorScale>}
+ */
+export function prepareFieldColorScales(
+  mergedStyle,
+  nodes,
+  edges = [],
+  depths = undefined,
+) {
+  /** @type {Map<object, DataColorScale>} */
+  const scales = new Map();
+  /** @param {any} value @param {any[]} data */
+  const visit = (value, data) => {
+    if (!value || typeof value !== 'object') return;
+    if (isBranchColorScale(value)) {
+      if (!scales.has(value)) {
+        scales.set(value, createBranchColorScale(value, nodes, depths));
+      }
+      return;
+    }
+    if (isFieldColorScale(value)) {
+      if (!scales.has(value)) {
+        scales.set(value, createFieldColorScale(value, data));
+      }
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      visit(child, key === 'edge' ? edges : data);
+    }
+  };
+  visit(mergedStyle, nodes);
+  if (mergedStyle && typeof mergedStyle === 'object') {
+    fieldScalesByStyle.set(mergedStyle, scales);
+  }
+  return scales;
+}
+
+/**
+ * The field color scales prepared for a merged style, if any.
+ * @param {any} mergedStyle
+ * @returns {Map<object, DataColorScale>|undefined}
+ */
+export function getFieldColorScales(mergedStyle) {
+  return mergedStyle && typeof mergedStyle === 'object'
+    ? fieldScalesByStyle.get(mergedStyle)
+    : undefined;
+}
+
+/**
+ * Color of a field or branch color scale for a node or edge.
+ * @param {import('$lib/types.js').ColorScale} spec
+ * @param {any} datum
+ * @param {Map<object, DataColorScale>} [scales] - Prepared scales (see prepareFieldColorScales)
+ * @param {boolean} [isEdge=false] - Whether the datum is an edge
+ * @returns {string|undefined}
+ */
+export function resolveFieldColor(spec, datum, scales, isEdge = false) {
+  let scale = scales?.get(spec) ?? unpreparedFieldScales.get(spec);
+  if (!scale) {
+    scale = isBranchColorScale(spec)
+      ? () => spec.fallback
+      : createFieldColorScale(spec);
+    unpreparedFieldScales.set(spec, scale);
+  }
+  return scale(datum, isEdge);
+}
+
 /**
  * Expand wildcard depth entries (depth: '*') in a depths array.
  * For each wildcard entry, resolves ColorScale objects in node.fillColor
- * and node.strokeColor into concrete hex colors per depth level.
+ * and node.strokeColor into concrete hex colors per depth level. Field
+ * and branch color scales are carried over as they are.
  *
  * @param {Array<any>} depths - The depths array from merged styles
  * @param {number} maxDepth - Maximum depth in the tree (0-based)
@@ -84,7 +568,7 @@ export function expandWildcardDepths(depths, maxDepth) {
     let fillColors = null;
     let strokeColors = null;
 
-    if (isColorScale(fillScale)) {
+    if (isDepthColorScale(fillScale)) {
       const fillInterpolator = getInterpolator(fillScale.scale);
       if (fillInterpolator) {
         const { key, interpolator } = fillInterpolator;
@@ -99,7 +583,7 @@ export function expandWildcardDepths(depths, maxDepth) {
       }
     }
 
-    if (isColorScale(strokeScale)) {
+    if (isDepthColorScale(strokeScale)) {
       const strokeInterpolator = getInterpolator(strokeScale.scale);
       if (strokeInterpolator) {
         const { key, interpolator } = strokeInterpolator;
@@ -124,7 +608,7 @@ export function expandWildcardDepths(depths, maxDepth) {
       // Carry over any non-scale node properties (fillOpacity, strokeWidth, etc.)
       if (entry.node) {
         for (const [key, value] of Object.entries(entry.node)) {
-          if (!isColorScale(value) && !(key in nodeOverrides)) {
+          if (!isDepthColorScale(value) && !(key in nodeOverrides)) {
             nodeOverrides[key] = value;
           }
         }
@@ -1,16 +1,27 @@
 import type { Component } from 'svelte';
-import type { Options, Styles } from '$lib/types.js';
+import type {
+  Diagnostic,
+  Options,
+  RenderNode,
+  Styles,
+  ThemeName,
+} from '$lib/types.js';
 
 interface Props {
   width: number;
   height: number;
-  nodes: any[];
+  nodes: any[] | Record<string, any>;
   edges?: any[];
   options?: Options;
+  theme?: ThemeName | Styles | null;
   styles?: Styles;
   pannable?: boolean;
   zoomable?: boolean;
   collapsible?: boolean;
+  onWarning?: ((diagnostic: Diagnostic) => void) | null;
+  strict?: boolean;
+  worker?: boolean | Worker;
+  renderNode?: RenderNode | null;
 }
 
 declare const CactusTree: Component<Props>;
@@ -0,0 +1,636 @@
+/**
+ * Style and option validation for CactusTree
+ *
+ * mergeStyles and mergeOptions take whatever they are given, so a typo such
+ * as `stokeColor` simply has no effect. This checks `styles` and `options`
+ * against the shapes in types.d.ts and reports, like validateData:
+ *
+ * - unknown keys, with the closest known key as suggestion (warnings)
+ * - values of the wrong type or not among the allowed ones
+ * - opacities and other fractions outside 0..1
+ * - color scale names d3-scale-chromatic does not know
+ */
+
+import {
+  getInterpolator,
+  getInterpolatorNames,
+  getScheme,
+  getSchemeNames,
+  isBranchColorScale,
+} from './colorScale.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * @typedef {import('$lib/types.js').Diagnostic} Diagnostic
+ * @typedef {import('$lib/types.js').DiagnosticCode} DiagnosticCode
+ * @typedef {import('$lib/types.js').ValidationReport} ValidationReport
+ */
+
+/**
+ * Expected shape of a value.
+ * @typedef {{ type: 'number', min?: number, max?: number }
+ *   | { type: 'string' | 'boolean' | 'function' | 'colorScale' }
+ *   | { type: 'enum', values: any[] }
+ *   | { type: 'object', keys: Record<string, Schema>, required?: string[] }
+ *   | { type: 'array', items: Schema }
+ *   | { type: 'union', types: Schema[] }} Schema
+ */
+
+// ── Schemas ─────────────────────────────────────────────────────────────────
+
+/** @type {Schema} */
+const NUMBER = { type: 'number' };
+/** @type {Schema} */
+const FRACTION = { type: 'number', min: 0, max: 1 };
+/** @type {Schema} */
+const STRING = { type: 'string' };
+/** @type {Schema} */
+const BOOLEAN = { type: 'boolean' };
+/** @type {Schema} */
+const FUNCTION = { type: 'function' };
+
+/**
+ * @param {...Schema} types
+ * @returns {Schema}
+ */
+const union = (...types) => ({ type: 'union', types });
+
+/**
+ * @param {...any} values
+ * @returns {Schema}
+ */
+const oneOf = (...values) => ({ type: 'enum', values });
+
+/**
+ * @param {Record<string, Schema>} keys
+ * @param {string[]} [required]
+ * @returns {Schema}
+ */
+const object = (keys, required) => ({ type: 'object', keys, required });
+
+/**
+ * A style value: the value, or a function returning it (see styleAccessors.js)
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+const styleValue = (schema) => union(schema, FUNCTION);
+
+const ACCESSOR = union(STRING, FUNCTION);
+const COLOR = styleValue(union(STRING, { type: 'colorScale' }));
+const OPACITY = styleValue(FRACTION);
+const SIZE = styleValue(NUMBER);
+const TEXT = styleValue(STRING);
+
+/** Keys of a color scale, see ColorScale */
+const COLOR_SCALE = object(
+  {
+    scale: STRING,
+    reverse: BOOLEAN,
+    field: ACCESSOR,
+    type: oneOf('linear', 'log', 'quantile'),
+    domain: { type: 'array', items: NUMBER },
+    clamp: BOOLEAN,
+    fallback: STRING,
+    branch: union(BOOLEAN, NUMBER),
+    lightness: NUMBER,
+    label: STRING,
+  },
+  ['scale'],
+);
+
+const NODE_STYLE = object({
+  fillColor: COLOR,
+  fillOpacity: OPACITY,
+  strokeColor: COLOR,
+  strokeOpacity: OPACITY,
+  strokeWidth: SIZE,
+});
+
+const STROKE_STYLE = object({
+  strokeColor: COLOR,
+  strokeOpacity: OPACITY,
+  strokeWidth: SIZE,
+});
+
+const LABEL_STYLE = object({
+  inner: object({
+    textColor: COLOR,
+    textOpacity: OPACITY,
+    fontFamily: TEXT,
+    fontWeight: TEXT,
+    minFontSize: SIZE,
+    maxFontSize: SIZE,
+  }),
+  outer: object({
+    textColor: COLOR,
+    textOpacity: OPACITY,
+    fontFamily: TEXT,
+    fontWeight: TEXT,
+    fontSize: SIZE,
+    padding: SIZE,
+    link: object({
+      strokeColor: COLOR,
+      strokeOpacity: OPACITY,
+      strokeWidth: SIZE,
+      padding: SIZE,
+      length: SIZE,
+    }),
+  }),
+});
+
+const HIGHLIGHT_LABEL_STYLE = object({
+  inner: object({ textColor: COLOR, textOpacity: OPACITY, fontWeight: TEXT }),
+  outer: object({
+    textColor: COLOR,
+    textOpacity: OPACITY,
+    fontWeight: TEXT,
+    link: STROKE_STYLE,
+  }),
+});
+
+const IMAGE_STYLE = object({
+  value: ACCESSOR,
+  minRadius: SIZE,
+  padding: SIZE,
+  opacity: OPACITY,
+});
+
+const COLLAPSED_STYLE = object({
+  ring: object({
+    visible: styleValue(BOOLEAN),
+    strokeColor: COLOR,
+    strokeOpacity: OPACITY,
+    strokeWidth: SIZE,
+    padding: SIZE,
+  }),
+  badge: object({
+    visible: styleValue(BOOLEAN),
+    fillColor: COLOR,
+    fillOpacity: OPACITY,
+    textColor: COLOR,
+    fontFamily: TEXT,
+    fontWeight: TEXT,
+    fontSize: SIZE,
+    padding: SIZE,
+    format: TEXT,
+    edgeFormat: TEXT,
+  }),
+});
+
+const DEPTH_STYLE = object(
+  {
+    depth: union(NUMBER, oneOf('*')),
+    node: NODE_STYLE,
+    edge: STROKE_STYLE,
+    label: LABEL_STYLE,
+    link: STROKE_STYLE,
+    image: IMAGE_STYLE,
+    collapsed: COLLAPSED_STYLE,
+    highlight: object({
+      node: NODE_STYLE,
+      edge: STROKE_STYLE,
+      label: HIGHLIGHT_LABEL_STYLE,
+    }),
+  },
+  ['depth'],
+);
+
+/** Shape of `styles`, see Styles */
+const STYLES = object({
+  node: NODE_STYLE,
+  edge: STROKE_STYLE,
+  edgeNode: NODE_STYLE,
+  label: LABEL_STYLE,
+  link: STROKE_STYLE,
+  image: IMAGE_STYLE,
+  highlight: object({
+    node: NODE_STYLE,
+    edge: STROKE_STYLE,
+    edgeNode: NODE_STYLE,
+    label: HIGHLIGHT_LABEL_STYLE,
+  }),
+  // Read as they are, so without style functions
+  legend: object({
+    textColor: STRING,
+    fontFamily: STRING,
+    fontSize: NUMBER,
+    backgroundColor: STRING,
+    backgroundOpacity: FRACTION,
+    padding: NUMBER,
+    swatchSize: NUMBER,
+  }),
+  collapsed: COLLAPSED_STYLE,
+  depths: { type: 'array', items: DEPTH_STYLE },
+});
+
+const LAYOUT_PARAMETER = union(
+  NUMBER,
+  { type: 'array', items: NUMBER },
+  FUNCTION,
+);
+const FIT_MODE = oneOf('contain', 'width', 'height', 'none');
+
+/** Shape of `options`, see Options */
+const OPTIONS = object({
+  overlap: LAYOUT_PARAMETER,
+  arcSpan: LAYOUT_PARAMETER,
+  sizeGrowthRate: LAYOUT_PARAMETER,
+  orientation: NUMBER,
+  zoom: NUMBER,
+  numLabels: NUMBER,
+  depths: {
+    type: 'array',
+    items: object(
+      {
+        depth: NUMBER,
+        overlap: union(NUMBER, FUNCTION),
+        arcSpan: union(NUMBER, FUNCTION),
+        sizeGrowthRate: union(NUMBER, FUNCTION),
+      },
+      ['depth'],
+    ),
+  },
+  sizing: object({
+    value: ACCESSOR,
+    aggregate: oneOf('sum', 'max', 'mean', 'own-plus-children'),
+    scale: oneOf('power', 'sqrt', 'log', 'linear'),
+    minRadius: NUMBER,
+    maxRadius: NUMBER,
+  }),
+  forest: oneOf('hidden', 'pack'),
+  ordering: union(oneOf('weight-center', 'input', 'name'), FUNCTION),
+  edgeOrdering: union(BOOLEAN, object({ sweeps: NUMBER, budget: NUMBER })),
+  accessors: object({ id: ACCESSOR, name: ACCESSOR, children: ACCESSOR }),
+  transition: union(BOOLEAN, object({ duration: NUMBER })),
+  fit: union(
+    FIT_MODE,
+    object({
+      mode: FIT_MODE,
+      margin: union(
+        NUMBER,
+        object({ top: NUMBER, right: NUMBER, bottom: NUMBER, left: NUMBER }),
+      ),
+      align: oneOf('center', 'top-left'),
+      labels: BOOLEAN,
+    }),
+  ),
+  lod: union(BOOLEAN, object({ minRadius: NUMBER })),
+  avoidCollisions: union(BOOLEAN, object({ iterations: NUMBER })),
+  legend: union(
+    BOOLEAN,
+    object({
+      position: oneOf('top-left', 'top-right', 'bottom-left', 'bottom-right'),
+      margin: NUMBER,
+      maxItems: NUMBER,
+    }),
+  ),
+  edges: object({
+    bundlingStrength: FRACTION,
+    filterMode: oneOf('hide', 'mute'),
+    muteOpacity: FRACTION,
+    edgePoint: oneOf('center', 'perimeter'),
+  }),
+});
+
+// ── Checking ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {any} value
+ * @returns {string} typeof, with 'array' and 'null' told apart
+ */
+function kindOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Kinds of value a schema accepts.
+ * @param {Schema} schema
+ * @returns {string[]}
+ */
+function kindsOf(schema) {
+  switch (schema.type) {
+    case 'union':
+      return schema.types.flatMap(kindsOf);
+    case 'enum':
+      return [...new Set(schema.values.map(kindOf))];
+    case 'colorScale':
+      return ['object'];
+    default:
+      return [schema.type];
+  }
+}
+
+/**
+ * @param {Schema} schema
+ * @returns {string} e.g. 'a number or a function'
+ */
+function describe(schema) {
+  switch (schema.type) {
+    case 'union':
+      return schema.types.map(describe).join(' or ');
+    case 'enum':
+      return `one of ${schema.values.map((v) => JSON.stringify(v)).join(', ')}`;
+    case 'colorScale':
+      return 'a color scale';
+    case 'array':
+      return 'an array';
+    case 'object':
+      return 'an object';
+    default:
+      return `a ${schema.type}`;
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const kind = kindOf(value);
+  if (kind === 'function') return 'a function';
+  if (kind === 'array') return 'an array';
+  if (kind === 'object') return 'an object';
+  return JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * Edit distance between two strings, with swapped neighbors as one edit.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  /** @type {number[][]} */
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        d[i][j] = j;
+        continue;
+      }
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * The candidate closest to a name, ignoring case, when it is close enough
+ * to be a likely typo.
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+function suggest(name, candidates) {
+  const lower = String(name).toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(lower.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  // Names that would have to be rewritten entirely are no typos
+  return best !== null &&
+    bestDistance <= maxDistance &&
+    bestDistance < Math.min(lower.length, best.length)
+    ? best
+    : null;
+}
+
+/**
+ * @param {string|null} suggestion
+ * @returns {string}
+ */
+const didYouMean = (suggestion) =>
+  suggestion === null ? '' : ` (did you mean "${suggestion}"?)`;
+
+/**
+ * @param {Diagnostic[]} diagnostics
+ * @param {DiagnosticCode} code
+ * @param {string} path
+ * @param {string} message
+ * @param {string|null} [suggestion]
+ */
+function report(diagnostics, code, path, message, suggestion = null) {
+  /** @type {Diagnostic} */
+  const diagnostic = {
+    code,
+    severity: code === 'unknown-key' ? 'warning' : 'error',
+    message: message + didYouMean(suggestion),
+    ids: [],
+    path,
+  };
+  if (suggestion) diagnostic.suggestion = suggestion;
+  diagnostics.push(diagnostic);
+}
+
+/**
+ * Check a value against a schema, adding a diagnostic per problem.
+ * Undefined and null values are left out, like missing keys.
+ * @param {Schema} schema
+ * @param {any} value
+ * @param {string} path - Where the value is, e.g. 'styles.node.fillColor'
+ * @param {Diagnostic[]} diagnostics
+ * @param {string} [expected] - What the value should be, for schemas in a union
+ */
+function check(schema, value, path, diagnostics, expected = describe(schema)) {
+  if (value === undefined || value === null) return;
+
+  const kind = kindOf(value);
+  if (!kindsOf(schema).includes(kind)) {
+    report(
+      diagnostics,
+      'invalid-type',
+      path,
+      `"${path}" should be ${expected}, got ${formatValue(value)}`,
+    );
+    return;
+  }
+
+  switch (schema.type) {
+    case 'union': {
+      // Enums and other schemas of the same kind are tried in turn
+      const candidates = schema.types.filter((type) =>
+        kindsOf(type).includes(kind),
+      );
+      for (const candidate of candidates.slice(0, -1)) {
+        /** @type {Diagnostic[]} */
+        const found = [];
+        check(candidate, value, path, found, expected);
+        if (found.length === 0) return;
+      }
+      check(
+        candidates[candidates.length - 1],
+        value,
+        path,
+        diagnostics,
+        expected,
+      );
+      return;
+    }
+    case 'number':
+      if (!Number.isFinite(value)) {
+        report(
+          diagnostics,
+          'invalid-type',
+          path,
+          `"${path}" should be a finite number`,
+        );
+      } else if (
+        (schema.min !== undefined && value < schema.min) ||
+        (schema.max !== undefined && value > schema.max)
+      ) {
+        report(
+          diagnostics,
+          'out-of-range',
+          path,
+          `"${path}" should be between ${schema.min ?? '-Infinity'} and ${schema.max ?? 'Infinity'}, got ${value}`,
+        );
+      }
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        const suggestion =
+          typeof value === 'string'
+            ? suggest(
+                value,
+                schema.values.filter((v) => typeof v === 'string'),
+              )
+            : null;
+        report(
+          diagnostics,
+          'invalid-value',
+          path,
+          `"${path}" should be ${expected}, got ${formatValue(value)}`,
+          suggestion,
+        );
+      }
+      return;
+    case 'array':
+      value.forEach((/** @type {any} */ item, /** @type {number} */ i) =>
+        check(schema.items, item, `${path}[${i}]`, diagnostics),
+      );
+      return;
+    case 'colorScale':
+      check(COLOR_SCALE, value, path, diagnostics);
+      if (typeof value.scale === 'string') {
+        checkScaleName(value, `${path}.scale`, diagnostics);
+      }
+      return;
+    case 'object': {
+      const known = Object.keys(schema.keys);
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) {
+          report(
+            diagnostics,
+            'missing-key',
+            `${path}.${key}`,
+            `"${path}.${key}" is required`,
+          );
+        }
+      }
+      for (const key of Object.keys(value)) {
+        const keyPath = `${path}.${key}`;
+        if (!Object.hasOwn(schema.keys, key)) {
+          report(
+            diagnostics,
+            'unknown-key',
+            keyPath,
+            `Unknown key "${keyPath}"`,
+            suggest(key, known),
+          );
+          continue;
+        }
+        check(schema.keys[key], value[key], keyPath, diagnostics);
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Check the scale name of a color scale: a d3 sequential scale, or for
+ * branch scales also a categorical scheme.
+ * @param {any} colorScale
+ * @param {string} path
+ * @param {Diagnostic[]} diagnostics
+ */
+function checkScaleName(colorScale, path, diagnostics) {
+  const name = colorScale.scale;
+  const branch = isBranchColorScale(colorScale);
+  if (getInterpolator(name) || (branch && getScheme(name))) return;
+
+  const names = branch
+    ? [...getSchemeNames(), ...getInterpolatorNames()]
+    : getInterpolatorNames();
+  report(
+    diagnostics,
+    'unknown-scale',
+    path,
+    `Unknown color ${branch ? 'scale or scheme' : 'scale'} "${name}" at "${path}"`,
+    suggest(name, names),
+  );
+}
+
+/**
+ * @param {Schema} schema
+ * @param {any} value
+ * @param {string} root
+ * @param {{ strict?: boolean }} settings
+ * @returns {ValidationReport}
+ */
+function validate(schema, value, root, settings) {
+  /** @type {Diagnostic[]} */
+  const diagnostics = [];
+  check(schema, value, root, diagnostics);
+
+  if (settings.strict && diagnostics.length > 0) {
+    throw new ValidationError(diagnostics, root);
+  }
+
+  return {
+    valid: !diagnostics.some((d) => d.severity === 'error'),
+    diagnostics,
+  };
+}
+
+/**
+ * Validate a `styles` object (or a theme).
+ *
+ * Returns a report with one diagnostic per problem, with the `path` of the
+ * offending value (e.g. 'styles.depths[0].node.fillColor') and, for typos,
+ * a `suggestion`. Unknown keys are warnings, everything else errors. With
+ * `strict: true` a `ValidationError` is thrown instead when any problem is
+ * found.
+ *
+ * @param {any} styles
+ * @param {{ strict?: boolean, path?: string }} [settings] - `path` names the root (default: 'styles')
+ * @returns {ValidationReport}
+ */
+export function validateStyles(styles, settings = {}) {
+  return validate(STYLES, styles, settings.path ?? 'styles', settings);
+}
+
+/**
+ * Validate an `options` object, like validateStyles.
+ * @param {any} options
+ * @param {{ strict?: boolean, path?: string }} [settings] - `path` names the root (default: 'options')
+ * @returns {ValidationReport}
+ */
+export function validateOptions(options, settings = {}) {
+  return validate(OPTIONS, options, settings.path ?? 'options', settings);
+}
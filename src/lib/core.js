@@ -1,11 +1,17 @@
 export { CactusTree } from '$lib/cactusTree.js';
 export { CactusLayout } from '$lib/cactusLayout.js';
+export { validateData, ValidationError } from '$lib/validation.js';
+export { validateOptions, validateStyles } from '$lib/configValidation.js';
+export { flattenHierarchy } from '$lib/hierarchy.js';
+export { layoutCactusTree, renderSVG } from '$lib/headless.js';
+export { themes, extendTheme } from '$lib/themes.js';
 
 /**
  * @typedef {import('$lib/types.js').Options} Options
  * @typedef {import('$lib/types.js').EdgeOptions} EdgeOptions
  *
  * @typedef {import('$lib/types.js').Styles} Styles
+ * @typedef {import('$lib/types.js').ThemeName} ThemeName
  * @typedef {import('$lib/types.js').NodeStyle} NodeStyle
  * @typedef {import('$lib/types.js').EdgeStyle} EdgeStyle
  * @typedef {import('$lib/types.js').LabelStyle} LabelStyle
@@ -13,11 +19,49 @@ export { CactusLayout } from '$lib/cactusLayout.js';
  * @typedef {import('$lib/types.js').OuterLabelStyle} OuterLabelStyle
  * @typedef {import('$lib/types.js').LabelLinkStyle} LabelLinkStyle
  * @typedef {import('$lib/types.js').LinkStyle} LinkStyle
+ * @typedef {import('$lib/types.js').ImageStyle} ImageStyle
+ * @typedef {import('$lib/types.js').LegendStyle} LegendStyle
+ * @typedef {import('$lib/types.js').CollapsedStyle} CollapsedStyle
+ * @typedef {import('$lib/types.js').CollapsedRingStyle} CollapsedRingStyle
+ * @typedef {import('$lib/types.js').CollapsedBadgeStyle} CollapsedBadgeStyle
  * @typedef {import('$lib/types.js').HighlightStyle} HighlightStyle
  * @typedef {import('$lib/types.js').HighlightInnerLabelStyle} HighlightInnerLabelStyle
  * @typedef {import('$lib/types.js').HighlightOuterLabelStyle} HighlightOuterLabelStyle
  * @typedef {import('$lib/types.js').HighlightLabelLinkStyle} HighlightLabelLinkStyle
  * @typedef {import('$lib/types.js').DepthStyle} DepthStyle
+ * @typedef {import('$lib/types.js').NodeRenderState} NodeRenderState
+ * @typedef {import('$lib/types.js').RenderNode} RenderNode
  *
  * @typedef {import('$lib/types.js').ColorScale} ColorScale
+ * @typedef {import('$lib/types.js').StyleValue<any>} StyleValue
+ * @typedef {import('$lib/types.js').EdgeStyleValue<any>} EdgeStyleValue
+ *
+ * @typedef {import('$lib/types.js').LayoutParameter} LayoutParameter
+ * @typedef {import('$lib/types.js').LayoutDepth} LayoutDepth
+ * @typedef {import('$lib/types.js').SizingOptions} SizingOptions
+ * @typedef {import('$lib/types.js').Ordering} Ordering
+ * @typedef {import('$lib/types.js').EdgeOrderingOptions} EdgeOrderingOptions
+ * @typedef {import('$lib/types.js').TransitionOptions} TransitionOptions
+ * @typedef {import('$lib/types.js').FitMode} FitMode
+ * @typedef {import('$lib/types.js').FitMargin} FitMargin
+ * @typedef {import('$lib/types.js').FitOptions} FitOptions
+ * @typedef {import('$lib/types.js').LodOptions} LodOptions
+ * @typedef {import('$lib/types.js').CollisionOptions} CollisionOptions
+ * @typedef {import('$lib/types.js').LegendOptions} LegendOptions
+ * @typedef {import('$lib/types.js').LegendPosition} LegendPosition
+ * @typedef {import('$lib/types.js').LegendEntry} LegendEntry
+ * @typedef {import('$lib/types.js').Accessor} Accessor
+ * @typedef {import('$lib/types.js').HierarchyAccessors} HierarchyAccessors
+ *
+ * @typedef {import('$lib/types.js').Diagnostic} Diagnostic
+ * @typedef {import('$lib/types.js').DiagnosticCode} DiagnosticCode
+ * @typedef {import('$lib/types.js').ValidationReport} ValidationReport
+ *
+ * @typedef {import('$lib/types.js').HeadlessConfig} HeadlessConfig
+ * @typedef {import('$lib/types.js').LayoutResult} LayoutResult
+ * @typedef {import('$lib/types.js').LayoutNode} LayoutNode
+ * @typedef {import('$lib/types.js').LayoutEdge} LayoutEdge
+ * @typedef {import('$lib/types.js').LayoutLabel} LayoutLabel
+ * @typedef {import('$lib/types.js').LayoutLabelLink} LayoutLabelLink
+ * @typedef {import('$lib/types.js').EdgePathCommand} EdgePathCommand
  */
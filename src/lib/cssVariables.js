@@ -0,0 +1,220 @@
+/**
+ * CSS custom properties in styles for CactusTree
+ *
+ * String style values can refer to CSS: `'var(--brand-500)'`, with an
+ * optional fallback like `'var(--brand-500, #3b82f6)'`, and `currentColor`.
+ * They are resolved against the computed style of the canvas element, so
+ * they follow the cascade like any other element's styles. Variables that
+ * are not set and have no fallback are left as they are.
+ *
+ * Constant values are resolved, at any level of nesting; style functions
+ * are called with the data and their results are drawn as they are.
+ * Without a DOM (e.g. in a worker or in Node) nothing is resolved.
+ */
+
+/** Media queries that commonly switch the values of variables */
+const WATCHED_MEDIA = [
+  '(prefers-color-scheme: dark)',
+  '(prefers-contrast: more)',
+];
+
+/** Attributes of the canvas ancestors that commonly switch themes */
+const WATCHED_ATTRIBUTES = ['class', 'style', 'data-theme'];
+
+/** Attributes of the canvas itself, whose size is written to `style` */
+const WATCHED_OWN_ATTRIBUTES = ['class', 'data-theme'];
+
+const CSS_REFERENCE = /var\(\s*--|currentcolor/i;
+
+/**
+ * Whether a value is a plain object or an array to walk into.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isContainer(value) {
+  if (Array.isArray(value)) return true;
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Call a function with every string of a style that refers to CSS.
+ * @param {any} style
+ * @param {(value: string) => void} callback
+ */
+function forEachReference(style, callback) {
+  if (typeof style === 'string') {
+    if (CSS_REFERENCE.test(style)) callback(style);
+  } else if (isContainer(style)) {
+    for (const value of Object.values(style)) {
+      forEachReference(value, callback);
+    }
+  }
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`, or -1.
+ * @param {string} value
+ * @param {number} open
+ * @returns {number}
+ */
+function closingParen(value, open) {
+  let level = 0;
+  for (let i = open; i < value.length; i++) {
+    if (value[i] === '(') level++;
+    else if (value[i] === ')' && --level === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Substitute the `var()` references of a value, falling back to their
+ * fallback when the variable is not set.
+ * @param {string} value
+ * @param {CSSStyleDeclaration} computed
+ * @returns {string}
+ */
+function substituteVariables(value, computed) {
+  const lower = value.toLowerCase();
+  let result = '';
+  let index = 0;
+  for (;;) {
+    const start = lower.indexOf('var(', index);
+    if (start === -1) break;
+    const end = closingParen(value, start + 3);
+    if (end === -1) break;
+
+    const inner = value.slice(start + 4, end);
+    const comma = inner.indexOf(',');
+    const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+    let resolved = computed.getPropertyValue(name).trim();
+    if (!resolved && comma !== -1) {
+      resolved = substituteVariables(inner.slice(comma + 1).trim(), computed);
+    }
+
+    result +=
+      value.slice(index, start) + (resolved || value.slice(start, end + 1));
+    index = end + 1;
+  }
+  return result + value.slice(index);
+}
+
+/**
+ * Resolve a style value against a computed style.
+ * @param {string} value
+ * @param {CSSStyleDeclaration} computed
+ * @returns {string}
+ */
+function resolveCssValue(value, computed) {
+  return substituteVariables(value, computed).replace(
+    /\bcurrentcolor\b/gi,
+    () => computed.color || 'currentColor',
+  );
+}
+
+/**
+ * Current values of the strings of a style that refer to CSS, resolved
+ * against the computed style of an element. Empty when there are none or
+ * there is no DOM.
+ * @param {any} style
+ * @param {Element} element
+ * @returns {Map<string, string>}
+ */
+export function readCssValues(style, element) {
+  /** @type {Map<string, string>} */
+  const values = new Map();
+  const view = element?.ownerDocument?.defaultView;
+  if (!view) return values;
+
+  /** @type {CSSStyleDeclaration|null} */
+  let computed = null;
+  forEachReference(style, (value) => {
+    if (values.has(value)) return;
+    computed ??= view.getComputedStyle(element);
+    values.set(value, resolveCssValue(value, computed));
+  });
+  return values;
+}
+
+/**
+ * Replace the strings of a style with their values read by readCssValues.
+ * Groups without any are returned as they are.
+ * @template T
+ * @param {T} style
+ * @param {Map<string, string>} values
+ * @returns {T}
+ */
+export function resolveCssStyle(style, values) {
+  if (values.size === 0) return style;
+  if (typeof style === 'string') {
+    return /** @type {T} */ (values.get(style) ?? style);
+  }
+  if (!isContainer(style)) return style;
+
+  /** @type {any} */
+  let result = style;
+  for (const [key, value] of Object.entries(/** @type {any} */ (style))) {
+    const resolved = resolveCssStyle(value, values);
+    if (resolved === value) continue;
+    if (result === style) {
+      result = Array.isArray(style) ? [...style] : { ...style };
+    }
+    result[key] = resolved;
+  }
+  return result;
+}
+
+/**
+ * Read the CSS values of a style again whenever they may have changed: when
+ * the color scheme or contrast preference changes, or the `class`, `style`
+ * or `data-theme` attribute of an ancestor of the element changes. Of the
+ * element itself only `class` and `data-theme` are watched, as its `style`
+ * and size attributes change with every resize.
+ * `onChange` is called with the new values when any differ.
+ * @param {any} style
+ * @param {Element} element
+ * @param {Map<string, string>} values - Values read last
+ * @param {(values: Map<string, string>) => void} onChange
+ * @returns {() => void} Stops watching
+ */
+export function watchCssValues(style, element, values, onChange) {
+  const view = element?.ownerDocument?.defaultView;
+  if (!view) return () => {};
+
+  let current = values;
+  const check = () => {
+    const next = readCssValues(style, element);
+    for (const [value, resolved] of next) {
+      if (current.get(value) !== resolved) {
+        current = next;
+        onChange(next);
+        return;
+      }
+    }
+  };
+
+  const queries = view.matchMedia
+    ? WATCHED_MEDIA.map((query) => view.matchMedia(query))
+    : [];
+  for (const query of queries) query.addEventListener('change', check);
+
+  const observer = view.MutationObserver
+    ? new view.MutationObserver(check)
+    : null;
+  for (
+    let node = /** @type {Element | null} */ (element);
+    node;
+    node = node.parentElement
+  ) {
+    observer?.observe(node, {
+      attributeFilter:
+        node === element ? WATCHED_OWN_ATTRIBUTES : WATCHED_ATTRIBUTES,
+    });
+  }
+
+  return () => {
+    for (const query of queries) query.removeEventListener('change', check);
+    observer?.disconnect();
+  };
+}
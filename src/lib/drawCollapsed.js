@@ -0,0 +1,203 @@
+/**
+ * Collapsed node markers for CactusTree
+ *
+ * Marks collapsed nodes with a ring around the node and a badge with the
+ * number of hidden descendants and of the edges to or from them. Both are
+ * styled by the `collapsed` style group (`ring` and `badge`), which can be
+ * overridden per depth and per node like the other groups.
+ */
+
+import { colorWithAlpha } from './canvasUtils.js';
+import { readStyleProp } from './drawNode.js';
+import { getDescendantIds } from './collapseAnimation.js';
+import { resolveNodeStyles } from './styleAccessors.js';
+
+/**
+ * @typedef {Object} HiddenCounts
+ * @property {number} descendants - Nodes hidden in the collapsed subtree
+ * @property {number} edges - Edges to or from hidden nodes
+ */
+
+/**
+ * Count what is hidden by each collapsed node that is itself visible.
+ * Collapsed nodes inside a collapsed subtree count towards the outermost
+ * one. An edge between two collapsed subtrees counts for both.
+ * @param {Set<any>} collapsedNodeIds
+ * @param {Map<any, any[]>} childrenMap - Parent id to children
+ * @param {any[]} edges
+ * @param {Set<any>} [excludedNodeIds] - Hidden nodes (collapsed descendants)
+ * @returns {Map<any, HiddenCounts>}
+ */
+export function countHiddenItems(
+  collapsedNodeIds,
+  childrenMap,
+  edges,
+  excludedNodeIds,
+) {
+  /** @type {Map<any, HiddenCounts>} */
+  const counts = new Map();
+  /** @type {Map<any, any>} Hidden node id to the collapsed node hiding it */
+  const hiddenBy = new Map();
+
+  for (const id of collapsedNodeIds) {
+    if (excludedNodeIds?.has(id)) continue;
+    const descendantIds = getDescendantIds(id, childrenMap);
+    if (descendantIds.length === 0) continue;
+    for (const descendantId of descendantIds) hiddenBy.set(descendantId, id);
+    counts.set(id, { descendants: descendantIds.length, edges: 0 });
+  }
+
+  for (const edge of edges ?? []) {
+    const source = counts.get(hiddenBy.get(edge.source));
+    const target = counts.get(hiddenBy.get(edge.target));
+    if (source) source.edges++;
+    if (target && target !== source) target.edges++;
+  }
+
+  return counts;
+}
+
+/**
+ * Badge text from a format such as '+{descendants}', with `{descendants}`
+ * and `{edges}` replaced by the counts. The edge part is left out when no
+ * edges are hidden or `edgeFormat` is empty.
+ * @param {string} format
+ * @param {string} edgeFormat
+ * @param {HiddenCounts} counts
+ * @returns {string}
+ */
+export function formatBadgeText(format, edgeFormat, counts) {
+  /** @param {string} template */
+  const fill = (template) =>
+    String(template)
+      .replace(/\{descendants\}/g, String(counts.descendants))
+      .replace(/\{edges\}/g, String(counts.edges));
+  const text = fill(format);
+  return counts.edges > 0 && edgeFormat
+    ? `${text} · ${fill(edgeFormat)}`
+    : text;
+}
+
+/**
+ * Draw the ring and badge of every counted collapsed node.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Map<any, HiddenCounts>} counts - See countHiddenItems
+ * @param {Map<any, any>} drawableNodeMap - Node id to drawable node
+ * @param {any} mergedStyle
+ * @param {Map<any, any>} depthStyleCache
+ * @param {Map<any, any>} negativeDepthNodes
+ */
+export function drawCollapsedMarkers(
+  ctx,
+  counts,
+  drawableNodeMap,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+) {
+  if (!ctx) return;
+  for (const [id, hidden] of counts) {
+    const nodeData = drawableNodeMap.get(id);
+    if (!nodeData || nodeData.radius <= 0.1) continue;
+    drawCollapsedMarker(
+      ctx,
+      nodeData,
+      hidden,
+      mergedStyle,
+      depthStyleCache,
+      negativeDepthNodes,
+    );
+  }
+}
+
+/**
+ * Draw the ring and badge of a collapsed node.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {any} nodeData - Drawable node ({ x, y, radius, depth, node, ... })
+ * @param {HiddenCounts} hidden
+ * @param {any} mergedStyle
+ * @param {Map<any, any>} depthStyleCache
+ * @param {Map<any, any>} negativeDepthNodes
+ */
+function drawCollapsedMarker(
+  ctx,
+  nodeData,
+  hidden,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+) {
+  const { x, y, radius, node, depth } = nodeData;
+  const { style, depthStyle } = resolveNodeStyles(
+    node,
+    depth,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+  );
+  /** @param {string} part @param {string} prop @param {any} defaultValue */
+  const read = (part, prop, defaultValue) =>
+    readStyleProp(
+      depthStyle?.collapsed,
+      style.collapsed,
+      part,
+      prop,
+      defaultValue,
+    );
+
+  ctx.save();
+
+  const ringWidth = read('ring', 'strokeWidth', 1.5);
+  if (read('ring', 'visible', true) && ringWidth > 0) {
+    ctx.beginPath();
+    ctx.arc(
+      x,
+      y,
+      radius + read('ring', 'padding', 2) + ringWidth / 2,
+      0,
+      Math.PI * 2,
+    );
+    ctx.strokeStyle = colorWithAlpha(
+      read('ring', 'strokeColor', '#333333'),
+      read('ring', 'strokeOpacity', 0.6),
+    );
+    ctx.lineWidth = ringWidth;
+    ctx.stroke();
+  }
+
+  if (read('badge', 'visible', true)) {
+    const text = formatBadgeText(
+      read('badge', 'format', '+{descendants}'),
+      read('badge', 'edgeFormat', '{edges} edges'),
+      hidden,
+    );
+    const fontSize = read('badge', 'fontSize', 10);
+    const padding = read('badge', 'padding', 3);
+    const fontWeight = read('badge', 'fontWeight', 'bold');
+    const fontFamily = read('badge', 'fontFamily', 'monospace');
+    ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+    const height = fontSize + padding * 2;
+    const width = Math.max(height, ctx.measureText(text).width + padding * 2);
+
+    // Centered on the top-right of the node's circle
+    const cx = x + radius * Math.SQRT1_2;
+    const cy = y - radius * Math.SQRT1_2;
+    const r = height / 2;
+    ctx.beginPath();
+    ctx.arc(cx - width / 2 + r, cy, r, Math.PI / 2, (Math.PI * 3) / 2);
+    ctx.arc(cx + width / 2 - r, cy, r, -Math.PI / 2, Math.PI / 2);
+    ctx.closePath();
+    ctx.fillStyle = colorWithAlpha(
+      read('badge', 'fillColor', '#333333'),
+      read('badge', 'fillOpacity', 0.85),
+    );
+    ctx.fill();
+
+    ctx.fillStyle = read('badge', 'textColor', '#ffffff');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, cy);
+  }
+
+  ctx.restore();
+}
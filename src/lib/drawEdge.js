@@ -4,12 +4,16 @@
  * Responsibilities:
  * - Build hierarchical paths for edge bundling
  * - Convert paths to coordinates using rendered node lookup
+ * - Compute the geometry of bundled edges
  * - Draw individual edges with support for highlighting and bundling
  * - Compute which node ids are visible via drawn edges (used for label highlighting)
  */
 
 import { setCanvasStyles, colorWithAlpha } from './canvasUtils.js';
 import { resolveDepthStyle, calculateNodeStyle } from './drawNode.js';
+import { resolveEdgeStyles } from './styleAccessors.js';
+
+/** @typedef {import('$lib/types.js').EdgePathCommand} EdgePathCommand */
 
 /**
  * Clip a path's endpoints to the perimeter of the source and target circles.
@@ -80,7 +84,7 @@ export function clipToPerimeter(
  * @param {Set<string>|null} allEdgeNodeIds
  * @returns {number}
  */
-function resolveVisibleStrokeWidth(
+export function resolveVisibleStrokeWidth(
   nodeData,
   hoveredNodeId,
   mergedStyle,
@@ -166,8 +170,10 @@ export function buildHierarchicalPath(
     // Compose path: source -> ... -> lca -> ... -> target
     hierarchicalPath = [sourceNode.node];
 
-    // Add intermediate source ancestors up to (but not including) LCA
-    const sLcaIdx = sourcePath.indexOf(lca);
+    // Add intermediate source ancestors up to (but not including) LCA.
+    // Nodes in different trees of a forest have no LCA: route the edge up
+    // through the source's root and down from the target's root instead.
+    const sLcaIdx = lca ? sourcePath.indexOf(lca) : sourcePath.length;
     if (sLcaIdx > 0) {
       for (let i = 1; i < sLcaIdx; i++) {
         hierarchicalPath.push(sourcePath[i]);
@@ -180,7 +186,7 @@ export function buildHierarchicalPath(
     }
 
     // Add path from LCA down to target (excluding LCA)
-    const tLcaIdx = targetPath.indexOf(lca);
+    const tLcaIdx = lca ? targetPath.indexOf(lca) : targetPath.length;
     if (tLcaIdx > 0) {
       for (let i = tLcaIdx - 1; i >= 0; i--) {
         hierarchicalPath.push(targetPath[i]);
@@ -404,19 +410,17 @@ export function drawEdge(
       )
     : null;
 
-  const globalEdge = mergedStyle?.edge ?? {};
-  const depthEdge = depthStyle?.edge ?? {};
-  const baseEdge = { ...globalEdge, ...depthEdge };
+  const { edge: baseEdge, highlight: edgeHighlight } = resolveEdgeStyles(
+    l,
+    mergedStyle,
+    depthStyle,
+  );
   const currentEdgeColor = baseEdge.strokeColor ?? '#333333';
   const currentEdgeWidth =
     typeof baseEdge.strokeWidth === 'number' ? baseEdge.strokeWidth : 1;
   const baseEdgeOpacity =
     typeof baseEdge.strokeOpacity === 'number' ? baseEdge.strokeOpacity : 0.1;
 
-  const globalEdgeHighlight = mergedStyle?.highlight?.edge ?? {};
-  const depthEdgeHighlight = depthStyle?.highlight?.edge ?? {};
-  const edgeHighlight = { ...globalEdgeHighlight, ...depthEdgeHighlight };
-
   const isEdgeHovered =
     hoveredNodeId !== null &&
     (hoveredNodeId === l.source || hoveredNodeId === l.target);
@@ -466,16 +470,27 @@ export function drawEdge(
 
   if (finalEdgeWidth <= 0 || finalEdgeColor === 'none') return false;
 
-  const { hierarchicalPath } = buildHierarchicalPath(
+  const strokeWidthOf = (/** @type {any} */ nodeData) =>
+    edgePoint === 'perimeter'
+      ? resolveVisibleStrokeWidth(
+          nodeData,
+          hoveredNodeId,
+          mergedStyle,
+          depthStyleCache,
+          negativeDepthNodes,
+          highlightedSet,
+          null,
+        )
+      : 0;
+  const { commands } = computeEdgePath(
     sourceNode,
     targetNode,
     hierarchicalPathCache,
-  );
-  const pathCoords = pathToCoordinates(
-    hierarchicalPath,
     nodeIdToRenderedNodeMap,
-    sourceNode,
-    targetNode,
+    bundlingStrength,
+    edgePoint,
+    strokeWidthOf(sourceNode),
+    strokeWidthOf(targetNode),
   );
 
   const prevStroke = ctx.strokeStyle;
@@ -491,203 +506,169 @@ export function drawEdge(
   });
 
   ctx.beginPath();
+  for (const command of commands) {
+    if (command.type === 'Q') {
+      ctx.quadraticCurveTo(command.cx, command.cy, command.x, command.y);
+    } else if (command.type === 'L') {
+      ctx.lineTo(command.x, command.y);
+    } else {
+      ctx.moveTo(command.x, command.y);
+    }
+  }
+  ctx.stroke();
+
+  if (ctx.lineWidth !== prevWidth) ctx.lineWidth = prevWidth;
+  if (ctx.strokeStyle !== prevStroke) ctx.strokeStyle = prevStroke;
+  return true;
+}
+
+/**
+ * Geometry of an edge as drawn. The control points follow the hierarchical
+ * path, blended towards the straight line by `bundlingStrength` (straight
+ * for 0 or less); the path runs through them as quadratic curves between
+ * their midpoints. With `edgePoint` 'perimeter', the ends are moved to the
+ * node circles, outside their visible strokes.
+ *
+ * @param {any} sourceNode - Rendered source node
+ * @param {any} targetNode - Rendered target node
+ * @param {any} hierarchicalPathCache
+ * @param {Map<string, any>} nodeIdToRenderedNodeMap
+ * @param {number} [bundlingStrength=0.97]
+ * @param {string} [edgePoint='center'] - 'center' or 'perimeter'
+ * @param {number} [sourceStrokeWidth=0] - Visible stroke width of the source node
+ * @param {number} [targetStrokeWidth=0] - Visible stroke width of the target node
+ * @returns {{points: Array<{x:number,y:number}>, commands: EdgePathCommand[]}}
+ */
+export function computeEdgePath(
+  sourceNode,
+  targetNode,
+  hierarchicalPathCache,
+  nodeIdToRenderedNodeMap,
+  bundlingStrength = 0.97,
+  edgePoint = 'center',
+  sourceStrokeWidth = 0,
+  targetStrokeWidth = 0,
+) {
+  /** @type {Array<{x:number,y:number}>} */
+  let points;
 
   if (!bundlingStrength || bundlingStrength <= 0) {
-    const straightCoords = [
+    points = [
       { x: sourceNode.x, y: sourceNode.y },
       { x: targetNode.x, y: targetNode.y },
     ];
     if (edgePoint === 'perimeter') {
-      const sSW = resolveVisibleStrokeWidth(
+      clipToPerimeter(
+        points,
         sourceNode,
-        hoveredNodeId,
-        mergedStyle,
-        depthStyleCache,
-        negativeDepthNodes,
-        highlightedSet,
-        null,
-      );
-      const tSW = resolveVisibleStrokeWidth(
         targetNode,
-        hoveredNodeId,
-        mergedStyle,
-        depthStyleCache,
-        negativeDepthNodes,
-        highlightedSet,
-        null,
+        sourceStrokeWidth,
+        targetStrokeWidth,
       );
-      clipToPerimeter(straightCoords, sourceNode, targetNode, sSW, tSW);
     }
-    ctx.moveTo(straightCoords[0].x, straightCoords[0].y);
-    ctx.lineTo(straightCoords[1].x, straightCoords[1].y);
-    ctx.stroke();
-
-    if (ctx.lineWidth !== prevWidth) ctx.lineWidth = prevWidth;
-    if (ctx.strokeStyle !== prevStroke) ctx.strokeStyle = prevStroke;
-    return true;
+    return { points, commands: curveThrough(points) };
   }
 
+  const { hierarchicalPath } = buildHierarchicalPath(
+    sourceNode,
+    targetNode,
+    hierarchicalPathCache,
+  );
+  const pathCoords = pathToCoordinates(
+    hierarchicalPath,
+    nodeIdToRenderedNodeMap,
+    sourceNode,
+    targetNode,
+  );
+
   if (edgePoint === 'perimeter') {
-    const sSW = resolveVisibleStrokeWidth(
+    clipToPerimeter(
+      pathCoords,
       sourceNode,
-      hoveredNodeId,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-      highlightedSet,
-      null,
-    );
-    const tSW = resolveVisibleStrokeWidth(
       targetNode,
-      hoveredNodeId,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-      highlightedSet,
-      null,
+      sourceStrokeWidth,
+      targetStrokeWidth,
     );
-    clipToPerimeter(pathCoords, sourceNode, targetNode, sSW, tSW);
   }
 
   if (bundlingStrength >= 1) {
-    if (pathCoords.length === 2) {
-      ctx.moveTo(pathCoords[0].x, pathCoords[0].y);
-      ctx.lineTo(pathCoords[1].x, pathCoords[1].y);
-    } else if (pathCoords.length > 2) {
-      ctx.moveTo(pathCoords[0].x, pathCoords[0].y);
-      for (let i = 1; i < pathCoords.length; i++) {
-        const pt = pathCoords[i];
-        if (!pt) continue;
-        if (i === pathCoords.length - 1) {
-          ctx.lineTo(pt.x, pt.y);
-        } else {
-          const next = pathCoords[i + 1];
-          if (next) {
-            const cpx = (pt.x + next.x) / 2;
-            const cpy = (pt.y + next.y) / 2;
-            ctx.quadraticCurveTo(pt.x, pt.y, cpx, cpy);
-          }
-        }
-      }
-    }
-    ctx.stroke();
-
-    if (ctx.lineWidth !== prevWidth) ctx.lineWidth = prevWidth;
-    if (ctx.strokeStyle !== prevStroke) ctx.strokeStyle = prevStroke;
-    return true;
+    return { points: pathCoords, commands: curveThrough(pathCoords) };
   }
 
   // 0 < bundlingStrength < 1: interpolated bundling
   const n = pathCoords.length;
-  if (n === 0) {
-    ctx.moveTo(sourceNode.x, sourceNode.y);
-    ctx.lineTo(targetNode.x, targetNode.y);
-    ctx.stroke();
-
-    if (ctx.lineWidth !== prevWidth) ctx.lineWidth = prevWidth;
-    if (ctx.strokeStyle !== prevStroke) ctx.strokeStyle = prevStroke;
-
-    return true;
-  }
-
-  // Compute the source/target perimeter radii once for post-projection
-  let sourcePerimRadius = 0;
-  let targetPerimRadius = 0;
-  if (edgePoint === 'perimeter') {
-    const sSW2 = resolveVisibleStrokeWidth(
-      sourceNode,
-      hoveredNodeId,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-      highlightedSet,
-      null,
-    );
-    const tSW2 = resolveVisibleStrokeWidth(
-      targetNode,
-      hoveredNodeId,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-      highlightedSet,
-      null,
-    );
-    sourcePerimRadius = (sourceNode.radius || 0) + sSW2 / 2;
-    targetPerimRadius = (targetNode.radius || 0) + tSW2 / 2;
-  }
-
-  // Compute all blended points first
-  /** @type {Array<{x:number,y:number}>} */
-  const blended = [];
-  for (let i = 0; i < n; i++) {
-    const pt = pathCoords[i];
-    if (!pt) {
-      blended.push({ x: 0, y: 0 });
-      continue;
-    }
+  points = pathCoords.map((pt, i) => {
     const frac = n === 1 ? 0 : i / (n - 1);
     const straightX = sourceNode.x * (1 - frac) + targetNode.x * frac;
     const straightY = sourceNode.y * (1 - frac) + targetNode.y * frac;
-    blended.push({
+    return {
       x: straightX * (1 - bundlingStrength) + pt.x * bundlingStrength,
       y: straightY * (1 - bundlingStrength) + pt.y * bundlingStrength,
-    });
-  }
+    };
+  });
 
   // Project first/last blended points onto the perimeter
-  if (edgePoint === 'perimeter' && blended.length >= 2) {
-    if (sourcePerimRadius > 0) {
-      const p = blended[0];
-      const dx = p.x - sourceNode.x;
-      const dy = p.y - sourceNode.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist > 0) {
-        blended[0] = {
-          x: sourceNode.x + (dx / dist) * sourcePerimRadius,
-          y: sourceNode.y + (dy / dist) * sourcePerimRadius,
-        };
-      }
-    }
-    if (targetPerimRadius > 0) {
-      const lastIdx = blended.length - 1;
-      const p = blended[lastIdx];
-      const dx = p.x - targetNode.x;
-      const dy = p.y - targetNode.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist > 0) {
-        blended[lastIdx] = {
-          x: targetNode.x + (dx / dist) * targetPerimRadius,
-          y: targetNode.y + (dy / dist) * targetPerimRadius,
-        };
-      }
-    }
+  if (edgePoint === 'perimeter' && points.length >= 2) {
+    const sourcePerimRadius = (sourceNode.radius || 0) + sourceStrokeWidth / 2;
+    const targetPerimRadius = (targetNode.radius || 0) + targetStrokeWidth / 2;
+    points[0] = projectOnCircle(points[0], sourceNode, sourcePerimRadius);
+    points[n - 1] = projectOnCircle(
+      points[n - 1],
+      targetNode,
+      targetPerimRadius,
+    );
   }
 
-  // Draw the blended path
-  ctx.moveTo(blended[0].x, blended[0].y);
+  return { points, commands: curveThrough(points) };
+}
 
-  for (let i = 1; i < n; i++) {
-    const pt = blended[i];
+/**
+ * Move a point onto a circle around the node, along the line from its center.
+ * @param {{x:number,y:number}} point
+ * @param {{x:number,y:number}} nodeData
+ * @param {number} radius
+ * @returns {{x:number,y:number}}
+ */
+function projectOnCircle(point, nodeData, radius) {
+  if (radius <= 0) return point;
+  const dx = point.x - nodeData.x;
+  const dy = point.y - nodeData.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist === 0) return point;
+  return {
+    x: nodeData.x + (dx / dist) * radius,
+    y: nodeData.y + (dy / dist) * radius,
+  };
+}
 
-    if (i === n - 1) {
-      ctx.lineTo(pt.x, pt.y);
-    } else {
-      const next = blended[i + 1];
-      if (next) {
-        const cpx = (pt.x + next.x) * 0.5;
-        const cpy = (pt.y + next.y) * 0.5;
-        ctx.quadraticCurveTo(pt.x, pt.y, cpx, cpy);
-      } else {
-        ctx.lineTo(pt.x, pt.y);
-      }
-    }
+/**
+ * Path commands through the given points: quadratic curves with each inner
+ * point as control point, ending at the midpoint to the next, and a line to
+ * the last point.
+ * @param {Array<{x:number,y:number}>} points
+ * @returns {EdgePathCommand[]}
+ */
+function curveThrough(points) {
+  if (points.length === 0) return [];
+
+  /** @type {EdgePathCommand[]} */
+  const commands = [{ type: 'M', x: points[0].x, y: points[0].y }];
+  for (let i = 1; i < points.length - 1; i++) {
+    const pt = points[i];
+    const next = points[i + 1];
+    commands.push({
+      type: 'Q',
+      cx: pt.x,
+      cy: pt.y,
+      x: (pt.x + next.x) / 2,
+      y: (pt.y + next.y) / 2,
+    });
   }
-
-  ctx.stroke();
-
-  if (ctx.lineWidth !== prevWidth) ctx.lineWidth = prevWidth;
-  if (ctx.strokeStyle !== prevStroke) ctx.strokeStyle = prevStroke;
-  return true;
+  if (points.length > 1) {
+    const last = points[points.length - 1];
+    commands.push({ type: 'L', x: last.x, y: last.y });
+  }
+  return commands;
 }
 
 /**
@@ -862,28 +843,10 @@ export function drawEdges(
     }
   }
 
-  // Highlighted edges on top
+  // Highlighted edges on top; drawEdge applies the highlight styles
   for (const e of highlightedEdges) {
     const { li, sNode, tNode } = e;
 
-    const edgeHighlight = mergedStyle?.highlight?.edge ?? {};
-    const baseEdgeStyle = mergedStyle?.edge ?? {};
-
-    const fallbackMerged = {
-      ...(mergedStyle || {}),
-      highlight: {
-        ...(mergedStyle?.highlight || {}),
-        edge: {
-          ...(baseEdgeStyle || {}),
-          ...(edgeHighlight || {}),
-        },
-      },
-      edge: {
-        ...(baseEdgeStyle || {}),
-        ...(edgeHighlight || {}),
-      },
-    };
-
     try {
       const drawnByBundling = drawEdge(
         ctx,
@@ -893,7 +856,7 @@ export function drawEdges(
         hierarchicalPathCache,
         nodeIdToRenderedNodeMap,
         depthStyleCache,
-        fallbackMerged,
+        mergedStyle,
         hoveredNodeId,
         highlightedSet,
         effectiveBundlingStrength,
@@ -913,6 +876,11 @@ export function drawEdges(
     }
 
     // Straight-line fallback
+    const { edge: baseEdgeStyle, highlight: edgeHighlight } = resolveEdgeStyles(
+      li,
+      mergedStyle,
+      null,
+    );
     const color =
       edgeHighlight.strokeColor ?? baseEdgeStyle.strokeColor ?? '#ff6b6b';
     const opacity =
@@ -6,6 +6,7 @@
  *
  * Exports:
  * - clearLabelLayoutCache
+ * - clearPreviousLabelPositions
  * - getLabelStyle
  * - shouldShowLeafLabel
  * - calculateFontSize
@@ -14,13 +15,16 @@
  * - shouldShowLabel
  * - drawLabelConnectors
  * - drawPositionedLabel
+ * - resolveLabelSettings
+ * - decorateLabelNodes
+ * - layoutLabels
  * - computeLabelLayout
  * - drawLabels
  */
 
 import { setCanvasStyles } from './canvasUtils.js';
-import { resolveDepthStyle } from './drawNode.js';
 import { calculateLabelPositions } from './labelPositions.js';
+import { resolveNodeStyles } from './styleAccessors.js';
 
 // Label layout cache — avoids expensive simulated annealing on every frame
 /** @type {any} */
@@ -66,6 +70,14 @@ export function clearLabelLayoutCache() {
   _labelCacheKey = null;
 }
 
+/**
+ * Forget the label positions kept from the previous layout, so the next
+ * layout places every label from scratch.
+ */
+export function clearPreviousLabelPositions() {
+  _previousLabelPositions = new Map();
+}
+
 /**
  *
  * @typedef {import('$lib/types.js').LabelStyle} LabelStyle
@@ -82,6 +94,7 @@ export function clearLabelLayoutCache() {
  * @param {any} mergedStyle
  * @param {Map<number, any>} depthStyleCache
  * @param {Map<number, Set<string>>} negativeDepthNodes
+ * @param {any} [node] - The node, for its own `style` and style functions
  * @returns {any}
  */
 export function getLabelStyle(
@@ -90,16 +103,17 @@ export function getLabelStyle(
   mergedStyle,
   depthStyleCache,
   negativeDepthNodes,
+  node = { id: nodeId },
 ) {
-  const depthStyle = resolveDepthStyle(
+  const { style, depthStyle } = resolveNodeStyles(
+    node,
     depth,
-    nodeId,
     mergedStyle,
     depthStyleCache,
     negativeDepthNodes,
   );
 
-  const globalLabel = mergedStyle?.label ?? {};
+  const globalLabel = style?.label ?? {};
   const labelFromDepth = depthStyle?.label ?? null;
 
   const globalInner = globalLabel.inner ?? {};
@@ -285,7 +299,7 @@ export function truncateText(ctx, text, maxWidth) {
  * @param {number} [minFontSize]
  * @param {number} [maxFontSize]
  * @param {boolean} [highlightActive]
- * @param {HighlightLabelStyle} [highlightStyle]
+ * @param {any} [highlightStyle] - Highlight label style of the node with style functions evaluated (see decorateLabelNodes)
  * @returns {void}
  */
 export function drawCenteredLabel(
@@ -439,6 +453,7 @@ export function drawLabelConnectors(
           mergedStyle,
           depthStyleCache,
           negativeDepthNodes,
+          nodeData.node,
         );
         depthLink = (labelStyle && labelStyle.outer?.link) || {};
         nodeLink =
@@ -533,6 +548,7 @@ export function drawPositionedLabel(
       mergedStyle,
       depthStyleCache,
       negativeDepthNodes,
+      node,
     ) || {};
   const fontSize = labelStyle.outer?.fontSize ?? 8;
 
@@ -583,6 +599,127 @@ export function drawPositionedLabel(
   if (ctx.globalAlpha !== 1.0) ctx.globalAlpha = 1.0;
 }
 
+/**
+ * Global label settings from the merged style: outer label font and padding,
+ * link padding and length, and the inner font size range. Style functions
+ * vary by node, so they fall back to the defaults here.
+ *
+ * @param {any} mergedStyle
+ * @returns {{labelFontFamily:string,labelFontSize:number,labelMinFontSize:number,labelMaxFontSize:number,labelPadding:number,linkPadding:number,linkLength:number}}
+ */
+export function resolveLabelSettings(mergedStyle) {
+  const globalLabel = mergedStyle?.label ?? {};
+  const globalInner = globalLabel.inner ?? {};
+  const globalOuter = globalLabel.outer ?? {};
+  /** @param {any} value */
+  const constant = (value) => (typeof value === 'function' ? undefined : value);
+  const labelMinFontSize = constant(globalInner.minFontSize) ?? 9;
+
+  return {
+    labelFontFamily:
+      constant(globalOuter.fontFamily) ??
+      constant(globalInner.fontFamily) ??
+      'monospace',
+    labelFontSize: constant(globalOuter.fontSize) ?? labelMinFontSize,
+    labelMinFontSize,
+    labelMaxFontSize: constant(globalInner.maxFontSize) ?? 14,
+    labelPadding: constant(globalOuter.padding) ?? 1,
+    linkPadding:
+      globalOuter.link && typeof globalOuter.link.padding === 'number'
+        ? globalOuter.link.padding
+        : 0,
+    linkLength:
+      globalOuter.link && typeof globalOuter.link.length === 'number'
+        ? globalOuter.link.length
+        : 5,
+  };
+}
+
+/**
+ * Attach the resolved label padding, link settings and highlight styles to
+ * the nodes that get a label. Returns the global label settings the
+ * placement works with.
+ *
+ * @param {any[]} nodesWithLabels
+ * @param {any} mergedStyle
+ * @param {Map<number, any>} depthStyleCache
+ * @param {Map<number, Set<string>>} negativeDepthNodes
+ * @returns {{labelFontFamily:string,labelFontSize:number,labelMinFontSize:number,labelMaxFontSize:number,labelPadding:number,linkPadding:number,linkLength:number}}
+ */
+export function decorateLabelNodes(
+  nodesWithLabels,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+) {
+  const settings = resolveLabelSettings(mergedStyle);
+  const globalLabelPadding = settings.labelPadding;
+  const globalLinkPadding = settings.linkPadding;
+  const globalLinkLength = settings.linkLength;
+
+  nodesWithLabels.forEach((nodeData) => {
+    const node = nodeData.node;
+    const depth = nodeData.depth;
+    const perNodeStyle = getLabelStyle(
+      depth,
+      node.id,
+      mergedStyle,
+      depthStyleCache,
+      negativeDepthNodes,
+      node,
+    );
+
+    node.label = node.label ?? {};
+    node.label.padding = perNodeStyle?.outer?.padding ?? globalLabelPadding;
+
+    node.label.link = node.label.link ?? {};
+    node.label.link.padding =
+      perNodeStyle?.outer?.link?.padding ?? globalLinkPadding;
+    node.label.link.length =
+      perNodeStyle?.outer?.link?.length ?? globalLinkLength;
+
+    nodeData.labelPadding = node.label.padding;
+    nodeData.linkPadding = node.label.link.padding;
+    nodeData.linkLength = node.label.link.length;
+
+    const { style } = resolveNodeStyles(
+      node,
+      depth,
+      mergedStyle,
+      depthStyleCache,
+      negativeDepthNodes,
+    );
+    const globalLink = style?.label?.outer?.link ?? {};
+    const depthLink = perNodeStyle?.outer?.link ?? {};
+    const nodeLink = node.label && node.label.link ? node.label.link : {};
+    nodeData.linkStyle = {
+      ...(globalLink || {}),
+      ...(depthLink || {}),
+      ...(nodeLink || {}),
+    };
+
+    const globalHighlight = style?.highlight?.label ?? {};
+    const depthHighlight = perNodeStyle?.highlight ?? {};
+    const globalHlInner = globalHighlight.inner ?? {};
+    const depthHlInner = depthHighlight.inner ?? {};
+    const globalHlOuter = globalHighlight.outer ?? {};
+    const depthHlOuter = depthHighlight.outer ?? {};
+    nodeData.highlightStyle = {
+      inner: { ...globalHlInner, ...depthHlInner },
+      outer: {
+        ...globalHlOuter,
+        ...depthHlOuter,
+        link: {
+          ...(globalHlOuter.link ?? {}),
+          ...(depthHlOuter.link ?? {}),
+        },
+      },
+    };
+  });
+
+  return settings;
+}
+
 /**
  * Compute label layout (labels + connector segments + nodesWithLabels) but do not draw anything.
  *
@@ -619,6 +756,57 @@ export function computeLabelLayout(
 ) {
   if (!ctx || !renderedNodes || renderedNodes.length === 0) return null;
 
+  const devicePixelRatio = globalThis.devicePixelRatio || 1;
+  return layoutLabels(
+    ctx.canvas.width / devicePixelRatio,
+    ctx.canvas.height / devicePixelRatio,
+    renderedNodes,
+    leafNodes,
+    hoveredNodeId,
+    highlightedNodeIds,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+    numLabels,
+    panX,
+    panY,
+  );
+}
+
+/**
+ * Same as computeLabelLayout, for a viewport of the given size in CSS pixels
+ * rather than a canvas context. Runs without a window, e.g. in a worker.
+ *
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @param {any[]} renderedNodes
+ * @param {Set<string>} leafNodes
+ * @param {string|null} hoveredNodeId
+ * @param {any[]|Set<string>} highlightedNodeIds
+ * @param {any} mergedStyle
+ * @param {Map<number, any>} depthStyleCache
+ * @param {Map<number, Set<string>>} negativeDepthNodes
+ * @param {number} [numLabels=20]
+ * @param {number} [panX=0]
+ * @param {number} [panY=0]
+ * @returns {{labels:any[],links:any[],nodesWithLabels:any[],labelMinFontSize:number,labelMaxFontSize:number}|null}
+ */
+export function layoutLabels(
+  width,
+  height,
+  renderedNodes,
+  leafNodes,
+  hoveredNodeId,
+  highlightedNodeIds,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+  numLabels = 20,
+  panX = 0,
+  panY = 0,
+) {
+  if (!renderedNodes || renderedNodes.length === 0) return null;
+
   const cacheKey = labelLayoutCacheKey(
     renderedNodes,
     hoveredNodeId,
@@ -630,10 +818,6 @@ export function computeLabelLayout(
     return _labelLayoutCache;
   }
 
-  const devicePixelRatio = window.devicePixelRatio || 1;
-  const width = ctx.canvas.width / devicePixelRatio;
-  const height = ctx.canvas.height / devicePixelRatio;
-
   /**
    * @param {{x:number,y:number,radius:number}} nodeData
    * @returns {boolean}
@@ -661,6 +845,7 @@ export function computeLabelLayout(
       mergedStyle,
       depthStyleCache,
       negativeDepthNodes,
+      node,
     );
     return shouldShowLabel(
       node,
@@ -713,74 +898,20 @@ export function computeLabelLayout(
 
   if (!nodesWithLabels || nodesWithLabels.length === 0) return null;
 
-  const globalLabel = mergedStyle?.label ?? {};
-  const globalInner = globalLabel.inner ?? {};
-  const globalOuter = globalLabel.outer ?? {};
-  const labelFontFamily =
-    globalOuter.fontFamily ?? globalInner.fontFamily ?? 'monospace';
-  const labelMinFontSize = globalInner.minFontSize ?? 9;
-  const labelMaxFontSize = globalInner.maxFontSize ?? 14;
-  const globalLabelPadding = globalOuter.padding ?? 1;
-  const globalLinkPadding =
-    globalOuter.link && typeof globalOuter.link.padding === 'number'
-      ? globalOuter.link.padding
-      : 0;
-  const globalLinkLength =
-    globalOuter.link && typeof globalOuter.link.length === 'number'
-      ? globalOuter.link.length
-      : 5;
-
-  nodesWithLabels.forEach((nodeData) => {
-    const node = nodeData.node;
-    const depth = nodeData.depth;
-    const perNodeStyle = getLabelStyle(
-      depth,
-      node.id,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-    );
-
-    node.label = node.label ?? {};
-    node.label.padding = perNodeStyle?.outer?.padding ?? globalLabelPadding;
-
-    node.label.link = node.label.link ?? {};
-    node.label.link.padding =
-      perNodeStyle?.outer?.link?.padding ?? globalLinkPadding;
-    node.label.link.length =
-      perNodeStyle?.outer?.link?.length ?? globalLinkLength;
-
-    nodeData.labelPadding = node.label.padding;
-    nodeData.linkPadding = node.label.link.padding;
-    nodeData.linkLength = node.label.link.length;
-
-    const globalLink = mergedStyle?.label?.outer?.link ?? {};
-    const depthLink = perNodeStyle?.outer?.link ?? {};
-    const nodeLink = node.label && node.label.link ? node.label.link : {};
-    nodeData.linkStyle = {
-      ...(globalLink || {}),
-      ...(depthLink || {}),
-      ...(nodeLink || {}),
-    };
-
-    const globalHighlight = mergedStyle?.highlight?.label ?? {};
-    const depthHighlight = perNodeStyle?.highlight ?? {};
-    const globalHlInner = globalHighlight.inner ?? {};
-    const depthHlInner = depthHighlight.inner ?? {};
-    const globalHlOuter = globalHighlight.outer ?? {};
-    const depthHlOuter = depthHighlight.outer ?? {};
-    nodeData.highlightStyle = {
-      inner: { ...globalHlInner, ...depthHlInner },
-      outer: {
-        ...globalHlOuter,
-        ...depthHlOuter,
-        link: {
-          ...(globalHlOuter.link ?? {}),
-          ...(depthHlOuter.link ?? {}),
-        },
-      },
-    };
-  });
+  const {
+    labelFontFamily,
+    labelFontSize,
+    labelMinFontSize,
+    labelMaxFontSize,
+    labelPadding,
+    linkPadding,
+    linkLength,
+  } = decorateLabelNodes(
+    nodesWithLabels,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+  );
 
   // Build preserved positions map from previous frame.
   // For labels that are still on screen (present in nodesWithLabels),
@@ -819,11 +950,11 @@ export function computeLabelLayout(
     height,
     {
       fontFamily: labelFontFamily,
-      fontSize: globalOuter?.fontSize ?? labelMinFontSize,
+      fontSize: labelFontSize,
       minRadius: 2,
-      labelPadding: globalLabelPadding,
-      linkPadding: globalLinkPadding,
-      linkLength: globalLinkLength,
+      labelPadding,
+      linkPadding,
+      linkLength,
       allNodes: renderedNodes,
       preservedPositions,
     },
@@ -966,6 +1097,7 @@ export function drawLabels(
         mergedStyle,
         depthStyleCache,
         negativeDepthNodes,
+        node,
       );
       const text = String(node.name || node.id);
       const minFS = labelStyle.inner?.minFontSize ?? labelMinFontSize;
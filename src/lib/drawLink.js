@@ -5,17 +5,19 @@
  */
 
 import { setCanvasStyles, colorWithAlpha } from './canvasUtils.js';
-import { resolveDepthStyle } from './drawNode.js';
+import { resolveNodeStyles } from './styleAccessors.js';
 
 /**
  * Draw connecting links between parent & child nodes (for overlap < 0 case).
+ * A child's own `overlap` (from per-depth or per-node layout parameters)
+ * takes precedence over the global value.
  *
  * @param {CanvasRenderingContext2D} ctx
  * @param {Array<any>} renderedNodes
  * @param {Map<string, any[]>} parentToChildrenNodeMap
  * @param {any} mergedStyle
  * @param {Map<number, any>} depthStyleCache
- * @param {number} overlap
+ * @param {import('$lib/types.js').LayoutParameter} overlap - Global overlap option
  * @param {Map<number, Set<string>>} negativeDepthNodes
  * @param {Set<string>} [excludedNodeIds] - Node IDs to skip when drawing links
  */
@@ -29,7 +31,12 @@ export function drawConnectingLinks(
   negativeDepthNodes,
   excludedNodeIds,
 ) {
-  if (!ctx || overlap >= 0 || !renderedNodes || renderedNodes.length === 0)
+  if (!ctx || !renderedNodes || renderedNodes.length === 0) return;
+  if (
+    typeof overlap === 'number' &&
+    overlap >= 0 &&
+    !renderedNodes.some((nodeData) => nodeData.overlap < 0)
+  )
     return;
 
   for (const nodeData of renderedNodes) {
@@ -39,24 +46,23 @@ export function drawConnectingLinks(
     for (const child of children) {
       const childId = child.node ? child.node.id : child.id;
       if (excludedNodeIds && excludedNodeIds.has(childId)) continue;
-      const depthStyle = resolveDepthStyle(
+      const childOverlap =
+        child.overlap ?? (typeof overlap === 'number' ? overlap : 0);
+      if (childOverlap >= 0) continue;
+      const { style, depthStyle } = resolveNodeStyles(
+        node,
         depth,
-        node.id,
         mergedStyle,
         depthStyleCache,
         negativeDepthNodes,
       );
 
       const lineWidth =
-        depthStyle?.link?.strokeWidth ?? mergedStyle?.link?.strokeWidth ?? 0;
+        depthStyle?.link?.strokeWidth ?? style?.link?.strokeWidth ?? 0;
       const lineColor =
-        depthStyle?.link?.strokeColor ??
-        mergedStyle?.link?.strokeColor ??
-        'none';
+        depthStyle?.link?.strokeColor ?? style?.link?.strokeColor ?? 'none';
       const lineOpacity =
-        depthStyle?.link?.strokeOpacity ??
-        mergedStyle?.link?.strokeOpacity ??
-        1;
+        depthStyle?.link?.strokeOpacity ?? style?.link?.strokeOpacity ?? 1;
 
       if (lineWidth > 0 && lineColor !== 'none') {
         const prevStroke = ctx.strokeStyle;
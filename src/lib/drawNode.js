@@ -3,6 +3,13 @@
  */
 
 import { setCanvasStyles } from './canvasUtils.js';
+import { resolveNodeStyles } from './styleAccessors.js';
+
+/**
+ * @typedef {import('$lib/types.js').RenderNode} RenderNode
+ * @typedef {import('$lib/types.js').NodeRenderState} NodeRenderState
+ * @typedef {import('./nodeImages.js').NodeImage} NodeImage
+ */
 
 /**
  * Safely reads a nested style property with depth override fallback.
@@ -140,7 +147,9 @@ function readFromChain(prop, sources, defaultValue) {
  * 6. Not highlighted + no edge:
  *    depthStyle.node -> node
  *
- * edgeNode has no depth-based support.
+ * edgeNode has no depth-based support. depthStyle includes the node's own
+ * `style`, and style functions are evaluated for the node (see
+ * resolveNodeStyles).
  *
  * @param {any} node - The node object
  * @param {number} depth - Node depth
@@ -162,9 +171,9 @@ export function calculateNodeStyle(
   highlightedNodeIds,
   allEdgeNodeIds,
 ) {
-  const depthStyle = resolveDepthStyle(
+  const { style, depthStyle } = resolveNodeStyles(
+    node,
     depth,
-    node.id,
     mergedStyle,
     depthStyleCache,
     negativeDepthNodes,
@@ -183,11 +192,11 @@ export function calculateNodeStyle(
       : false;
 
   // Build property source chain based on state
-  const globalNode = mergedStyle?.node || null;
+  const globalNode = style?.node || null;
   const depthNode = depthStyle?.node || null;
-  const globalEdgeNode = mergedStyle?.edgeNode || null;
-  const globalHighlightNode = mergedStyle?.highlight?.node || null;
-  const globalHighlightEdgeNode = mergedStyle?.highlight?.edgeNode || null;
+  const globalEdgeNode = style?.edgeNode || null;
+  const globalHighlightNode = style?.highlight?.node || null;
+  const globalHighlightEdgeNode = style?.highlight?.edgeNode || null;
   const depthHighlightNode = depthStyle?.highlight?.node || null;
 
   /** @type {Array<Record<string, any>|null|undefined>} */
@@ -248,6 +257,7 @@ export function calculateNodeStyle(
  * @param {Map<any, any>} negativeDepthNodes
  * @param {Set<string>|null} highlightedNodeIds - Set of node ids considered highlighted due to link association (may be null)
  * @param {Set<string>|null} allEdgeNodeIds - Set of node ids that appear in any edge (may be null)
+ * @param {NodeImage|null} [image=null] - Image drawn inside the circle (see resolveNodeImage)
  * @returns {boolean} Whether the node was rendered
  */
 export function drawNode(
@@ -263,24 +273,38 @@ export function drawNode(
   negativeDepthNodes,
   highlightedNodeIds,
   allEdgeNodeIds,
+  image = null,
 ) {
   if (!ctx) return false;
 
   if (radius <= 0.1) return false;
 
-  const style = /** @type {any} */ (
-    calculateNodeStyle(
-      node,
-      depth,
-      hoveredNodeId,
-      mergedStyle,
-      depthStyleCache,
-      negativeDepthNodes,
-      highlightedNodeIds,
-      allEdgeNodeIds,
-    )
+  const style = calculateNodeStyle(
+    node,
+    depth,
+    hoveredNodeId,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+    highlightedNodeIds,
+    allEdgeNodeIds,
   );
 
+  drawNodeCircle(ctx, x, y, radius, style);
+  if (image) drawNodeImage(ctx, x, y, radius, image);
+  return true;
+}
+
+/**
+ * Fills and strokes a node circle with a resolved style (see
+ * calculateNodeStyle). Strokes wider than the radius are halved.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {any} style
+ */
+export function drawNodeCircle(ctx, x, y, radius, style) {
   ctx.beginPath();
   ctx.arc(x, y, radius, 0, 2 * Math.PI);
 
@@ -327,7 +351,107 @@ export function drawNode(
   if (ctx.globalAlpha !== 1.0) {
     ctx.globalAlpha = 1.0;
   }
+}
+
+/**
+ * Draws an image inside a node circle, clipped to the circle less the image
+ * padding. The image covers the circle, keeping its aspect ratio; images
+ * without a known size are drawn as a square.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {NodeImage} nodeImage
+ */
+export function drawNodeImage(ctx, x, y, radius, nodeImage) {
+  const { image, padding, opacity } = nodeImage;
+  const r = radius - padding;
+  if (r <= 0) return;
+
+  const width = image.naturalWidth || image.width || 0;
+  const height = image.naturalHeight || image.height || 0;
+  const scale = width > 0 && height > 0 ? (2 * r) / Math.min(width, height) : 0;
+  const w = scale ? width * scale : 2 * r;
+  const h = scale ? height * scale : 2 * r;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, 2 * Math.PI);
+  ctx.clip();
+  ctx.globalAlpha = opacity;
+  ctx.drawImage(image, x - w / 2, y - h / 2, w, h);
+  ctx.restore();
+}
 
+/**
+ * Draws a single node with a custom renderer (the `renderNode` config of
+ * CactusTree). The renderer is called instead of the default circle; it
+ * draws the default circle by calling `state.drawDefault()`, for example
+ * to draw on top of it. The context state is saved and restored around it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {RenderNode} renderNode
+ * @param {any} nodeData - Rendered node ({ id, x, y, radius, depth, node, ... })
+ * @param {string|null} hoveredNodeId
+ * @param {any} mergedStyle
+ * @param {Map<any, any>} depthStyleCache
+ * @param {Map<any, any>} negativeDepthNodes
+ * @param {Set<string>|null} highlightedNodeIds - Set of node ids considered highlighted due to link association (may be null)
+ * @param {Set<string>|null} allEdgeNodeIds - Set of node ids that appear in any edge (may be null)
+ * @param {Set<string>|null} collapsedNodeIds - Ids of collapsed nodes (may be null)
+ * @param {Set<string>|null} leafNodes - Ids of leaf nodes (may be null)
+ * @param {NodeImage|null} [image=null] - Image drawn by `state.drawDefault()`
+ * @returns {boolean} Whether the node was rendered
+ */
+export function drawCustomNode(
+  ctx,
+  renderNode,
+  nodeData,
+  hoveredNodeId,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+  highlightedNodeIds,
+  allEdgeNodeIds,
+  collapsedNodeIds,
+  leafNodes,
+  image = null,
+) {
+  if (!ctx) return false;
+
+  const { x, y, radius, node, depth } = nodeData;
+  if (radius <= 0.1) return false;
+
+  const style = calculateNodeStyle(
+    node,
+    depth,
+    hoveredNodeId,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+    highlightedNodeIds,
+    allEdgeNodeIds,
+  );
+
+  /** @type {NodeRenderState} */
+  const state = {
+    isHovered: hoveredNodeId === node.id,
+    isHighlighted: style.isHovered,
+    isCollapsed: collapsedNodeIds?.has(node.id) ?? false,
+    isLeaf: leafNodes?.has(node.id) ?? false,
+    hasEdge: allEdgeNodeIds?.has(node.id) ?? false,
+    style,
+    drawDefault: () => {
+      drawNodeCircle(ctx, x, y, radius, style);
+      if (image) drawNodeImage(ctx, x, y, radius, image);
+    },
+  };
+
+  ctx.save();
+  try {
+    renderNode(ctx, nodeData, state);
+  } finally {
+    ctx.restore();
+  }
   return true;
 }
 
@@ -0,0 +1,322 @@
+/**
+ * Frame drawing for CactusTree
+ *
+ * Draws a whole frame (parent->child links, nodes with their labels, edges,
+ * collapsed node markers, label connectors and the legend) to a 2D context. The context is either the canvas
+ * of a CactusTree or an SvgContext for SVG export.
+ */
+
+import { drawCustomNode, drawNode } from './drawNode.js';
+import { resolveNodeImage } from './nodeImages.js';
+import { computeVisibleEdgeNodeIds, drawEdges } from './drawEdge.js';
+import { drawLegend } from './legend.js';
+import { drawConnectingLinks } from './drawLink.js';
+import { countHiddenItems, drawCollapsedMarkers } from './drawCollapsed.js';
+import {
+  drawLabelConnectors,
+  drawPositionedLabel,
+  drawCenteredLabel,
+  getLabelStyle,
+} from './drawLabel.js';
+
+/** @typedef {import('$lib/types.js').RenderNode} RenderNode */
+
+/**
+ * Everything drawn in a frame.
+ *
+ * @typedef {Object} TreeScene
+ * @property {any[]} drawableNodes - Rendered nodes in DFS order, with animated positions applied
+ * @property {Map<string, any>} drawableNodeMap - Node id to drawable node
+ * @property {any[]} visibleNodes - Drawable nodes without collapsed descendants
+ * @property {Map<string, any[]>} childrenMap - Parent id to drawable children
+ * @property {Set<string>} [excludedNodeIds] - Collapsed descendants, skipped by links
+ * @property {any[]} edges
+ * @property {Map<string, any>} hierarchicalPathCache
+ * @property {Set<string>} leafNodes
+ * @property {any} mergedStyle
+ * @property {any} mergedOptions
+ * @property {Map<number, any>} depthStyleCache
+ * @property {Map<number, Set<string>>} negativeDepthNodes
+ * @property {string|null} hoveredNodeId
+ * @property {RenderNode|null} [renderNode] - Custom node renderer, replaces the default circle
+ * @property {Set<string>} [collapsedNodeIds]
+ * @property {(source: any) => any} [loadImage] - Image to draw for an image source, or null (see ImageCache); without it no images are drawn
+ * @property {number} panX
+ * @property {number} panY
+ * @property {{ entries: import('$lib/types.js').LegendEntry[], width: number, height: number, options: { position: import('$lib/types.js').LegendPosition, margin: number, maxItems: number } } | null} [legend] - Legend drawn over the frame in canvas coordinates (see drawLegend)
+ */
+
+/**
+ * Draw a frame. Labels are placed by `placeLabels`, which gets the ids of
+ * the highlighted nodes and returns a label layout (see computeLabelLayout)
+ * or null to draw no labels.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TreeScene} scene
+ * @param {(nodeHighlightedIds: Set<any>) => any} placeLabels
+ */
+export function drawTree(ctx, scene, placeLabels) {
+  if (!ctx) return;
+
+  const {
+    drawableNodes,
+    drawableNodeMap,
+    visibleNodes,
+    edges,
+    mergedStyle,
+    mergedOptions,
+    depthStyleCache,
+    negativeDepthNodes,
+    hoveredNodeId,
+  } = scene;
+
+  ctx.save();
+  ctx.translate(scene.panX, scene.panY);
+
+  // Draw connecting parent->child links (only when overlap < 0)
+  drawConnectingLinks(
+    ctx,
+    visibleNodes,
+    scene.childrenMap,
+    mergedStyle,
+    depthStyleCache,
+    mergedOptions.overlap,
+    negativeDepthNodes,
+    scene.excludedNodeIds,
+  );
+
+  // Compute visible edge node ids
+  const edgeNodeIds = computeVisibleEdgeNodeIds(
+    edges,
+    drawableNodeMap,
+    hoveredNodeId,
+  );
+
+  const edgeNodeIdSet = new Set();
+  if (edgeNodeIds && edgeNodeIds.length) {
+    for (const id of edgeNodeIds) {
+      edgeNodeIdSet.add(id);
+    }
+  }
+
+  // Compute all edge node ids (nodes that appear in any edge)
+  const allEdgeNodeIds = new Set();
+  for (const edge of edges || []) {
+    allEdgeNodeIds.add(edge.source);
+    allEdgeNodeIds.add(edge.target);
+  }
+
+  // Node highlight set
+  const nodeHighlightedIds = (() => {
+    const s = new Set();
+    if (!hoveredNodeId) return s;
+    s.add(hoveredNodeId);
+
+    for (const edge of edges || []) {
+      if (edge.source === hoveredNodeId && edgeNodeIdSet.has(edge.target)) {
+        s.add(edge.target);
+      } else if (
+        edge.target === hoveredNodeId &&
+        edgeNodeIdSet.has(edge.source)
+      ) {
+        s.add(edge.source);
+      }
+    }
+    return s;
+  })();
+
+  // Edge highlight set
+  const edgeHighlightedNodeIds = (() => {
+    if (!hoveredNodeId) return null;
+    const s = new Set();
+    s.add(hoveredNodeId);
+    return s;
+  })();
+
+  // Label layout upfront so positions are available when we draw each node
+  // in DFS order.
+  const labelLayout = placeLabels(nodeHighlightedIds);
+
+  // Build per-node label lookup maps for O(1) access during the draw loop.
+  /** @type {Map<string, any>} nodeId -> labelData */
+  const labelDataByNodeId = new Map();
+  /** @type {Map<string, any>} nodeId -> nodeData (from nodesWithLabels) */
+  const labelNodeDataById = new Map();
+  if (labelLayout) {
+    for (const lbl of labelLayout.labels) {
+      labelDataByNodeId.set(lbl.nodeId, lbl);
+    }
+    for (const nd of labelLayout.nodesWithLabels) {
+      labelNodeDataById.set(nd.node.id, nd);
+    }
+  }
+
+  /**
+   * Draw the label for a single node immediately after its circle is drawn.
+   * @param {any} nodeData - entry from renderedNodes/drawableNodes
+   */
+  const drawNodeLabel = (nodeData) => {
+    if (!labelLayout) return;
+    const { node, depth, radius } = nodeData;
+    const labelData = labelDataByNodeId.get(node.id);
+    if (!labelData) return;
+    const nd = labelNodeDataById.get(node.id);
+    if (!nd) return;
+
+    const isHighlighted =
+      hoveredNodeId === node.id ||
+      (nodeHighlightedIds && nodeHighlightedIds.has(node.id));
+
+    if (labelData.isInside) {
+      const labelStyle = getLabelStyle(
+        depth,
+        node.id,
+        mergedStyle,
+        depthStyleCache,
+        negativeDepthNodes,
+        node,
+      );
+      const text = String(node.name || node.id);
+      const minFS =
+        labelStyle.inner?.minFontSize ?? labelLayout.labelMinFontSize;
+      const maxFS =
+        labelStyle.inner?.maxFontSize ?? labelLayout.labelMaxFontSize;
+      drawCenteredLabel(
+        ctx,
+        text,
+        nd.x,
+        nd.y,
+        radius,
+        labelStyle,
+        minFS,
+        maxFS,
+        isHighlighted,
+        isHighlighted ? nd.highlightStyle : {},
+      );
+    } else {
+      drawPositionedLabel(
+        ctx,
+        labelData,
+        nd,
+        scene.leafNodes,
+        mergedStyle,
+        depthStyleCache,
+        negativeDepthNodes,
+        isHighlighted,
+      );
+    }
+  };
+
+  // Draw nodes in DFS order, immediately followed by each node's label.
+  // This ensures labels of nodes drawn later (on top) also appear on top,
+  // so labels of occluded nodes are naturally hidden.
+  for (const nodeData of drawableNodes) {
+    const image = scene.loadImage
+      ? resolveNodeImage(
+          nodeData,
+          mergedStyle,
+          depthStyleCache,
+          negativeDepthNodes,
+          scene.loadImage,
+        )
+      : null;
+    if (scene.renderNode) {
+      drawCustomNode(
+        ctx,
+        scene.renderNode,
+        nodeData,
+        hoveredNodeId,
+        mergedStyle,
+        depthStyleCache,
+        negativeDepthNodes,
+        nodeHighlightedIds,
+        allEdgeNodeIds,
+        scene.collapsedNodeIds ?? null,
+        scene.leafNodes,
+        image,
+      );
+    } else {
+      const { x, y, radius, node, depth } = nodeData;
+      drawNode(
+        ctx,
+        x,
+        y,
+        radius,
+        node,
+        depth,
+        hoveredNodeId,
+        mergedStyle,
+        depthStyleCache,
+        negativeDepthNodes,
+        nodeHighlightedIds,
+        allEdgeNodeIds,
+        image,
+      );
+    }
+    drawNodeLabel(nodeData);
+  }
+
+  // Draw edges on top of all nodes
+  drawEdges(
+    ctx,
+    edges,
+    drawableNodeMap,
+    scene.hierarchicalPathCache,
+    mergedStyle,
+    hoveredNodeId,
+    edgeHighlightedNodeIds,
+    Number(mergedOptions?.edges?.bundlingStrength ?? 0.97),
+    mergedOptions?.edges ?? {},
+    depthStyleCache,
+    negativeDepthNodes,
+  );
+
+  // Mark collapsed nodes on top of their stacked descendants and edges
+  if (scene.collapsedNodeIds?.size) {
+    drawCollapsedMarkers(
+      ctx,
+      countHiddenItems(
+        scene.collapsedNodeIds,
+        scene.childrenMap,
+        edges,
+        scene.excludedNodeIds,
+      ),
+      drawableNodeMap,
+      mergedStyle,
+      depthStyleCache,
+      negativeDepthNodes,
+    );
+  }
+
+  // Draw label connectors (leader lines) using destination-over compositing
+  // so they appear behind all nodes and labels.
+  if (labelLayout && labelLayout.links && labelLayout.links.length > 0) {
+    let connectorHighlightIds = null;
+    if (hoveredNodeId) {
+      connectorHighlightIds = new Set();
+      connectorHighlightIds.add(hoveredNodeId);
+      if (nodeHighlightedIds) {
+        for (const id of nodeHighlightedIds) {
+          connectorHighlightIds.add(id);
+        }
+      }
+    }
+    drawLabelConnectors(
+      ctx,
+      labelLayout.links,
+      mergedStyle,
+      labelLayout.nodesWithLabels,
+      depthStyleCache,
+      negativeDepthNodes,
+      connectorHighlightIds,
+    );
+  }
+
+  ctx.restore();
+
+  // The legend stays in place while panning
+  if (scene.legend) {
+    const { entries, width, height, options } = scene.legend;
+    drawLegend(ctx, entries, width, height, options, mergedStyle.legend);
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Edge-aware sibling ordering for CactusLayout
+ *
+ * Reorders the children of every node so that nodes connected by edges end
+ * up close to each other, which shortens bundled edges and reduces
+ * crossings. Uses barycentric sweeps: each node is moved towards the mean
+ * position of the nodes its subtree is connected to.
+ */
+
+/**
+ * @typedef {import('$lib/types.js').TreeNode} TreeNode
+ * @typedef {import('$lib/types.js').EdgeOrderingOptions} EdgeOrderingOptions
+ */
+
+/** Default number of barycentric sweeps */
+const DEFAULT_SWEEPS = 8;
+
+/**
+ * Default work budget: edge path steps and reordered children summed over
+ * all sweeps
+ */
+const DEFAULT_BUDGET = 2_000_000;
+
+/**
+ * Compute sibling ranks that shorten the edges between nodes.
+ *
+ * Nodes are placed on a line in depth-first order, each leaf taking up as
+ * much room as its weight, which mirrors their angular order in the layout.
+ * Every sweep moves each child to the mean position of the nodes outside its
+ * parent's subtree it is connected to (children without such edges keep
+ * their place), then all children are reordered at once. An edge does not
+ * pull on the two children of its lowest common ancestor that contain its
+ * ends: they attract each other, which says nothing about their order. The
+ * order with the smallest total edge length seen is returned, so the result
+ * is never worse than the initial order.
+ *
+ * The result only depends on the input: sorting is stable and ties keep the
+ * current order. Sweeps stop early when the order no longer changes or the
+ * work budget is used up; the budget is checked between sweeps, so at least
+ * one sweep runs.
+ *
+ * @param {TreeNode} root - Root of the hierarchy (with `children`)
+ * @param {Array<{source: any, target: any}>} edges - Edges between node ids
+ * @param {(childList: TreeNode[]) => TreeNode[]} orderChildren - Initial sibling order
+ * @param {(node: TreeNode) => number} getWeight - Node weight (room taken by leaves)
+ * @param {EdgeOrderingOptions} [options={}]
+ * @returns {Map<string|number, number>} Node id to rank among its siblings
+ */
+export function optimizeSiblingOrder(
+  root,
+  edges,
+  orderChildren,
+  getWeight,
+  options = {},
+) {
+  const sweeps = options.sweeps ?? DEFAULT_SWEEPS;
+  const budget = options.budget ?? DEFAULT_BUDGET;
+  let work = 0;
+
+  /** @type {Map<TreeNode, TreeNode[]>} Current child order per node */
+  const order = new Map();
+  /** @type {Map<any, TreeNode>} */
+  const nodeById = new Map();
+  /** @type {Map<TreeNode, TreeNode|null>} */
+  const parentOf = new Map();
+  /** @type {Map<TreeNode, number>} */
+  const depthOf = new Map();
+
+  /** @type {Array<[TreeNode, TreeNode|null, number]>} */
+  const stack = [[root, null, 0]];
+  while (stack.length > 0) {
+    const [node, parent, depth] =
+      /** @type {[TreeNode, TreeNode|null, number]} */ (stack.pop());
+    nodeById.set(node.id, node);
+    parentOf.set(node, parent);
+    depthOf.set(node, depth);
+
+    const children = node.children || [];
+    if (children.length > 0) {
+      order.set(node, orderChildren(children));
+      for (const child of children) stack.push([child, node, depth + 1]);
+    }
+  }
+
+  /** @type {Array<[TreeNode, TreeNode]>} */
+  const links = [];
+  for (const edge of edges || []) {
+    const source = nodeById.get(edge?.source);
+    const target = nodeById.get(edge?.target);
+    if (source && target && source !== target) links.push([source, target]);
+  }
+
+  /** @type {Map<any, number>} */
+  const ranks = new Map();
+  const writeRanks = () => {
+    for (const children of order.values()) {
+      children.forEach((child, index) => ranks.set(child.id, index));
+    }
+  };
+
+  if (links.length === 0) {
+    writeRanks();
+    return ranks;
+  }
+
+  /** @returns {Map<TreeNode, number>} Center position of every node */
+  const computePositions = () => {
+    /** @type {Map<TreeNode, number>} */
+    const positions = new Map();
+    let cursor = 0;
+
+    /** @param {TreeNode} node */
+    const visit = (node) => {
+      const children = order.get(node);
+      if (!children) {
+        const size = Math.max(getWeight(node), 0);
+        positions.set(node, cursor + size / 2);
+        cursor += size;
+        return;
+      }
+      const start = cursor;
+      for (const child of children) visit(child);
+      positions.set(node, (start + cursor) / 2);
+    };
+
+    visit(root);
+    return positions;
+  };
+
+  /** @param {Map<TreeNode, number>} positions */
+  const totalLength = (positions) => {
+    let length = 0;
+    for (const [source, target] of links) {
+      length += Math.abs(
+        /** @type {number} */ (positions.get(source)) -
+          /** @type {number} */ (positions.get(target)),
+      );
+    }
+    return length;
+  };
+
+  let positions = computePositions();
+  let bestLength = totalLength(positions);
+  let best = new Map([...order].map(([node, c]) => [node, c.slice()]));
+
+  for (let sweep = 0; sweep < sweeps; sweep++) {
+    // Sum of partner positions for every node below the children of the
+    // lowest common ancestor of each edge
+    /** @type {Map<TreeNode, {sum: number, count: number}>} */
+    const pulls = new Map();
+    /**
+     * @param {TreeNode} node
+     * @param {number} position
+     */
+    const pull = (node, position) => {
+      const entry = pulls.get(node);
+      if (entry) {
+        entry.sum += position;
+        entry.count++;
+      } else {
+        pulls.set(node, { sum: position, count: 1 });
+      }
+    };
+
+    for (const [source, target] of links) {
+      const sourcePosition = /** @type {number} */ (positions.get(source));
+      const targetPosition = /** @type {number} */ (positions.get(target));
+      const sourcePath = [];
+      const targetPath = [];
+      let a = source;
+      let b = target;
+      while (a !== b) {
+        if (
+          /** @type {number} */ (depthOf.get(a)) >=
+          /** @type {number} */ (depthOf.get(b))
+        ) {
+          sourcePath.push(a);
+          a = /** @type {TreeNode} */ (parentOf.get(a));
+        } else {
+          targetPath.push(b);
+          b = /** @type {TreeNode} */ (parentOf.get(b));
+        }
+      }
+
+      work += sourcePath.length + targetPath.length;
+      for (let i = 0; i < sourcePath.length - 1; i++) {
+        pull(sourcePath[i], targetPosition);
+      }
+      for (let i = 0; i < targetPath.length - 1; i++) {
+        pull(targetPath[i], sourcePosition);
+      }
+    }
+
+    let changed = false;
+    for (const [node, children] of order) {
+      if (children.length < 2) continue;
+      work += children.length;
+
+      const keys = new Map();
+      for (const child of children) {
+        const entry = pulls.get(child);
+        keys.set(child, entry ? entry.sum / entry.count : positions.get(child));
+      }
+
+      const sorted = children.slice().sort((a, b) => keys.get(a) - keys.get(b));
+      if (sorted.some((child, index) => child !== children[index])) {
+        order.set(node, sorted);
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+
+    positions = computePositions();
+    const length = totalLength(positions);
+    if (length < bestLength) {
+      bestLength = length;
+      best = new Map([...order].map(([node, c]) => [node, c.slice()]));
+    }
+
+    if (work > budget) break;
+  }
+
+  for (const [node, children] of best) order.set(node, children);
+  writeRanks();
+  return ranks;
+}
@@ -0,0 +1,270 @@
+/**
+ * Headless layout for CactusTree
+ *
+ * Computes what CactusTree draws, without a DOM or canvas: node positions
+ * and radii, the geometry of bundled edges, and label boxes, or the drawing
+ * itself as SVG. Runs in Node, e.g. to precompute layouts on a server, to
+ * render static images or to assert on geometry in tests.
+ *
+ * Without a 2D canvas, label widths are estimated from the font size (see
+ * measureTextWidth in canvasUtils.js).
+ */
+
+import { mergeOptions, mergeStyles, toFlatNodes } from './cactusTree.js';
+import {
+  calculateLayout,
+  buildLookupMaps,
+  getUnresolvedCollisions,
+} from './layoutUtils.js';
+import { computeEdgePath, resolveVisibleStrokeWidth } from './drawEdge.js';
+import {
+  clearLabelLayoutCache,
+  clearPreviousLabelPositions,
+  layoutLabels,
+} from './drawLabel.js';
+import { toWorkerNodes } from './layoutTransfer.js';
+import { drawTree } from './drawTree.js';
+import { SvgContext } from './svgContext.js';
+import { referenceImage } from './nodeImages.js';
+import { buildLegend, resolveLegendOptions } from './legend.js';
+import {
+  aggregateSubtrees,
+  rerouteEdges,
+  resolveLodMinRadius,
+} from './levelOfDetail.js';
+
+/**
+ * @typedef {import('$lib/types.js').HeadlessConfig} HeadlessConfig
+ * @typedef {import('$lib/types.js').LayoutResult} LayoutResult
+ */
+
+/**
+ * Lay out the nodes of a config and build the lookup maps for drawing, with
+ * small subtrees aggregated when the `lod` option is set.
+ * @param {HeadlessConfig} config
+ */
+function prepare(config) {
+  const mergedOptions = mergeOptions(config.options);
+  const mergedStyle = mergeStyles(config.styles, config.theme);
+
+  const nodes = toWorkerNodes(
+    toFlatNodes(config.nodes ?? [], mergedOptions.accessors),
+  );
+  const renderedNodes = calculateLayout(
+    config.width,
+    config.height,
+    mergedOptions.zoom,
+    nodes,
+    mergedOptions,
+    config.edges ?? [],
+    mergedStyle,
+  );
+  const lookupMaps = /** @type {any} */ (
+    buildLookupMaps(renderedNodes, mergedStyle, config.edges ?? [])
+  );
+
+  const lodMinRadius = resolveLodMinRadius(mergedOptions.lod);
+  if (lodMinRadius === null) {
+    return {
+      mergedOptions,
+      mergedStyle,
+      renderedNodes,
+      lookupMaps,
+      edges: config.edges ?? [],
+    };
+  }
+
+  const lod = aggregateSubtrees(renderedNodes, lookupMaps, lodMinRadius);
+  return {
+    mergedOptions,
+    mergedStyle,
+    renderedNodes: lod.renderedNodes,
+    lookupMaps: {
+      ...lookupMaps,
+      nodeIdToRenderedNodeMap: lod.nodeIdToRenderedNodeMap,
+      parentToChildrenNodeMap: lod.parentToChildrenNodeMap,
+    },
+    edges: rerouteEdges(config.edges ?? [], lod.aggregateIds),
+  };
+}
+
+/**
+ * Place labels from scratch rather than from an earlier layout.
+ * @param {HeadlessConfig} config
+ * @param {ReturnType<typeof prepare>} prepared
+ * @param {Set<any>} highlightedNodeIds
+ */
+function placeLabels(config, prepared, highlightedNodeIds) {
+  const { mergedOptions, mergedStyle, renderedNodes, lookupMaps } = prepared;
+
+  clearLabelLayoutCache();
+  clearPreviousLabelPositions();
+  const labelLayout = layoutLabels(
+    config.width,
+    config.height,
+    renderedNodes,
+    lookupMaps.leafNodes,
+    null,
+    highlightedNodeIds,
+    mergedStyle,
+    lookupMaps.depthStyleCache,
+    lookupMaps.negativeDepthNodes,
+    mergedOptions.numLabels,
+  );
+  clearLabelLayoutCache();
+  clearPreviousLabelPositions();
+
+  return labelLayout;
+}
+
+/**
+ * Lay out a tree like CactusTree would on a canvas of the given size, at the
+ * initial zoom and without panning, hovering or collapsed nodes.
+ *
+ * The input nodes are not modified. Edges whose ends are not laid out are
+ * left out, and `numLabels: 0` leaves out labels.
+ *
+ * @param {HeadlessConfig} config
+ * @returns {LayoutResult}
+ */
+export function layoutCactusTree(config) {
+  const prepared = prepare(config);
+  const { mergedOptions, mergedStyle, renderedNodes, lookupMaps, edges } =
+    prepared;
+  if (renderedNodes.length === 0) {
+    return { nodes: [], edges: [], labels: [], links: [] };
+  }
+
+  const {
+    nodeIdToRenderedNodeMap,
+    leafNodes,
+    depthStyleCache,
+    negativeDepthNodes,
+  } = lookupMaps;
+
+  const { bundlingStrength, edgePoint } = mergedOptions.edges;
+  /** @type {Map<string, any>} */
+  const hierarchicalPathCache = new Map();
+  /** @param {any} nodeData */
+  const strokeWidthOf = (nodeData) =>
+    edgePoint === 'perimeter'
+      ? resolveVisibleStrokeWidth(
+          nodeData,
+          null,
+          mergedStyle,
+          depthStyleCache,
+          negativeDepthNodes,
+          null,
+          null,
+        )
+      : 0;
+
+  const edgeResults = [];
+  for (const edge of edges) {
+    const sourceNode = nodeIdToRenderedNodeMap.get(edge.source);
+    const targetNode = nodeIdToRenderedNodeMap.get(edge.target);
+    if (!sourceNode || !targetNode) continue;
+
+    const { points, commands } = computeEdgePath(
+      sourceNode,
+      targetNode,
+      hierarchicalPathCache,
+      nodeIdToRenderedNodeMap,
+      bundlingStrength ?? 0.97,
+      edgePoint ?? 'center',
+      strokeWidthOf(sourceNode),
+      strokeWidthOf(targetNode),
+    );
+    edgeResults.push({
+      source: edge.source,
+      target: edge.target,
+      points,
+      path: commands,
+    });
+  }
+
+  const labelLayout = placeLabels(config, prepared, new Set());
+
+  return {
+    nodes: renderedNodes.map((nodeData) => ({
+      id: nodeData.id,
+      name: nodeData.name,
+      parent: nodeData.node.parent ?? null,
+      x: nodeData.x,
+      y: nodeData.y,
+      radius: nodeData.radius,
+      depth: nodeData.depth,
+      isLeaf: leafNodes.has(nodeData.id),
+      ...(nodeData.aggregatedCount
+        ? { aggregatedCount: nodeData.aggregatedCount }
+        : {}),
+    })),
+    edges: edgeResults,
+    labels: (labelLayout?.labels ?? []).map((label) => ({
+      nodeId: label.nodeId,
+      text: label.text,
+      x: label.x,
+      y: label.y,
+      width: label.width,
+      height: label.height,
+      isInside: label.isInside,
+    })),
+    links: (labelLayout?.links ?? []).map((link) => ({
+      nodeId: link.nodeId,
+      x1: link.x1,
+      y1: link.y1,
+      x2: link.x2,
+      y2: link.y2,
+    })),
+    ...(mergedOptions.avoidCollisions
+      ? { unresolvedCollisions: getUnresolvedCollisions() }
+      : {}),
+  };
+}
+
+/**
+ * Render a tree to an SVG document like CactusTree would draw it on a canvas
+ * of the given size, at the initial zoom and without panning, hovering or
+ * collapsed nodes. The input nodes are not modified.
+ *
+ * @param {HeadlessConfig} config
+ * @returns {string}
+ */
+export function renderSVG(config) {
+  const prepared = prepare(config);
+  const { mergedOptions, mergedStyle, renderedNodes, lookupMaps, edges } =
+    prepared;
+  const ctx = new SvgContext(config.width, config.height);
+  if (renderedNodes.length === 0) return ctx.toSVG();
+  const legendOptions = resolveLegendOptions(mergedOptions.legend);
+
+  drawTree(
+    /** @type {any} */ (ctx),
+    {
+      drawableNodes: renderedNodes,
+      drawableNodeMap: lookupMaps.nodeIdToRenderedNodeMap,
+      visibleNodes: renderedNodes,
+      childrenMap: lookupMaps.parentToChildrenNodeMap,
+      edges,
+      hierarchicalPathCache: new Map(),
+      leafNodes: lookupMaps.leafNodes,
+      mergedStyle,
+      mergedOptions,
+      depthStyleCache: lookupMaps.depthStyleCache,
+      negativeDepthNodes: lookupMaps.negativeDepthNodes,
+      hoveredNodeId: null,
+      renderNode: config.renderNode ?? null,
+      loadImage: referenceImage,
+      panX: 0,
+      panY: 0,
+      legend: legendOptions && {
+        entries: buildLegend(mergedStyle),
+        width: config.width,
+        height: config.height,
+        options: legendOptions,
+      },
+    },
+    (highlightedNodeIds) => placeLabels(config, prepared, highlightedNodeIds),
+  );
+  return ctx.toSVG();
+}
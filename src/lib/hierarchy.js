@@ -0,0 +1,121 @@
+/**
+ * Nested hierarchy input for CactusTree
+ *
+ * Converts nested data ({ name, children }, as used by d3-hierarchy) into the
+ * flat { id, name, parent } node array the layout, lookup maps and collapse
+ * logic work with.
+ */
+
+/**
+ * @typedef {import('$lib/types.js').HierarchyAccessors} HierarchyAccessors
+ */
+
+/**
+ * Create a getter from a property name or accessor function.
+ * @param {string | ((datum: any) => any) | undefined} accessor
+ * @param {string} fallback - Property name used when no accessor is given
+ * @returns {(datum: any) => any}
+ */
+function createGetter(accessor, fallback) {
+  if (typeof accessor === 'function') return accessor;
+  const key = accessor ?? fallback;
+  return (datum) => datum?.[key];
+}
+
+/**
+ * Escape the characters path ids are built with in a name, so that names
+ * cannot produce the path of another node.
+ * @param {any} name
+ * @returns {string}
+ */
+function escapePathSegment(name) {
+  return String(name).replace(/[\\/#]/g, '\\$&');
+}
+
+/**
+ * Whether the input is nested rather than a flat node array: a single root
+ * object, or an array of root objects where at least one has children.
+ * Arrays of nodes with a `parent` are flat, even if the layout has linked
+ * them to their `children` already.
+ * @param {any} input
+ * @param {HierarchyAccessors} [accessors={}]
+ * @returns {boolean}
+ */
+export function isNestedInput(input, accessors = {}) {
+  if (!input || typeof input !== 'object') return false;
+  if (!Array.isArray(input)) return true;
+  if (input.some((datum) => datum?.parent !== undefined)) return false;
+
+  const getChildren = createGetter(accessors.children, 'children');
+  return input.some((datum) => Array.isArray(getChildren(datum)));
+}
+
+/**
+ * Flatten nested input into an array of { id, name, parent } nodes in
+ * pre-order. All other properties of each datum (e.g. `weight`) are kept;
+ * the input itself is not modified.
+ *
+ * Data without an id gets a path id built from the names along its ancestor
+ * chain, e.g. `'root/a/c'`. Siblings with equal names are told apart by a
+ * `#<index>` suffix. `/`, `#` and `\` in names are escaped with a backslash
+ * (a root named `'a/b'` gets `'a\/b'`), so path ids are unique and stay
+ * stable across updates that do not rename or reorder the data.
+ *
+ * @param {any} input - Root object, or array of root objects
+ * @param {HierarchyAccessors} [accessors={}] - Property names or functions for id, name and children
+ * @returns {Array<any>} Flat node array
+ */
+export function flattenHierarchy(input, accessors = {}) {
+  const getId = createGetter(accessors.id, 'id');
+  const getName = createGetter(accessors.name, 'name');
+  const getChildren = createGetter(accessors.children, 'children');
+  const childrenKey =
+    typeof accessors.children === 'function'
+      ? null
+      : (accessors.children ?? 'children');
+
+  const nodes = [];
+  const roots = Array.isArray(input) ? input : input ? [input] : [];
+
+  /** @type {Array<{ datum: any, parent: string|number|null, path: string }>} */
+  const stack = [];
+
+  /**
+   * Push children in reverse so they are popped (and emitted) in order.
+   * @param {any[]} data
+   * @param {string|number|null} parent
+   * @param {string} parentPath
+   */
+  const pushSiblings = (data, parent, parentPath) => {
+    /** @type {Set<string>} */
+    const usedPaths = new Set();
+    const entries = data.map((datum, index) => {
+      const name = getName(datum);
+      let path = `${parentPath}${name == null ? index : escapePathSegment(name)}`;
+      if (usedPaths.has(path)) path = `${path}#${index}`;
+      usedPaths.add(path);
+      return { datum, parent, path };
+    });
+    for (let i = entries.length - 1; i >= 0; i--) stack.push(entries[i]);
+  };
+
+  pushSiblings(roots, null, '');
+
+  while (stack.length > 0) {
+    const { datum, parent, path } = /** @type {any} */ (stack.pop());
+
+    const explicitId = getId(datum);
+    const id = explicitId ?? path;
+
+    const node = { ...datum, id, name: getName(datum) ?? '', parent };
+    if (childrenKey) delete node[childrenKey];
+    nodes.push(node);
+
+    const children = getChildren(datum);
+    if (Array.isArray(children) && children.length > 0) {
+      pushSiblings(children, id, `${path}/`);
+    }
+  }
+
+  return nodes;
+}
@@ -3,6 +3,8 @@
  * Handles smart label placement to avoid overlaps and provide readable text layout
  */
 
+import { createMeasureCanvas, measureTextWidth } from './canvasUtils.js';
+
 /**
  * Represents a text label with position and dimensions
  */
@@ -608,12 +610,14 @@ export class LabelPositioner {
     // Preserved label positions from previous frame (keyed by node ID)
     this.preservedPositions = options.preservedPositions || null;
 
-    // Create canvas context for text measurement
-    this.canvas = document.createElement('canvas');
-    this.ctx = /** @type {CanvasRenderingContext2D} */ (
-      this.canvas.getContext('2d')
+    // Create canvas context for text measurement (an OffscreenCanvas when
+    // there is no document, e.g. in a worker; without either, e.g. in Node,
+    // widths are estimated)
+    this.canvas = createMeasureCanvas();
+    this.ctx = /** @type {CanvasRenderingContext2D | null} */ (
+      this.canvas?.getContext('2d') ?? null
     );
-    this.ctx.font = `${fontSize}px ${fontFamily}`;
+    if (this.ctx) this.ctx.font = `${fontSize}px ${fontFamily}`;
   }
 
   /**
@@ -969,11 +973,7 @@ export class LabelPositioner {
   measureTextWidth(/** @type {string} */ text, /** @type {number} */ padding) {
     const p =
       typeof padding === 'number' ? padding : (this.options.labelPadding ?? 0);
-    return (
-      /** @type {CanvasRenderingContext2D} */ (this.ctx).measureText(text)
-        .width +
-      p * 2
-    );
+    return measureTextWidth(this.ctx, text, this.fontSize) + p * 2;
   }
 
   /**
@@ -1189,10 +1189,10 @@ export class LabelPositioner {
    */
   dispose() {
     if (this.canvas) {
-      this.canvas.remove();
-      this.canvas = /** @type {any} */ (null);
-      this.ctx = /** @type {any} */ (null);
+      if ('remove' in this.canvas) this.canvas.remove();
+      this.canvas = null;
     }
+    this.ctx = null;
   }
 }
 
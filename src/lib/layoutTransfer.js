@@ -0,0 +1,251 @@
+/**
+ * Layout transfer for the CactusTree worker mode
+ *
+ * Packs layout and label results into typed arrays that can be transferred
+ * from a worker without copying, and unpacks them on the main thread against
+ * its own node objects. Nodes are referenced by their index in the flat node
+ * array both sides share.
+ */
+
+/** Values per node in a packed layout: x, y, radius, depth, overlap */
+const LAYOUT_STRIDE = 5;
+
+/** Values per label: node index, x, y, width, height, isInside, anchor x, anchor y, anchor radius */
+const LABEL_STRIDE = 9;
+
+/** Values per label link: node index, x1, y1, x2, y2, length, configured link length */
+const LINK_STRIDE = 7;
+
+/**
+ * @typedef {{ order: Int32Array, geometry: Float64Array }} PackedLayout
+ * @typedef {{ nodes: Int32Array, labels: Float64Array, links: Float64Array, labelMinFontSize: number, labelMaxFontSize: number }} PackedLabelLayout
+ */
+
+/**
+ * Copy nodes for posting to a worker, without the `children` and
+ * `parentRef` links the layout adds to them.
+ * @param {any[]} nodes - Flat node array
+ * @returns {any[]}
+ */
+export function toWorkerNodes(nodes) {
+  return (nodes || []).map((node) => {
+    const copy = { ...node };
+    delete copy.children;
+    delete copy.parentRef;
+    return copy;
+  });
+}
+
+/**
+ * Pack rendered nodes into typed arrays.
+ * @param {any[]} renderedNodes - Result of calculateLayout
+ * @param {Map<any, number>} indexByNode - Node object to its index in the flat node array
+ * @returns {PackedLayout}
+ */
+export function packLayout(renderedNodes, indexByNode) {
+  const order = new Int32Array(renderedNodes.length);
+  const geometry = new Float64Array(renderedNodes.length * LAYOUT_STRIDE);
+
+  renderedNodes.forEach((nodeData, i) => {
+    const offset = i * LAYOUT_STRIDE;
+    order[i] = indexByNode.get(nodeData.node) ?? -1;
+    geometry[offset] = nodeData.x;
+    geometry[offset + 1] = nodeData.y;
+    geometry[offset + 2] = nodeData.radius;
+    geometry[offset + 3] = nodeData.depth;
+    geometry[offset + 4] = nodeData.overlap ?? NaN;
+  });
+
+  return { order, geometry };
+}
+
+/**
+ * Rebuild rendered nodes from a packed layout, referencing the given nodes.
+ * Like the layout on the main thread, this links every node to its
+ * children (`node.children`).
+ * @param {PackedLayout} packed
+ * @param {any[]} nodes - Flat node array the layout was computed from
+ * @returns {any[]} Rendered nodes, in the same shape calculateLayout returns
+ */
+export function unpackLayout(packed, nodes) {
+  const { order, geometry } = packed;
+
+  /** @type {Map<any, any>} */
+  const nodeById = new Map();
+  for (const node of nodes) {
+    node.children = [];
+    nodeById.set(node.id, node);
+  }
+  for (const node of nodes) {
+    if (node.parent) nodeById.get(node.parent)?.children.push(node);
+  }
+
+  const renderedNodes = [];
+  for (let i = 0; i < order.length; i++) {
+    const node = nodes[order[i]];
+    if (!node) continue;
+
+    const offset = i * LAYOUT_STRIDE;
+    const overlap = geometry[offset + 4];
+    renderedNodes.push({
+      id: node.id != null ? node.id : '',
+      x: geometry[offset],
+      y: geometry[offset + 1],
+      depth: geometry[offset + 3],
+      radius: geometry[offset + 2],
+      overlap: Number.isNaN(overlap) ? undefined : overlap,
+      name: node.name != null ? node.name : '',
+      node,
+    });
+  }
+
+  return renderedNodes;
+}
+
+/**
+ * Pack a label layout (see computeLabelLayout) into typed arrays.
+ * @param {{labels:any[],links:any[],nodesWithLabels:any[],labelMinFontSize:number,labelMaxFontSize:number}|null} labelLayout
+ * @param {Map<any, number>} indexById - Node id to its index in the flat node array
+ * @returns {PackedLabelLayout|null}
+ */
+export function packLabelLayout(labelLayout, indexById) {
+  if (!labelLayout) return null;
+
+  /** @param {any} id */
+  const indexOf = (id) => indexById.get(id) ?? -1;
+
+  const nodes = Int32Array.from(labelLayout.nodesWithLabels, (nodeData) =>
+    indexOf(nodeData.node.id),
+  );
+
+  const labels = new Float64Array(labelLayout.labels.length * LABEL_STRIDE);
+  labelLayout.labels.forEach((label, i) => {
+    labels.set(
+      [
+        indexOf(label.nodeId),
+        label.x,
+        label.y,
+        label.width,
+        label.height,
+        label.isInside ? 1 : 0,
+        label.anchor?.x ?? NaN,
+        label.anchor?.y ?? NaN,
+        label.anchor?.radius ?? NaN,
+      ],
+      i * LABEL_STRIDE,
+    );
+  });
+
+  const links = new Float64Array(labelLayout.links.length * LINK_STRIDE);
+  labelLayout.links.forEach((link, i) => {
+    links.set(
+      [
+        indexOf(link.nodeId),
+        link.x1,
+        link.y1,
+        link.x2,
+        link.y2,
+        link.length,
+        link.configuredLinkLength ?? NaN,
+      ],
+      i * LINK_STRIDE,
+    );
+  });
+
+  return {
+    nodes,
+    labels,
+    links,
+    labelMinFontSize: labelLayout.labelMinFontSize,
+    labelMaxFontSize: labelLayout.labelMaxFontSize,
+  };
+}
+
+/**
+ * Rebuild a label layout from its packed form. `nodesWithLabels` refers to
+ * the given rendered nodes; their label styles still need to be attached
+ * (see decorateLabelNodes). Labels of nodes that are no longer rendered are
+ * dropped.
+ * @param {PackedLabelLayout|null} packed
+ * @param {any[]} nodes - Flat node array
+ * @param {Map<any, any>} nodeIdToRenderedNodeMap - Node id to rendered node
+ * @returns {{labels:any[],links:any[],nodesWithLabels:any[],labelMinFontSize:number,labelMaxFontSize:number}|null}
+ */
+export function unpackLabelLayout(packed, nodes, nodeIdToRenderedNodeMap) {
+  if (!packed) return null;
+
+  /** @param {number} index */
+  const nodeAt = (index) => nodes[index];
+
+  const nodesWithLabels = [];
+  for (const index of packed.nodes) {
+    const nodeData = nodeIdToRenderedNodeMap.get(nodeAt(index)?.id);
+    if (nodeData) nodesWithLabels.push(nodeData);
+  }
+
+  const labels = [];
+  for (let offset = 0; offset < packed.labels.length; offset += LABEL_STRIDE) {
+    const node = nodeAt(packed.labels[offset]);
+    if (!node || !nodeIdToRenderedNodeMap.has(node.id)) continue;
+    labels.push({
+      nodeId: node.id,
+      text: node.name || node.id,
+      x: packed.labels[offset + 1],
+      y: packed.labels[offset + 2],
+      width: packed.labels[offset + 3],
+      height: packed.labels[offset + 4],
+      anchor: {
+        x: packed.labels[offset + 6],
+        y: packed.labels[offset + 7],
+        radius: packed.labels[offset + 8],
+      },
+      isInside: packed.labels[offset + 5] === 1,
+    });
+  }
+
+  const links = [];
+  for (let offset = 0; offset < packed.links.length; offset += LINK_STRIDE) {
+    const node = nodeAt(packed.links[offset]);
+    if (!node || !nodeIdToRenderedNodeMap.has(node.id)) continue;
+    const configuredLinkLength = packed.links[offset + 6];
+    links.push({
+      nodeId: node.id,
+      x1: packed.links[offset + 1],
+      y1: packed.links[offset + 2],
+      x2: packed.links[offset + 3],
+      y2: packed.links[offset + 4],
+      length: packed.links[offset + 5],
+      configuredLinkLength: Number.isNaN(configuredLinkLength)
+        ? undefined
+        : configuredLinkLength,
+    });
+  }
+
+  return {
+    labels,
+    links,
+    nodesWithLabels,
+    labelMinFontSize: packed.labelMinFontSize,
+    labelMaxFontSize: packed.labelMaxFontSize,
+  };
+}
+
+/**
+ * Buffers of all typed arrays in the given packed results, to pass as the
+ * transfer list of postMessage.
+ * @param {...(PackedLayout|PackedLabelLayout|null)} packed
+ * @returns {ArrayBuffer[]}
+ */
+export function transferables(...packed) {
+  /** @type {ArrayBuffer[]} */
+  const buffers = [];
+  for (const result of packed) {
+    if (!result) continue;
+    for (const value of Object.values(result)) {
+      if (ArrayBuffer.isView(value)) {
+        buffers.push(/** @type {ArrayBuffer} */ (value.buffer));
+      }
+    }
+  }
+  return buffers;
+}
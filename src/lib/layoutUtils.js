@@ -4,11 +4,39 @@
  */
 
 import { CactusLayout } from './cactusLayout.js';
-import { expandWildcardDepths } from './colorScale.js';
+import { expandWildcardDepths, prepareFieldColorScales } from './colorScale.js';
+import { resolveLabelSettings } from './drawLabel.js';
+import { createMeasureCanvas, measureTextWidth } from './canvasUtils.js';
 
 /** @type {CactusLayout | null} */
 let _sharedLayout = null;
 
+/** @type {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null | undefined} */
+let _measureContext;
+
+/**
+ * Create a function that measures the outer label of a node, padding
+ * included, like LabelPositioner does.
+ * @param {{labelFontFamily: string, labelFontSize: number, labelPadding: number}} settings
+ * @returns {(node: any) => {width: number, height: number}}
+ */
+function createLabelMeasure(settings) {
+  const { labelFontFamily, labelFontSize, labelPadding } = settings;
+
+  if (_measureContext === undefined) {
+    _measureContext = createMeasureCanvas()?.getContext('2d') ?? null;
+  }
+  const ctx = _measureContext;
+  if (ctx) ctx.font = `${labelFontSize}px ${labelFontFamily}`;
+
+  return (node) => ({
+    width:
+      measureTextWidth(ctx, String(node.name || node.id || ''), labelFontSize) +
+      labelPadding * 2,
+    height: labelFontSize + labelPadding * 2,
+  });
+}
+
 /**
  * Calculates the layout using CactusLayout
  *
@@ -16,7 +44,9 @@ let _sharedLayout = null;
  * @param {number} height - Canvas height
  * @param {number} layoutZoom - Layout zoom level (already combined zoom)
  * @param {Array<any>} nodes - Array of node objects (each: { id, name, parent, weight? })
- * @param {{ overlap:number, arcSpan:number, sizeGrowthRate:number, orientation:number, zoom:number }} mergedOptions - Merged options object
+ * @param {{ overlap:import('$lib/types.js').LayoutParameter, arcSpan:import('$lib/types.js').LayoutParameter, sizeGrowthRate:import('$lib/types.js').LayoutParameter, orientation:number, zoom:number, depths?: import('$lib/types.js').LayoutDepth[], sizing?: import('$lib/types.js').SizingOptions, forest?: 'hidden'|'pack', ordering?: import('$lib/types.js').Ordering, edgeOrdering?: boolean|import('$lib/types.js').EdgeOrderingOptions, avoidCollisions?: boolean|import('$lib/types.js').CollisionOptions, fit?: import('$lib/types.js').FitMode|import('$lib/types.js').FitOptions, numLabels?: number }} mergedOptions - Merged options object
+ * @param {Array<{source: any, target: any}>} [edges=[]] - Edges, used by edge-aware sibling ordering
+ * @param {any} [mergedStyle=null] - Merged style, used to measure labels when `fit.labels` is set
  * @returns {Array<any>} Array of rendered node data
  */
 export function calculateLayout(
@@ -25,6 +55,8 @@ export function calculateLayout(
   layoutZoom,
   nodes,
   mergedOptions,
+  edges = [],
+  mergedStyle = null,
 ) {
   if (!nodes?.length) {
     return [];
@@ -54,6 +86,33 @@ export function calculateLayout(
   cactusLayout.overlap = mergedOptions.overlap;
   cactusLayout.arcSpan = mergedOptions.arcSpan;
   cactusLayout.sizeGrowthRate = mergedOptions.sizeGrowthRate;
+  cactusLayout.depths = mergedOptions.depths ?? [];
+  cactusLayout.sizing = mergedOptions.sizing ?? null;
+  cactusLayout.forest = mergedOptions.forest ?? null;
+  cactusLayout.ordering = mergedOptions.ordering ?? 'weight-center';
+  cactusLayout.edgeOrdering =
+    mergedOptions.edgeOrdering === true
+      ? {}
+      : mergedOptions.edgeOrdering || null;
+  cactusLayout.edges = edges;
+  cactusLayout.avoidCollisions =
+    mergedOptions.avoidCollisions === true
+      ? {}
+      : mergedOptions.avoidCollisions || null;
+
+  const fit =
+    typeof mergedOptions.fit === 'string'
+      ? { mode: mergedOptions.fit }
+      : mergedOptions.fit || null;
+  cactusLayout.fit = fit;
+  cactusLayout.measureLabel = null;
+  if (fit?.labels) {
+    const settings = resolveLabelSettings(mergedStyle);
+    cactusLayout.measureLabel = createLabelMeasure(settings);
+    cactusLayout.labelOffset =
+      settings.labelPadding + settings.linkPadding + settings.linkLength;
+    cactusLayout.labelCount = mergedOptions.numLabels ?? 20;
+  }
 
   // Get NodeData objects from the layout and convert them to the lightweight
   // RenderedNode shape expected by the rest of the component (id, x, y, depth, radius, name).
@@ -75,6 +134,7 @@ export function calculateLayout(
       y: nd.y,
       depth: nd.depth,
       radius: nd.radius,
+      overlap: nd.overlap,
       name: nodeObj.name != null ? nodeObj.name : '',
       // Keep original node reference for consumers that need full metadata
       node: nodeObj,
@@ -84,6 +144,15 @@ export function calculateLayout(
   return renderedNodes;
 }
 
+/**
+ * Sibling subtrees that still collided in the last calculateLayout call, as
+ * pairs of subtree root ids. Empty unless `avoidCollisions` is set.
+ * @returns {Array<[any, any]>}
+ */
+export function getUnresolvedCollisions() {
+  return _sharedLayout?.unresolvedCollisions ?? [];
+}
+
 /**
  * Computes zoom limits directly from already-rendered nodes, avoiding a redundant layout pass.
  * The rendered nodes include the interactive zoom factor, so we divide it out to get base radii.
@@ -162,9 +231,10 @@ function setupParentReferences(renderedNodes) {
  * Builds lookup maps for efficient node and hierarchy operations
  * @param {Array<any>} renderedNodes - Array of rendered node data
  * @param {{ depths?: Array<any> }} mergedStyle - Merged styles object
+ * @param {Array<any>} [edges=[]] - Edges, for the domains of edge color scales
  * @returns {Object} Object containing all lookup maps and metadata
  */
-export function buildLookupMaps(renderedNodes, mergedStyle) {
+export function buildLookupMaps(renderedNodes, mergedStyle, edges = []) {
   // Ensure parent references are properly set up
   const nodesWithRefs = setupParentReferences(renderedNodes);
   // Create lookup maps for performance
@@ -230,6 +300,16 @@ export function buildLookupMaps(renderedNodes, mergedStyle) {
   // Store expanded depths back for resolveDepthStyle to iterate in order
   mergedStyle.depths = expandedDepths;
 
+  // Fit field and branch color scales to the current data
+  prepareFieldColorScales(
+    mergedStyle,
+    nodesWithRefs.map((nodeData) => nodeData.node),
+    edges,
+    new Map(
+      nodesWithRefs.map((nodeData) => [nodeData.node.id, nodeData.depth]),
+    ),
+  );
+
   // Calculate negative depth mappings
   negativeDepthNodes.set(-1, new Set(leafNodes));
 
@@ -0,0 +1,138 @@
+/**
+ * Layout worker for CactusTree
+ *
+ * Runs calculateLayout, buildLookupMaps and label placement (simulated
+ * annealing) off the main thread. Results are posted back as typed arrays in
+ * the transfer list (see layoutTransfer.js).
+ *
+ * Messages:
+ * - { type: 'data', version, nodes, edges } - replace the nodes and edges
+ * - { type: 'layout', width, height, layoutZoom, options, style, labels } -
+ *   lay out and, if `labels` is given, place labels; answered with
+ *   { type: 'layout', version, layout, labels, collisions }
+ * - { type: 'labels', labels } - place labels on the last layout; answered
+ *   with { type: 'labels', version, labels }
+ *
+ * Answers carry the version of the data they were computed from, so results
+ * for replaced data can be dropped.
+ *
+ * `labels` describes the viewport: { width, height, hoveredNodeId,
+ * highlightedNodeIds, excludedNodeIds, numLabels, panX, panY }.
+ */
+
+import {
+  calculateLayout,
+  buildLookupMaps,
+  getUnresolvedCollisions,
+} from './layoutUtils.js';
+import { clearLabelLayoutCache, layoutLabels } from './drawLabel.js';
+import {
+  packLayout,
+  packLabelLayout,
+  transferables,
+} from './layoutTransfer.js';
+
+const state = {
+  version: -1,
+  /** @type {any[]} */
+  nodes: [],
+  /** @type {any[]} */
+  edges: [],
+  /** @type {Map<any, number>} */
+  indexByNode: new Map(),
+  /** @type {Map<any, number>} */
+  indexById: new Map(),
+  /** @type {any[]} */
+  renderedNodes: [],
+  /** @type {any} */
+  lookupMaps: null,
+  /** @type {any} */
+  style: null,
+};
+
+/**
+ * Place labels on the last layout and pack the result.
+ * @param {any} spec - Viewport description
+ */
+function placeLabels(spec) {
+  if (!spec || !state.lookupMaps) return null;
+
+  const excluded = new Set(spec.excludedNodeIds || []);
+  const visibleNodes =
+    excluded.size > 0
+      ? state.renderedNodes.filter((nodeData) => !excluded.has(nodeData.id))
+      : state.renderedNodes;
+
+  const labelLayout = layoutLabels(
+    spec.width,
+    spec.height,
+    visibleNodes,
+    state.lookupMaps.leafNodes,
+    spec.hoveredNodeId,
+    new Set(spec.highlightedNodeIds || []),
+    state.style,
+    state.lookupMaps.depthStyleCache,
+    state.lookupMaps.negativeDepthNodes,
+    spec.numLabels,
+    spec.panX,
+    spec.panY,
+  );
+
+  return packLabelLayout(labelLayout, state.indexById);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'data') {
+    state.version = message.version;
+    state.nodes = message.nodes;
+    state.edges = message.edges;
+    state.indexByNode = new Map(state.nodes.map((node, i) => [node, i]));
+    state.indexById = new Map(state.nodes.map((node, i) => [node.id, i]));
+    state.renderedNodes = [];
+    state.lookupMaps = null;
+    return;
+  }
+
+  if (message.type === 'layout') {
+    clearLabelLayoutCache();
+    state.style = message.style;
+    state.renderedNodes = calculateLayout(
+      message.width,
+      message.height,
+      message.layoutZoom,
+      state.nodes,
+      message.options,
+      state.edges,
+      state.style,
+    );
+    state.lookupMaps = buildLookupMaps(
+      state.renderedNodes,
+      state.style,
+      state.edges,
+    );
+
+    const layout = packLayout(state.renderedNodes, state.indexByNode);
+    const labels = placeLabels(message.labels);
+    self.postMessage(
+      {
+        type: 'layout',
+        version: state.version,
+        layout,
+        labels,
+        collisions: getUnresolvedCollisions(),
+      },
+      { transfer: transferables(layout, labels) },
+    );
+    return;
+  }
+
+  if (message.type === 'labels') {
+    const labels = placeLabels(message.labels);
+    self.postMessage(
+      { type: 'labels', version: state.version, labels },
+      { transfer: transferables(labels) },
+    );
+  }
+};
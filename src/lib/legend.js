@@ -0,0 +1,331 @@
+/**
+ * Legends for CactusTree
+ *
+ * Derives what the colors of a tree mean from its resolved style and draws
+ * it in a corner of the canvas. There are three kinds of entries:
+ *
+ * - `depths`: a swatch per depth with a fill or stroke color, from the
+ *   depth styles (wildcard entries already expanded)
+ * - `gradient`: a gradient bar over the domain of a field color scale
+ * - `categories`: a key per branch of a branch color scale
+ *
+ * The entries are plain data (see getLegend), so they can also be rendered
+ * as HTML. Drawing only uses paths and text, so legends also appear in SVG
+ * exports.
+ */
+
+import { colorWithAlpha } from './canvasUtils.js';
+import {
+  getFieldColorScales,
+  getInterpolator,
+  isBranchColorScale,
+} from './colorScale.js';
+
+/** @typedef {import('$lib/types.js').LegendEntry} LegendEntry */
+/** @typedef {import('$lib/types.js').LegendOptions} LegendOptions */
+/** @typedef {import('$lib/types.js').LegendPosition} LegendPosition */
+/** @typedef {{ depth: number, label: string, fillColor?: string, strokeColor?: string }} DepthSwatch */
+
+/** Default corner of the canvas the legend is drawn in */
+export const DEFAULT_LEGEND_POSITION = 'bottom-right';
+
+/** Default distance (px) of the legend from the canvas edges */
+export const DEFAULT_LEGEND_MARGIN = 10;
+
+/** Default number of swatches or keys drawn per entry */
+export const DEFAULT_LEGEND_MAX_ITEMS = 10;
+
+/** Number of colors a gradient is sampled at */
+const GRADIENT_STOPS = 32;
+
+/** Width (px) of gradient bars */
+const GRADIENT_WIDTH = 100;
+
+/** Default `legend` style group */
+export const DEFAULT_LEGEND_STYLE = {
+  textColor: '#333333',
+  fontFamily: 'monospace',
+  fontSize: 10,
+  backgroundColor: '#ffffff',
+  backgroundOpacity: 0.8,
+  padding: 6,
+  swatchSize: 10,
+};
+
+/**
+ * Drawing settings of the `legend` option, or null when it is off.
+ * @param {boolean | LegendOptions | undefined} legend
+ * @returns {{ position: LegendPosition, margin: number, maxItems: number }|null}
+ */
+export function resolveLegendOptions(legend) {
+  if (!legend) return null;
+  const options = legend === true ? {} : legend;
+  return {
+    position: options.position ?? DEFAULT_LEGEND_POSITION,
+    margin: options.margin ?? DEFAULT_LEGEND_MARGIN,
+    maxItems: options.maxItems ?? DEFAULT_LEGEND_MAX_ITEMS,
+  };
+}
+
+/**
+ * Legend entries for a merged style whose wildcard depths have been expanded
+ * and whose color scales have been prepared (see buildLookupMaps): depth
+ * swatches first, then the field and branch color scales in the order they
+ * appear in the style.
+ * @param {any} mergedStyle
+ * @returns {LegendEntry[]}
+ */
+export function buildLegend(mergedStyle) {
+  /** @type {LegendEntry[]} */
+  const entries = [];
+
+  const depths = depthSwatches(mergedStyle?.depths ?? []);
+  if (depths.length) {
+    entries.push({ type: 'depths', title: 'Depth', items: depths });
+  }
+
+  for (const [spec, scale] of getFieldColorScales(mergedStyle) ?? []) {
+    const colorScale = /** @type {import('$lib/types.js').ColorScale} */ (spec);
+    if (isBranchColorScale(colorScale)) {
+      if (!scale.branches?.length) continue;
+      entries.push({
+        type: 'categories',
+        title: colorScale.label ?? 'Branch',
+        items: scale.branches.map(({ id, name, color }) => ({
+          id,
+          label: name,
+          color,
+        })),
+      });
+      continue;
+    }
+
+    const found = getInterpolator(colorScale.scale);
+    const domain = scale.domain;
+    if (!found || !domain || !domain.every(Number.isFinite)) continue;
+    /** @type {string[]} */
+    const colors = [];
+    for (let i = 0; i < GRADIENT_STOPS; i++) {
+      const t = i / (GRADIENT_STOPS - 1);
+      colors.push(found.interpolator(colorScale.reverse ? 1 - t : t));
+    }
+    entries.push({
+      type: 'gradient',
+      title:
+        colorScale.label ??
+        (typeof colorScale.field === 'string' ? colorScale.field : 'Value'),
+      colors,
+      domain,
+      scaleType: colorScale.type ?? 'linear',
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * One swatch per depth with a constant node fill or stroke color, merged
+ * like resolveDepthStyle merges several entries for the same depth.
+ * @param {any[]} depths
+ * @returns {DepthSwatch[]}
+ */
+function depthSwatches(depths) {
+  /** @type {Map<number, DepthSwatch>} */
+  const swatches = new Map();
+  for (const entry of depths) {
+    if (typeof entry?.depth !== 'number') continue;
+    const { fillColor, strokeColor } = entry.node ?? {};
+    const hasFill = typeof fillColor === 'string';
+    const hasStroke = typeof strokeColor === 'string';
+    if (!hasFill && !hasStroke) continue;
+
+    /** @type {DepthSwatch} */
+    const swatch = swatches.get(entry.depth) ?? {
+      depth: entry.depth,
+      label: entry.depth === -1 ? 'Leaves' : `Depth ${entry.depth}`,
+    };
+    if (hasFill) swatch.fillColor = fillColor;
+    if (hasStroke) swatch.strokeColor = strokeColor;
+    swatches.set(entry.depth, swatch);
+  }
+  return [...swatches.values()];
+}
+
+/**
+ * Draw legend entries in a corner of a width x height canvas, in screen
+ * coordinates. Entries with more than `maxItems` swatches or keys end with
+ * a "+n more" line.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {LegendEntry[]} entries
+ * @param {number} width
+ * @param {number} height
+ * @param {{ position: LegendPosition, margin: number, maxItems: number }} options - See resolveLegendOptions
+ * @param {any} [legendStyle] - The `legend` style group
+ */
+export function drawLegend(ctx, entries, width, height, options, legendStyle) {
+  if (!ctx || !entries.length) return;
+  const style = { ...DEFAULT_LEGEND_STYLE, ...(legendStyle ?? {}) };
+  const { fontSize, padding, swatchSize } = style;
+  const lineHeight = Math.max(fontSize, swatchSize) + 4;
+  const font = `${fontSize}px ${style.fontFamily}`;
+  const titleFont = `bold ${font}`;
+
+  ctx.save();
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+
+  // Lines to draw, measured before placing the box
+  /** @type {Array<{ kind: 'title'|'item'|'more'|'gradient'|'range', entry: LegendEntry, text?: string, item?: any }>} */
+  const lines = [];
+  for (const entry of entries) {
+    lines.push({ kind: 'title', entry, text: entry.title });
+    if (entry.type === 'gradient') {
+      lines.push({ kind: 'gradient', entry });
+      lines.push({ kind: 'range', entry });
+      continue;
+    }
+    const items = /** @type {any[]} */ (entry.items);
+    for (const item of items.slice(0, options.maxItems)) {
+      lines.push({ kind: 'item', entry, item, text: item.label });
+    }
+    if (items.length > options.maxItems) {
+      lines.push({
+        kind: 'more',
+        entry,
+        text: `+${items.length - options.maxItems} more`,
+      });
+    }
+  }
+
+  let contentWidth = 0;
+  for (const line of lines) {
+    if (line.kind === 'gradient' || line.kind === 'range') {
+      contentWidth = Math.max(contentWidth, GRADIENT_WIDTH);
+      continue;
+    }
+    ctx.font = line.kind === 'title' ? titleFont : font;
+    const textWidth = ctx.measureText(line.text ?? '').width;
+    const indent = line.kind === 'title' ? 0 : swatchSize + 4;
+    contentWidth = Math.max(contentWidth, indent + textWidth);
+  }
+
+  const boxWidth = contentWidth + padding * 2;
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const [vertical, horizontal] = options.position.split('-');
+  const left =
+    horizontal === 'left' ? options.margin : width - options.margin - boxWidth;
+  const top =
+    vertical === 'top' ? options.margin : height - options.margin - boxHeight;
+
+  ctx.fillStyle = colorWithAlpha(
+    style.backgroundColor,
+    style.backgroundOpacity,
+  );
+  fillRect(ctx, left, top, boxWidth, boxHeight);
+
+  const x = left + padding;
+  let y = top + padding;
+  for (const line of lines) {
+    const middle = y + lineHeight / 2;
+    if (line.kind === 'gradient' && line.entry.type === 'gradient') {
+      drawGradientBar(
+        ctx,
+        line.entry.colors,
+        x,
+        middle - swatchSize / 2,
+        swatchSize,
+      );
+    } else if (line.kind === 'range' && line.entry.type === 'gradient') {
+      const [min, max] = line.entry.domain;
+      ctx.font = font;
+      ctx.fillStyle = style.textColor;
+      ctx.textAlign = 'left';
+      ctx.fillText(formatValue(min), x, middle);
+      ctx.textAlign = 'right';
+      ctx.fillText(formatValue(max), x + GRADIENT_WIDTH, middle);
+      ctx.textAlign = 'left';
+    } else {
+      let textX = x;
+      if (line.kind === 'item') {
+        const { fillColor, strokeColor, color } = line.item;
+        const swatchY = middle - swatchSize / 2;
+        if (color ?? fillColor) {
+          ctx.fillStyle = color ?? fillColor;
+          fillRect(ctx, x, swatchY, swatchSize, swatchSize);
+        }
+        if (strokeColor) {
+          ctx.strokeStyle = strokeColor;
+          ctx.lineWidth = 1;
+          rectPath(ctx, x + 0.5, swatchY + 0.5, swatchSize - 1, swatchSize - 1);
+          ctx.stroke();
+        }
+        textX += swatchSize + 4;
+      } else if (line.kind === 'more') {
+        textX += swatchSize + 4;
+      }
+      ctx.font = line.kind === 'title' ? titleFont : font;
+      ctx.fillStyle = style.textColor;
+      ctx.fillText(line.text ?? '', textX, middle);
+    }
+    y += lineHeight;
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draw a horizontal gradient bar as one band per color.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string[]} colors - Colors at evenly spaced stops, left to right
+ * @param {number} x
+ * @param {number} y
+ * @param {number} height
+ */
+function drawGradientBar(ctx, colors, x, y, height) {
+  const bandWidth = GRADIENT_WIDTH / colors.length;
+  colors.forEach((color, i) => {
+    ctx.fillStyle = color;
+    // Overlap the next band slightly so no seams show between bands
+    const overlap = i < colors.length - 1 ? 0.5 : 0;
+    fillRect(ctx, x + i * bandWidth, y, bandWidth + overlap, height);
+  });
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function rectPath(ctx, x, y, width, height) {
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + width, y);
+  ctx.lineTo(x + width, y + height);
+  ctx.lineTo(x, y + height);
+  ctx.closePath();
+}
+
+/**
+ * Fill a rectangle as a path (SvgContext has no fillRect).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function fillRect(ctx, x, y, width, height) {
+  rectPath(ctx, x, y, width, height);
+  ctx.fill();
+}
+
+/**
+ * Short label for a domain value.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isInteger(value)) return String(value);
+  return String(Number(value.toPrecision(3)));
+}
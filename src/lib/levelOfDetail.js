@@ -0,0 +1,175 @@
+/**
+ * Level of detail for CactusTree
+ *
+ * Replaces subtrees that are drawn smaller than a given on-screen radius with
+ * a single aggregate circle, and reroutes edges of their nodes to the
+ * aggregate. Since the layout is recomputed on zoom, aggregated subtrees
+ * expand again as they grow past the radius.
+ *
+ * Pure utility functions; the rendered nodes and lookup maps passed in are
+ * not modified.
+ */
+
+/** Default on-screen radius (px) below which subtrees are aggregated */
+export const DEFAULT_LOD_MIN_RADIUS = 2;
+
+/**
+ * On-screen radius below which subtrees are aggregated, or null when the
+ * `lod` option is off.
+ * @param {boolean | import('$lib/types.js').LodOptions | undefined} lod
+ * @returns {number|null}
+ */
+export function resolveLodMinRadius(lod) {
+  if (!lod) return null;
+  if (lod === true) return DEFAULT_LOD_MIN_RADIUS;
+  return lod.minRadius ?? DEFAULT_LOD_MIN_RADIUS;
+}
+
+/**
+ * Aggregate the topmost subtrees whose extent (half the larger side of the
+ * bounding box of their circles) is below `minRadius`. Leaves are never
+ * aggregated.
+ *
+ * An aggregate is a copy of the subtree root's rendered node, centered on
+ * the bounding box, with the extent as radius and `aggregatedCount` set to
+ * the number of nodes it stands for. Lookup maps are returned without the
+ * hidden descendants and with the aggregates in place of their roots.
+ *
+ * @param {any[]} renderedNodes - Result of calculateLayout, parents before children
+ * @param {{ nodeIdToRenderedNodeMap: Map<any, any>, parentToChildrenNodeMap: Map<any, any[]> }} lookupMaps
+ * @param {number} minRadius
+ * @returns {{ renderedNodes: any[], nodeIdToRenderedNodeMap: Map<any, any>, parentToChildrenNodeMap: Map<any, any[]>, aggregateIds: Map<any, any> }}
+ *   `aggregateIds` maps every aggregated node id (root included) to the id of its aggregate
+ */
+export function aggregateSubtrees(renderedNodes, lookupMaps, minRadius) {
+  const { nodeIdToRenderedNodeMap, parentToChildrenNodeMap } = lookupMaps;
+  /** @type {Map<any, any>} */
+  const aggregateIds = new Map();
+
+  if (!(minRadius > 0) || renderedNodes.length === 0) {
+    return {
+      renderedNodes,
+      nodeIdToRenderedNodeMap,
+      parentToChildrenNodeMap,
+      aggregateIds,
+    };
+  }
+
+  // Bounding boxes and node counts of all subtrees, children first
+  /** @type {Map<any, { minX: number, minY: number, maxX: number, maxY: number, count: number }>} */
+  const extents = new Map();
+  for (let i = renderedNodes.length - 1; i >= 0; i--) {
+    const { id, x, y, radius } = renderedNodes[i];
+    const extent = {
+      minX: x - radius,
+      minY: y - radius,
+      maxX: x + radius,
+      maxY: y + radius,
+      count: 1,
+    };
+    for (const child of parentToChildrenNodeMap.get(id) ?? []) {
+      const childExtent = extents.get(child.id);
+      if (!childExtent) continue;
+      extent.minX = Math.min(extent.minX, childExtent.minX);
+      extent.minY = Math.min(extent.minY, childExtent.minY);
+      extent.maxX = Math.max(extent.maxX, childExtent.maxX);
+      extent.maxY = Math.max(extent.maxY, childExtent.maxY);
+      extent.count += childExtent.count;
+    }
+    extents.set(id, extent);
+  }
+
+  /** @type {Map<any, any>} Aggregate by subtree root id */
+  const aggregates = new Map();
+  for (const nodeData of renderedNodes) {
+    const parentId = nodeData.node?.parent;
+    if (parentId != null && aggregateIds.has(parentId)) {
+      aggregateIds.set(nodeData.id, aggregateIds.get(parentId));
+      continue;
+    }
+
+    const extent = /** @type {any} */ (extents.get(nodeData.id));
+    const radius =
+      Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY) / 2;
+    if (extent.count < 2 || radius >= minRadius) continue;
+
+    aggregateIds.set(nodeData.id, nodeData.id);
+    aggregates.set(nodeData.id, {
+      ...nodeData,
+      x: (extent.minX + extent.maxX) / 2,
+      y: (extent.minY + extent.maxY) / 2,
+      radius,
+      aggregatedCount: extent.count,
+    });
+  }
+
+  if (aggregates.size === 0) {
+    return {
+      renderedNodes,
+      nodeIdToRenderedNodeMap,
+      parentToChildrenNodeMap,
+      aggregateIds,
+    };
+  }
+
+  /** @param {any} nodeData */
+  const visible = (nodeData) =>
+    aggregates.get(nodeData.id) ??
+    (aggregateIds.has(nodeData.id) ? null : nodeData);
+
+  const visibleNodes = [];
+  for (const nodeData of renderedNodes) {
+    const shown = visible(nodeData);
+    if (shown) visibleNodes.push(shown);
+  }
+
+  /** @type {Map<any, any[]>} */
+  const visibleChildren = new Map();
+  for (const [parentId, children] of parentToChildrenNodeMap) {
+    if (aggregateIds.has(parentId)) continue;
+    visibleChildren.set(
+      parentId,
+      children.map(visible).filter((nodeData) => nodeData !== null),
+    );
+  }
+
+  return {
+    renderedNodes: visibleNodes,
+    nodeIdToRenderedNodeMap: new Map(
+      visibleNodes.map((nodeData) => [nodeData.id, nodeData]),
+    ),
+    parentToChildrenNodeMap: visibleChildren,
+    aggregateIds,
+  };
+}
+
+/**
+ * Reroute edges of aggregated nodes to their aggregates. Edges inside an
+ * aggregate are dropped, and rerouted edges between the same ends are
+ * merged into the first of them.
+ * @param {any[]} edges
+ * @param {Map<any, any>} aggregateIds - See aggregateSubtrees
+ * @returns {any[]}
+ */
+export function rerouteEdges(edges, aggregateIds) {
+  if (!edges || aggregateIds.size === 0) return edges;
+
+  const rerouted = [];
+  /** @type {Set<string>} */
+  const seen = new Set();
+  for (const edge of edges) {
+    const source = aggregateIds.get(edge.source) ?? edge.source;
+    const target = aggregateIds.get(edge.target) ?? edge.target;
+    if (source === edge.source && target === edge.target) {
+      rerouted.push(edge);
+      continue;
+    }
+    if (source === target) continue;
+
+    const key = `${source}\u0000${target}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    rerouted.push({ ...edge, source, target });
+  }
+  return rerouted;
+}
@@ -0,0 +1,149 @@
+/**
+ * Images inside nodes for CactusTree
+ *
+ * A node shows an image (an icon, avatar or photo) from its `image` property,
+ * or from the `image.value` style accessor. Images are clipped to the node
+ * circle and drawn once the node is at least `image.minRadius` large.
+ *
+ * URLs are loaded asynchronously and cached by ImageCache; ImageBitmaps and
+ * other canvas image sources are drawn as they are.
+ */
+
+import { readStyleProp } from './drawNode.js';
+import { resolveNodeStyles } from './styleAccessors.js';
+
+/**
+ * @typedef {import('$lib/types.js').Accessor} Accessor
+ */
+
+/**
+ * @typedef {Object} NodeImage
+ * @property {any} image - Loaded image, or an `{ src }` reference for SVG export
+ * @property {number} padding - Inset from the node circle in px
+ * @property {number} opacity
+ */
+
+/** Default on-screen radius (px) from which images are drawn */
+export const DEFAULT_IMAGE_MIN_RADIUS = 8;
+
+/**
+ * Image source of a node: a URL, an ImageBitmap or another canvas image
+ * source, or null when the node has none.
+ * @param {any} node
+ * @param {Accessor} [accessor='image']
+ * @returns {any}
+ */
+export function getImageSource(node, accessor = 'image') {
+  const source =
+    typeof accessor === 'function' ? accessor(node) : node?.[accessor];
+  return source === undefined || source === '' ? null : source;
+}
+
+/**
+ * Image reference for SVG export: URLs are referenced as they are, without
+ * loading them first, so images also appear in headless exports.
+ * @param {any} source
+ * @returns {any}
+ */
+export function referenceImage(source) {
+  return typeof source === 'string' ? { src: source } : source;
+}
+
+/**
+ * Image to draw in a node with its style, or null when the node has no image,
+ * is smaller than `minRadius`, or its image has not loaded yet.
+ * @param {any} nodeData - Rendered node ({ x, y, radius, depth, node, ... })
+ * @param {any} mergedStyle
+ * @param {Map<any, any>} depthStyleCache
+ * @param {Map<any, any>} negativeDepthNodes
+ * @param {(source: any) => any} loadImage - Loaded image for a source, or null
+ * @returns {NodeImage|null}
+ */
+export function resolveNodeImage(
+  nodeData,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+  loadImage,
+) {
+  const { radius, node, depth } = nodeData;
+  const { style, depthStyle } = resolveNodeStyles(
+    node,
+    depth,
+    mergedStyle,
+    depthStyleCache,
+    negativeDepthNodes,
+  );
+  /** @param {string} prop @param {any} defaultValue */
+  const read = (prop, defaultValue) =>
+    readStyleProp(depthStyle, style, 'image', prop, defaultValue);
+
+  if (radius < read('minRadius', DEFAULT_IMAGE_MIN_RADIUS)) return null;
+
+  const source = getImageSource(node, read('value', 'image'));
+  if (source === null) return null;
+  const image = loadImage(source);
+  if (!image) return null;
+
+  return { image, padding: read('padding', 0), opacity: read('opacity', 1) };
+}
+
+/**
+ * Cache of images loaded from URLs. Images are requested with CORS first,
+ * so drawing them keeps the canvas exportable (e.g. with `toDataURL`), and
+ * without it when the server does not allow CORS.
+ */
+export class ImageCache {
+  /**
+   * @param {() => void} onLoad - Called whenever an image has loaded
+   */
+  constructor(onLoad) {
+    this._onLoad = onLoad;
+    /** @type {Map<string, { image: HTMLImageElement|null }>} */
+    this._entries = new Map();
+  }
+
+  /**
+   * Loaded image for a source. URLs start loading on first request and are
+   * null until loaded (or when they fail to load); other sources are
+   * returned as they are.
+   * @param {any} source
+   * @returns {any}
+   */
+  get(source) {
+    if (typeof source !== 'string') return source ?? null;
+    const entry = this._entries.get(source);
+    if (entry) return entry.image;
+    this._load(source, true);
+    return null;
+  }
+
+  /** Forget all images, including those still loading. */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * @param {string} url
+   * @param {boolean} cors
+   */
+  _load(url, cors) {
+    /** @type {{ image: HTMLImageElement|null }} */
+    const entry = { image: null };
+    this._entries.set(url, entry);
+    if (typeof Image === 'undefined') return;
+
+    const image = new Image();
+    if (cors) image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      if (this._entries.get(url) !== entry) return;
+      entry.image = image;
+      this._onLoad();
+    };
+    image.onerror = () => {
+      if (this._entries.get(url) !== entry) return;
+      if (cors) this._load(url, false);
+    };
+    image.src = url;
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Data-driven styles for CactusTree
+ *
+ * Any style value can be a function of the data instead of a constant.
+ * Node, edge node, label, link and image styles are called with
+ * `(node, depth)`, edge styles with `(edge)`. Nodes and edges can also carry
+ * a `style` of their own:
+ *
+ * - a node's `style` has the shape of a `styles.depths` entry (without
+ *   `depth`) and is merged over the depth styles matching the node
+ * - an edge's `style` has the shape of the `edge` group and is merged over
+ *   the global and depth edge styles
+ *
+ * Highlight styles still take precedence over both while highlighted.
+ * Field and branch color scales (`{ scale, field }` and `{ scale, branch }`,
+ * see colorScale.js) are evaluated like functions.
+ *
+ * Evaluated node styles are cached per node id in the depthStyleCache, which
+ * is rebuilt with every layout, so style functions run once per node and
+ * layout rather than on every frame. Edge styles are cached per edge.
+ */
+
+import {
+  getFieldColorScales,
+  isDataColorScale,
+  resolveFieldColor,
+} from './colorScale.js';
+import { resolveDepthStyle } from './drawNode.js';
+
+/**
+ * Keys that are not evaluated for nodes: edge groups take the edge, the
+ * depths are resolved separately and `image.value` is an accessor itself.
+ */
+const NODE_SKIP_KEYS = new Set(['depths', 'edge', 'value']);
+
+const NO_SKIP_KEYS = new Set();
+
+/**
+ * Style objects known to hold no functions, by the keys skipped
+ * @type {WeakMap<Set<string>, WeakSet<object>>}
+ */
+const constantStyles = new WeakMap();
+
+/** @type {WeakMap<object, any>} */
+const edgeStyleCache = new WeakMap();
+
+/**
+ * Whether a value is a plain style object (not an array or an image).
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isStyleObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Evaluate the function values and data color scales of a style object with
+ * the given arguments, at any level of nesting. The style is returned as it
+ * is when it holds neither, so unchanged groups keep their identity.
+ * @param {any} style
+ * @param {any[]} args - Arguments of the style functions; field color scales map the first
+ * @param {Set<string>} [skipKeys] - Keys left as they are
+ * @param {Map<object, any>} [scales] - Prepared field color scales (see prepareFieldColorScales)
+ * @param {boolean} [isEdge=false] - Whether the style is evaluated for an edge
+ * @returns {any}
+ */
+export function evaluateStyle(
+  style,
+  args,
+  skipKeys = NO_SKIP_KEYS,
+  scales = undefined,
+  isEdge = false,
+) {
+  if (!isStyleObject(style)) return style;
+  let constants = constantStyles.get(skipKeys);
+  if (!constants) {
+    constants = new WeakSet();
+    constantStyles.set(skipKeys, constants);
+  }
+  if (constants.has(style)) return style;
+
+  let result = style;
+  for (const key of Object.keys(style)) {
+    if (skipKeys.has(key)) continue;
+    const value = style[key];
+    const evaluated =
+      typeof value === 'function'
+        ? value(...args)
+        : isDataColorScale(value)
+          ? resolveFieldColor(value, args[0], scales, isEdge)
+          : evaluateStyle(value, args, skipKeys, scales, isEdge);
+    if (evaluated === value) continue;
+    if (result === style) result = { ...style };
+    result[key] = evaluated;
+  }
+
+  if (result === style) constants.add(style);
+  return result;
+}
+
+/**
+ * Deep-merge a style over another, group by group.
+ * @param {any} base
+ * @param {any} override
+ * @returns {any}
+ */
+function mergeStyle(base, override) {
+  if (!isStyleObject(base) || !isStyleObject(override)) {
+    return override === undefined ? base : override;
+  }
+  /** @type {Record<string, any>} */
+  const merged = { ...base };
+  for (const key of Object.keys(override)) {
+    merged[key] = mergeStyle(base[key], override[key]);
+  }
+  return merged;
+}
+
+/**
+ * Global and depth styles of a node with style functions evaluated for it
+ * and its own `style` merged into the depth style. Read them like
+ * `mergedStyle` and the result of resolveDepthStyle.
+ * @param {any} node
+ * @param {number} depth
+ * @param {any} mergedStyle
+ * @param {Map<any, any>|null} depthStyleCache - Results are cached here by node id
+ * @param {Map<any, any>|null} negativeDepthNodes
+ * @returns {{ style: any, depthStyle: any }}
+ */
+export function resolveNodeStyles(
+  node,
+  depth,
+  mergedStyle,
+  depthStyleCache,
+  negativeDepthNodes,
+) {
+  const scales = getFieldColorScales(mergedStyle);
+  const cached = depthStyleCache?.get(node.id);
+  if (
+    cached &&
+    cached.mergedStyle === mergedStyle &&
+    cached.scales === scales &&
+    cached.depth === depth &&
+    cached.nodeStyle === node.style
+  ) {
+    return cached.styles;
+  }
+
+  const args = [node, depth];
+  const depthStyle = resolveDepthStyle(
+    depth,
+    node.id,
+    mergedStyle,
+    depthStyleCache ?? new Map(),
+    negativeDepthNodes ?? new Map(),
+  );
+  const styles = {
+    style: evaluateStyle(mergedStyle, args, NODE_SKIP_KEYS, scales),
+    depthStyle: evaluateStyle(
+      node.style ? mergeStyle(depthStyle ?? {}, node.style) : depthStyle,
+      args,
+      NODE_SKIP_KEYS,
+      scales,
+    ),
+  };
+
+  depthStyleCache?.set(node.id, {
+    mergedStyle,
+    scales,
+    depth,
+    nodeStyle: node.style,
+    styles,
+  });
+  return styles;
+}
+
+/**
+ * Base and highlight style of an edge: the global `edge` group, the depth
+ * edge style and the edge's own `style` (last wins), and the global and
+ * depth highlight edge styles, with style functions evaluated for the edge.
+ * @param {any} edge
+ * @param {any} mergedStyle
+ * @param {any} depthStyle - Depth style of the edge (see drawEdge)
+ * @returns {{ edge: Record<string, any>, highlight: Record<string, any> }}
+ */
+export function resolveEdgeStyles(edge, mergedStyle, depthStyle) {
+  const globalEdge = mergedStyle?.edge;
+  const depthEdge = depthStyle?.edge;
+  const globalHighlight = mergedStyle?.highlight?.edge;
+  const depthHighlight = depthStyle?.highlight?.edge;
+  const scales = getFieldColorScales(mergedStyle);
+
+  const cached = edgeStyleCache.get(edge);
+  if (
+    cached &&
+    cached.scales === scales &&
+    cached.globalEdge === globalEdge &&
+    cached.depthEdge === depthEdge &&
+    cached.globalHighlight === globalHighlight &&
+    cached.depthHighlight === depthHighlight &&
+    cached.edgeStyle === edge.style
+  ) {
+    return cached.styles;
+  }
+
+  const args = [edge];
+  const styles = {
+    edge: {
+      ...evaluateStyle(globalEdge, args, NO_SKIP_KEYS, scales, true),
+      ...evaluateStyle(depthEdge, args, NO_SKIP_KEYS, scales, true),
+      ...evaluateStyle(edge.style, args, NO_SKIP_KEYS, scales, true),
+    },
+    highlight: {
+      ...evaluateStyle(globalHighlight, args, NO_SKIP_KEYS, scales, true),
+      ...evaluateStyle(depthHighlight, args, NO_SKIP_KEYS, scales, true),
+    },
+  };
+
+  edgeStyleCache.set(edge, {
+    scales,
+    globalEdge,
+    depthEdge,
+    globalHighlight,
+    depthHighlight,
+    edgeStyle: edge.style,
+    styles,
+  });
+  return styles;
+}
@@ -0,0 +1,485 @@
+/**
+ * SVG rendering context for CactusTree
+ *
+ * Implements the part of CanvasRenderingContext2D the draw functions use and
+ * records what is drawn as SVG elements, so the same code that paints the
+ * canvas can export SVG. Runs without a DOM.
+ *
+ * Supported: save/restore, translate/scale, paths of lines, quadratic curves
+ * and arcs (full circles become <circle> elements), closePath, stroke, fill,
+ * clip, drawImage (scaled to a box), fillText, measureText, globalAlpha and
+ * 'destination-over' compositing. clearRect clears everything drawn so far.
+ */
+
+import { createMeasureCanvas, measureTextWidth } from './canvasUtils.js';
+
+const FONT_PATTERN = /^(?:(\S+)\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/;
+
+const TEXT_ANCHORS = /** @type {Record<string, string>} */ ({
+  left: 'start',
+  start: 'start',
+  center: 'middle',
+  right: 'end',
+  end: 'end',
+});
+
+const DOMINANT_BASELINES = /** @type {Record<string, string|null>} */ ({
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  alphabetic: null,
+  ideographic: 'ideographic',
+  bottom: 'text-after-edge',
+});
+
+/** @type {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null | undefined} */
+let _measureContext;
+
+/**
+ * Escape text for use in XML content and attribute values.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** @param {number} value */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Split a CSS color into an opaque color and its alpha, so rgba() colors
+ * become a color plus an SVG opacity attribute.
+ * @param {string} color
+ * @returns {{ color: string, alpha: number }}
+ */
+function splitAlpha(color) {
+  const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(
+    String(color).trim(),
+  );
+  if (!match) return { color: String(color), alpha: 1 };
+  const alpha = Number(match[4]);
+  return {
+    color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`,
+    alpha: Number.isFinite(alpha) ? alpha : 1,
+  };
+}
+
+/**
+ * Parse a canvas font string such as `bold 12px monospace`.
+ * @param {string} font
+ * @returns {{ weight: string|null, size: number, family: string }}
+ */
+function parseFont(font) {
+  const match = FONT_PATTERN.exec(String(font).trim());
+  if (!match) return { weight: null, size: 10, family: 'sans-serif' };
+  return { weight: match[1] ?? null, size: Number(match[2]), family: match[3] };
+}
+
+/**
+ * Serialize attributes, leaving out null and undefined values.
+ * @param {Record<string, string|number|null|undefined>} attributes
+ */
+function formatAttributes(attributes) {
+  let result = '';
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined) continue;
+    const text = typeof value === 'number' ? formatNumber(value) : value;
+    result += ` ${name}="${escapeXml(text)}"`;
+  }
+  return result;
+}
+
+/** @type {WeakMap<object, string|null>} Data URLs of encoded images */
+const _dataUrls = new WeakMap();
+
+/**
+ * URL an image can be referenced by in SVG, or null.
+ * @param {any} image
+ * @returns {string|null}
+ */
+function imageHref(image) {
+  if (!image) return null;
+  if (typeof image.src === 'string') return image.src || null;
+  if (_dataUrls.has(image)) return _dataUrls.get(image) ?? null;
+
+  /** @type {string|null} */
+  let href = null;
+  if (typeof document !== 'undefined' && image.width > 0 && image.height > 0) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    try {
+      canvas.getContext('2d')?.drawImage(image, 0, 0);
+      href = canvas.toDataURL('image/png');
+    } catch {
+      // Cross-origin images cannot be encoded
+    }
+  }
+  _dataUrls.set(image, href);
+  return href;
+}
+
+export class SvgContext {
+  /**
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    /** Size stand-in for code that reads `ctx.canvas` */
+    this.canvas = { width, height };
+
+    this.strokeStyle = '#000000';
+    this.fillStyle = '#000000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    /** @type {CanvasTextAlign} */
+    this.textAlign = 'start';
+    /** @type {CanvasTextBaseline} */
+    this.textBaseline = 'alphabetic';
+    // Like setupCanvas does for the canvas
+    /** @type {CanvasLineCap} */
+    this.lineCap = 'round';
+    /** @type {CanvasLineJoin} */
+    this.lineJoin = 'round';
+    /** @type {GlobalCompositeOperation} */
+    this.globalCompositeOperation = 'source-over';
+    this.imageSmoothingEnabled = true;
+    /** @type {ImageSmoothingQuality} */
+    this.imageSmoothingQuality = 'high';
+
+    /** Current transform: x' = scale * x + translateX */
+    this._transform = { scale: 1, translateX: 0, translateY: 0 };
+    /** @type {any[]} */
+    this._stack = [];
+    /** @type {string[]} Path data of the current path */
+    this._path = [];
+    /** @type {{ cx: number, cy: number, r: number } | null} The current path when it is a single circle */
+    this._circle = null;
+    /** @type {string[]} */
+    this._elements = [];
+    /** @type {string|null} Id of the clip path elements are clipped to */
+    this._clipId = null;
+    this._clipCount = 0;
+  }
+
+  // ── State ─────────────────────────────────────────────────────────────────
+
+  save() {
+    this._stack.push({
+      strokeStyle: this.strokeStyle,
+      fillStyle: this.fillStyle,
+      lineWidth: this.lineWidth,
+      globalAlpha: this.globalAlpha,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      globalCompositeOperation: this.globalCompositeOperation,
+      _transform: { ...this._transform },
+      _clipId: this._clipId,
+    });
+  }
+
+  restore() {
+    const state = this._stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  translate(x, y) {
+    const t = this._transform;
+    t.translateX += t.scale * x;
+    t.translateY += t.scale * y;
+  }
+
+  /**
+   * Uniform scaling only: the vertical factor is ignored.
+   * @param {number} x
+   */
+  scale(x) {
+    this._transform.scale *= x;
+  }
+
+  // ── Paths ─────────────────────────────────────────────────────────────────
+
+  beginPath() {
+    this._path = [];
+    this._circle = null;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  moveTo(x, y) {
+    this._circle = null;
+    this._path.push(`M${this._point(x, y)}`);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  lineTo(x, y) {
+    this._circle = null;
+    this._path.push(`L${this._point(x, y)}`);
+  }
+
+  /**
+   * @param {number} cpx
+   * @param {number} cpy
+   * @param {number} x
+   * @param {number} y
+   */
+  quadraticCurveTo(cpx, cpy, x, y) {
+    this._circle = null;
+    this._path.push(`Q${this._point(cpx, cpy)} ${this._point(x, y)}`);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {number} startAngle
+   * @param {number} endAngle
+   * @param {boolean} [counterclockwise]
+   */
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const t = this._transform;
+    const cx = t.scale * x + t.translateX;
+    const cy = t.scale * y + t.translateY;
+    const r = t.scale * radius;
+    const sweep = counterclockwise
+      ? startAngle - endAngle
+      : endAngle - startAngle;
+
+    if (sweep >= 2 * Math.PI) {
+      this._circle = this._path.length === 0 ? { cx, cy, r } : null;
+      // Two half arcs, for when the circle is part of a longer path
+      this._path.push(
+        `M${formatNumber(cx + r)},${formatNumber(cy)}`,
+        `A${formatNumber(r)},${formatNumber(r)} 0 1,1 ${formatNumber(cx - r)},${formatNumber(cy)}`,
+        `A${formatNumber(r)},${formatNumber(r)} 0 1,1 ${formatNumber(cx + r)},${formatNumber(cy)}`,
+      );
+      return;
+    }
+
+    this._circle = null;
+    const start = `${formatNumber(cx + r * Math.cos(startAngle))},${formatNumber(cy + r * Math.sin(startAngle))}`;
+    const end = `${formatNumber(cx + r * Math.cos(endAngle))},${formatNumber(cy + r * Math.sin(endAngle))}`;
+    const largeArc = Math.abs(sweep) % (2 * Math.PI) > Math.PI ? 1 : 0;
+    this._path.push(
+      `${this._path.length === 0 ? 'M' : 'L'}${start}`,
+      `A${formatNumber(r)},${formatNumber(r)} 0 ${largeArc},${counterclockwise ? 0 : 1} ${end}`,
+    );
+  }
+
+  closePath() {
+    if (this._path.length === 0) return;
+    this._circle = null;
+    this._path.push('Z');
+  }
+
+  stroke() {
+    if (this._path.length === 0 || !(this.lineWidth > 0)) return;
+    const { color, alpha } = splitAlpha(this.strokeStyle);
+    this._addShape({
+      fill: 'none',
+      stroke: color,
+      'stroke-opacity': this._opacity(alpha),
+      'stroke-width': this.lineWidth * this._transform.scale,
+      'stroke-linecap': this.lineCap === 'butt' ? null : this.lineCap,
+      'stroke-linejoin': this.lineJoin === 'miter' ? null : this.lineJoin,
+    });
+  }
+
+  fill() {
+    if (this._path.length === 0) return;
+    const { color, alpha } = splitAlpha(this.fillStyle);
+    this._addShape({ fill: color, 'fill-opacity': this._opacity(alpha) });
+  }
+
+  /**
+   * Clip what is drawn next to the current path, within the current clip,
+   * until the state is restored.
+   */
+  clip() {
+    if (this._path.length === 0) return;
+    const id = `cactuz-clip-${++this._clipCount}`;
+    const shape = this._shapeElement({});
+    this._elements.push(
+      `<clipPath${formatAttributes({ id, 'clip-path': this._clipUrl() })}>${shape}</clipPath>`,
+    );
+    this._clipId = id;
+  }
+
+  // ── Images ────────────────────────────────────────────────────────────────
+
+  /**
+   * Draw an image scaled to a box. The image is referenced by its `src`
+   * (image elements and `{ src }` references), or embedded as a PNG data
+   * URL when a canvas is available to encode it; otherwise it is left out.
+   * @param {any} image
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  drawImage(image, x, y, width, height) {
+    const href = imageHref(image);
+    if (!href) return;
+    const t = this._transform;
+    this._add(
+      `<image${formatAttributes({
+        href,
+        x: t.scale * x + t.translateX,
+        y: t.scale * y + t.translateY,
+        width: t.scale * width,
+        height: t.scale * height,
+        preserveAspectRatio: 'xMidYMid slice',
+        opacity: this._opacity(1),
+        'clip-path': this._clipUrl(),
+      })}/>`,
+    );
+  }
+
+  // ── Text ──────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   */
+  fillText(text, x, y) {
+    const t = this._transform;
+    const { weight, size, family } = parseFont(this.font);
+    const { color, alpha } = splitAlpha(this.fillStyle);
+    const attributes = formatAttributes({
+      x: t.scale * x + t.translateX,
+      y: t.scale * y + t.translateY,
+      'font-family': family,
+      'font-size': size * t.scale,
+      'font-weight': weight && weight !== 'normal' ? weight : null,
+      'text-anchor': TEXT_ANCHORS[this.textAlign] ?? null,
+      'dominant-baseline': DOMINANT_BASELINES[this.textBaseline] ?? null,
+      fill: color,
+      'fill-opacity': this._opacity(alpha),
+      'clip-path': this._clipUrl(),
+    });
+    this._add(`<text${attributes}>${escapeXml(text)}</text>`);
+  }
+
+  /**
+   * Width of a text in the current font, measured on a canvas when one is
+   * available and estimated otherwise (see measureTextWidth).
+   * @param {string} text
+   * @returns {{ width: number }}
+   */
+  measureText(text) {
+    if (_measureContext === undefined) {
+      _measureContext = createMeasureCanvas()?.getContext('2d') ?? null;
+    }
+    if (_measureContext) _measureContext.font = this.font;
+    return {
+      width: measureTextWidth(_measureContext, text, parseFont(this.font).size),
+    };
+  }
+
+  // ── Canvas ────────────────────────────────────────────────────────────────
+
+  /**
+   * Clears everything drawn so far, whatever the rectangle: the draw
+   * functions only clear the whole canvas.
+   */
+  clearRect() {
+    this._elements = [];
+  }
+
+  /**
+   * The recorded drawing as an SVG document.
+   * @returns {string}
+   */
+  toSVG() {
+    const attributes = formatAttributes({
+      xmlns: 'http://www.w3.org/2000/svg',
+      width: this.width,
+      height: this.height,
+      viewBox: `0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}`,
+    });
+    const content = this._elements.map((element) => `${element}\n`).join('');
+    return `<svg${attributes}>\n${content}</svg>`;
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  _point(x, y) {
+    const t = this._transform;
+    return `${formatNumber(t.scale * x + t.translateX)},${formatNumber(t.scale * y + t.translateY)}`;
+  }
+
+  /**
+   * Opacity attribute for a color alpha combined with globalAlpha, or null
+   * when opaque.
+   * @param {number} alpha
+   */
+  _opacity(alpha) {
+    const opacity = Math.min(1, Math.max(0, alpha * this.globalAlpha));
+    return opacity === 1 ? null : opacity;
+  }
+
+  /** Clip path reference for the current clip, or null */
+  _clipUrl() {
+    return this._clipId ? `url(#${this._clipId})` : null;
+  }
+
+  /**
+   * The current path as a <circle> or <path> element.
+   * @param {Record<string, string|number|null>} paint
+   */
+  _shapeElement(paint) {
+    const shape = this._circle
+      ? formatAttributes({
+          cx: this._circle.cx,
+          cy: this._circle.cy,
+          r: this._circle.r,
+        })
+      : formatAttributes({ d: this._path.join(' ') });
+    const tag = this._circle ? 'circle' : 'path';
+    return `<${tag}${shape}${formatAttributes(paint)}/>`;
+  }
+
+  /**
+   * Add the current path as a <circle> or <path> element.
+   * @param {Record<string, string|number|null>} paint
+   */
+  _addShape(paint) {
+    this._add(this._shapeElement({ ...paint, 'clip-path': this._clipUrl() }));
+  }
+
+  /** @param {string} element */
+  _add(element) {
+    if (this.globalCompositeOperation === 'destination-over') {
+      this._elements.unshift(element);
+    } else {
+      this._elements.push(element);
+    }
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * Built-in themes for CactusTree
+ *
+ * A theme is a `styles` object. The `theme` config key takes the name of a
+ * built-in theme or a styles object, and the `styles` are deep-merged over
+ * it (see extendTheme). Every theme has a dark variant (`magmaDark`, ...)
+ * for trees drawn on a dark background such as #1e1e1e.
+ *
+ * The light themes are also served as JSON by the demo site
+ * (static/styles/*.json); keep both in sync.
+ */
+
+import { isColorScale } from './colorScale.js';
+
+/** @typedef {import('$lib/types.js').Styles} Styles */
+/** @typedef {import('$lib/types.js').ThemeName} ThemeName */
+
+/** @type {Styles} The library's default styles */
+const DEFAULT = {};
+
+/** @type {Styles} */
+const CLASSIC = {
+  node: {
+    fillColor: '#efefef',
+    fillOpacity: 1,
+    strokeColor: '#aaaaaa',
+    strokeOpacity: 1,
+    strokeWidth: 0,
+  },
+  edge: { strokeColor: '#efefef', strokeOpacity: 0.2, strokeWidth: 1 },
+  edgeNode: { fillOpacity: 1, strokeOpacity: 1 },
+  label: {
+    inner: {
+      textColor: '#efefef',
+      textOpacity: 1,
+      fontFamily: 'monospace',
+      fontWeight: 'normal',
+      minFontSize: 9,
+      maxFontSize: 14,
+    },
+    outer: {
+      textColor: '#333333',
+      textOpacity: 1,
+      fontFamily: 'monospace',
+      fontWeight: 'normal',
+      fontSize: 9,
+      padding: 1,
+      link: {
+        strokeColor: '#cccccc',
+        strokeOpacity: 1,
+        strokeWidth: 1,
+        padding: 0,
+        length: 5,
+      },
+    },
+  },
+  link: { strokeColor: '#aaaaaa', strokeOpacity: 1, strokeWidth: 1 },
+  highlight: {
+    node: {
+      fillOpacity: 0.8,
+      strokeColor: '#333333',
+      strokeOpacity: 1,
+      strokeWidth: 1,
+    },
+    edge: { strokeColor: '#ea575a', strokeOpacity: 1, strokeWidth: 1 },
+    edgeNode: { fillColor: '#ffbbb7', strokeColor: '#ea575a' },
+    label: {
+      inner: { textColor: '#efefef', textOpacity: 1, fontWeight: 'bold' },
+      outer: { textColor: '#333333', textOpacity: 1, fontWeight: 'normal' },
+    },
+  },
+  depths: [
+    { depth: '*', node: { fillColor: { scale: 'greys' } } },
+    {
+      depth: -1,
+      node: {
+        fillColor: '#333333',
+        fillOpacity: 0.5,
+        strokeColor: '#333333',
+        strokeOpacity: 0.5,
+        strokeWidth: 1,
+      },
+      label: { inner: { textColor: '#efefef' } },
+      highlight: {
+        node: {
+          fillColor: '#ffbbb7',
+          fillOpacity: 1,
+          strokeColor: '#ea575a',
+          strokeOpacity: 1,
+          strokeWidth: 2,
+        },
+        label: {
+          inner: { textColor: '#ea575a' },
+          outer: { textColor: '#ea575a' },
+        },
+      },
+    },
+  ],
+};
+
+/** @type {Styles} */
+const MAGMA = {
+  node: { fillOpacity: 0.97, strokeColor: '#333333', strokeWidth: 0.5 },
+  edge: { strokeColor: '#ffffff' },
+  edgeNode: { fillOpacity: 0.97, strokeOpacity: 1 },
+  link: { strokeColor: '#333333' },
+  label: {
+    inner: {
+      textColor: '#efefef',
+      fontFamily: 'monospace',
+      minFontSize: 9,
+      maxFontSize: 14,
+    },
+    outer: {
+      textColor: '#333333',
+      textOpacity: 1,
+      fontFamily: 'monospace',
+      fontSize: 9,
+      link: { strokeColor: '#cccccc' },
+    },
+  },
+  highlight: {
+    node: { fillOpacity: 0.97, strokeOpacity: 1 },
+    edgeNode: { fillColor: '#efefef', strokeColor: '#333333', strokeWidth: 1 },
+  },
+  depths: [
+    {
+      depth: -1,
+      node: { fillOpacity: 0.75, strokeOpacity: 0.75 },
+      label: { inner: { textColor: '#333333' } },
+      highlight: {
+        node: { strokeWidth: 2 },
+        label: { inner: { textColor: '#333333' } },
+      },
+    },
+    { depth: '*', node: { fillColor: { scale: 'magma' } } },
+  ],
+};
+
+/** @type {Styles} */
+const MINIMAL = {
+  node: { fillColor: 'transparent', strokeColor: '#efefef', strokeWidth: 1 },
+  edge: { strokeColor: '#333333', strokeWidth: 1 },
+  label: {
+    inner: { textColor: '#333333' },
+    outer: {
+      textColor: 'transparent',
+      padding: 2,
+      link: { strokeColor: 'transparent', length: 6, padding: 0 },
+    },
+  },
+  link: { strokeColor: 'transparent', strokeWidth: 0 },
+  highlight: {
+    node: { fillColor: '#efefef', strokeColor: '#dedede' },
+    edge: { strokeColor: '#333333', strokeOpacity: 1 },
+    edgeNode: { fillColor: '#efefef', strokeColor: '#dedede' },
+    label: {
+      inner: { textColor: '#333333' },
+      outer: { textColor: '#333333' },
+    },
+  },
+  depths: [
+    {
+      depth: -1,
+      node: {
+        fillColor: '#333333',
+        fillOpacity: 1,
+        strokeColor: '#333333',
+        strokeOpacity: 1,
+      },
+      label: { inner: { textColor: 'transparent' } },
+      highlight: {
+        node: {
+          fillColor: '#efefef',
+          fillOpacity: 1,
+          strokeColor: '#333333',
+          strokeOpacity: 1,
+          strokeWidth: 2,
+        },
+        label: {
+          inner: { textColor: '#333333' },
+          outer: {
+            textColor: '#333333',
+            link: { strokeColor: '#dedede', strokeWidth: 1 },
+          },
+        },
+      },
+    },
+  ],
+};
+
+/** @type {Styles} Outer labels, legend and markers of every dark variant */
+const DARK = {
+  label: {
+    outer: { textColor: '#dddddd', link: { strokeColor: '#555555' } },
+  },
+  legend: { textColor: '#dddddd', backgroundColor: '#1e1e1e' },
+  collapsed: {
+    ring: { strokeColor: '#dddddd' },
+    badge: { fillColor: '#dddddd', textColor: '#1e1e1e' },
+  },
+  highlight: { node: { strokeColor: '#dddddd' } },
+};
+
+/**
+ * Built-in themes by name. `default` is the library's default styles.
+ * @type {Record<ThemeName, Styles>}
+ */
+export const themes = {
+  default: DEFAULT,
+  classic: CLASSIC,
+  magma: MAGMA,
+  minimal: MINIMAL,
+  defaultDark: extendTheme(DEFAULT, DARK, {
+    node: { fillColor: '#2b2b2b', strokeColor: '#555555' },
+    edge: { strokeColor: '#dddddd' },
+    label: { inner: { textColor: '#dddddd' } },
+    link: { strokeColor: '#555555' },
+    highlight: { edgeNode: { strokeColor: '#999999' } },
+  }),
+  classicDark: extendTheme(CLASSIC, DARK, {
+    node: { strokeColor: '#555555' },
+    link: { strokeColor: '#555555' },
+    highlight: { label: { outer: { textColor: '#dddddd' } } },
+    depths: [
+      { depth: '*', node: { fillColor: { scale: 'greys', reverse: true } } },
+      {
+        depth: -1,
+        node: { fillColor: '#dddddd', strokeColor: '#dddddd' },
+        label: { inner: { textColor: '#1e1e1e' } },
+      },
+    ],
+  }),
+  magmaDark: extendTheme(MAGMA, DARK, {
+    node: { strokeColor: '#1e1e1e' },
+    link: { strokeColor: '#555555' },
+    highlight: { edgeNode: { strokeColor: '#dddddd' } },
+  }),
+  minimalDark: extendTheme(MINIMAL, DARK, {
+    node: { strokeColor: '#444444' },
+    edge: { strokeColor: '#dddddd' },
+    label: { inner: { textColor: '#dddddd' } },
+    highlight: {
+      node: { fillColor: '#333333', strokeColor: '#555555' },
+      edge: { strokeColor: '#dddddd' },
+      edgeNode: { fillColor: '#333333', strokeColor: '#555555' },
+      label: {
+        inner: { textColor: '#dddddd' },
+        outer: { textColor: '#dddddd' },
+      },
+    },
+    depths: [
+      {
+        depth: -1,
+        node: { fillColor: '#dddddd', strokeColor: '#dddddd' },
+        highlight: {
+          node: { fillColor: '#333333', strokeColor: '#dddddd' },
+          label: {
+            inner: { textColor: '#dddddd' },
+            outer: { textColor: '#dddddd', link: { strokeColor: '#555555' } },
+          },
+        },
+      },
+    ],
+  }),
+};
+
+/**
+ * Whether a value is a plain object to merge into (not an array, a color
+ * scale, a function or an image).
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isMergeable(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null) && !isColorScale(value);
+}
+
+/**
+ * Deep-merge a style over another. Color scales and other values replace
+ * what they are merged over.
+ * @param {any} base
+ * @param {any} override
+ * @returns {any}
+ */
+function mergeDeep(base, override) {
+  if (override === undefined) return base;
+  if (!isMergeable(base) || !isMergeable(override)) return override;
+  /** @type {Record<string, any>} */
+  const merged = { ...base };
+  for (const key of Object.keys(override)) {
+    merged[key] =
+      key === 'depths' && Array.isArray(base[key])
+        ? mergeDepths(base[key], override[key])
+        : mergeDeep(base[key], override[key]);
+  }
+  return merged;
+}
+
+/**
+ * Merge depth styles: an entry is deep-merged into the last entry for the
+ * same depth, or appended when there is none.
+ * @param {any[]} base
+ * @param {any} override
+ * @returns {any}
+ */
+function mergeDepths(base, override) {
+  if (!Array.isArray(override)) return override;
+  const merged = [...base];
+  for (const entry of override) {
+    let index = -1;
+    for (let i = merged.length - 1; i >= 0; i--) {
+      if (merged[i]?.depth === entry?.depth) {
+        index = i;
+        break;
+      }
+    }
+    if (index === -1) merged.push(entry);
+    else merged[index] = mergeDeep(merged[index], entry);
+  }
+  return merged;
+}
+
+/**
+ * Styles of a theme: a built-in theme by name, or a styles object as it is.
+ * @param {ThemeName | Styles | null | undefined} theme
+ * @returns {Styles}
+ * @throws {Error} For names of no built-in theme
+ */
+export function resolveTheme(theme) {
+  if (theme == null) return {};
+  if (typeof theme !== 'string') return theme;
+  if (!Object.hasOwn(themes, theme)) {
+    throw new Error(
+      `Unknown theme "${theme}". Built-in themes: ${Object.keys(themes).join(', ')}`,
+    );
+  }
+  return themes[/** @type {ThemeName} */ (theme)];
+}
+
+/**
+ * Theme with styles deep-merged over it, left to right. Groups are merged
+ * property by property; depth entries are merged into the entry for the
+ * same depth, or added. The theme and styles are left unchanged.
+ *
+ * @example
+ * const brand = extendTheme('magma', { edge: { strokeColor: '#0b7285' } });
+ * new CactusTree(canvas, { nodes, theme: brand });
+ *
+ * @param {ThemeName | Styles} theme - Built-in theme name or styles
+ * @param {...(Styles | null | undefined)} styles
+ * @returns {Styles}
+ */
+export function extendTheme(theme, ...styles) {
+  let merged = mergeDeep({}, resolveTheme(theme));
+  for (const style of styles) {
+    if (style) merged = mergeDeep(merged, style);
+  }
+  return merged;
+}
@@ -5,59 +5,187 @@ export interface EdgeOptions {
   edgePoint?: 'center' | 'perimeter';
 }
 
-export interface Options {
-  overlap?: number;
-  arcSpan?: number;
-  sizeGrowthRate?: number;
+export type EdgePathCommand =
+  | { type: 'M' | 'L'; x: number; y: number }
+  | { type: 'Q'; cx: number; cy: number; x: number; y: number };
+
+export type LayoutParameter =
+  | number
+  | number[]
+  | ((node: TreeNode, depth: number) => number);
+
+export interface LayoutDepth {
+  depth: number;
+  overlap?: number | ((node: TreeNode, depth: number) => number);
+  arcSpan?: number | ((node: TreeNode, depth: number) => number);
+  sizeGrowthRate?: number | ((node: TreeNode, depth: number) => number);
+}
+
+export interface SizingOptions {
+  value?: Accessor;
+  aggregate?: 'sum' | 'max' | 'mean' | 'own-plus-children';
+  scale?: 'power' | 'sqrt' | 'log' | 'linear';
+  minRadius?: number;
+  maxRadius?: number;
+}
+
+/** `Options<number>` narrows the layout parameters to constants, e.g. for options bound to form inputs */
+export interface Options<Parameter extends LayoutParameter = LayoutParameter> {
+  overlap?: Parameter;
+  arcSpan?: Parameter;
+  sizeGrowthRate?: Parameter;
   orientation?: number;
   zoom?: number;
   numLabels?: number;
+  depths?: LayoutDepth[];
+  sizing?: SizingOptions;
+  forest?: 'hidden' | 'pack';
+  ordering?: Ordering;
+  edgeOrdering?: boolean | EdgeOrderingOptions;
+  accessors?: HierarchyAccessors;
+  transition?: boolean | TransitionOptions;
+  fit?: FitMode | FitOptions;
+  lod?: boolean | LodOptions;
+  avoidCollisions?: boolean | CollisionOptions;
+  legend?: boolean | LegendOptions;
   edges?: EdgeOptions;
 }
 
+export interface TransitionOptions {
+  duration?: number;
+}
+
+export type FitMode = 'contain' | 'width' | 'height' | 'none';
+
+export interface FitMargin {
+  top?: number;
+  right?: number;
+  bottom?: number;
+  left?: number;
+}
+
+export interface FitOptions {
+  mode?: FitMode;
+  margin?: number | FitMargin;
+  align?: 'center' | 'top-left';
+  labels?: boolean;
+}
+
+export interface LodOptions {
+  minRadius?: number;
+}
+
+export interface CollisionOptions {
+  iterations?: number;
+}
+
+export type LegendPosition =
+  | 'top-left'
+  | 'top-right'
+  | 'bottom-left'
+  | 'bottom-right';
+
+export interface LegendOptions {
+  position?: LegendPosition;
+  /** Distance from the canvas edges in px */
+  margin?: number;
+  /** Swatches or keys drawn per entry, the rest are counted */
+  maxItems?: number;
+}
+
+export type Ordering =
+  | 'weight-center'
+  | 'input'
+  | 'name'
+  | ((a: TreeNode, b: TreeNode) => number);
+
+export interface EdgeOrderingOptions {
+  sweeps?: number;
+  budget?: number;
+}
+
+export type Accessor = string | ((datum: any) => any);
+
+export interface HierarchyAccessors {
+  id?: Accessor;
+  name?: Accessor;
+  children?: Accessor;
+}
+
 export interface ColorScale {
   scale: string;
   reverse?: boolean;
+  /** Node or edge field mapped to the scale; without it, colors are sampled by depth */
+  field?: Accessor;
+  type?: 'linear' | 'log' | 'quantile';
+  domain?: [number, number];
+  clamp?: boolean;
+  fallback?: string;
+  /**
+   * Color each subtree rooted at this depth (`true` for 1) with its own color
+   * of a categorical scheme such as 'tableau10'
+   */
+  branch?: boolean | number;
+  /** Lightness change per depth below the branch root (default: 0.08) */
+  lightness?: number;
+  /** Title of the scale in the legend */
+  label?: string;
 }
 
+/**
+ * A style value, or a function returning it for a node (see
+ * styleAccessors.js)
+ */
+export type StyleValue<T> = T | ((node: TreeNode, depth: number) => T);
+
+/** An edge style value, or a function returning it for an edge */
+export type EdgeStyleValue<T> = T | ((edge: any) => T);
+
 export interface NodeStyle {
-  fillColor?: string | ColorScale;
-  fillOpacity?: number;
-  strokeColor?: string | ColorScale;
-  strokeOpacity?: number;
-  strokeWidth?: number;
+  fillColor?: StyleValue<string | ColorScale>;
+  fillOpacity?: StyleValue<number>;
+  strokeColor?: StyleValue<string | ColorScale>;
+  strokeOpacity?: StyleValue<number>;
+  strokeWidth?: StyleValue<number>;
+}
+
+export interface ImageStyle {
+  value?: Accessor;
+  minRadius?: StyleValue<number>;
+  padding?: StyleValue<number>;
+  opacity?: StyleValue<number>;
 }
 
 export interface EdgeStyle {
-  strokeColor?: string;
-  strokeOpacity?: number;
-  strokeWidth?: number;
+  strokeColor?: EdgeStyleValue<string | ColorScale>;
+  strokeOpacity?: EdgeStyleValue<number>;
+  strokeWidth?: EdgeStyleValue<number>;
 }
 
 export interface LabelLinkStyle {
-  strokeColor?: string;
-  strokeOpacity?: number;
-  strokeWidth?: number;
-  padding?: number;
-  length?: number;
+  strokeColor?: StyleValue<string | ColorScale>;
+  strokeOpacity?: StyleValue<number>;
+  strokeWidth?: StyleValue<number>;
+  padding?: StyleValue<number>;
+  length?: StyleValue<number>;
 }
 
 export interface InnerLabelStyle {
-  textColor?: string;
-  textOpacity?: number;
-  fontFamily?: string;
-  fontWeight?: string;
-  minFontSize?: number;
-  maxFontSize?: number;
+  textColor?: StyleValue<string | ColorScale>;
+  textOpacity?: StyleValue<number>;
+  fontFamily?: StyleValue<string>;
+  fontWeight?: StyleValue<string>;
+  minFontSize?: StyleValue<number>;
+  maxFontSize?: StyleValue<number>;
 }
 
 export interface OuterLabelStyle {
-  textColor?: string;
-  textOpacity?: number;
-  fontFamily?: string;
-  fontWeight?: string;
-  fontSize?: number;
-  padding?: number;
+  textColor?: StyleValue<string | ColorScale>;
+  textOpacity?: StyleValue<number>;
+  fontFamily?: StyleValue<string>;
+  fontWeight?: StyleValue<string>;
+  fontSize?: StyleValue<number>;
+  padding?: StyleValue<number>;
   link?: LabelLinkStyle;
 }
 
@@ -72,27 +200,27 @@ export interface LabelStyle {
 }
 
 export interface LinkStyle {
-  strokeColor?: string;
-  strokeOpacity?: number;
-  strokeWidth?: number;
+  strokeColor?: StyleValue<string | ColorScale>;
+  strokeOpacity?: StyleValue<number>;
+  strokeWidth?: StyleValue<number>;
 }
 
 export interface HighlightInnerLabelStyle {
-  textColor?: string;
-  textOpacity?: number;
-  fontWeight?: string;
+  textColor?: StyleValue<string | ColorScale>;
+  textOpacity?: StyleValue<number>;
+  fontWeight?: StyleValue<string>;
 }
 
 export interface HighlightLabelLinkStyle {
-  strokeColor?: string;
-  strokeOpacity?: number;
-  strokeWidth?: number;
+  strokeColor?: StyleValue<string | ColorScale>;
+  strokeOpacity?: StyleValue<number>;
+  strokeWidth?: StyleValue<number>;
 }
 
 export interface HighlightOuterLabelStyle {
-  textColor?: string;
-  textOpacity?: number;
-  fontWeight?: string;
+  textColor?: StyleValue<string | ColorScale>;
+  textOpacity?: StyleValue<number>;
+  fontWeight?: StyleValue<string>;
   link?: HighlightLabelLinkStyle;
 }
 
@@ -109,10 +237,14 @@ export interface HighlightStyle {
 export interface DepthStyle {
   depth: number | '*';
   node?: NodeStyle;
+  edge?: EdgeStyle;
   label?: LabelStyle;
   link?: LinkStyle;
+  image?: ImageStyle;
+  collapsed?: CollapsedStyle;
   highlight?: {
     node?: NodeStyle;
+    edge?: EdgeStyle;
     label?: {
       inner?: HighlightInnerLabelStyle;
       outer?: HighlightOuterLabelStyle;
@@ -120,16 +252,224 @@ export interface DepthStyle {
   };
 }
 
+export interface CollapsedRingStyle {
+  visible?: StyleValue<boolean>;
+  strokeColor?: StyleValue<string | ColorScale>;
+  strokeOpacity?: StyleValue<number>;
+  strokeWidth?: StyleValue<number>;
+  /** Gap between the node circle and the ring in px */
+  padding?: StyleValue<number>;
+}
+
+export interface CollapsedBadgeStyle {
+  visible?: StyleValue<boolean>;
+  fillColor?: StyleValue<string | ColorScale>;
+  fillOpacity?: StyleValue<number>;
+  textColor?: StyleValue<string | ColorScale>;
+  fontFamily?: StyleValue<string>;
+  fontWeight?: StyleValue<string>;
+  fontSize?: StyleValue<number>;
+  padding?: StyleValue<number>;
+  /** Badge text, with `{descendants}` and `{edges}` replaced by the counts */
+  format?: StyleValue<string>;
+  /** Appended to the text when edges are hidden; '' leaves it out */
+  edgeFormat?: StyleValue<string>;
+}
+
+/** Markers of collapsed nodes, see drawCollapsed.js */
+export interface CollapsedStyle {
+  ring?: CollapsedRingStyle;
+  badge?: CollapsedBadgeStyle;
+}
+
+export interface LegendStyle {
+  textColor?: string;
+  fontFamily?: string;
+  fontSize?: number;
+  backgroundColor?: string;
+  backgroundOpacity?: number;
+  padding?: number;
+  swatchSize?: number;
+}
+
 export interface Styles {
   node?: NodeStyle;
   edge?: EdgeStyle;
   edgeNode?: NodeStyle;
   label?: LabelStyle;
   link?: LinkStyle;
+  image?: ImageStyle;
   highlight?: HighlightStyle;
+  legend?: LegendStyle;
+  collapsed?: CollapsedStyle;
   depths?: DepthStyle[];
 }
 
+/** Built-in themes, see `themes` */
+export type ThemeName =
+  | 'default'
+  | 'classic'
+  | 'magma'
+  | 'minimal'
+  | 'defaultDark'
+  | 'classicDark'
+  | 'magmaDark'
+  | 'minimalDark';
+
+/** What the colors of a tree mean, see CactusTree.getLegend */
+export type LegendEntry =
+  | {
+      type: 'depths';
+      title: string;
+      items: Array<{
+        depth: number;
+        label: string;
+        fillColor?: string;
+        strokeColor?: string;
+      }>;
+    }
+  | {
+      type: 'gradient';
+      title: string;
+      /** Colors at evenly spaced positions, from the start of the domain */
+      colors: string[];
+      domain: [number, number];
+      scaleType: 'linear' | 'log' | 'quantile';
+    }
+  | {
+      type: 'categories';
+      title: string;
+      items: Array<{ id: string | number; label: string; color: string }>;
+    };
+
+export interface NodeRenderState {
+  /** The pointer is over this node */
+  isHovered: boolean;
+  /** Drawn highlighted: hovered, or linked by an edge to the hovered node */
+  isHighlighted: boolean;
+  isCollapsed: boolean;
+  isLeaf: boolean;
+  /** The node is an end of an edge */
+  hasEdge: boolean;
+  /** Resolved node style, with depth and highlight overrides applied */
+  style: {
+    fill: string;
+    fillOpacity: number;
+    stroke: string;
+    strokeWidth: number;
+    strokeOpacity: number;
+  };
+  /** Draws the default circle with `style` */
+  drawDefault: () => void;
+}
+
+export type RenderNode = (
+  ctx: CanvasRenderingContext2D,
+  nodeData: {
+    id: string | number;
+    x: number;
+    y: number;
+    radius: number;
+    depth: number;
+    node: any;
+    [key: string]: any;
+  },
+  state: NodeRenderState,
+) => void;
+
+export type DiagnosticCode =
+  | 'duplicate-id'
+  | 'dangling-parent'
+  | 'cycle'
+  | 'no-root'
+  | 'multiple-roots'
+  | 'invalid-weight'
+  | 'dangling-edge'
+  | 'overlapping-subtrees'
+  | 'unknown-key'
+  | 'missing-key'
+  | 'invalid-type'
+  | 'invalid-value'
+  | 'out-of-range'
+  | 'unknown-scale';
+
+export interface Diagnostic {
+  code: DiagnosticCode;
+  severity: 'error' | 'warning';
+  message: string;
+  ids: Array<string | number>;
+  edgeIndex?: number;
+  /** Style or option with the problem, e.g. 'styles.node.fillColor' */
+  path?: string;
+  /** Closest known key, value or scale name, for typos */
+  suggestion?: string;
+}
+
+export interface ValidationReport {
+  valid: boolean;
+  diagnostics: Diagnostic[];
+}
+
+export interface HeadlessConfig {
+  width: number;
+  height: number;
+  nodes: any[] | Record<string, any>;
+  edges?: Array<{
+    source: string | number;
+    target: string | number;
+    style?: EdgeStyle;
+  }>;
+  options?: Options;
+  theme?: ThemeName | Styles;
+  styles?: Styles;
+  renderNode?: RenderNode | null;
+}
+
+export interface LayoutResult {
+  nodes: LayoutNode[];
+  edges: LayoutEdge[];
+  labels: LayoutLabel[];
+  links: LayoutLabelLink[];
+  unresolvedCollisions?: Array<[string | number, string | number]>;
+}
+
+export interface LayoutNode {
+  id: string | number;
+  name: string;
+  parent: string | number | null;
+  x: number;
+  y: number;
+  radius: number;
+  depth: number;
+  isLeaf: boolean;
+  aggregatedCount?: number;
+}
+
+export interface LayoutEdge {
+  source: string | number;
+  target: string | number;
+  points: Array<{ x: number; y: number }>;
+  path: EdgePathCommand[];
+}
+
+export interface LayoutLabel {
+  nodeId: string | number;
+  text: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  isInside: boolean;
+}
+
+export interface LayoutLabelLink {
+  nodeId: string | number;
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+}
+
 export interface TreeNode {
   id: string | number;
   name?: string;
@@ -137,6 +477,8 @@ export interface TreeNode {
   weight?: number;
   children?: TreeNode[];
   parentRef?: TreeNode | null;
+  /** Style of this node, merged over its depth styles */
+  style?: Omit<DepthStyle, 'depth'>;
   label?: {
     padding?: number;
     link?: {
@@ -154,6 +496,7 @@ export interface NodeData {
   isLeaf: boolean;
   depth: number;
   angle: number;
+  overlap?: number;
   label?: any;
   linkStyle?: LinkStyle;
   highlightStyle?: HighlightLabelStyle;
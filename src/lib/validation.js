@@ -0,0 +1,184 @@
+/**
+ * Input validation for CactusTree
+ *
+ * Checks node and edge arrays for structural problems that the layout and
+ * drawing code would otherwise skip silently: duplicate ids, dangling
+ * parents, cycles, multiple roots, non-numeric weights and edges that
+ * reference unknown nodes.
+ */
+
+/**
+ * @typedef {import('$lib/types.js').Diagnostic} Diagnostic
+ * @typedef {import('$lib/types.js').ValidationReport} ValidationReport
+ */
+
+/**
+ * Error thrown by strict validation. Carries the full list of diagnostics.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Diagnostic[]} diagnostics
+   * @param {string} [subject='cactus data'] - What is invalid
+   */
+  constructor(diagnostics, subject = 'cactus data') {
+    const summary = diagnostics.map((d) => d.message).join('; ');
+    super(`Invalid ${subject}: ${summary}`);
+    this.name = 'ValidationError';
+    /** @type {Diagnostic[]} */
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Find parent cycles in a flat node array. Each cycle is reported once,
+ * listing its ids in parent-chain order.
+ * @param {Map<any, any>} nodeById - Node id to (first) node with that id
+ * @returns {Array<any[]>} Cycles as arrays of node ids
+ */
+function findCycles(nodeById) {
+  /** @type {Map<any, number>} 1 = on current walk, 2 = done */
+  const state = new Map();
+  /** @type {Array<any[]>} */
+  const cycles = [];
+
+  for (const startId of nodeById.keys()) {
+    if (state.has(startId)) continue;
+
+    const path = [];
+    let currentId = startId;
+    while (
+      currentId !== null &&
+      currentId !== undefined &&
+      nodeById.has(currentId) &&
+      !state.has(currentId)
+    ) {
+      state.set(currentId, 1);
+      path.push(currentId);
+      currentId = nodeById.get(currentId).parent || null;
+    }
+
+    if (state.get(currentId) === 1) {
+      cycles.push(path.slice(path.indexOf(currentId)));
+    }
+
+    for (const id of path) state.set(id, 2);
+  }
+
+  return cycles;
+}
+
+/**
+ * Validate nodes and edges.
+ *
+ * Returns a report with one diagnostic per problem; each diagnostic carries a
+ * machine-readable `code`, a human-readable `message` and the offending
+ * `ids`. With `strict: true` a `ValidationError` is thrown instead when any
+ * problem is found.
+ *
+ * @param {any[]} nodes - Flat array of nodes ({ id, name, parent, weight? })
+ * @param {any[]} [edges=[]] - Array of edges ({ source, target })
+ * @param {{ strict?: boolean, forest?: 'hidden'|'pack' }} [options={}] - `forest` accepts multiple roots
+ * @returns {ValidationReport}
+ */
+export function validateData(nodes, edges = [], options = {}) {
+  /** @type {Diagnostic[]} */
+  const diagnostics = [];
+
+  /** @type {Map<any, any>} */
+  const nodeById = new Map();
+  /** @type {Map<any, number>} */
+  const idCounts = new Map();
+
+  for (const node of nodes || []) {
+    idCounts.set(node.id, (idCounts.get(node.id) ?? 0) + 1);
+    if (!nodeById.has(node.id)) nodeById.set(node.id, node);
+  }
+
+  for (const [id, count] of idCounts) {
+    if (count > 1) {
+      diagnostics.push({
+        code: 'duplicate-id',
+        severity: 'error',
+        message: `Node id "${id}" is used by ${count} nodes`,
+        ids: [id],
+      });
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes || []) {
+    if (!node.parent) {
+      roots.push(node.id);
+    } else if (!nodeById.has(node.parent)) {
+      diagnostics.push({
+        code: 'dangling-parent',
+        severity: 'error',
+        message: `Node "${node.id}" references missing parent "${node.parent}"`,
+        ids: [node.id, node.parent],
+      });
+    }
+
+    const weight = node.weight;
+    if (
+      weight !== undefined &&
+      weight !== null &&
+      (typeof weight !== 'number' || !Number.isFinite(weight))
+    ) {
+      diagnostics.push({
+        code: 'invalid-weight',
+        severity: 'error',
+        message: `Node "${node.id}" has non-numeric weight ${JSON.stringify(weight) ?? String(weight)}`,
+        ids: [node.id],
+      });
+    }
+  }
+
+  for (const cycle of findCycles(nodeById)) {
+    diagnostics.push({
+      code: 'cycle',
+      severity: 'error',
+      message: `Parent cycle: ${[...cycle, cycle[0]].map((id) => `"${id}"`).join(' -> ')}`,
+      ids: cycle,
+    });
+  }
+
+  if (nodeById.size > 0 && roots.length === 0) {
+    diagnostics.push({
+      code: 'no-root',
+      severity: 'error',
+      message: 'No root node (a node without parent) found',
+      ids: [],
+    });
+  } else if (roots.length > 1 && !options.forest) {
+    diagnostics.push({
+      code: 'multiple-roots',
+      severity: 'warning',
+      message: `Found ${roots.length} root nodes; only the last one is laid out unless the forest option is set`,
+      ids: roots,
+    });
+  }
+
+  (edges || []).forEach((edge, index) => {
+    const missing = [...new Set([edge?.source, edge?.target])].filter(
+      (id) => !nodeById.has(id),
+    );
+    if (missing.length > 0) {
+      diagnostics.push({
+        code: 'dangling-edge',
+        severity: 'warning',
+        message: `Edge ${index} (${edge?.source} -> ${edge?.target}) references unknown node ${missing.map((id) => `"${id}"`).join(' and ')}`,
+        ids: missing,
+        edgeIndex: index,
+      });
+    }
+  });
+
+  if (options.strict && diagnostics.length > 0) {
+    throw new ValidationError(diagnostics);
+  }
+
+  return {
+    valid: !diagnostics.some((d) => d.severity === 'error'),
+    diagnostics,
+  };
+}
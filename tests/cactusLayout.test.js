@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { CactusLayout } from '$lib/cactusLayout.js';
+import { findSiblingCollisions } from '$lib/collisions.js';
 
 const sampleNodes = [
   { id: 'root', name: 'Root', parent: null },
@@ -115,6 +116,155 @@ describe('weight', () => {
   });
 });
 
+// ── value-based sizing ──────────────────────────────────────────────────────
+
+describe('value-based sizing', () => {
+  const tree = () =>
+    /** @type {any} */ ({
+      id: 'root',
+      loc: 5,
+      children: [
+        { id: 'a', loc: 10, weight: 99, children: [] },
+        {
+          id: 'b',
+          loc: 1,
+          children: [
+            { id: 'c', loc: 30, children: [] },
+            { id: 'd', loc: 20, children: [] },
+          ],
+        },
+      ],
+    });
+
+  /**
+   * @param {import('$lib/types.js').SizingOptions} sizing
+   * @returns {Record<string, number>} Weights by node id
+   */
+  const weightsWith = (sizing) => {
+    const layout = new CactusLayout(800, 600);
+    layout.sizing = sizing;
+    const root = tree();
+    layout.weight(root);
+    return Object.fromEntries(layout.weightCache);
+  };
+
+  it('sums values by default and ignores explicit weights', () => {
+    expect(weightsWith({ value: 'loc' })).toEqual({
+      root: 60,
+      a: 10,
+      b: 50,
+      c: 30,
+      d: 20,
+    });
+  });
+
+  it('supports max, mean and own-plus-children aggregation', () => {
+    expect(weightsWith({ value: 'loc', aggregate: 'max' }).root).toBe(30);
+    expect(weightsWith({ value: 'loc', aggregate: 'mean' }).b).toBe(25);
+    expect(weightsWith({ value: 'loc', aggregate: 'mean' }).root).toBe(17.5);
+
+    const own = weightsWith({ value: 'loc', aggregate: 'own-plus-children' });
+    expect(own.b).toBe(51);
+    expect(own.root).toBe(66);
+  });
+
+  it('accepts accessor functions', () => {
+    const weights = weightsWith({ value: (node) => node.loc * 2 });
+    expect(weights.root).toBe(120);
+  });
+
+  it('treats missing, negative and non-numeric values as 0', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.sizing = { value: 'v' };
+    const root = /** @type {any} */ ({
+      id: 'r',
+      children: [
+        { id: 'x', v: -4, children: [] },
+        { id: 'y', v: 'abc', children: [] },
+        { id: 'z', children: [] },
+      ],
+    });
+
+    expect(layout.weight(root)).toBe(0);
+    expect(layout.getRadius(layout.weight(root))).toBe(0);
+  });
+
+  it('scales radii with power, sqrt, log and linear', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.5);
+
+    expect(layout.getRadius(16)).toBe(4);
+    layout.sizing = { scale: 'sqrt' };
+    expect(layout.getRadius(16)).toBe(4);
+    layout.sizing = { scale: 'log' };
+    expect(layout.getRadius(Math.E - 1)).toBeCloseTo(1);
+    layout.sizing = { scale: 'linear' };
+    expect(layout.getRadius(16)).toBe(16);
+  });
+
+  it('never returns NaN for zero or negative weights', () => {
+    const layout = new CactusLayout(800, 600);
+    for (const scale of /** @type {const} */ ([
+      'power',
+      'sqrt',
+      'log',
+      'linear',
+    ])) {
+      layout.sizing = { scale };
+      expect(layout.getRadius(-3)).toBe(0);
+      expect(layout.getRadius(0)).toBe(0);
+    }
+  });
+
+  it('clamps radii relative to the root radius', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 1);
+    layout.sizing = { scale: 'linear', minRadius: 0.1, maxRadius: 0.5 };
+    const nodes = [
+      { id: 'root', name: 'root', parent: null },
+      { id: 'big', name: 'big', parent: 'root', weight: 99 },
+      { id: 'tiny', name: 'tiny', parent: 'root', weight: 0 },
+    ];
+
+    const result = layout.render(nodes, 400, 300);
+    /** @param {string} id */
+    const radiusOf = (id) =>
+      /** @type {any} */ (result.find((nd) => nd.node.id === id)).radius;
+
+    // The reference is the unclamped root radius (weight 99)
+    const reference = 99 * layout.globalScale;
+    expect(radiusOf('tiny')).toBeCloseTo(reference * 0.1);
+    expect(radiusOf('big')).toBeCloseTo(reference * 0.5);
+    expect(radiusOf('root')).toBeCloseTo(reference * 0.5);
+    expect(result.every((nd) => Number.isFinite(nd.x))).toBe(true);
+  });
+
+  it('re-lays out when values or aggregation change', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.sizing = { value: 'loc' };
+    const nodes = [
+      { id: 'root', name: 'root', parent: null },
+      { id: 'a', name: 'a', parent: 'root', loc: 1 },
+      { id: 'b', name: 'b', parent: 'root', loc: 1 },
+    ];
+
+    /** @param {any[]} result */
+    const ratio = (result) => {
+      const [a, b] = ['a', 'b'].map(
+        (id) => result.find((nd) => nd.node.id === id).radius,
+      );
+      return a / b;
+    };
+
+    expect(ratio(layout.render(nodes, 400, 300))).toBeCloseTo(1);
+
+    nodes[1].loc = 16;
+    expect(ratio(layout.render(nodes, 400, 300))).toBeCloseTo(8);
+
+    layout.sizing = { value: 'loc', aggregate: 'max' };
+    layout.render(nodes, 400, 300);
+    expect(layout.weightCache.get('root')).toBe(16);
+  });
+});
+
 // ── sortChildNodesByWeight ──────────────────────────────────────────────────
 
 describe('sortChildNodesByWeight', () => {
@@ -183,6 +333,102 @@ describe('orderMaxInCenter', () => {
   });
 });
 
+// ── getParameter ────────────────────────────────────────────────────────────
+
+describe('getParameter', () => {
+  const node = /** @type {any} */ ({ id: 'n', name: 'n', children: [] });
+
+  it('returns numbers for every depth', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.3);
+
+    expect(layout.getParameter('overlap', node, 0)).toBe(0.3);
+    expect(layout.getParameter('overlap', node, 5)).toBe(0.3);
+  });
+
+  it('indexes arrays by depth and repeats the last value', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, [2 * Math.PI, Math.PI]);
+
+    expect(layout.getParameter('arcSpan', node, 0)).toBe(2 * Math.PI);
+    expect(layout.getParameter('arcSpan', node, 1)).toBe(Math.PI);
+    expect(layout.getParameter('arcSpan', node, 4)).toBe(Math.PI);
+  });
+
+  it('calls functions with node and depth', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.sizeGrowthRate = (n, depth) => (n.id === 'n' ? depth / 10 : 1);
+
+    expect(layout.getParameter('sizeGrowthRate', node, 3)).toBe(0.3);
+  });
+
+  it('applies depths overrides, later entries winning', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5);
+    layout.depths = [
+      { depth: 1, overlap: -0.2 },
+      { depth: 1, overlap: () => -0.4 },
+      { depth: 2, arcSpan: 1 },
+    ];
+
+    expect(layout.getParameter('overlap', node, 0)).toBe(0.5);
+    expect(layout.getParameter('overlap', node, 1)).toBe(-0.4);
+    expect(layout.getParameter('overlap', node, 2)).toBe(0.5);
+  });
+});
+
+// ── orderChildNodes ─────────────────────────────────────────────────────────
+
+describe('orderChildNodes', () => {
+  const l1 = { id: 'l1', children: [] };
+  const l2 = { id: 'l2', children: [] };
+  const children = /** @type {any[]} */ ([
+    { id: 'b', name: 'file10', children: [] },
+    { id: 'a', name: 'file2', children: [l1, l2] },
+    { id: 'c', name: 'File1', weight: 5, children: [] },
+  ]);
+
+  it('defaults to weight-center ordering', () => {
+    const layout = new CactusLayout(800, 600);
+
+    expect(layout.ordering).toBe('weight-center');
+    expect(layout.orderChildNodes(children).map((c) => c.id)).toEqual([
+      'b',
+      'c',
+      'a',
+    ]);
+  });
+
+  it('keeps input order', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.ordering = 'input';
+
+    const ordered = layout.orderChildNodes(children);
+    expect(ordered.map((c) => c.id)).toEqual(['b', 'a', 'c']);
+    expect(ordered).not.toBe(children);
+  });
+
+  it('sorts by name in natural order', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.ordering = 'name';
+
+    expect(layout.orderChildNodes(children).map((c) => c.name)).toEqual([
+      'File1',
+      'file2',
+      'file10',
+    ]);
+  });
+
+  it('sorts with a comparator function', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.ordering = (a, b) => String(b.id).localeCompare(String(a.id));
+
+    expect(layout.orderChildNodes(children).map((c) => c.id)).toEqual([
+      'c',
+      'b',
+      'a',
+    ]);
+    expect(children[0].id).toBe('b');
+  });
+});
+
 // ── buildHierarchyFromArray ─────────────────────────────────────────────────
 
 describe('buildHierarchyFromArray', () => {
@@ -226,6 +472,92 @@ describe('buildHierarchyFromArray', () => {
   });
 });
 
+// ── forest input ────────────────────────────────────────────────────────────
+
+describe('forest input', () => {
+  const forestNodes = () => [
+    { id: 'r1', name: 'R1', parent: null },
+    { id: 'a', name: 'A', parent: 'r1' },
+    { id: 'b', name: 'B', parent: 'r1' },
+    { id: 'r2', name: 'R2', parent: null },
+    { id: 'c', name: 'C', parent: 'r2' },
+  ];
+
+  it('keeps only the last root when no forest mode is set', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    const result = layout.render(forestNodes(), 400, 300);
+    expect(result.map((nd) => nd.node.id).sort()).toEqual(['c', 'r2']);
+  });
+
+  it('gathers several roots under a synthetic root', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.forest = 'hidden';
+    /** @type {any} */
+    const root = layout.buildHierarchyFromArray(forestNodes());
+    expect(root.children.map((/** @type {any} */ c) => c.id)).toEqual([
+      'r1',
+      'r2',
+    ]);
+    expect(root.children[0].parentRef).toBeNull();
+  });
+
+  it('does not wrap a single root', () => {
+    const layout = new CactusLayout(800, 600);
+    layout.forest = 'hidden';
+    const root = layout.buildHierarchyFromArray(
+      sampleNodes.map((n) => ({ ...n })),
+    );
+    expect(root.id).toBe('root');
+  });
+
+  for (const mode of /** @type {const} */ (['hidden', 'pack'])) {
+    it(`lays out every tree in '${mode}' mode`, () => {
+      const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+      layout.forest = mode;
+      const result = layout.render(forestNodes(), 400, 300);
+
+      expect(result.map((nd) => nd.node.id).sort()).toEqual([
+        'a',
+        'b',
+        'c',
+        'r1',
+        'r2',
+      ]);
+      const r1 = result.find((nd) => nd.node.id === 'r1');
+      const r2 = result.find((nd) => nd.node.id === 'r2');
+      expect(r1?.depth).toBe(0);
+      expect(r2?.depth).toBe(0);
+
+      for (const nd of result) {
+        expect(nd.x - nd.radius).toBeGreaterThanOrEqual(-1e-6);
+        expect(nd.x + nd.radius).toBeLessThanOrEqual(800 + 1e-6);
+        expect(nd.y - nd.radius).toBeGreaterThanOrEqual(-1e-6);
+        expect(nd.y + nd.radius).toBeLessThanOrEqual(600 + 1e-6);
+      }
+    });
+  }
+
+  it('packs trees without overlapping their roots', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.forest = 'pack';
+    const result = layout.render(forestNodes(), 400, 300);
+    const r1 = /** @type {any} */ (result.find((nd) => nd.node.id === 'r1'));
+    const r2 = /** @type {any} */ (result.find((nd) => nd.node.id === 'r2'));
+
+    const distance = Math.hypot(r1.x - r2.x, r1.y - r2.y);
+    expect(distance).toBeGreaterThan(r1.radius + r2.radius);
+  });
+
+  it('rebuilds the hierarchy when the forest mode changes', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    const nodes = forestNodes();
+    expect(layout.render(nodes, 400, 300).length).toBe(2);
+
+    layout.forest = 'hidden';
+    expect(layout.render(nodes, 400, 300).length).toBe(5);
+  });
+});
+
 // ── hashData ────────────────────────────────────────────────────────────────
 
 describe('hashData', () => {
@@ -250,6 +582,454 @@ describe('hashData', () => {
     );
     expect(hash).toContain('single');
   });
+
+  it('changes when a middle node changes its parent', () => {
+    const layout = new CactusLayout(800, 600);
+    const moved = sampleNodes.map((n) =>
+      n.id === 'c' ? { ...n, parent: 'b' } : { ...n },
+    );
+    expect(layout.hashData(moved)).not.toBe(layout.hashData(sampleNodes));
+  });
+
+  it('changes when a middle node changes its weight', () => {
+    const layout = new CactusLayout(800, 600);
+    const weighted = sampleNodes.map((n) =>
+      n.id === 'd' ? { ...n, weight: 7 } : { ...n },
+    );
+    expect(layout.hashData(weighted)).not.toBe(layout.hashData(sampleNodes));
+  });
+
+  it('changes when sibling order changes', () => {
+    const layout = new CactusLayout(800, 600);
+    const reordered = [
+      sampleNodes[0],
+      sampleNodes[1],
+      sampleNodes[2],
+      sampleNodes[4],
+      sampleNodes[3],
+      sampleNodes[5],
+    ];
+    expect(layout.hashData(reordered)).not.toBe(layout.hashData(sampleNodes));
+  });
+
+  it('ignores changes that do not affect the structure', () => {
+    const layout = new CactusLayout(800, 600);
+    const renamed = sampleNodes.map((n) => ({ ...n, name: `${n.name}!` }));
+    expect(layout.hashData(renamed)).toBe(layout.hashData(sampleNodes));
+  });
+
+  it('covers descendants of nested input', () => {
+    const layout = new CactusLayout(800, 600);
+    const tree = () => ({
+      id: 'root',
+      children: [{ id: 'a', children: [{ id: 'b' }, { id: 'c' }] }],
+    });
+    const changed = tree();
+    /** @type {any} */ (changed.children[0].children[1]).weight = 3;
+    expect(layout.hashData(/** @type {any} */ (changed))).not.toBe(
+      layout.hashData(/** @type {any} */ (tree())),
+    );
+  });
+});
+
+// ── ordering ────────────────────────────────────────────────────────────────
+
+describe('ordering', () => {
+  const nodes = [
+    { id: 'root', name: 'root', parent: null },
+    { id: 'z', name: 'z', parent: 'root' },
+    { id: 'y', name: 'y', parent: 'root' },
+    { id: 'x', name: 'x', parent: 'root' },
+  ];
+
+  /**
+   * @param {CactusLayout} layout
+   * @returns {string[]} Child ids sorted by their angle
+   */
+  const childIdsByAngle = (layout) =>
+    layout
+      .render(
+        nodes.map((n) => ({ ...n })),
+        400,
+        300,
+        Math.PI / 2,
+      )
+      .filter((nd) => nd.depth === 1)
+      .sort((a, b) => a.angle - b.angle)
+      .map((nd) => String(nd.node.id));
+
+  it('places siblings in input and name order', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+
+    layout.ordering = 'input';
+    expect(childIdsByAngle(layout)).toEqual(['z', 'y', 'x']);
+
+    layout.ordering = 'name';
+    expect(childIdsByAngle(layout)).toEqual(['x', 'y', 'z']);
+  });
+
+  it('does not reuse placements across orderings for the same data', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    const input = nodes.map((n) => ({ ...n }));
+
+    layout.ordering = 'input';
+    const first = layout
+      .render(input, 400, 300, Math.PI / 2)
+      .map((nd) => [nd.node.id, nd.x]);
+
+    layout.ordering = (a, b) => String(a.id).localeCompare(String(b.id));
+    const second = layout
+      .render(input, 400, 300, Math.PI / 2)
+      .map((nd) => [nd.node.id, nd.x]);
+
+    expect(second).not.toEqual(first);
+  });
+
+  it('reorders siblings when names change', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.ordering = 'name';
+    expect(childIdsByAngle(layout)).toEqual(['x', 'y', 'z']);
+
+    const renamed = nodes.map((n) => (n.id === 'z' ? { ...n, name: 'a' } : n));
+    const ids = layout
+      .render(renamed, 400, 300, Math.PI / 2)
+      .filter((nd) => nd.depth === 1)
+      .sort((a, b) => a.angle - b.angle)
+      .map((nd) => String(nd.node.id));
+
+    expect(ids).toEqual(['z', 'x', 'y']);
+  });
+
+  it('reorders siblings when fields read by the comparator change', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    /** @type {Record<string, number>} */
+    const rank = { z: 0, y: 1, x: 2 };
+    layout.ordering = (a, b) => rank[a.id] - rank[b.id];
+    expect(childIdsByAngle(layout)).toEqual(['z', 'y', 'x']);
+
+    rank.z = 3;
+    expect(childIdsByAngle(layout)).toEqual(['y', 'x', 'z']);
+  });
+});
+
+// ── edge-aware ordering ─────────────────────────────────────────────────────
+
+describe('edge-aware ordering', () => {
+  const nodes = [
+    { id: 'root', name: 'root', parent: null },
+    { id: 'g1', name: 'g1', parent: 'root' },
+    { id: 'g2', name: 'g2', parent: 'root' },
+    { id: 'a', name: 'a', parent: 'g1' },
+    { id: 'b', name: 'b', parent: 'g1' },
+    { id: 'x', name: 'x', parent: 'g2' },
+    { id: 'y', name: 'y', parent: 'g2' },
+  ];
+  const edges = [{ source: 'a', target: 'y' }];
+
+  /**
+   * @param {CactusLayout} layout
+   * @param {string} parent
+   */
+  const childIdsByAngle = (layout, parent) =>
+    layout.nodes
+      .filter((nd) => nd.node.parent === parent)
+      .sort((p, q) => p.angle - q.angle)
+      .map((nd) => String(nd.node.id));
+
+  it('is off by default', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.ordering = 'input';
+    layout.edges = edges;
+    layout.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    expect(layout.edgeOrdering).toBeNull();
+    expect(childIdsByAngle(layout, 'g1')).toEqual(['a', 'b']);
+  });
+
+  it('reorders siblings towards connected nodes', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.ordering = 'input';
+    layout.edgeOrdering = {};
+    layout.edges = edges;
+    layout.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    expect(childIdsByAngle(layout, 'g1')).toEqual(['b', 'a']);
+    expect(childIdsByAngle(layout, 'g2')).toEqual(['y', 'x']);
+  });
+
+  it('reuses ranks while data and edges are unchanged', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.edgeOrdering = {};
+    layout.edges = edges;
+    const input = nodes.map((n) => ({ ...n }));
+
+    layout.render(input, 400, 300);
+    const ranks = layout._siblingRanks;
+    layout.zoom = 2;
+    layout.render(input, 400, 300);
+
+    expect(layout._siblingRanks).toBe(ranks);
+  });
+
+  it('drops ranks when switched off', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.ordering = 'input';
+    layout.edgeOrdering = {};
+    layout.edges = edges;
+    const input = nodes.map((n) => ({ ...n }));
+    layout.render(input, 400, 300);
+
+    layout.edgeOrdering = null;
+    layout.render(input, 400, 300);
+
+    expect(layout._siblingRanks).toBeNull();
+    expect(childIdsByAngle(layout, 'g1')).toEqual(['a', 'b']);
+  });
+
+  it('puts siblings without a rank last, in their order', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout._siblingRanks = new Map([
+      ['c', 0],
+      ['a', 1],
+    ]);
+    const siblings = ['a', 'b', 'c', 'd', 'e', 'f'].map((id) => ({ id }));
+
+    expect(layout.applySiblingRanks(siblings).map((n) => n.id)).toEqual([
+      'c',
+      'a',
+      'b',
+      'd',
+      'e',
+      'f',
+    ]);
+  });
+});
+
+// ── per-depth parameters ────────────────────────────────────────────────────
+
+describe('per-depth parameters', () => {
+  const nodes = [
+    { id: 'root', name: 'root', parent: null },
+    { id: 'a', name: 'a', parent: 'root' },
+    { id: 'b', name: 'b', parent: 'root' },
+    { id: 'c', name: 'c', parent: 'a' },
+    { id: 'd', name: 'd', parent: 'a' },
+  ];
+
+  /**
+   * @param {CactusLayout} layout
+   * @param {string} parentId
+   * @returns {number} Angle between the first and last child of a node
+   */
+  const fanOf = (layout, parentId) => {
+    const angles = layout.nodes
+      .filter((nd) => nd.node.parent === parentId)
+      .map((nd) => nd.angle);
+    return Math.max(...angles) - Math.min(...angles);
+  };
+
+  it('fans children out by the arc span of their parent', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, [2, 0.5], 0.75);
+    layout.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    expect(fanOf(layout, 'root')).toBeGreaterThan(fanOf(layout, 'a'));
+  });
+
+  it('matches a global number when all depths agree', () => {
+    const uniform = new CactusLayout(800, 600, 1, 0.3, 2, 0.75);
+    const perDepth = new CactusLayout(800, 600, 1, [0.3, 0.3], () => 2, 0.75);
+
+    const expected = uniform.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+    const result = perDepth.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    expect(result.map((nd) => [nd.x, nd.y, nd.radius])).toEqual(
+      expected.map((nd) => [nd.x, nd.y, nd.radius]),
+    );
+  });
+
+  it('records the resolved overlap on each node', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.depths = [{ depth: 2, overlap: -1 }];
+    const result = layout.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    const c = /** @type {any} */ (result.find((nd) => nd.node.id === 'c'));
+    const a = /** @type {any} */ (result.find((nd) => nd.node.id === 'a'));
+    expect(c.overlap).toBe(-1);
+    expect(a.overlap).toBe(0.5);
+  });
+
+  it('moves nodes apart with a negative overlap at their depth', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    const input = nodes.map((n) => ({ ...n }));
+
+    /** @param {any[]} result */
+    const gapOfC = (result) => {
+      const a = /** @type {any} */ (result.find((nd) => nd.node.id === 'a'));
+      const c = /** @type {any} */ (result.find((nd) => nd.node.id === 'c'));
+      return Math.hypot(c.x - a.x, c.y - a.y) / (a.radius + c.radius);
+    };
+
+    const before = gapOfC(layout.render(input, 400, 300));
+    layout.depths = [{ depth: 2, overlap: -0.5 }];
+    const after = gapOfC(layout.render(input, 400, 300));
+
+    expect(before).toBeCloseTo(1);
+    expect(after).toBeGreaterThan(before);
+  });
+
+  it('sizes nodes by their own growth rate', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, Math.PI, 0.75);
+    layout.sizeGrowthRate = (node) => (node.id === 'a' ? 0 : 0.75);
+    const result = layout.render(
+      nodes.map((n) => ({ ...n })),
+      400,
+      300,
+    );
+
+    const a = /** @type {any} */ (result.find((nd) => nd.node.id === 'a'));
+    const b = /** @type {any} */ (result.find((nd) => nd.node.id === 'b'));
+    // weight 2 with rate 0 has the same radius as weight 1
+    expect(a.radius).toBeCloseTo(b.radius);
+  });
+
+  it('does not reuse placements computed for another depth', () => {
+    const layout = new CactusLayout(800, 600, 1, 0, [Math.PI, 1], 0.75);
+    const first = nodes.map((n) => ({ ...n }));
+    layout.render(first, 400, 300);
+
+    // Move 'a' below 'b': same parent for c and d, but one level deeper
+    const moved = nodes.map((n) =>
+      n.id === 'a' ? { ...n, parent: 'b' } : { ...n },
+    );
+    layout.render(moved, 400, 300);
+    const fanAfterMove = fanOf(layout, 'a');
+
+    const fresh = new CactusLayout(800, 600, 1, 0, [Math.PI, 1], 0.75);
+    fresh.render(
+      nodes.map((n) => (n.id === 'a' ? { ...n, parent: 'b' } : { ...n })),
+      400,
+      300,
+    );
+
+    expect(fanAfterMove).toBeCloseTo(fanOf(fresh, 'a'));
+  });
+});
+
+// ── incremental re-layout ───────────────────────────────────────────────────
+
+describe('incremental re-layout', () => {
+  const copyNodes = () => sampleNodes.map((n) => ({ ...n }));
+
+  /** @param {import('$lib/types.js').NodeData[]} result */
+  const byId = (result) =>
+    new Map(
+      result.map((nd) => [nd.node.id, { x: nd.x, y: nd.y, r: nd.radius }]),
+    );
+
+  it('matches a fresh layout after a middle node is re-parented', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.render(copyNodes(), 400, 300);
+
+    const moved = copyNodes().map((n) =>
+      n.id === 'c' ? { ...n, parent: 'b' } : n,
+    );
+    const incremental = byId(layout.render(moved, 400, 300));
+
+    const fresh = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    const expected = byId(
+      fresh.render(
+        moved.map((n) => ({ ...n })),
+        400,
+        300,
+      ),
+    );
+
+    for (const [id, pos] of expected) {
+      const actual = incremental.get(id);
+      expect(actual?.x).toBeCloseTo(pos.x, 6);
+      expect(actual?.y).toBeCloseTo(pos.y, 6);
+      expect(actual?.r).toBeCloseTo(pos.r, 6);
+    }
+  });
+
+  it('picks up weight edits made in place on the same array', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    const nodes = copyNodes();
+    const before = byId(layout.render(nodes, 400, 300));
+
+    /** @type {any} */ (nodes[3]).weight = 10;
+    const after = byId(layout.render(nodes, 400, 300));
+
+    const ratioBefore =
+      /** @type {any} */ (before.get('c')).r /
+      /** @type {any} */ (before.get('d')).r;
+    const ratioAfter =
+      /** @type {any} */ (after.get('c')).r /
+      /** @type {any} */ (after.get('d')).r;
+    expect(ratioBefore).toBeCloseTo(1, 6);
+    expect(ratioAfter).toBeGreaterThan(1);
+  });
+
+  it('only invalidates changed nodes and their ancestors', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.render(copyNodes(), 400, 300);
+    expect(layout.weightCache.has('b')).toBe(true);
+
+    const weighted = copyNodes().map((n) =>
+      n.id === 'd' ? { ...n, weight: 4 } : n,
+    );
+    layout.invalidateChangedNodes(layout.computeNodeSignatures(weighted));
+
+    expect(layout.weightCache.has('d')).toBe(false);
+    expect(layout.weightCache.has('a')).toBe(false);
+    expect(layout.weightCache.has('root')).toBe(false);
+    expect(layout.weightCache.has('b')).toBe(true);
+    expect(layout.weightCache.has('e')).toBe(true);
+  });
+
+  it('rebuilds the hierarchy for a structurally equal copy', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.render(copyNodes(), 400, 300);
+
+    const renamed = copyNodes().map((n) => ({ ...n, name: `${n.name}!` }));
+    const result = layout.render(renamed, 400, 300);
+    expect(result.every((nd) => String(nd.node.name).endsWith('!'))).toBe(true);
+  });
+
+  it('keeps only the current hierarchy in the cache', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.render(copyNodes(), 400, 300);
+    layout.render(
+      copyNodes().map((n) => (n.id === 'e' ? { ...n, weight: 2 } : n)),
+      400,
+      300,
+    );
+    expect(layout.hierarchyCache.size).toBe(1);
+  });
 });
 
 // ── render ──────────────────────────────────────────────────────────────────
@@ -373,6 +1153,192 @@ describe('render', () => {
   });
 });
 
+// ── fit ─────────────────────────────────────────────────────────────────────
+
+describe('fit', () => {
+  /**
+   * @param {any} fit
+   * @param {number} [zoom=1]
+   */
+  const renderWith = (fit, zoom = 1) => {
+    const layout = new CactusLayout(800, 600, zoom, 0.5, Math.PI, 0.75);
+    layout.fit = fit;
+    return layout.calculateBoundingBox(layout.render(sampleNodes, 400, 300));
+  };
+
+  it('contains the final layout within the margins', () => {
+    const box = renderWith({ margin: 50 });
+
+    expect(box.minX).toBeGreaterThanOrEqual(50 - 1e-6);
+    expect(box.maxX).toBeLessThanOrEqual(750 + 1e-6);
+    expect(box.minY).toBeGreaterThanOrEqual(50 - 1e-6);
+    expect(box.maxY).toBeLessThanOrEqual(550 + 1e-6);
+    expect(Math.max(box.width / 700, box.height / 500)).toBeCloseTo(1, 6);
+  });
+
+  it('centers the layout by default', () => {
+    const box = renderWith({ margin: { left: 200 } });
+
+    expect(box.minX + box.width / 2).toBeCloseTo(500, 6);
+    expect(box.minY + box.height / 2).toBeCloseTo(300, 6);
+  });
+
+  it('aligns the layout to the top-left corner', () => {
+    const box = renderWith({ mode: 'contain', margin: 10, align: 'top-left' });
+
+    expect(box.minX).toBeCloseTo(10, 6);
+    expect(box.minY).toBeCloseTo(10, 6);
+  });
+
+  it('fits the width or the height only', () => {
+    expect(renderWith({ mode: 'width' }).width).toBeCloseTo(800, 6);
+    expect(renderWith({ mode: 'height' }).height).toBeCloseTo(600, 6);
+  });
+
+  it('keeps layout units without scaling', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.fit = { mode: 'none' };
+    layout.render(sampleNodes, 400, 300);
+
+    expect(layout.globalScale).toBe(1);
+  });
+
+  it('zooms around the center of the area', () => {
+    const box = renderWith({ margin: 20, align: 'top-left' });
+    const zoomed = renderWith({ margin: 20, align: 'top-left' }, 2);
+
+    expect(zoomed.width).toBeCloseTo(box.width * 2, 6);
+    expect(zoomed.minX).toBeCloseTo(400 + (box.minX - 400) * 2, 6);
+    expect(zoomed.minY).toBeCloseTo(300 + (box.minY - 300) * 2, 6);
+  });
+
+  it('reserves room for outer labels', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.fit = { labels: true };
+    layout.measureLabel = () => ({ width: 400, height: 12 });
+    layout.labelOffset = 5;
+    const withLabels = layout.calculateBoundingBox(
+      layout.render(sampleNodes, 400, 300),
+    );
+
+    const box = renderWith({});
+
+    expect(withLabels.width).toBeLessThan(box.width);
+    expect(withLabels.minX).toBeGreaterThan(0);
+    expect(withLabels.minY).toBeGreaterThan(0);
+  });
+
+  it('ignores labels unless fit.labels is set', () => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI, 0.75);
+    layout.fit = {};
+    layout.measureLabel = () => ({ width: 400, height: 12 });
+    const box = layout.calculateBoundingBox(
+      layout.render(sampleNodes, 400, 300),
+    );
+
+    expect(box.width).toBeCloseTo(renderWith({}).width, 6);
+  });
+});
+
+// ── Collision avoidance ─────────────────────────────────────────────────────
+
+describe('avoidCollisions', () => {
+  // Three subtrees squeezed into a narrow fan, with wide fans below
+  /** @type {any[]} */
+  const nodes = [{ id: 'root', name: 'Root', parent: null }];
+  for (const id of ['a', 'b', 'c']) {
+    nodes.push({ id, name: id, parent: 'root' });
+    for (let i = 0; i < 3; i++) {
+      nodes.push({ id: `${id}${i}`, name: `${id}${i}`, parent: id });
+    }
+  }
+
+  /** @param {any} [avoidCollisions] */
+  const layoutWith = (avoidCollisions = null) => {
+    const layout = new CactusLayout(800, 600, 1, 0.5, Math.PI / 2, 0.75);
+    layout.depths = [{ depth: 1, arcSpan: 2 * Math.PI }];
+    layout.avoidCollisions = avoidCollisions;
+    return layout;
+  };
+
+  it('moves colliding subtrees apart', () => {
+    const plain = layoutWith().render(nodes, 400, 300);
+    expect(findSiblingCollisions(plain).length).toBeGreaterThan(0);
+
+    const layout = layoutWith({});
+    const resolved = layout.render(nodes, 400, 300);
+
+    expect(findSiblingCollisions(resolved)).toEqual([]);
+    expect(layout.unresolvedCollisions).toEqual([]);
+  });
+
+  it('keeps node sizes and distances to the parent', () => {
+    const layout = layoutWith({});
+    const resolved = layout.render(nodes, 400, 300);
+    const plain = layoutWith().render(nodes, 400, 300);
+    /** @param {any[]} nodeDatas */
+    const distances = (nodeDatas) => {
+      const byNode = new Map(nodeDatas.map((nd) => [nd.node, nd]));
+      return nodeDatas.map((nd) => {
+        const parent = byNode.get(nd.node.parentRef);
+        return parent ? Math.hypot(nd.x - parent.x, nd.y - parent.y) : 0;
+      });
+    };
+    const scale = resolved[0].radius / plain[0].radius;
+
+    resolved.forEach((nd, i) => {
+      expect(nd.radius).toBeCloseTo(plain[i].radius * scale, 6);
+    });
+    distances(resolved).forEach((distance, i) => {
+      expect(distance).toBeCloseTo(distances(plain)[i] * scale, 6);
+    });
+  });
+
+  it('reports the collisions left after the last round', () => {
+    const layout = layoutWith({ iterations: 0 });
+    const nodeDatas = layout.render(nodes, 400, 300);
+
+    expect(layout.unresolvedCollisions).toEqual(
+      findSiblingCollisions(nodeDatas).map(({ a, b }) => [
+        a.node.id,
+        b.node.id,
+      ]),
+    );
+    expect(layout.unresolvedCollisions.length).toBeGreaterThan(0);
+  });
+
+  it('reuses the resolved layout when only the zoom changes', () => {
+    const layout = layoutWith({});
+    const first = layout.render(nodes, 400, 300).map((nd) => nd.angle);
+    const overrides = layout._offsetOverrides;
+    layout.zoom = 2;
+    const second = layout.render(nodes, 400, 300).map((nd) => nd.angle);
+
+    expect(layout._offsetOverrides).toBe(overrides);
+    expect(second).toEqual(first);
+  });
+
+  it('resolves collisions in a hidden forest', () => {
+    const forest = [
+      ...nodes,
+      { id: 'root2', name: 'Root 2', parent: null },
+      { id: 'd', name: 'd', parent: 'root2' },
+    ];
+    const plain = layoutWith();
+    plain.forest = 'hidden';
+    expect(
+      findSiblingCollisions(plain.render(forest, 400, 300)).length,
+    ).toBeGreaterThan(0);
+
+    const layout = layoutWith({});
+    layout.forest = 'hidden';
+    const resolved = layout.render(forest, 400, 300);
+
+    expect(findSiblingCollisions(resolved)).toEqual([]);
+    expect(layout.unresolvedCollisions).toEqual([]);
+  });
+});
+
 // ── calculateBoundingBox ────────────────────────────────────────────────────
 
 describe('calculateBoundingBox', () => {
@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { CactusTree } from '$lib/cactusTree.js';
+import { ValidationError } from '$lib/validation.js';
+import { calculateLayout, getUnresolvedCollisions } from '$lib/layoutUtils.js';
+import { packLayout } from '$lib/layoutTransfer.js';
 
 /**
  * CactusTree requires a canvas element. We create a minimal mock
@@ -18,7 +21,10 @@ function createMockCanvas() {
     stroke: vi.fn(),
     moveTo: vi.fn(),
     lineTo: vi.fn(),
+    closePath: vi.fn(),
     quadraticCurveTo: vi.fn(),
+    clip: vi.fn(),
+    drawImage: vi.fn(),
     fillText: vi.fn(),
     measureText: vi.fn(() => ({
       width: 40,
@@ -70,6 +76,21 @@ const sampleNodes = [
 
 const sampleEdges = [{ source: 'c', target: 'd' }];
 
+// Three subtrees squeezed into a narrow fan, with wide fans below
+/** @type {any[]} */
+const collidingNodes = [{ id: 'root', name: 'Root', parent: null }];
+for (const id of ['a', 'b', 'c']) {
+  collidingNodes.push({ id, name: id, parent: 'root' });
+  for (let i = 0; i < 3; i++) {
+    collidingNodes.push({ id: `${id}${i}`, name: `${id}${i}`, parent: id });
+  }
+}
+const collidingOptions = {
+  overlap: 0.5,
+  arcSpan: Math.PI / 2,
+  depths: [{ depth: 1, arcSpan: 2 * Math.PI }],
+};
+
 // ── Constructor & basic config ──────────────────────────────────────────────
 
 describe('CactusTree constructor', () => {
@@ -120,6 +141,72 @@ describe('CactusTree constructor', () => {
   });
 });
 
+// ── Nested input ────────────────────────────────────────────────────────────
+
+describe('CactusTree nested input', () => {
+  const nestedNodes = {
+    name: 'Root',
+    children: [
+      { name: 'A', children: [{ name: 'C' }, { name: 'D' }] },
+      { name: 'B' },
+    ],
+  };
+
+  it('flattens nested nodes and keeps the input as nodes', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: nestedNodes,
+      edges: [{ source: 'Root/A/C', target: 'Root/B' }],
+    });
+
+    expect(tree.nodes).toBe(nestedNodes);
+    expect(tree.flatNodes.map((n) => n.id)).toEqual([
+      'Root',
+      'Root/A',
+      'Root/A/C',
+      'Root/A/D',
+      'Root/B',
+    ]);
+    expect(tree.diagnostics).toEqual([]);
+
+    tree.destroy();
+  });
+
+  it('uses the flat nodes as is', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+    });
+
+    expect(tree.flatNodes).toBe(sampleNodes);
+
+    tree.destroy();
+  });
+
+  it('flattens again when accessors change', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: { label: 'r', items: [{ label: 'x' }] },
+    });
+
+    expect(tree.flatNodes).toHaveLength(1);
+
+    tree.update({
+      options: { accessors: { name: 'label', children: 'items' } },
+    });
+
+    expect(tree.flatNodes.map((n) => n.id)).toEqual(['r', 'r/x']);
+
+    tree.destroy();
+  });
+});
+
 // ── mergeOptions (tested indirectly via mergedOptions) ──────────────────────
 
 describe('mergeOptions (via CactusTree.mergedOptions)', () => {
@@ -428,6 +515,94 @@ describe('CactusTree.update', () => {
     tree.destroy();
   });
 
+  it('merges styles over the theme', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      theme: 'magma',
+      styles: { edge: { strokeWidth: 2 } },
+    });
+
+    expect(tree.mergedStyle.edge.strokeColor).toBe('#ffffff');
+    expect(tree.mergedStyle.edge.strokeWidth).toBe(2);
+
+    // The theme and styles are kept when only the other changes
+    tree.update({ theme: 'minimal' });
+    expect(tree.mergedStyle.edge).toMatchObject({
+      strokeColor: '#333333',
+      strokeWidth: 2,
+    });
+    tree.update({ styles: {} });
+    expect(tree.mergedStyle.edge.strokeWidth).toBe(1);
+
+    tree.update({ theme: null });
+    expect(tree.mergedStyle.node.fillColor).toBe('#efefef');
+
+    tree.destroy();
+  });
+
+  it('leaves the tree unchanged for unknown themes', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      theme: 'magma',
+    });
+    const mergedStyle = tree.mergedStyle;
+
+    expect(() =>
+      tree.update({ width: 400, theme: /** @type {any} */ ('magam') }),
+    ).toThrow(/Unknown theme "magam"/);
+    expect(tree.mergedStyle).toBe(mergedStyle);
+    expect(tree.width).toBe(800);
+
+    tree.destroy();
+  });
+
+  it('resolves CSS variables and follows their changes', async () => {
+    const sheet = document.createElement('style');
+    sheet.textContent = `
+      .tree canvas { --node: #ff0000; color: rgb(0, 0, 255); }
+      .tree.dark canvas { --node: #00ff00; color: rgb(255, 0, 0); }
+    `;
+    const container = document.createElement('div');
+    container.className = 'tree';
+    const canvas = document.createElement('canvas');
+    container.append(canvas);
+    document.head.append(sheet);
+    document.body.append(container);
+
+    const styles = { node: { fillColor: 'var(--node)' } };
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      styles,
+    });
+
+    expect(tree.mergedStyle.node.fillColor).toBe('#ff0000');
+    expect(styles.node.fillColor).toBe('var(--node)');
+
+    container.classList.add('dark');
+    await vi.waitFor(() =>
+      expect(tree.mergedStyle.node.fillColor).toBe('#00ff00'),
+    );
+
+    tree.update({ styles: { node: { strokeColor: 'currentColor' } } });
+    expect(tree.mergedStyle.node.strokeColor).toBe('rgb(255, 0, 0)');
+
+    // No longer watched once destroyed
+    tree.destroy();
+    const mergedStyle = tree.mergedStyle;
+    container.classList.remove('dark');
+    await Promise.resolve();
+    expect(tree.mergedStyle).toBe(mergedStyle);
+
+    sheet.remove();
+    container.remove();
+  });
+
   it('does nothing for null config', () => {
     const { canvas } = createMockCanvas();
     const tree = new CactusTree(canvas, { width: 800, height: 600 });
@@ -453,143 +628,1132 @@ describe('CactusTree.update', () => {
   });
 });
 
-// ── destroy ─────────────────────────────────────────────────────────────────
+// ── Dataset transitions ─────────────────────────────────────────────────────
 
-describe('CactusTree.destroy', () => {
-  it('removes event listeners', () => {
+describe('CactusTree transitions', () => {
+  const nextNodes = [
+    { id: 'root', name: 'Root', parent: null },
+    { id: 'a', name: 'A', parent: 'root' },
+    { id: 'c', name: 'C', parent: 'a' },
+    { id: 'e', name: 'E', parent: 'root' },
+  ];
+
+  /** @param {any} canvas */
+  const createTree = (canvas, options = {}) =>
+    new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      // No label placement: happy-dom has no 2D context to measure text
+      options: { numLabels: 0, ...options },
+    });
+
+  it('resets the view on new nodes without transition', () => {
     const { canvas } = createMockCanvas();
-    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+    const tree = createTree(canvas);
+    tree.render();
+    tree.panX = 40;
+    tree.collapsedNodeIds.add('a');
+
+    tree.update({ nodes: nextNodes });
+
+    expect(tree.panX).toBe(0);
+    expect(tree.collapsedNodeIds.size).toBe(0);
+    expect(tree._morphFrom).toBeNull();
 
     tree.destroy();
+  });
 
-    expect(canvas.removeEventListener).toHaveBeenCalled();
+  it('keeps the view and surviving collapsed nodes with transition', () => {
+    const { canvas } = createMockCanvas();
+    const tree = createTree(canvas, { transition: true });
+    tree.render();
+    tree.panX = 40;
+    tree.currentZoom = 1.5;
+    tree.collapsedNodeIds.add('a');
+    tree.collapsedNodeIds.add('b');
+
+    tree.update({ nodes: nextNodes });
+
+    expect(tree.panX).toBe(40);
+    expect(tree.currentZoom).toBe(1.5);
+    expect([...tree.collapsedNodeIds]).toEqual(['a']);
+
+    tree.destroy();
   });
 
-  it('can be called multiple times safely', () => {
+  it('morphs from the previous nodes to the new layout', () => {
     const { canvas } = createMockCanvas();
-    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+    const tree = createTree(canvas, { transition: { duration: 200 } });
+    tree.render();
+    const previous = tree.nodeIdToRenderedNodeMap.get('b');
+
+    tree.update({ nodes: nextNodes });
+    tree.render();
+
+    const frame = /** @type {any[]} */ (tree._morphFrame);
+    expect(frame).not.toBeNull();
+    const removed = frame.find((nodeData) => nodeData.id === 'b');
+    expect(removed).toMatchObject({ x: previous.x, y: previous.y });
+    const added = frame.find((nodeData) => nodeData.id === 'e');
+    expect(added.radius).toBe(0);
+    expect(tree.renderedNodes.map((nodeData) => nodeData.id)).not.toContain(
+      'b',
+    );
 
-    expect(() => {
-      tree.destroy();
-      tree.destroy();
-    }).not.toThrow();
+    tree.destroy();
+    expect(tree._morphFrame).toBeNull();
+  });
+
+  it('morphs once per data change', () => {
+    const { canvas } = createMockCanvas();
+    const tree = createTree(canvas, { transition: true });
+    tree.render();
+
+    tree.update({ nodes: nextNodes });
+    tree.render();
+    tree._stopMorph();
+    tree.render();
+
+    expect(tree._morphFrame).toBeNull();
+
+    tree.destroy();
   });
 });
 
-// ── Collapse/Expand feature ─────────────────────────────────────────────────
+// ── Validation ──────────────────────────────────────────────────────────────
 
-describe('CactusTree collapse feature', () => {
-  beforeEach(() => {
-    vi.useFakeTimers();
+describe('CactusTree validation', () => {
+  const danglingNodes = [
+    { id: 'root', name: 'Root', parent: null },
+    { id: 'a', name: 'A', parent: 'missing' },
+  ];
+
+  it('has no diagnostics for valid data', () => {
+    const { canvas } = createMockCanvas();
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+      onWarning,
+    });
+
+    expect(tree.diagnostics).toEqual([]);
+    expect(onWarning).not.toHaveBeenCalled();
+
+    tree.destroy();
   });
 
-  it('defaults collapsible to true', () => {
+  it('reports each diagnostic to onWarning', () => {
     const { canvas } = createMockCanvas();
-    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: danglingNodes,
+      edges: [{ source: 'root', target: 'x' }],
+      onWarning,
+    });
 
-    expect(tree.collapsible).toBe(true);
+    expect(tree.diagnostics.map((d) => d.code)).toEqual([
+      'dangling-parent',
+      'dangling-edge',
+    ]);
+    expect(onWarning).toHaveBeenCalledTimes(2);
+    expect(onWarning.mock.calls[0][0].code).toBe('dangling-parent');
 
     tree.destroy();
   });
 
-  it('accepts collapsible: false in config', () => {
+  it('reports problems in options, theme and styles to onWarning', () => {
     const { canvas } = createMockCanvas();
+    const onWarning = vi.fn();
     const tree = new CactusTree(canvas, {
       width: 800,
       height: 600,
-      collapsible: false,
+      nodes: sampleNodes,
+      options: /** @type {any} */ ({ numLabel: 5 }),
+      theme: { node: { fillOpacity: 2 } },
+      styles: /** @type {any} */ ({ node: { stokeColor: 'red' } }),
+      onWarning,
     });
 
-    expect(tree.collapsible).toBe(false);
+    expect(onWarning.mock.calls.map((call) => call[0].path)).toEqual([
+      'options.numLabel',
+      'theme.node.fillOpacity',
+      'styles.node.stokeColor',
+    ]);
+    expect(tree.diagnostics).toEqual([]);
+
+    onWarning.mockClear();
+    tree.update({
+      styles: /** @type {any} */ ({
+        depths: [{ depth: 0, node: { fillColor: 1 } }],
+      }),
+    });
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning.mock.calls[0][0].code).toBe('invalid-type');
 
     tree.destroy();
   });
 
-  it('initializes collapse state as empty', () => {
+  it('validates options, theme and styles again only when they change', () => {
     const { canvas } = createMockCanvas();
-    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+    const onWarning = vi.fn();
+    const options = /** @type {any} */ ({ numLabel: 5 });
+    const theme = { node: { fillOpacity: 2 } };
+    const styles = /** @type {any} */ ({ node: { stokeColor: 'red' } });
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      options,
+      theme,
+      styles,
+      onWarning,
+    });
+    expect(onWarning).toHaveBeenCalledTimes(3);
 
-    expect(tree.collapsedNodeIds.size).toBe(0);
-    expect(tree._collapsedDescendantIds.size).toBe(0);
-    expect(tree._animatedPositions.size).toBe(0);
-    expect(tree._isCollapseAnimating).toBe(false);
+    onWarning.mockClear();
+    tree.update({ width: 400, options, theme, styles });
+    expect(onWarning).not.toHaveBeenCalled();
+
+    tree.update({ styles: { ...styles } });
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning.mock.calls[0][0].path).toBe('styles.node.stokeColor');
 
     tree.destroy();
   });
 
-  it('_handleNodeClick does nothing when collapsible is false', () => {
+  it('throws for problems in styles in strict mode, leaving the tree as is', () => {
     const { canvas } = createMockCanvas();
     const tree = new CactusTree(canvas, {
       width: 800,
       height: 600,
       nodes: sampleNodes,
-      edges: sampleEdges,
-      collapsible: false,
+      strict: true,
     });
+    const mergedStyle = tree.mergedStyle;
 
-    vi.advanceTimersByTime(100);
+    expect(() =>
+      tree.update({ styles: { node: { fillColor: { scale: 'magam' } } } }),
+    ).toThrow(/Invalid cactus config: .*did you mean "magma"/);
+    expect(tree.mergedStyle).toBe(mergedStyle);
 
-    tree._handleNodeClick('a');
+    tree.destroy();
+  });
 
-    expect(tree.collapsedNodeIds.size).toBe(0);
+  it('validates again only when data changes on update', () => {
+    const { canvas } = createMockCanvas();
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: danglingNodes,
+      onWarning,
+    });
+
+    tree.update({ nodes: danglingNodes, width: 1024 });
+    expect(onWarning).toHaveBeenCalledTimes(1);
+
+    tree.update({ nodes: sampleNodes });
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(tree.diagnostics).toEqual([]);
 
     tree.destroy();
   });
 
-  it('_handleNodeClick does nothing for leaf nodes', () => {
+  it('throws a ValidationError in strict mode', () => {
+    const { canvas } = createMockCanvas();
+
+    expect(
+      () =>
+        new CactusTree(canvas, {
+          width: 800,
+          height: 600,
+          nodes: danglingNodes,
+          strict: true,
+        }),
+    ).toThrow(ValidationError);
+  });
+
+  it('keeps the previous data when a strict update fails', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      strict: true,
+    });
+
+    expect(() => tree.update({ nodes: danglingNodes })).toThrow(
+      ValidationError,
+    );
+    expect(tree.nodes).toBe(sampleNodes);
+    expect(tree.diagnostics[0].code).toBe('dangling-parent');
+
+    tree.destroy();
+  });
+});
+
+// ── Worker mode ─────────────────────────────────────────────────────────────
+
+describe('CactusTree worker mode', () => {
+  /** A stand-in for a Worker that records posted messages */
+  function createFakeWorker() {
+    return /** @type {any} */ ({
+      postMessage: vi.fn(),
+      terminate: vi.fn(),
+      onmessage: null,
+      onerror: null,
+    });
+  }
+
+  /**
+   * Answer a layout request the way layoutWorker.js does.
+   * @param {any} worker
+   * @param {any} request
+   */
+  function respondToLayout(worker, request) {
+    const data = worker.postMessage.mock.calls
+      .map((/** @type {any[]} */ call) => call[0])
+      .filter((/** @type {any} */ m) => m.type === 'data')
+      .at(-1);
+    const rendered = calculateLayout(
+      request.width,
+      request.height,
+      request.layoutZoom,
+      data.nodes,
+      request.options,
+      data.edges,
+    );
+    const layout = packLayout(
+      rendered,
+      new Map(
+        data.nodes.map((/** @type {any} */ node, /** @type {number} */ i) => [
+          node,
+          i,
+        ]),
+      ),
+    );
+    worker.onmessage({
+      data: {
+        type: 'layout',
+        version: data.version,
+        layout,
+        labels: null,
+        collisions: getUnresolvedCollisions(),
+      },
+    });
+  }
+
+  /** @param {any} worker */
+  const postedTypes = (worker) =>
+    worker.postMessage.mock.calls.map((/** @type {any[]} */ c) => c[0].type);
+
+  it('posts the data and a layout request instead of laying out', () => {
     const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
     const tree = new CactusTree(canvas, {
       width: 800,
       height: 600,
       nodes: sampleNodes,
       edges: sampleEdges,
+      worker,
     });
 
-    vi.advanceTimersByTime(100);
+    tree.render();
 
-    tree._handleNodeClick('c');
+    expect(postedTypes(worker)).toEqual(['data', 'layout']);
+    const data = worker.postMessage.mock.calls[0][0];
+    expect(data.nodes.map((/** @type {any} */ n) => n.id)).toEqual(
+      sampleNodes.map((n) => n.id),
+    );
+    expect(data.nodes[0]).not.toBe(sampleNodes[0]);
+    expect(data.nodes[0]).not.toHaveProperty('parentRef');
+    expect(data.edges).toBe(sampleEdges);
+    expect(tree.renderedNodes).toEqual([]);
 
-    expect(tree.collapsedNodeIds.size).toBe(0);
+    tree.destroy();
+  });
+
+  it('applies the layout computed by the worker to its own nodes', () => {
+    const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      worker,
+    });
+
+    tree.render();
+    respondToLayout(worker, worker.postMessage.mock.calls[1][0]);
+
+    expect(tree.renderedNodes).toHaveLength(sampleNodes.length);
+    for (const nodeData of tree.renderedNodes) {
+      expect(tree.flatNodes).toContain(nodeData.node);
+    }
+    expect(tree.nodeIdToRenderedNodeMap.get('c')).toBeDefined();
+    expect(tree.leafNodes.has('c')).toBe(true);
 
     tree.destroy();
   });
 
-  it('_handleNodeClick adds non-leaf to collapsedNodeIds', () => {
+  it('sends one request at a time and keeps only the latest', () => {
     const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
     const tree = new CactusTree(canvas, {
       width: 800,
       height: 600,
       nodes: sampleNodes,
-      edges: sampleEdges,
+      worker,
     });
 
-    vi.advanceTimersByTime(100);
+    tree.render();
+    tree.currentZoom = 2;
+    tree.render();
+    tree.currentZoom = 3;
+    tree.render();
 
-    tree._handleNodeClick('a');
+    expect(postedTypes(worker)).toEqual(['data', 'layout']);
 
-    expect(tree.collapsedNodeIds.has('a')).toBe(true);
+    respondToLayout(worker, worker.postMessage.mock.calls[1][0]);
+
+    expect(postedTypes(worker)).toEqual(['data', 'layout', 'layout']);
+    expect(worker.postMessage.mock.calls[2][0].layoutZoom).toBe(3);
 
     tree.destroy();
   });
 
-  it('_handleNodeClick toggles collapse state', () => {
+  it('drops results computed from replaced data', () => {
     const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
     const tree = new CactusTree(canvas, {
       width: 800,
       height: 600,
       nodes: sampleNodes,
-      edges: sampleEdges,
+      worker,
     });
 
-    vi.advanceTimersByTime(100);
+    tree.render();
+    const staleRequest = worker.postMessage.mock.calls[1][0];
+    const staleData = worker.postMessage.mock.calls[0][0];
+    tree.update({ nodes: sampleNodes.slice(0, 3) });
+    tree.render();
+
+    const layout = packLayout(
+      calculateLayout(800, 600, 1, staleData.nodes, staleRequest.options),
+      new Map(
+        staleData.nodes.map((/** @type {any} */ n, /** @type {number} */ i) => [
+          n,
+          i,
+        ]),
+      ),
+    );
+    worker.onmessage({
+      data: {
+        type: 'layout',
+        version: staleData.version,
+        layout,
+        labels: null,
+      },
+    });
 
-    // First click: collapse
-    tree._handleNodeClick('a');
-    expect(tree.collapsedNodeIds.has('a')).toBe(true);
+    expect(tree.renderedNodes).toEqual([]);
+    expect(postedTypes(worker).at(-1)).toBe('layout');
 
-    // Second click: expand
-    tree._handleNodeClick('a');
-    expect(tree.collapsedNodeIds.has('a')).toBe(false);
+    tree.destroy();
+  });
+
+  it('falls back to the main thread when a message cannot be cloned', () => {
+    const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
+    worker.postMessage.mockImplementation(() => {
+      throw new Error('DataCloneError');
+    });
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      worker,
+      // No label placement: happy-dom has no 2D context to measure text
+      options: { numLabels: 0 },
+    });
+
+    tree.render();
+    tree.render();
+
+    expect(tree.renderedNodes).toHaveLength(sampleNodes.length);
+
+    tree.destroy();
+  });
+
+  it('keeps the collisions the worker could not resolve', () => {
+    const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: collidingNodes,
+      worker,
+      onWarning,
+      options: { ...collidingOptions, avoidCollisions: { iterations: 0 } },
+    });
+    tree.render();
+    respondToLayout(worker, worker.postMessage.mock.calls[1][0]);
+
+    expect(tree.unresolvedCollisions).toEqual(getUnresolvedCollisions());
+    expect(tree.unresolvedCollisions.length).toBeGreaterThan(0);
+    expect(onWarning).toHaveBeenCalledTimes(tree.unresolvedCollisions.length);
+
+    tree.destroy();
+  });
+
+  it('does not terminate a worker it did not create', () => {
+    const { canvas } = createMockCanvas();
+    const worker = createFakeWorker();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      worker,
+    });
+
+    tree.destroy();
+
+    expect(worker.terminate).not.toHaveBeenCalled();
+    expect(worker.onmessage).toBeNull();
+  });
+});
+
+// ── Level of detail ─────────────────────────────────────────────────────────
+
+describe('CactusTree level of detail', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('aggregates small subtrees and expands them when zoomed in', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: [{ source: 'b', target: 'c' }],
+      options: { lod: { minRadius: 150 } },
+    });
+    tree.render();
+
+    expect(tree.renderedNodes.map((n) => n.id).sort()).toEqual([
+      'a',
+      'b',
+      'root',
+    ]);
+    expect(tree.nodeIdToRenderedNodeMap.get('a').aggregatedCount).toBe(3);
+    expect(tree.nodeIdToRenderedNodeMap.has('c')).toBe(false);
+    expect(tree._lodEdges).toEqual([{ source: 'b', target: 'a' }]);
+
+    tree.currentZoom = 2;
+    tree.render();
+
+    expect(tree.renderedNodes).toHaveLength(sampleNodes.length);
+    expect(tree._lodEdges).toBe(tree.edges);
+
+    tree.destroy();
+  });
+
+  it('draws every node without the lod option', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+    });
+    tree.render();
+
+    expect(tree.renderedNodes).toHaveLength(sampleNodes.length);
+
+    tree.destroy();
+  });
+});
+
+// ── Collision avoidance ─────────────────────────────────────────────────────
+
+describe('CactusTree collision avoidance', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('reports collisions left unresolved once', () => {
+    const { canvas } = createMockCanvas();
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: collidingNodes,
+      options: { ...collidingOptions, avoidCollisions: { iterations: 0 } },
+      onWarning,
+    });
+    tree.render();
+
+    expect(tree.unresolvedCollisions.length).toBeGreaterThan(0);
+    expect(onWarning).toHaveBeenCalledTimes(tree.unresolvedCollisions.length);
+    const [a, b] = tree.unresolvedCollisions[0];
+    expect(onWarning).toHaveBeenCalledWith({
+      code: 'overlapping-subtrees',
+      severity: 'warning',
+      message: `Subtrees of "${a}" and "${b}" overlap`,
+      ids: [a, b],
+    });
+
+    // Zooming lays out again with the same collisions
+    onWarning.mockClear();
+    tree.currentZoom = 2;
+    tree.render();
+
+    expect(onWarning).not.toHaveBeenCalled();
+
+    tree.destroy();
+  });
+
+  it('leaves no collisions when they can be resolved', () => {
+    const { canvas } = createMockCanvas();
+    const onWarning = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: collidingNodes,
+      options: { ...collidingOptions, avoidCollisions: true },
+      onWarning,
+    });
+    tree.render();
+
+    expect(tree.unresolvedCollisions).toEqual([]);
+    expect(onWarning).not.toHaveBeenCalled();
+
+    tree.destroy();
+  });
+});
+
+// ── toSVG ───────────────────────────────────────────────────────────────────
+
+describe('CactusTree node images', () => {
+  /** @type {any[]} */
+  let images = [];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    images = [];
+    vi.stubGlobal(
+      'Image',
+      class {
+        constructor() {
+          images.push(this);
+        }
+      },
+    );
+    return () => vi.unstubAllGlobals();
+  });
+
+  const imageNodes = sampleNodes.map((node) => ({
+    ...node,
+    image: node.id === 'c' ? 'c.png' : undefined,
+  }));
+
+  it('draws images once they have loaded', () => {
+    const { canvas, ctx } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: imageNodes,
+      styles: { image: { minRadius: 0 } },
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(images).toHaveLength(1);
+    expect(images[0].src).toBe('c.png');
+    expect(ctx.drawImage).not.toHaveBeenCalled();
+
+    images[0].width = 10;
+    images[0].height = 10;
+    images[0].onload();
+    vi.advanceTimersByTime(100);
+
+    const c = tree.renderedNodes.find((n) => n.id === 'c');
+    expect(ctx.drawImage).toHaveBeenCalledWith(
+      images[0],
+      c.x - c.radius,
+      c.y - c.radius,
+      2 * c.radius,
+      2 * c.radius,
+    );
+
+    tree.destroy();
+  });
+
+  it('leaves out images of small nodes', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: imageNodes,
+      styles: { image: { minRadius: 10000 } },
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(images).toHaveLength(0);
+    expect(tree.toSVG()).not.toContain('<image');
+
+    tree.destroy();
+  });
+
+  it('exports images to SVG without waiting for them', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: imageNodes,
+      styles: { image: { value: (node) => node.image, minRadius: 0 } },
+    });
+
+    const svg = tree.toSVG();
+
+    expect(svg).toMatch(
+      /<image href="c.png" [^>]*clip-path="url\(#cactuz-clip-1\)"\/>/,
+    );
+
+    tree.destroy();
+  });
+});
+
+describe('CactusTree custom node rendering', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('calls renderNode for every node in draw order', () => {
+    const { canvas, ctx } = createMockCanvas();
+    const renderNode = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+      renderNode,
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(renderNode.mock.calls.map(([, nodeData]) => nodeData.id)).toEqual(
+      tree.renderedNodes.map((n) => n.id),
+    );
+    const [drawCtx, nodeData, state] = renderNode.mock.calls[0];
+    expect(drawCtx).toBe(ctx);
+    expect(nodeData.node.id).toBe('root');
+    expect(state.style.fill).toBe('#efefef');
+    // Circles are left to renderNode
+    expect(ctx.arc).not.toHaveBeenCalled();
+
+    tree.destroy();
+  });
+
+  it('passes the hovered, collapsed and edge flags', () => {
+    const { canvas } = createMockCanvas();
+    const renderNode = vi.fn();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+      renderNode,
+    });
+    vi.advanceTimersByTime(100);
+    renderNode.mockClear();
+
+    tree.hoveredNodeId = 'c';
+    tree.collapsedNodeIds.add('b');
+    tree.draw();
+
+    /** @param {string} id */
+    const stateOf = (id) =>
+      renderNode.mock.calls.find(([, nodeData]) => nodeData.id === id)?.[2];
+    expect(stateOf('c')).toMatchObject({ isHovered: true, hasEdge: true });
+    expect(stateOf('d')).toMatchObject({
+      isHovered: false,
+      isHighlighted: true,
+      isLeaf: true,
+    });
+    expect(stateOf('b').isCollapsed).toBe(true);
+    expect(stateOf('root')).toMatchObject({
+      isHighlighted: false,
+      isLeaf: false,
+      hasEdge: false,
+    });
+
+    tree.destroy();
+  });
+
+  it('exports custom nodes to SVG', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      renderNode: (ctx, { x, y, radius }) => {
+        ctx.beginPath();
+        ctx.moveTo(x, y - radius);
+        ctx.lineTo(x + radius, y + radius);
+        ctx.lineTo(x - radius, y + radius);
+        ctx.closePath();
+        ctx.fillStyle = '#123456';
+        ctx.fill();
+      },
+    });
+
+    const svg = tree.toSVG();
+
+    expect(svg.match(/<path d="M[^"]*Z" fill="#123456"/g)).toHaveLength(
+      sampleNodes.length,
+    );
+    expect(svg).not.toContain('<circle');
+
+    tree.destroy();
+  });
+
+  it('can be set and removed with update', () => {
+    const { canvas, ctx } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+    });
+    const renderNode = vi.fn();
+
+    tree.update({ renderNode });
+    vi.advanceTimersByTime(100);
+    expect(renderNode).toHaveBeenCalled();
+
+    tree.update({ renderNode: null });
+    ctx.arc.mockClear();
+    vi.advanceTimersByTime(100);
+    expect(tree.renderNode).toBeNull();
+    expect(ctx.arc).toHaveBeenCalled();
+
+    tree.destroy();
+  });
+});
+
+describe('CactusTree.toSVG', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  /** @param {string} svg */
+  const circlesOf = (svg) => svg.match(/<circle [^>]*fill="none"[^>]*>/g) ?? [];
+
+  it('draws the current layout', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+    vi.advanceTimersByTime(100);
+
+    const svg = tree.toSVG();
+
+    expect(svg).toMatch(/^<svg [^>]*viewBox="0 0 800 600">/);
+    expect(svg.endsWith('</svg>')).toBe(true);
+    expect(circlesOf(svg)).toHaveLength(sampleNodes.length);
+    const root = tree.renderedNodes.find((n) => n.id === 'root');
+    expect(svg).toContain(`cx="${Math.round(root.x * 100) / 100}"`);
+    expect(svg).toMatch(/<path d="M[^"]*"[^>]*stroke-opacity="0.1"/);
+    expect(svg).toContain('>Root</text>');
+
+    tree.destroy();
+  });
+
+  it('lays out before the first render', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+    });
+
+    expect(circlesOf(tree.toSVG())).toHaveLength(sampleNodes.length);
+
+    tree.destroy();
+  });
+
+  it('includes the highlight state', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+    vi.advanceTimersByTime(100);
+
+    expect(tree.toSVG()).not.toContain('stroke="#333333"');
+
+    tree.hoveredNodeId = 'c';
+    const svg = tree.toSVG();
+
+    expect(svg).toContain('stroke="#333333"');
+    // Highlighted edge at full opacity
+    expect(svg).toMatch(
+      /<path d="M[^"]*" fill="none" stroke="#333333" stroke-width/,
+    );
+
+    tree.destroy();
+  });
+
+  it('applies the pan offset', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+    });
+    vi.advanceTimersByTime(100);
+    const root = tree.renderedNodes.find((n) => n.id === 'root');
+
+    tree.panX = 10;
+    tree.panY = -5;
+    const svg = tree.toSVG();
+
+    expect(svg).toContain(`cx="${Math.round((root.x + 10) * 100) / 100}"`);
+    expect(svg).toContain(`cy="${Math.round((root.y - 5) * 100) / 100}"`);
+
+    tree.destroy();
+  });
+});
+
+// ── getLegend ───────────────────────────────────────────────────────────────
+
+describe('CactusTree.getLegend', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('derives the legend from the resolved styles', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      styles: {
+        node: { fillColor: { scale: 'tableau10', branch: true } },
+        depths: [{ depth: '*', node: { strokeColor: { scale: 'magma' } } }],
+      },
+    });
+
+    const legend = /** @type {any[]} */ (tree.getLegend());
+
+    expect(legend.map((entry) => entry.type)).toEqual(['depths', 'categories']);
+    expect(legend[0].items).toHaveLength(3);
+    expect(
+      legend[1].items.map((/** @type {any} */ item) => item.label).sort(),
+    ).toEqual(['A', 'B']);
+
+    tree.destroy();
+  });
+
+  it('is drawn on the canvas with the legend option', () => {
+    const { canvas, ctx } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      options: { legend: { position: 'top-left' } },
+      styles: {
+        depths: [{ depth: 0, node: { fillColor: '#ff0000' } }],
+      },
+    });
+    vi.advanceTimersByTime(100);
+
+    const texts = ctx.fillText.mock.calls.map((call) => call[0]);
+    expect(texts).toContain('Depth');
+    expect(texts).toContain('Depth 0');
+
+    ctx.fillText.mockClear();
+    tree.update({ options: {} });
+    vi.advanceTimersByTime(100);
+    expect(ctx.fillText.mock.calls.map((call) => call[0])).not.toContain(
+      'Depth 0',
+    );
+
+    tree.destroy();
+  });
+});
+
+// ── destroy ─────────────────────────────────────────────────────────────────
+
+describe('CactusTree.destroy', () => {
+  it('removes event listeners', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+
+    tree.destroy();
+
+    expect(canvas.removeEventListener).toHaveBeenCalled();
+  });
+
+  it('can be called multiple times safely', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+
+    expect(() => {
+      tree.destroy();
+      tree.destroy();
+    }).not.toThrow();
+  });
+});
+
+// ── Collapse/Expand feature ─────────────────────────────────────────────────
+
+describe('CactusTree collapse feature', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('defaults collapsible to true', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+
+    expect(tree.collapsible).toBe(true);
+
+    tree.destroy();
+  });
+
+  it('accepts collapsible: false in config', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      collapsible: false,
+    });
+
+    expect(tree.collapsible).toBe(false);
+
+    tree.destroy();
+  });
+
+  it('initializes collapse state as empty', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, { width: 800, height: 600 });
+
+    expect(tree.collapsedNodeIds.size).toBe(0);
+    expect(tree._collapsedDescendantIds.size).toBe(0);
+    expect(tree._animatedPositions.size).toBe(0);
+    expect(tree._isCollapseAnimating).toBe(false);
+
+    tree.destroy();
+  });
+
+  it('_handleNodeClick does nothing when collapsible is false', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+      collapsible: false,
+    });
+
+    vi.advanceTimersByTime(100);
+
+    tree._handleNodeClick('a');
+
+    expect(tree.collapsedNodeIds.size).toBe(0);
+
+    tree.destroy();
+  });
+
+  it('_handleNodeClick does nothing for leaf nodes', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+
+    vi.advanceTimersByTime(100);
+
+    tree._handleNodeClick('c');
+
+    expect(tree.collapsedNodeIds.size).toBe(0);
+
+    tree.destroy();
+  });
+
+  it('_handleNodeClick adds non-leaf to collapsedNodeIds', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+
+    vi.advanceTimersByTime(100);
+
+    tree._handleNodeClick('a');
+
+    expect(tree.collapsedNodeIds.has('a')).toBe(true);
+
+    tree.destroy();
+  });
+
+  it('_handleNodeClick toggles collapse state', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+
+    vi.advanceTimersByTime(100);
+
+    // First click: collapse
+    tree._handleNodeClick('a');
+    expect(tree.collapsedNodeIds.has('a')).toBe(true);
+
+    // Second click: expand
+    tree._handleNodeClick('a');
+    expect(tree.collapsedNodeIds.has('a')).toBe(false);
+
+    tree.destroy();
+  });
+
+  it('marks collapsed nodes with their hidden descendants and edges', () => {
+    const { canvas } = createMockCanvas();
+    const tree = new CactusTree(canvas, {
+      width: 800,
+      height: 600,
+      nodes: sampleNodes,
+      edges: sampleEdges,
+    });
+
+    vi.advanceTimersByTime(100);
+    expect(tree.toSVG()).not.toContain('>+2');
+
+    tree._handleNodeClick('a');
+    vi.advanceTimersByTime(1000);
+
+    // 'c' and 'd' are hidden, and so is the edge between them
+    expect(tree.toSVG()).toContain('>+2 · 1 edges</text>');
+
+    tree.update({ styles: { collapsed: { badge: { visible: false } } } });
+    expect(tree.toSVG()).not.toContain('>+2');
 
     tree.destroy();
   });
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { runCli } from '$lib/cli.js';
+
+/**
+ * Run the command on in-memory files.
+ * @param {string[]} args
+ * @param {Record<string, string>} files
+ */
+function run(args, files) {
+  /** @type {string[]} */
+  const out = [];
+  /** @type {string[]} */
+  const err = [];
+  const code = runCli(args, {
+    readFile: (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+    log: (line) => out.push(line),
+    error: (line) => err.push(line),
+  });
+  return { code, out, err };
+}
+
+// ── runCli ──────────────────────────────────────────────────────────────────
+
+describe('runCli', () => {
+  const files = {
+    'good.json': JSON.stringify({ node: { fillColor: '#efefef' } }),
+    'typo.json': JSON.stringify({ node: { stokeColor: '#333333' } }),
+    'bad.json': JSON.stringify({ node: { fillOpacity: 2 } }),
+    'options.json': JSON.stringify({ fit: 'contian' }),
+    'broken.json': '{ "node": ',
+  };
+
+  it('reports valid files as ok', () => {
+    expect(run(['good.json'], files)).toEqual({
+      code: 0,
+      out: ['good.json: ok'],
+      err: [],
+    });
+  });
+
+  it('prints warnings and fails on them only with --strict', () => {
+    const result = run(['typo.json'], files);
+
+    expect(result.code).toBe(0);
+    expect(result.out).toEqual([
+      'typo.json: warning: Unknown key "styles.node.stokeColor" (did you mean "strokeColor"?)',
+    ]);
+    expect(run(['--strict', 'typo.json'], files).code).toBe(1);
+  });
+
+  it('fails on errors in any file', () => {
+    const result = run(['good.json', 'bad.json', 'broken.json'], files);
+
+    expect(result.code).toBe(1);
+    expect(result.err).toHaveLength(2);
+    expect(result.err[0]).toMatch(/^bad\.json: error: .*fillOpacity/);
+    expect(result.err[1]).toMatch(/^broken\.json: error: /);
+  });
+
+  it('validates options with --options', () => {
+    const result = run(['--options', 'options.json'], files);
+
+    expect(result.code).toBe(1);
+    expect(result.err[0]).toContain('did you mean "contain"?');
+  });
+
+  it('prints the usage for missing files and unknown flags', () => {
+    expect(run([], files).code).toBe(2);
+    expect(run(['--verbose', 'good.json'], files).err[0]).toMatch(
+      /^Unknown flag --verbose/,
+    );
+    expect(run(['--help'], files)).toMatchObject({ code: 0, err: [] });
+  });
+});
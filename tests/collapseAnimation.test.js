@@ -3,6 +3,8 @@ import {
   easeInOutCubic,
   getDescendantIds,
   computeCollapsedPositions,
+  planMorph,
+  interpolateMorph,
 } from '$lib/collapseAnimation.js';
 
 // ── easeInOutCubic ──────────────────────────────────────────────────────────
@@ -201,3 +203,97 @@ describe('computeCollapsedPositions', () => {
     expect(overrides.size).toBe(0);
   });
 });
+
+// ── planMorph / interpolateMorph ────────────────────────────────────────────
+
+describe('planMorph', () => {
+  /**
+   * @param {string} id
+   * @param {string|null} parent
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   */
+  const rendered = (id, parent, x, y, radius) => ({
+    id,
+    x,
+    y,
+    radius,
+    node: { id, parent },
+  });
+
+  const before = [
+    rendered('root', null, 0, 0, 10),
+    rendered('a', 'root', 10, 0, 5),
+    rendered('gone', 'a', 12, 0, 1),
+  ];
+  const after = [
+    rendered('root', null, 0, 0, 20),
+    rendered('a', 'root', 20, 0, 8),
+    rendered('new', 'root', -20, 0, 4),
+    rendered('deep', 'new', -22, 0, 1),
+  ];
+
+  /**
+   * @param {any[]} tracks
+   * @param {string} id
+   */
+  const trackOf = (tracks, id) =>
+    tracks.find((track) => track.nodeData.id === id);
+
+  it('moves and resizes nodes that are in both layouts', () => {
+    const track = trackOf(planMorph(before, after), 'a');
+
+    expect(track.from).toEqual({ x: 10, y: 0, radius: 5 });
+    expect(track.to).toEqual({ x: 20, y: 0, radius: 8 });
+    expect(track.nodeData).toBe(after[1]);
+  });
+
+  it('grows new nodes out of their nearest ancestor shown before', () => {
+    const tracks = planMorph(before, after);
+
+    expect(trackOf(tracks, 'new').from).toEqual({ x: 0, y: 0, radius: 0 });
+    expect(trackOf(tracks, 'deep').from).toEqual({ x: 0, y: 0, radius: 0 });
+    expect(trackOf(tracks, 'deep').to).toEqual({ x: -22, y: 0, radius: 1 });
+  });
+
+  it('shrinks removed nodes into their parent at its new position', () => {
+    const tracks = planMorph(before, after);
+    const track = trackOf(tracks, 'gone');
+
+    expect(track.from).toEqual({ x: 12, y: 0, radius: 1 });
+    expect(track.to).toEqual({ x: 20, y: 0, radius: 0 });
+    expect(tracks[0]).toBe(track);
+  });
+
+  it('grows and shrinks in place without an ancestor', () => {
+    const tracks = planMorph(
+      [rendered('old', null, 5, 5, 3)],
+      [rendered('other', null, 1, 1, 2)],
+    );
+
+    expect(trackOf(tracks, 'old').to).toEqual({ x: 5, y: 5, radius: 0 });
+    expect(trackOf(tracks, 'other').from).toEqual({ x: 1, y: 1, radius: 0 });
+  });
+});
+
+describe('interpolateMorph', () => {
+  const tracks = [
+    {
+      nodeData: { id: 'a', x: 0, y: 0, radius: 0, depth: 1 },
+      from: { x: 0, y: 10, radius: 2 },
+      to: { x: 10, y: 20, radius: 4 },
+    },
+  ];
+
+  it('interpolates position and radius', () => {
+    const [nodeData] = interpolateMorph(tracks, 0.5);
+
+    expect(nodeData).toEqual({ id: 'a', x: 5, y: 15, radius: 3, depth: 1 });
+  });
+
+  it('starts and ends at the track ends', () => {
+    expect(interpolateMorph(tracks, 0)[0]).toMatchObject(tracks[0].from);
+    expect(interpolateMorph(tracks, 1)[0]).toMatchObject(tracks[0].to);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FAN_SHRINK,
+  MAX_FAN_SPAN,
+  findSiblingCollisions,
+  separateSiblings,
+} from '$lib/collisions.js';
+
+/**
+ * Laid out node with a tree node linked to its children.
+ * @param {string} id
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number} angle
+ * @param {any[]} [children=[]]
+ * @returns {any}
+ */
+function nodeData(id, x, y, radius, angle, children = []) {
+  return {
+    x,
+    y,
+    radius,
+    angle,
+    depth: 0,
+    isLeaf: children.length === 0,
+    node: { id, name: id, children: children.map((child) => child.node) },
+  };
+}
+
+/**
+ * Parent `p` at the origin with children `a` and `b` whose children `a1`
+ * and `b1` intersect by 2.
+ * @returns {any[]}
+ */
+function collidingNodes() {
+  const a1 = nodeData('a1', 14, -0.5, 1.5, -0.1);
+  const b1 = nodeData('b1', 14, 0.5, 1.5, 0.1);
+  const a = nodeData('a', 10, -3, 2, -0.3, [a1]);
+  const b = nodeData('b', 10, 3, 2, 0.3, [b1]);
+  const p = nodeData('p', 0, 0, 8, 0, [a, b]);
+  return [p, a, a1, b, b1];
+}
+
+// ── findSiblingCollisions ───────────────────────────────────────────────────
+
+describe('findSiblingCollisions', () => {
+  it('finds sibling subtrees with intersecting nodes', () => {
+    const nodes = collidingNodes();
+    const collisions = findSiblingCollisions(nodes);
+
+    expect(collisions).toHaveLength(1);
+    const [{ parent, a, b, turn }] = collisions;
+    expect([parent.node.id, a.node.id, b.node.id]).toEqual(['p', 'a', 'b']);
+    // Overlap of 2 at a distance of about 14 from the parent
+    expect(turn).toBeCloseTo(4 / (2 * Math.hypot(14, 0.5)), 6);
+  });
+
+  it('lets the siblings themselves overlap', () => {
+    const a = nodeData('a', 10, -1, 2, -0.1);
+    const b = nodeData('b', 10, 1, 2, 0.1);
+    const p = nodeData('p', 0, 0, 8, 0, [a, b]);
+
+    expect(findSiblingCollisions([p, a, b])).toEqual([]);
+  });
+
+  it('counts a sibling running into the subtree of another', () => {
+    const b1 = nodeData('b1', 11, -2, 1.5, 0);
+    const a = nodeData('a', 10, -4, 2, -0.4);
+    const b = nodeData('b', 10, 4, 2, 0.4, [b1]);
+    const p = nodeData('p', 0, 0, 8, 0, [a, b]);
+
+    expect(findSiblingCollisions([p, a, b, b1])).toHaveLength(1);
+  });
+
+  it('checks the children of extra parents', () => {
+    const [, ...subtrees] = collidingNodes();
+    const root = nodeData('root', 0, 0, 0, 0, [subtrees[0], subtrees[2]]);
+
+    expect(findSiblingCollisions(subtrees)).toEqual([]);
+    expect(findSiblingCollisions(subtrees, [root])[0].parent).toBe(root);
+  });
+});
+
+// ── separateSiblings ────────────────────────────────────────────────────────
+
+describe('separateSiblings', () => {
+  it('turns colliding siblings away from each other', () => {
+    const nodes = collidingNodes();
+    const collisions = findSiblingCollisions(nodes);
+    const offsets = new Map();
+    separateSiblings(collisions, nodes, offsets, new Map());
+
+    const spread = offsets.get('b') - offsets.get('a') - 0.6;
+    expect(spread).toBeGreaterThan(collisions[0].turn);
+    // Around the middle of the fan
+    expect(offsets.get('a') + offsets.get('b')).toBeCloseTo(0, 9);
+  });
+
+  it('shrinks the subtrees when the fan cannot widen any further', () => {
+    const nodes = collidingNodes();
+    const [, a, a1, b, b1] = nodes;
+    a.angle = -MAX_FAN_SPAN / 2;
+    b.angle = MAX_FAN_SPAN / 2;
+    a1.angle = a.angle + 0.2;
+    b1.angle = b.angle - 0.2;
+    const offsets = new Map();
+    const fanScales = new Map();
+    separateSiblings(findSiblingCollisions(nodes), nodes, offsets, fanScales);
+
+    expect(offsets.get('b') - offsets.get('a')).toBeCloseTo(MAX_FAN_SPAN, 9);
+    expect(fanScales.get('a')).toBe(FAN_SHRINK);
+    expect(offsets.get('a1')).toBeCloseTo(0.2 * FAN_SHRINK, 9);
+    expect(offsets.get('b1')).toBeCloseTo(-0.2 * FAN_SHRINK, 9);
+  });
+});
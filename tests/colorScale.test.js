@@ -1,11 +1,24 @@
 import { describe, it, expect } from 'vitest';
 import {
   getInterpolator,
+  getScheme,
   sampleColors,
   isColorScale,
+  isFieldColorScale,
+  isBranchColorScale,
+  createFieldColorScale,
+  createBranchColorScale,
+  prepareFieldColorScales,
+  getFieldColorScales,
+  resolveFieldColor,
   expandWildcardDepths,
 } from '$lib/colorScale.js';
 
+const VIRIDIS_START = '#440154';
+const VIRIDIS_END = '#fde725';
+const TABLEAU_BLUE = '#4e79a7';
+const TABLEAU_ORANGE = '#f28e2c';
+
 // ── getInterpolator ─────────────────────────────────────────────────────────
 
 describe('getInterpolator', () => {
@@ -310,4 +323,330 @@ describe('expandWildcardDepths', () => {
     expect(result[0].depth).toBe(0);
     expect(typeof result[0].node.fillColor).toBe('string');
   });
+
+  it('carries field color scales over to the expanded entries', () => {
+    const coverage = { scale: 'viridis', field: 'coverage' };
+    const depths = [
+      {
+        depth: '*',
+        node: { fillColor: coverage, strokeColor: { scale: 'magma' } },
+      },
+    ];
+    const result = expandWildcardDepths(depths, 1);
+
+    expect(result).toHaveLength(2);
+    for (const entry of result) {
+      expect(entry.node.fillColor).toBe(coverage);
+      expect(typeof entry.node.strokeColor).toBe('string');
+    }
+  });
+});
+
+// ── isFieldColorScale ───────────────────────────────────────────────────────
+
+describe('isFieldColorScale', () => {
+  it('tells field color scales from depth color scales', () => {
+    expect(isFieldColorScale({ scale: 'viridis', field: 'coverage' })).toBe(
+      true,
+    );
+    expect(isFieldColorScale({ scale: 'viridis', field: () => 1 })).toBe(true);
+    expect(isFieldColorScale({ scale: 'viridis' })).toBe(false);
+    expect(isFieldColorScale('#ff0000')).toBe(false);
+  });
+});
+
+// ── createFieldColorScale ───────────────────────────────────────────────────
+
+describe('createFieldColorScale', () => {
+  const data = [{ v: 0 }, { v: 10 }, { v: 20 }, { v: 100 }];
+  const interpolator = /** @type {(t: number) => string} */ (
+    getInterpolator('viridis')?.interpolator
+  );
+
+  it('maps values linearly across the data extent', () => {
+    const color = createFieldColorScale({ scale: 'viridis', field: 'v' }, data);
+
+    expect(color({ v: 0 })).toBe(VIRIDIS_START);
+    expect(color({ v: 100 })).toBe(VIRIDIS_END);
+    expect(color({ v: 50 })).toBe(interpolator(0.5));
+  });
+
+  it('uses the given domain and accessor functions', () => {
+    const color = createFieldColorScale(
+      { scale: 'viridis', field: (d) => d.stats.v, domain: [0, 200] },
+      [],
+    );
+
+    expect(color({ stats: { v: 50 } })).toBe(interpolator(0.25));
+  });
+
+  it('maps values logarithmically', () => {
+    const color = createFieldColorScale({
+      scale: 'viridis',
+      field: 'v',
+      type: 'log',
+      domain: [1, 100],
+    });
+
+    expect(color({ v: 10 })).toBe(interpolator(0.5));
+    expect(color({ v: 0 })).toBeUndefined();
+  });
+
+  it('maps values by their rank with quantile', () => {
+    const color = createFieldColorScale(
+      { scale: 'viridis', field: 'v', type: 'quantile' },
+      data,
+    );
+
+    expect(color({ v: 10 })).toBe(interpolator(1 / 3));
+    expect(color({ v: 20 })).toBe(interpolator(2 / 3));
+    expect(color({ v: 15 })).toBe(interpolator(0.5));
+  });
+
+  it('clamps values outside the domain unless told not to', () => {
+    /** @type {import('$lib/types.js').ColorScale} */
+    const spec = { scale: 'viridis', field: 'v', domain: [0, 10] };
+
+    expect(createFieldColorScale(spec)({ v: 20 })).toBe(VIRIDIS_END);
+    expect(
+      createFieldColorScale({ ...spec, clamp: false, fallback: '#ccc' })({
+        v: 20,
+      }),
+    ).toBe('#ccc');
+  });
+
+  it('uses the fallback for missing and non-numeric values', () => {
+    const color = createFieldColorScale(
+      { scale: 'viridis', field: 'v', fallback: '#ccc' },
+      data,
+    );
+
+    expect(color({})).toBe('#ccc');
+    expect(color({ v: 'high' })).toBe('#ccc');
+    expect(color({ v: NaN })).toBe('#ccc');
+  });
+
+  it('reverses the scale', () => {
+    const color = createFieldColorScale(
+      { scale: 'viridis', field: 'v', reverse: true },
+      data,
+    );
+
+    expect(color({ v: 0 })).toBe(VIRIDIS_END);
+  });
+
+  it('gives the fallback for unknown scale names', () => {
+    const color = createFieldColorScale(
+      { scale: 'nonExistent', field: 'v', fallback: '#ccc' },
+      data,
+    );
+
+    expect(color({ v: 10 })).toBe('#ccc');
+  });
+});
+
+// ── getScheme ───────────────────────────────────────────────────────────────
+
+describe('getScheme', () => {
+  it('resolves categorical scheme names', () => {
+    expect(getScheme('tableau10')?.[0]).toBe(TABLEAU_BLUE);
+    expect(getScheme('Set2')).toHaveLength(8);
+  });
+
+  it('returns null for sequential schemes and unknown names', () => {
+    expect(getScheme('blues')).toBeNull();
+    expect(getScheme('nonExistent')).toBeNull();
+  });
+});
+
+// ── isBranchColorScale ──────────────────────────────────────────────────────
+
+describe('isBranchColorScale', () => {
+  it('tells branch color scales from other color scales', () => {
+    expect(isBranchColorScale({ scale: 'tableau10', branch: true })).toBe(true);
+    expect(isBranchColorScale({ scale: 'tableau10', branch: 2 })).toBe(true);
+    expect(isBranchColorScale({ scale: 'tableau10', branch: false })).toBe(
+      false,
+    );
+    expect(isBranchColorScale({ scale: 'viridis', field: 'v' })).toBe(false);
+  });
+});
+
+// ── createBranchColorScale ──────────────────────────────────────────────────
+
+describe('createBranchColorScale', () => {
+  const nodes = [
+    { id: 'root', parent: null },
+    { id: 'a', parent: 'root' },
+    { id: 'b', parent: 'root' },
+    { id: 'a1', parent: 'a' },
+    { id: 'a11', parent: 'a1' },
+  ];
+  /** @param {string} hex */
+  const lightness = (hex) => {
+    const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    return (Math.max(r, g, b) + Math.min(r, g, b)) / 2 / 255;
+  };
+
+  it('gives each branch the next color of the scheme', () => {
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: true },
+      nodes,
+    );
+
+    expect(color(nodes[1])).toBe(TABLEAU_BLUE);
+    expect(color(nodes[2])).toBe(TABLEAU_ORANGE);
+  });
+
+  it('lightens descendants by depth', () => {
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: 1, lightness: 0.1 },
+      nodes,
+    );
+    const [a, a1, a11] = [nodes[1], nodes[3], nodes[4]].map((n) => color(n));
+
+    expect(lightness(/** @type {string} */ (a1))).toBeCloseTo(
+      lightness(/** @type {string} */ (a)) + 0.1,
+      2,
+    );
+    expect(lightness(/** @type {string} */ (a11))).toBeCloseTo(
+      lightness(/** @type {string} */ (a)) + 0.2,
+      2,
+    );
+    expect(
+      createBranchColorScale(
+        { scale: 'tableau10', branch: 1, lightness: 0 },
+        nodes,
+      )(nodes[4]),
+    ).toBe(TABLEAU_BLUE);
+  });
+
+  it("colors edges like their source's branch", () => {
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: 1 },
+      nodes,
+    );
+
+    expect(color({ source: 'a11', target: 'b' }, true)).toBe(TABLEAU_BLUE);
+    expect(color({ source: 'b', target: 'a' }, true)).toBe(TABLEAU_ORANGE);
+  });
+
+  it("colors edges with ids like their source's branch", () => {
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: 1 },
+      nodes,
+    );
+
+    expect(color({ id: 'e1', source: 'a11', target: 'b' }, true)).toBe(
+      TABLEAU_BLUE,
+    );
+    // Sharing an id with a node does not make an edge take its color
+    expect(color({ id: 'a', source: 'b', target: 'a' }, true)).toBe(
+      TABLEAU_ORANGE,
+    );
+  });
+
+  it('gives the fallback above the branch depth', () => {
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: 2, fallback: '#ccc' },
+      nodes,
+    );
+
+    expect(color(nodes[0])).toBe('#ccc');
+    expect(color(nodes[1])).toBe('#ccc');
+    expect(color(nodes[3])).toBe(TABLEAU_BLUE);
+    expect(color({ source: 'root', target: 'a' }, true)).toBe('#ccc');
+  });
+
+  it('uses the given depths', () => {
+    const depths = new Map([
+      ['root', 1],
+      ['a', 2],
+      ['b', 2],
+      ['a1', 3],
+      ['a11', 4],
+    ]);
+    const color = createBranchColorScale(
+      { scale: 'tableau10', branch: 2 },
+      nodes,
+      depths,
+    );
+
+    expect(color(nodes[2])).toBe(TABLEAU_ORANGE);
+  });
+
+  it('samples sequential scales across the branches', () => {
+    const color = createBranchColorScale(
+      { scale: 'viridis', branch: true },
+      nodes,
+    );
+
+    expect(color(nodes[1])).toBe(VIRIDIS_START);
+    expect(color(nodes[2])).toBe(VIRIDIS_END);
+    expect(
+      createBranchColorScale(
+        { scale: 'nonExistent', branch: true },
+        nodes,
+      )(nodes[1]),
+    ).toBeUndefined();
+  });
+});
+
+// ── prepareFieldColorScales ─────────────────────────────────────────────────
+
+describe('prepareFieldColorScales', () => {
+  it('fits node scales to the nodes and edge scales to the edges', () => {
+    const nodeScale = { scale: 'viridis', field: 'v' };
+    const edgeScale = { scale: 'viridis', field: 'v' };
+    const mergedStyle = {
+      node: { fillColor: nodeScale },
+      highlight: { edge: { strokeColor: edgeScale } },
+      depths: [{ depth: 1, label: { inner: { textColor: nodeScale } } }],
+    };
+    const nodes = [{ v: 0 }, { v: 10 }];
+    const edges = [{ v: 10 }, { v: 20 }];
+
+    const scales = prepareFieldColorScales(mergedStyle, nodes, edges);
+
+    expect(scales.size).toBe(2);
+    expect(getFieldColorScales(mergedStyle)).toBe(scales);
+    expect(resolveFieldColor(nodeScale, { v: 10 }, scales)).toBe(VIRIDIS_END);
+    expect(resolveFieldColor(edgeScale, { v: 10 }, scales)).toBe(VIRIDIS_START);
+  });
+
+  it('follows the tree with branch scales', () => {
+    const branches = { scale: 'tableau10', branch: true };
+    const mergedStyle = {
+      node: { fillColor: branches },
+      edge: { strokeColor: branches },
+    };
+    const nodes = [
+      { id: 'root', parent: null },
+      { id: 'a', parent: 'root' },
+      { id: 'b', parent: 'root' },
+    ];
+
+    const scales = prepareFieldColorScales(mergedStyle, nodes, []);
+
+    expect(resolveFieldColor(branches, nodes[2], scales)).toBe(TABLEAU_ORANGE);
+    expect(
+      resolveFieldColor(
+        branches,
+        { id: 'e1', source: 'b', target: 'a' },
+        scales,
+        true,
+      ),
+    ).toBe(TABLEAU_ORANGE);
+    expect(resolveFieldColor(branches, nodes[1])).toBeUndefined();
+  });
+
+  it('resolves unprepared scales from their domain', () => {
+    /** @type {import('$lib/types.js').ColorScale} */
+    const spec = { scale: 'viridis', field: 'v', domain: [0, 10] };
+
+    expect(resolveFieldColor(spec, { v: 10 })).toBe(VIRIDIS_END);
+    expect(
+      resolveFieldColor({ scale: 'viridis', field: 'v' }, { v: 10 }),
+    ).toBeUndefined();
+  });
 });
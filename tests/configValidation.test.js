@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { validateOptions, validateStyles } from '$lib/configValidation.js';
+import { themes } from '$lib/themes.js';
+import { ValidationError } from '$lib/validation.js';
+
+/** @param {import('$lib/types.js').ValidationReport} report */
+const codes = (report) => report.diagnostics.map((d) => [d.code, d.path]);
+
+// ── validateStyles ──────────────────────────────────────────────────────────
+
+describe('validateStyles', () => {
+  it('accepts valid styles', () => {
+    const report = validateStyles({
+      node: { fillColor: (/** @type {any} */ node) => node.color },
+      edge: { strokeColor: { scale: 'viridis', field: 'weight' } },
+      label: { outer: { link: { length: 6 } } },
+      collapsed: { badge: { visible: false } },
+      depths: [
+        { depth: '*', node: { fillColor: { scale: 'magma' } } },
+        { depth: 1, node: { fillColor: { scale: 'tableau10', branch: 1 } } },
+        { depth: -1, edge: { strokeWidth: 2 } },
+      ],
+    });
+
+    expect(report).toEqual({ valid: true, diagnostics: [] });
+  });
+
+  it('accepts the built-in themes', () => {
+    for (const theme of Object.values(themes)) {
+      expect(validateStyles(theme).diagnostics).toEqual([]);
+    }
+  });
+
+  it('warns about unknown keys with suggestions', () => {
+    const report = validateStyles({
+      node: { stokeColor: 'red' },
+      label: { outer: { fontsize: 9 } },
+      edges: {},
+      nothingLikeIt: 1,
+    });
+
+    expect(report.valid).toBe(true);
+    expect(report.diagnostics).toEqual([
+      expect.objectContaining({
+        code: 'unknown-key',
+        severity: 'warning',
+        path: 'styles.node.stokeColor',
+        suggestion: 'strokeColor',
+        message:
+          'Unknown key "styles.node.stokeColor" (did you mean "strokeColor"?)',
+      }),
+      expect.objectContaining({ suggestion: 'fontSize' }),
+      expect.objectContaining({ suggestion: 'edge' }),
+      expect.not.objectContaining({ suggestion: expect.anything() }),
+    ]);
+  });
+
+  it('reports type mismatches', () => {
+    const report = validateStyles({
+      node: { strokeWidth: '2', fillColor: 3 },
+      legend: { fontSize: () => 10 },
+      depths: { depth: 1 },
+    });
+
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual([
+      ['invalid-type', 'styles.node.strokeWidth'],
+      ['invalid-type', 'styles.node.fillColor'],
+      ['invalid-type', 'styles.legend.fontSize'],
+      ['invalid-type', 'styles.depths'],
+    ]);
+    expect(report.diagnostics[0].message).toBe(
+      '"styles.node.strokeWidth" should be a number or a function, got "2"',
+    );
+  });
+
+  it('reports opacities outside 0..1', () => {
+    const report = validateStyles({
+      node: { fillOpacity: 1.5 },
+      depths: [{ depth: 0, label: { inner: { textOpacity: -0.1 } } }],
+    });
+
+    expect(codes(report)).toEqual([
+      ['out-of-range', 'styles.node.fillOpacity'],
+      ['out-of-range', 'styles.depths[0].label.inner.textOpacity'],
+    ]);
+  });
+
+  it('reports unknown scale names', () => {
+    const report = validateStyles({
+      node: { fillColor: { scale: 'magam' } },
+      edge: { strokeColor: { scale: 'tableau10', field: 'weight' } },
+      depths: [{ depth: 1, node: { fillColor: { branch: true } } }],
+    });
+
+    expect(report.diagnostics).toEqual([
+      expect.objectContaining({
+        code: 'unknown-scale',
+        path: 'styles.node.fillColor.scale',
+        suggestion: 'magma',
+      }),
+      // Categorical schemes only color branches
+      expect.objectContaining({
+        code: 'unknown-scale',
+        path: 'styles.edge.strokeColor.scale',
+      }),
+      expect.objectContaining({
+        code: 'missing-key',
+        path: 'styles.depths[0].node.fillColor.scale',
+      }),
+    ]);
+  });
+
+  it('checks depth entries', () => {
+    const report = validateStyles({
+      depths: [{ node: {} }, { depth: 'leaves' }],
+    });
+
+    expect(codes(report)).toEqual([
+      ['missing-key', 'styles.depths[0].depth'],
+      ['invalid-value', 'styles.depths[1].depth'],
+    ]);
+  });
+
+  it('names the root after the path setting', () => {
+    expect(
+      validateStyles({ nod: {} }, { path: 'theme' }).diagnostics[0].path,
+    ).toBe('theme.nod');
+  });
+
+  it('throws in strict mode', () => {
+    expect(() =>
+      validateStyles({ node: { stokeColor: 'red' } }, { strict: true }),
+    ).toThrow(ValidationError);
+    expect(() => validateStyles({}, { strict: true })).not.toThrow();
+  });
+});
+
+// ── validateOptions ─────────────────────────────────────────────────────────
+
+describe('validateOptions', () => {
+  it('accepts valid options', () => {
+    const report = validateOptions({
+      overlap: [0.5, 0.2],
+      arcSpan: () => Math.PI,
+      ordering: 'name',
+      fit: { mode: 'width', margin: { right: 160 } },
+      legend: true,
+      depths: [{ depth: 1, overlap: 0.2 }],
+      edges: { bundlingStrength: 0.8, filterMode: 'hide' },
+    });
+
+    expect(report).toEqual({ valid: true, diagnostics: [] });
+  });
+
+  it('reports unknown keys, values and ranges', () => {
+    const report = validateOptions({
+      numLabel: 10,
+      fit: 'contian',
+      legend: { position: 'top' },
+      edges: { muteOpacity: 2 },
+      zoom: NaN,
+    });
+
+    expect(codes(report)).toEqual([
+      ['unknown-key', 'options.numLabel'],
+      ['invalid-value', 'options.fit'],
+      ['invalid-value', 'options.legend.position'],
+      ['out-of-range', 'options.edges.muteOpacity'],
+      ['invalid-type', 'options.zoom'],
+    ]);
+    expect(report.diagnostics[1].message).toBe(
+      '"options.fit" should be one of "contain", "width", "height", "none" or an object, got "contian" (did you mean "contain"?)',
+    );
+  });
+
+  it('ignores missing options', () => {
+    expect(validateOptions(undefined).diagnostics).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  readCssValues,
+  resolveCssStyle,
+  watchCssValues,
+} from '$lib/cssVariables.js';
+
+/** @type {HTMLElement[]} */
+const added = [];
+
+/**
+ * A canvas inside a container, with a stylesheet setting `--brand` on the
+ * canvas and changing it when the container has the class `dark`.
+ */
+function createCanvas() {
+  const sheet = document.createElement('style');
+  sheet.textContent = `
+    .container canvas { --brand: #ff0000; color: rgb(0, 0, 255); }
+    .container.dark canvas { --brand: #00ff00; }
+  `;
+  const container = document.createElement('div');
+  container.className = 'container';
+  const canvas = document.createElement('canvas');
+  container.append(canvas);
+  document.head.append(sheet);
+  document.body.append(container);
+  added.push(sheet, container);
+  return { container, canvas };
+}
+
+afterEach(() => {
+  for (const element of added.splice(0)) element.remove();
+});
+
+// ── readCssValues ───────────────────────────────────────────────────────────
+
+describe('readCssValues', () => {
+  it('resolves variables, fallbacks and currentColor', () => {
+    const { canvas } = createCanvas();
+    const values = readCssValues(
+      {
+        node: { fillColor: 'var(--brand)', strokeColor: 'currentColor' },
+        label: { inner: { textColor: 'var(--missing, var(--brand))' } },
+        depths: [{ depth: 1, node: { fillColor: 'var(--missing, #00ff00)' } }],
+        edge: { strokeColor: '#333333' },
+      },
+      canvas,
+    );
+
+    expect(Object.fromEntries(values)).toEqual({
+      'var(--brand)': '#ff0000',
+      currentColor: 'rgb(0, 0, 255)',
+      'var(--missing, var(--brand))': '#ff0000',
+      'var(--missing, #00ff00)': '#00ff00',
+    });
+  });
+
+  it('leaves unset variables without a fallback as they are', () => {
+    const { canvas } = createCanvas();
+
+    expect(readCssValues({ node: { fillColor: 'var(--x)' } }, canvas)).toEqual(
+      new Map([['var(--x)', 'var(--x)']]),
+    );
+  });
+
+  it('reads nothing without a DOM', () => {
+    const canvas = /** @type {any} */ ({});
+
+    expect(
+      readCssValues({ node: { fillColor: 'var(--x)' } }, canvas).size,
+    ).toBe(0);
+  });
+});
+
+// ── resolveCssStyle ─────────────────────────────────────────────────────────
+
+describe('resolveCssStyle', () => {
+  it('replaces the values and keeps groups without any', () => {
+    const fillColor = () => 'red';
+    const style = {
+      node: { fillColor, strokeColor: 'var(--line)' },
+      edge: { strokeColor: '#333333' },
+      depths: [
+        { depth: 0 },
+        { depth: 1, link: { strokeColor: 'var(--line)' } },
+      ],
+    };
+    const resolved = resolveCssStyle(
+      style,
+      new Map([['var(--line)', '#cccccc']]),
+    );
+
+    expect(resolved.node).toEqual({ fillColor, strokeColor: '#cccccc' });
+    expect(resolved.edge).toBe(style.edge);
+    expect(resolved.depths[0]).toBe(style.depths[0]);
+    expect(resolved.depths[1].link?.strokeColor).toBe('#cccccc');
+    expect(style.node.strokeColor).toBe('var(--line)');
+  });
+
+  it('returns styles without CSS values as they are', () => {
+    const style = { node: { fillColor: 'red' } };
+
+    expect(resolveCssStyle(style, new Map())).toBe(style);
+  });
+});
+
+// ── watchCssValues ──────────────────────────────────────────────────────────
+
+describe('watchCssValues', () => {
+  it('reports new values when a class of an ancestor changes', async () => {
+    const { container, canvas } = createCanvas();
+    const style = { node: { fillColor: 'var(--brand)' } };
+    const onChange = vi.fn();
+    const stop = watchCssValues(
+      style,
+      canvas,
+      readCssValues(style, canvas),
+      onChange,
+    );
+
+    // Attribute changes that leave the values as they are
+    container.setAttribute('style', 'padding: 1px');
+    await Promise.resolve();
+    expect(onChange).not.toHaveBeenCalled();
+
+    container.classList.add('dark');
+    await vi.waitFor(() => expect(onChange).toHaveBeenCalledTimes(1));
+    expect(onChange.mock.calls[0][0].get('var(--brand)')).toBe('#00ff00');
+
+    stop();
+    container.classList.remove('dark');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores size changes of the element and unrelated attributes', async () => {
+    const { container, canvas } = createCanvas();
+    const style = { node: { fillColor: 'var(--brand)' } };
+    const stop = watchCssValues(
+      style,
+      canvas,
+      readCssValues(style, canvas),
+      () => {},
+    );
+    const getComputedStyle = vi.spyOn(window, 'getComputedStyle');
+
+    canvas.width = 400;
+    canvas.style.width = '200px';
+    container.setAttribute('data-state', 'open');
+    await Promise.resolve();
+    expect(getComputedStyle).not.toHaveBeenCalled();
+
+    container.setAttribute('data-theme', 'dark');
+    await vi.waitFor(() => expect(getComputedStyle).toHaveBeenCalled());
+
+    getComputedStyle.mockRestore();
+    stop();
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countHiddenItems,
+  drawCollapsedMarkers,
+  formatBadgeText,
+} from '$lib/drawCollapsed.js';
+import { SvgContext } from '$lib/svgContext.js';
+
+const childrenMap = new Map([
+  ['root', [{ id: 'a' }, { id: 'b' }]],
+  ['a', [{ id: 'c' }, { id: 'd' }]],
+  ['c', [{ id: 'e' }]],
+]);
+
+// ── countHiddenItems ────────────────────────────────────────────────────────
+
+describe('countHiddenItems', () => {
+  it('counts the hidden descendants of collapsed nodes', () => {
+    const counts = countHiddenItems(new Set(['a']), childrenMap, []);
+
+    expect(counts.get('a')).toEqual({ descendants: 3, edges: 0 });
+  });
+
+  it('counts collapsed nodes inside a collapsed subtree for the outermost', () => {
+    const counts = countHiddenItems(
+      new Set(['a', 'c']),
+      childrenMap,
+      [],
+      new Set(['c', 'd', 'e']),
+    );
+
+    expect([...counts.keys()]).toEqual(['a']);
+    expect(counts.get('a')?.descendants).toBe(3);
+  });
+
+  it('skips collapsed leaves', () => {
+    expect(countHiddenItems(new Set(['b']), childrenMap, []).size).toBe(0);
+  });
+
+  it('counts edges to or from hidden nodes', () => {
+    const edges = [
+      { source: 'e', target: 'b' },
+      { source: 'c', target: 'd' },
+      { source: 'root', target: 'b' },
+    ];
+    const counts = countHiddenItems(new Set(['a']), childrenMap, edges);
+
+    expect(counts.get('a')?.edges).toBe(2);
+  });
+
+  it('counts edges between two collapsed subtrees for both', () => {
+    const map = new Map([
+      ['root', [{ id: 'a' }, { id: 'b' }]],
+      ['a', [{ id: 'c' }]],
+      ['b', [{ id: 'd' }]],
+    ]);
+    const counts = countHiddenItems(new Set(['a', 'b']), map, [
+      { source: 'c', target: 'd' },
+    ]);
+
+    expect(counts.get('a')?.edges).toBe(1);
+    expect(counts.get('b')?.edges).toBe(1);
+  });
+});
+
+// ── formatBadgeText ─────────────────────────────────────────────────────────
+
+describe('formatBadgeText', () => {
+  it('fills in the counts', () => {
+    expect(
+      formatBadgeText('{descendants} hidden', '', {
+        descendants: 4,
+        edges: 2,
+      }),
+    ).toBe('4 hidden');
+  });
+
+  it('appends the edge part when edges are hidden', () => {
+    expect(
+      formatBadgeText('+{descendants}', '{edges} edges', {
+        descendants: 4,
+        edges: 2,
+      }),
+    ).toBe('+4 · 2 edges');
+    expect(
+      formatBadgeText('+{descendants}', '{edges} edges', {
+        descendants: 4,
+        edges: 0,
+      }),
+    ).toBe('+4');
+  });
+});
+
+// ── drawCollapsedMarkers ────────────────────────────────────────────────────
+
+describe('drawCollapsedMarkers', () => {
+  const nodeData = { x: 50, y: 50, radius: 20, depth: 1, node: { id: 'a' } };
+  const counts = new Map([['a', { descendants: 3, edges: 1 }]]);
+
+  /** @param {any} mergedStyle */
+  const draw = (mergedStyle) => {
+    const ctx = new SvgContext(100, 100);
+    drawCollapsedMarkers(
+      /** @type {any} */ (ctx),
+      counts,
+      new Map([['a', nodeData]]),
+      mergedStyle,
+      new Map(),
+      new Map(),
+    );
+    return ctx.toSVG();
+  };
+
+  it('draws a ring and a badge with the counts', () => {
+    const svg = draw({
+      collapsed: {
+        ring: { strokeColor: '#ff0000' },
+        badge: { fillColor: '#0000ff' },
+      },
+    });
+
+    expect(svg).toContain('stroke="rgb(255, 0, 0)"');
+    expect(svg).toContain('fill="rgb(0, 0, 255)"');
+    expect(svg).toContain('>+3 · 1 edges</text>');
+  });
+
+  it('applies depth styles and hides parts that are not visible', () => {
+    const svg = draw({
+      collapsed: { ring: { strokeColor: '#ff0000' } },
+      depths: [
+        {
+          depth: 1,
+          collapsed: {
+            ring: { visible: false },
+            badge: { format: '{descendants} more', edgeFormat: '' },
+          },
+        },
+      ],
+    });
+
+    expect(svg).not.toContain('<circle');
+    expect(svg).toContain('>3 more</text>');
+  });
+
+  it('skips nodes that are not drawn', () => {
+    const ctx = new SvgContext(100, 100);
+    drawCollapsedMarkers(
+      /** @type {any} */ (ctx),
+      counts,
+      new Map(),
+      {},
+      new Map(),
+      new Map(),
+    );
+
+    expect(ctx.toSVG()).not.toContain('<text');
+  });
+});
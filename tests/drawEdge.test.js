@@ -56,6 +56,21 @@ describe('buildHierarchicalPath', () => {
 
     expect(hierarchicalPath[0]).toBe(child);
   });
+
+  it('routes through both roots for nodes in different trees', () => {
+    const root1 = { id: 'r1', parentRef: null };
+    const a = { id: 'a', parentRef: root1 };
+    const root2 = { id: 'r2', parentRef: null };
+    const b = { id: 'b', parentRef: root2 };
+
+    const { hierarchicalPath } = buildHierarchicalPath(
+      { node: a },
+      { node: b },
+      new Map(),
+    );
+
+    expect(hierarchicalPath).toEqual([a, root1, root2, b]);
+  });
 });
 
 // ── pathToCoordinates ───────────────────────────────────────────────────────
@@ -357,6 +372,43 @@ describe('drawEdge', () => {
     expect(ctx.stroke).toHaveBeenCalled();
   });
 
+  it("uses edge style functions and the edge's own style", () => {
+    const ctx = createMockCtx();
+    /** @type {any[]} */
+    const strokes = [];
+    ctx.stroke = vi.fn(() => strokes.push([ctx.strokeStyle, ctx.lineWidth]));
+    const source = { x: 0, y: 0, node: { id: 'a', parentRef: null } };
+    const target = { x: 100, y: 100, node: { id: 'b', parentRef: null } };
+    const style = {
+      ...mergedStyle,
+      edge: {
+        ...mergedStyle.edge,
+        strokeWidth: (/** @type {any} */ edge) => edge.weight,
+      },
+    };
+
+    drawEdge(
+      ctx,
+      {
+        source: 'a',
+        target: 'b',
+        weight: 3,
+        style: { strokeColor: '#0000ff' },
+      },
+      source,
+      target,
+      new Map(),
+      new Map(),
+      null,
+      style,
+      null,
+      null,
+      0,
+    );
+
+    expect(strokes).toEqual([['rgba(0, 0, 255, 0.1)', 3]]);
+  });
+
   it('applies highlight opacity for highlighted (non-hovered) edges', () => {
     const ctx = createMockCtx();
     const source = {
@@ -177,6 +177,37 @@ describe('getLabelStyle', () => {
     expect(style.highlight?.outer?.textColor).toBe('#ea575a');
     expect(style.inner?.textColor).toBe('#efefef');
   });
+
+  it('evaluates style functions for the node and applies its own style', () => {
+    const style = {
+      ...mergedStyle,
+      label: {
+        ...mergedStyle.label,
+        inner: {
+          ...mergedStyle.label.inner,
+          textColor: (/** @type {any} */ node) => node.color,
+        },
+      },
+    };
+    const node = {
+      id: 'node1',
+      color: '#ff0000',
+      style: { label: { outer: { fontSize: 12 } } },
+    };
+
+    const labelStyle = getLabelStyle(
+      0,
+      'node1',
+      style,
+      new Map(),
+      new Map(),
+      node,
+    );
+
+    expect(labelStyle.inner?.textColor).toBe('#ff0000');
+    expect(labelStyle.outer?.fontSize).toBe(12);
+    expect(labelStyle.outer?.fontFamily).toBe('monospace');
+  });
 });
 
 // ── shouldShowLeafLabel ─────────────────────────────────────────────────────
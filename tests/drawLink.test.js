@@ -185,4 +185,36 @@ describe('drawConnectingLinks', () => {
     expect(ctx.moveTo).toHaveBeenCalledWith(50, 50);
     expect(ctx.lineTo).toHaveBeenCalledWith(100, 100);
   });
+
+  it('uses the per-node overlap of each child', () => {
+    const ctx = createMockCtx();
+    const parentNode = { x: 50, y: 50, node: { id: 'p' }, depth: 0 };
+    const gapChild = {
+      x: 100,
+      y: 100,
+      node: { id: 'gap' },
+      depth: 1,
+      overlap: -0.5,
+    };
+    const overlappingChild = {
+      x: 60,
+      y: 60,
+      node: { id: 'over' },
+      depth: 1,
+      overlap: 0.5,
+    };
+
+    drawConnectingLinks(
+      ctx,
+      [parentNode, gapChild, overlappingChild],
+      new Map([['p', [gapChild, overlappingChild]]]),
+      mergedStyle,
+      new Map(),
+      0.2,
+      new Map(),
+    );
+
+    expect(ctx.lineTo).toHaveBeenCalledTimes(1);
+    expect(ctx.lineTo).toHaveBeenCalledWith(100, 100);
+  });
 });
@@ -4,6 +4,8 @@ import {
   resolveDepthStyle,
   calculateNodeStyle,
   drawNode,
+  drawCustomNode,
+  drawNodeImage,
   drawNodes,
   isPointInNode,
   findHoveredNode,
@@ -360,6 +362,42 @@ describe('calculateNodeStyle', () => {
     // strokeColor falls back to base because highlight.node.strokeColor is undefined
     expect(style.stroke).toBe('#aaaaaa');
   });
+
+  it("applies style functions and the node's own style below highlight", () => {
+    const mergedStyle = {
+      node: {
+        fillColor: (/** @type {any} */ node) => node.color,
+        strokeWidth: (/** @type {any} */ _node, /** @type {number} */ depth) =>
+          depth + 1,
+      },
+      highlight: { node: { fillColor: '#dedede' } },
+      depths: [{ depth: 2, node: { strokeColor: '#111111' } }],
+    };
+    const node = {
+      id: 'a',
+      color: '#ff0000',
+      style: { node: { strokeColor: '#222222' } },
+    };
+    /** @param {string|null} hoveredNodeId */
+    const styleOf = (hoveredNodeId) =>
+      calculateNodeStyle(
+        node,
+        2,
+        hoveredNodeId,
+        mergedStyle,
+        new Map(),
+        new Map(),
+        null,
+        null,
+      );
+
+    expect(styleOf(null)).toMatchObject({
+      fill: '#ff0000',
+      stroke: '#222222',
+      strokeWidth: 3,
+    });
+    expect(styleOf('a').fill).toBe('#dedede');
+  });
 });
 
 // ── isPointInNode ───────────────────────────────────────────────────────────
@@ -574,6 +612,182 @@ describe('drawNode', () => {
   });
 });
 
+// ── drawNodeImage ──────────────────────────────────────────────────────────
+
+describe('drawNodeImage', () => {
+  /** @returns {any} */
+  function createMockCtx() {
+    return {
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      arc: vi.fn(),
+      clip: vi.fn(),
+      drawImage: vi.fn(),
+      globalAlpha: 1,
+    };
+  }
+
+  it('covers the circle less the padding, keeping the aspect ratio', () => {
+    const ctx = createMockCtx();
+    const image = { naturalWidth: 200, naturalHeight: 100 };
+    drawNodeImage(ctx, 50, 50, 12, { image, padding: 2, opacity: 0.5 });
+
+    expect(ctx.arc).toHaveBeenCalledWith(50, 50, 10, 0, 2 * Math.PI);
+    expect(ctx.clip).toHaveBeenCalled();
+    expect(ctx.globalAlpha).toBe(0.5);
+    expect(ctx.drawImage).toHaveBeenCalledWith(image, 30, 40, 40, 20);
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+
+  it('draws images without a size as a square', () => {
+    const ctx = createMockCtx();
+    const image = { src: 'a.png' };
+    drawNodeImage(ctx, 0, 0, 5, { image, padding: 0, opacity: 1 });
+
+    expect(ctx.drawImage).toHaveBeenCalledWith(image, -5, -5, 10, 10);
+  });
+
+  it('skips images padded away entirely', () => {
+    const ctx = createMockCtx();
+    drawNodeImage(ctx, 0, 0, 5, { image: {}, padding: 5, opacity: 1 });
+
+    expect(ctx.drawImage).not.toHaveBeenCalled();
+  });
+});
+
+// ── drawCustomNode ──────────────────────────────────────────────────────────
+
+describe('drawCustomNode', () => {
+  /** @returns {any} */
+  function createMockCtx() {
+    return {
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      strokeStyle: '',
+      fillStyle: '',
+      lineWidth: 1,
+      globalAlpha: 1,
+    };
+  }
+
+  const mergedStyle = {
+    node: {
+      fillColor: '#efefef',
+      fillOpacity: 1,
+      strokeColor: '#aaaaaa',
+      strokeOpacity: 1,
+      strokeWidth: 1,
+    },
+    highlight: { node: { fillColor: '#ff0000' } },
+    depths: [],
+  };
+
+  const nodeData = { x: 50, y: 40, radius: 20, depth: 1, node: { id: 'a' } };
+
+  /**
+   * @param {any} ctx
+   * @param {any} renderNode
+   * @param {any} [overrides]
+   */
+  const draw = (ctx, renderNode, overrides = {}) =>
+    drawCustomNode(
+      ctx,
+      renderNode,
+      overrides.nodeData ?? nodeData,
+      overrides.hoveredNodeId ?? null,
+      mergedStyle,
+      new Map(),
+      new Map(),
+      overrides.highlightedNodeIds ?? null,
+      overrides.allEdgeNodeIds ?? null,
+      overrides.collapsedNodeIds ?? null,
+      overrides.leafNodes ?? null,
+    );
+
+  it('calls the renderer instead of drawing the circle', () => {
+    const ctx = createMockCtx();
+    const renderNode = vi.fn();
+
+    expect(draw(ctx, renderNode)).toBe(true);
+    expect(renderNode).toHaveBeenCalledWith(ctx, nodeData, expect.any(Object));
+    expect(ctx.arc).not.toHaveBeenCalled();
+  });
+
+  it('passes the resolved style and flags', () => {
+    const renderNode = vi.fn();
+    draw(createMockCtx(), renderNode, {
+      hoveredNodeId: 'a',
+      allEdgeNodeIds: new Set(['a']),
+      collapsedNodeIds: new Set(['a']),
+    });
+
+    const state = renderNode.mock.calls[0][2];
+    expect(state).toMatchObject({
+      isHovered: true,
+      isHighlighted: true,
+      isCollapsed: true,
+      isLeaf: false,
+      hasEdge: true,
+    });
+    expect(state.style.fill).toBe('#ff0000');
+    expect(state.style.stroke).toBe('#aaaaaa');
+  });
+
+  it('marks nodes linked to the hovered node as highlighted only', () => {
+    const renderNode = vi.fn();
+    draw(createMockCtx(), renderNode, {
+      hoveredNodeId: 'b',
+      highlightedNodeIds: new Set(['a', 'b']),
+      leafNodes: new Set(['a']),
+    });
+
+    expect(renderNode.mock.calls[0][2]).toMatchObject({
+      isHovered: false,
+      isHighlighted: true,
+      isLeaf: true,
+    });
+  });
+
+  it('draws the default circle on request', () => {
+    const ctx = createMockCtx();
+    /** @param {any} _ctx @param {any} _nodeData @param {any} state */
+    const renderNode = (_ctx, _nodeData, state) => state.drawDefault();
+    draw(ctx, renderNode);
+
+    expect(ctx.arc).toHaveBeenCalledWith(50, 40, 20, 0, 2 * Math.PI);
+    expect(ctx.fill).toHaveBeenCalled();
+    expect(ctx.stroke).toHaveBeenCalled();
+  });
+
+  it('restores the context even when the renderer throws', () => {
+    const ctx = createMockCtx();
+
+    expect(() =>
+      draw(ctx, () => {
+        throw new Error('broken');
+      }),
+    ).toThrow('broken');
+    expect(ctx.save).toHaveBeenCalledTimes(1);
+    expect(ctx.restore).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips nodes with radius <= 0.1', () => {
+    const renderNode = vi.fn();
+
+    expect(
+      draw(createMockCtx(), renderNode, {
+        nodeData: { ...nodeData, radius: 0.1 },
+      }),
+    ).toBe(false);
+    expect(renderNode).not.toHaveBeenCalled();
+  });
+});
+
 // ── drawNodes ───────────────────────────────────────────────────────────────
 
 describe('drawNodes', () => {
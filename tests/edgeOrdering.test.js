@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { optimizeSiblingOrder } from '$lib/edgeOrdering.js';
+
+/**
+ * Build a nested tree from a flat { id, parent } list.
+ * @param {Array<{id: string, parent: string|null}>} list
+ * @returns {any} Root node
+ */
+function buildTree(list) {
+  /** @type {Map<string, any>} */
+  const byId = new Map();
+  for (const { id } of list) byId.set(id, { id, name: id, children: [] });
+  let root = null;
+  for (const { id, parent } of list) {
+    if (parent) byId.get(parent).children.push(byId.get(id));
+    else root = byId.get(id);
+  }
+  return root;
+}
+
+/** @param {any[]} childList */
+const inputOrder = (childList) => childList.slice();
+/** @param {any} node */
+const unitWeight = (node) => node.weight ?? 1;
+
+// Two groups whose middle leaves are connected across the groups
+const tree = () =>
+  buildTree([
+    { id: 'root', parent: null },
+    { id: 'g1', parent: 'root' },
+    { id: 'g2', parent: 'root' },
+    { id: 'a', parent: 'g1' },
+    { id: 'b', parent: 'g1' },
+    { id: 'c', parent: 'g1' },
+    { id: 'x', parent: 'g2' },
+    { id: 'y', parent: 'g2' },
+    { id: 'z', parent: 'g2' },
+  ]);
+
+/**
+ * @param {Map<any, number>} ranks
+ * @param {string[]} ids
+ */
+const byRank = (ranks, ids) =>
+  ids
+    .slice()
+    .sort(
+      (p, q) =>
+        /** @type {number} */ (ranks.get(p)) -
+        /** @type {number} */ (ranks.get(q)),
+    );
+
+// ── optimizeSiblingOrder ────────────────────────────────────────────────────
+
+describe('optimizeSiblingOrder', () => {
+  it('keeps the initial order without edges', () => {
+    const ranks = optimizeSiblingOrder(tree(), [], inputOrder, unitWeight);
+
+    expect(byRank(ranks, ['a', 'b', 'c'])).toEqual(['a', 'b', 'c']);
+    expect(byRank(ranks, ['g1', 'g2'])).toEqual(['g1', 'g2']);
+  });
+
+  it('moves connected leaves towards each other', () => {
+    const ranks = optimizeSiblingOrder(
+      tree(),
+      [{ source: 'a', target: 'z' }],
+      inputOrder,
+      unitWeight,
+    );
+
+    // 'a' moves to the end of g1, 'z' to the start of g2
+    expect(byRank(ranks, ['a', 'b', 'c'])[2]).toBe('a');
+    expect(byRank(ranks, ['x', 'y', 'z'])[0]).toBe('z');
+  });
+
+  it('reorders groups by their connections', () => {
+    const list = [
+      { id: 'root', parent: null },
+      { id: 's1', parent: 'root' },
+      { id: 's2', parent: 'root' },
+      { id: 'g1', parent: 's1' },
+      { id: 'g2', parent: 's1' },
+      { id: 'g3', parent: 's2' },
+      { id: 'g4', parent: 's2' },
+      { id: 'a', parent: 'g1' },
+      { id: 'b', parent: 'g2' },
+      { id: 'c', parent: 'g3' },
+      { id: 'd', parent: 'g4' },
+    ];
+
+    const ranks = optimizeSiblingOrder(
+      buildTree(list),
+      [{ source: 'a', target: 'd' }],
+      inputOrder,
+      unitWeight,
+    );
+
+    expect(byRank(ranks, ['g1', 'g2'])).toEqual(['g2', 'g1']);
+    expect(byRank(ranks, ['g3', 'g4'])).toEqual(['g4', 'g3']);
+    expect(byRank(ranks, ['s1', 's2'])).toEqual(['s1', 's2']);
+  });
+
+  it('does not swap siblings that are only connected to each other', () => {
+    const ranks = optimizeSiblingOrder(
+      tree(),
+      [{ source: 'g1', target: 'g2' }],
+      inputOrder,
+      unitWeight,
+    );
+
+    expect(byRank(ranks, ['g1', 'g2'])).toEqual(['g1', 'g2']);
+  });
+
+  it('starts from the given initial order', () => {
+    /** @param {any[]} childList */
+    const reversed = (childList) => childList.slice().reverse();
+    const ranks = optimizeSiblingOrder(tree(), [], reversed, unitWeight);
+
+    expect(byRank(ranks, ['a', 'b', 'c'])).toEqual(['c', 'b', 'a']);
+  });
+
+  it('ignores edges to unknown nodes and self loops', () => {
+    const ranks = optimizeSiblingOrder(
+      tree(),
+      [
+        { source: 'a', target: 'missing' },
+        { source: 'b', target: 'b' },
+      ],
+      inputOrder,
+      unitWeight,
+    );
+
+    expect(byRank(ranks, ['a', 'b', 'c'])).toEqual(['a', 'b', 'c']);
+  });
+
+  it('is deterministic', () => {
+    const edges = [
+      { source: 'a', target: 'z' },
+      { source: 'b', target: 'x' },
+      { source: 'c', target: 'y' },
+    ];
+
+    const first = optimizeSiblingOrder(tree(), edges, inputOrder, unitWeight);
+    const second = optimizeSiblingOrder(tree(), edges, inputOrder, unitWeight);
+
+    expect([...second]).toEqual([...first]);
+  });
+
+  it('does not reorder with zero sweeps', () => {
+    const ranks = optimizeSiblingOrder(
+      tree(),
+      [{ source: 'a', target: 'z' }],
+      inputOrder,
+      unitWeight,
+      { sweeps: 0 },
+    );
+
+    expect(byRank(ranks, ['a', 'b', 'c'])).toEqual(['a', 'b', 'c']);
+  });
+
+  /** Groups of leaves with edges between groups */
+  const largeTree = () => {
+    /** @type {Array<{id: string, parent: string|null}>} */
+    const list = [{ id: 'root', parent: null }];
+    const edges = [];
+    for (let g = 0; g < 50; g++) {
+      list.push({ id: `g${g}`, parent: 'root' });
+      for (let l = 0; l < 100; l++) {
+        list.push({ id: `g${g}-${l}`, parent: `g${g}` });
+        edges.push({
+          source: `g${g}-${l}`,
+          target: `g${(g * 11 + l) % 50}-${(l * 3) % 100}`,
+        });
+      }
+    }
+    return { list, edges };
+  };
+
+  it('handles large trees within the work budget', () => {
+    const { list, edges } = largeTree();
+
+    const start = performance.now();
+    const ranks = optimizeSiblingOrder(
+      buildTree(list),
+      edges,
+      inputOrder,
+      unitWeight,
+      { sweeps: 100 },
+    );
+
+    expect(ranks.size).toBe(list.length - 1);
+    expect(performance.now() - start).toBeLessThan(2000);
+  });
+
+  it('stops after the sweep that uses up the budget', () => {
+    const { list, edges } = largeTree();
+    /** @param {import('$lib/types.js').EdgeOrderingOptions} options */
+    const optimize = (options) =>
+      optimizeSiblingOrder(
+        buildTree(list),
+        edges,
+        inputOrder,
+        unitWeight,
+        options,
+      );
+
+    expect(optimize({ sweeps: 100, budget: 1 })).toEqual(
+      optimize({ sweeps: 1 }),
+    );
+    expect(optimize({ sweeps: 100, budget: 1 })).not.toEqual(
+      optimize({ sweeps: 100 }),
+    );
+  });
+});
@@ -0,0 +1,417 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { layoutCactusTree, renderSVG } from '$lib/headless.js';
+
+const sampleNodes = [
+  { id: 'root', name: 'Root', parent: null },
+  { id: 'a', name: 'A', parent: 'root' },
+  { id: 'b', name: 'B', parent: 'root' },
+  { id: 'c', name: 'C', parent: 'a' },
+  { id: 'd', name: 'D', parent: 'a' },
+  { id: 'e', name: 'E', parent: 'b' },
+];
+
+const sampleEdges = [
+  { source: 'c', target: 'e' },
+  { source: 'd', target: 'e' },
+];
+
+/** @param {any} [config] */
+function layout(config = {}) {
+  return layoutCactusTree({
+    width: 800,
+    height: 600,
+    nodes: sampleNodes.map((node) => ({ ...node })),
+    edges: sampleEdges,
+    ...config,
+  });
+}
+
+// ── nodes ───────────────────────────────────────────────────────────────────
+
+describe('layoutCactusTree nodes', () => {
+  it('positions every node inside the viewport', () => {
+    const result = layout();
+
+    expect(result.nodes.map((n) => n.id).sort()).toEqual(
+      sampleNodes.map((n) => n.id).sort(),
+    );
+    for (const node of result.nodes) {
+      expect(node.radius).toBeGreaterThan(0);
+      expect(node.x - node.radius).toBeGreaterThanOrEqual(0);
+      expect(node.x + node.radius).toBeLessThanOrEqual(800);
+      expect(node.y - node.radius).toBeGreaterThanOrEqual(0);
+      expect(node.y + node.radius).toBeLessThanOrEqual(600);
+    }
+  });
+
+  it('reports parents, depths and leaves', () => {
+    const byId = new Map(layout().nodes.map((n) => [n.id, n]));
+
+    expect(byId.get('root')).toMatchObject({
+      parent: null,
+      depth: 0,
+      isLeaf: false,
+    });
+    expect(byId.get('c')).toMatchObject({
+      parent: 'a',
+      depth: 2,
+      isLeaf: true,
+    });
+  });
+
+  it('does not modify the input nodes', () => {
+    const nodes = sampleNodes.map((node) => ({ ...node }));
+    layoutCactusTree({ width: 800, height: 600, nodes });
+
+    expect(nodes).toEqual(sampleNodes);
+  });
+
+  it('accepts nested input', () => {
+    const result = layoutCactusTree({
+      width: 800,
+      height: 600,
+      nodes: { name: 'root', children: [{ name: 'x' }, { name: 'y' }] },
+    });
+
+    expect(result.nodes).toHaveLength(3);
+  });
+
+  it('returns an empty result without nodes', () => {
+    expect(layoutCactusTree({ width: 800, height: 600, nodes: [] })).toEqual({
+      nodes: [],
+      edges: [],
+      labels: [],
+      links: [],
+    });
+  });
+
+  it('gives the same result for the same input', () => {
+    expect(layout()).toEqual(layout());
+  });
+});
+
+// ── level of detail ─────────────────────────────────────────────────────────
+
+describe('layoutCactusTree level of detail', () => {
+  it('aggregates subtrees below the minimum radius', () => {
+    const result = layout({ options: { lod: { minRadius: 10000 } } });
+
+    expect(result.nodes).toHaveLength(1);
+    expect(result.nodes[0]).toMatchObject({
+      id: 'root',
+      aggregatedCount: sampleNodes.length,
+    });
+    // Both edges end inside the aggregate
+    expect(result.edges).toEqual([]);
+  });
+
+  it('leaves large subtrees as they are', () => {
+    const result = layout({ options: { lod: true } });
+
+    expect(result.nodes).toHaveLength(sampleNodes.length);
+    expect(result.nodes.some((n) => 'aggregatedCount' in n)).toBe(false);
+    expect(result.edges).toHaveLength(sampleEdges.length);
+  });
+});
+
+// ── collision avoidance ─────────────────────────────────────────────────────
+
+describe('layoutCactusTree collision avoidance', () => {
+  it('reports collisions left unresolved', () => {
+    /** @type {any[]} */
+    const nodes = [{ id: 'root', name: 'Root', parent: null }];
+    for (const id of ['a', 'b', 'c']) {
+      nodes.push({ id, name: id, parent: 'root' });
+      for (let i = 0; i < 3; i++) {
+        nodes.push({ id: `${id}${i}`, name: `${id}${i}`, parent: id });
+      }
+    }
+    const options = {
+      overlap: 0.5,
+      arcSpan: Math.PI / 2,
+      depths: [{ depth: 1, arcSpan: 2 * Math.PI }],
+    };
+
+    expect(
+      layout({
+        nodes,
+        options: { ...options, avoidCollisions: { iterations: 0 } },
+      }).unresolvedCollisions?.length,
+    ).toBeGreaterThan(0);
+    expect(
+      layout({ nodes, options: { ...options, avoidCollisions: true } })
+        .unresolvedCollisions,
+    ).toEqual([]);
+  });
+
+  it('leaves out unresolvedCollisions without the option', () => {
+    expect(layout()).not.toHaveProperty('unresolvedCollisions');
+  });
+});
+
+// ── edges ───────────────────────────────────────────────────────────────────
+
+describe('layoutCactusTree edges', () => {
+  it('routes edges through the hierarchy', () => {
+    const result = layout();
+    const byId = new Map(result.nodes.map((n) => [n.id, n]));
+    const edge = /** @type {any} */ (
+      result.edges.find((e) => e.source === 'c')
+    );
+
+    // c -> a -> root -> b -> e
+    expect(edge.points).toHaveLength(5);
+    expect(edge.points[0]).toEqual({
+      x: byId.get('c')?.x,
+      y: byId.get('c')?.y,
+    });
+    expect(edge.points[4]).toEqual({
+      x: byId.get('e')?.x,
+      y: byId.get('e')?.y,
+    });
+    expect(edge.path.map((/** @type {any} */ c) => c.type)).toEqual([
+      'M',
+      'Q',
+      'Q',
+      'Q',
+      'L',
+    ]);
+  });
+
+  it('draws straight edges without bundling', () => {
+    const result = layout({ options: { edges: { bundlingStrength: 0 } } });
+
+    for (const edge of result.edges) {
+      expect(edge.points).toHaveLength(2);
+      expect(edge.path.map((c) => c.type)).toEqual(['M', 'L']);
+    }
+  });
+
+  it('ends edges on the node circles with edgePoint perimeter', () => {
+    const result = layout({ options: { edges: { edgePoint: 'perimeter' } } });
+    const byId = new Map(result.nodes.map((n) => [n.id, n]));
+
+    for (const edge of result.edges) {
+      const source = /** @type {any} */ (byId.get(edge.source));
+      const start = edge.points[0];
+      const distance = Math.hypot(start.x - source.x, start.y - source.y);
+      // Radius plus half the default stroke width
+      expect(distance).toBeCloseTo(source.radius + 0.5, 6);
+    }
+  });
+
+  it('leaves out edges to unknown nodes', () => {
+    const result = layout({ edges: [{ source: 'c', target: 'missing' }] });
+
+    expect(result.edges).toEqual([]);
+  });
+});
+
+// ── labels ──────────────────────────────────────────────────────────────────
+
+describe('layoutCactusTree labels', () => {
+  it('places label boxes without a canvas', () => {
+    const result = layout();
+
+    expect(result.labels.length).toBeGreaterThan(0);
+    for (const label of result.labels) {
+      expect(label.width).toBeGreaterThan(0);
+      expect(label.height).toBeGreaterThan(0);
+      expect(typeof label.isInside).toBe('boolean');
+    }
+  });
+
+  it('links outer labels to their nodes', () => {
+    const result = layout({
+      nodes: sampleNodes.map((node) => ({
+        ...node,
+        name: `${node.name} with a label too long to fit in its node`,
+      })),
+    });
+    const outer = result.labels.filter((label) => !label.isInside);
+
+    expect(outer.length).toBeGreaterThan(0);
+    expect(result.links.map((link) => link.nodeId).sort()).toEqual(
+      outer.map((label) => label.nodeId).sort(),
+    );
+  });
+
+  it('leaves out labels with numLabels 0', () => {
+    const result = layout({ options: { numLabels: 0 } });
+
+    expect(result.labels).toEqual([]);
+    expect(result.links).toEqual([]);
+  });
+});
+
+// ── renderSVG ───────────────────────────────────────────────────────────────
+
+describe('renderSVG', () => {
+  /** @param {any} [config] */
+  const render = (config = {}) =>
+    renderSVG({
+      width: 800,
+      height: 600,
+      nodes: sampleNodes.map((node) => ({ ...node })),
+      edges: sampleEdges,
+      ...config,
+    });
+
+  it('draws the nodes, edges and labels of the layout', () => {
+    const result = layout();
+    const svg = render();
+
+    expect(svg).toMatch(/^<svg [^>]*viewBox="0 0 800 600">/);
+    for (const node of result.nodes) {
+      expect(svg).toContain(`cx="${Math.round(node.x * 100) / 100}"`);
+    }
+    expect(svg.match(/<path d="M/g)).toHaveLength(result.edges.length);
+    for (const label of result.labels) {
+      expect(svg).toContain(`>${label.text}</text>`);
+    }
+  });
+
+  it('references node images by URL', () => {
+    const svg = render({
+      nodes: sampleNodes.map((node) => ({ ...node, image: `${node.id}.png` })),
+      styles: { image: { minRadius: 0 } },
+    });
+
+    for (const node of sampleNodes) {
+      expect(svg).toContain(`<image href="${node.id}.png"`);
+    }
+    expect(svg.match(/<clipPath /g)).toHaveLength(sampleNodes.length);
+  });
+
+  it('draws with a theme', () => {
+    const svg = render({
+      theme: 'minimalDark',
+      styles: { edge: { strokeOpacity: 1 } },
+    });
+
+    expect(svg).toMatch(/<path d="M[^>]*stroke="#dddddd"/);
+  });
+
+  it('draws data-driven styles', () => {
+    const svg = render({
+      nodes: sampleNodes.map((node) =>
+        node.id === 'e'
+          ? { ...node, style: { node: { fillColor: '#00ff00' } } }
+          : node,
+      ),
+      edges: [{ source: 'c', target: 'e', style: { strokeColor: '#0000ff' } }],
+      styles: {
+        node: {
+          fillColor: (/** @type {any} */ node) =>
+            node.id === 'a' ? '#ff0000' : '#efefef',
+        },
+        edge: { strokeOpacity: 1 },
+      },
+    });
+
+    expect(svg.match(/fill="#ff0000"/g)).toHaveLength(1);
+    expect(svg.match(/fill="#00ff00"/g)).toHaveLength(1);
+    expect(svg).toMatch(/<path d="M[^>]*stroke="#0000ff"/);
+  });
+
+  it('colors nodes, labels and edges by a field', () => {
+    const coverage = /** @type {Record<string, number>} */ ({
+      root: 0,
+      a: 50,
+      b: 100,
+    });
+    const svg = render({
+      nodes: sampleNodes.map((node) => ({
+        ...node,
+        coverage: coverage[node.id],
+      })),
+      edges: [
+        { source: 'c', target: 'e', weight: 1 },
+        { source: 'd', target: 'e', weight: 3 },
+      ],
+      styles: {
+        node: {
+          fillColor: {
+            scale: 'viridis',
+            field: 'coverage',
+            fallback: '#cccccc',
+          },
+        },
+        label: {
+          inner: { textColor: { scale: 'viridis', field: 'coverage' } },
+        },
+        edge: {
+          strokeOpacity: 1,
+          strokeColor: { scale: 'viridis', field: 'weight' },
+        },
+      },
+    });
+
+    expect(svg).toContain('fill="#440154"');
+    expect(svg).toContain('fill="#fde725"');
+    expect(svg.match(/<circle[^>]*fill="#cccccc"/g)).toHaveLength(3);
+    expect(svg).toContain('fill="#21918c">A</text>');
+    expect(svg).toMatch(/<path d="M[^>]*stroke="#440154"/);
+    expect(svg).toMatch(/<path d="M[^>]*stroke="#fde725"/);
+  });
+
+  it('colors nodes and edges by branch', () => {
+    const branches = {
+      scale: 'tableau10',
+      branch: true,
+      lightness: 0,
+      fallback: '#cccccc',
+    };
+    const svg = render({
+      styles: {
+        node: { fillColor: branches },
+        edge: { strokeOpacity: 1, strokeColor: branches },
+      },
+    });
+
+    // Branches are colored in layout order: b, then a
+    expect(svg.match(/<circle[^>]*fill="#4e79a7"/g)).toHaveLength(2);
+    expect(svg.match(/<circle[^>]*fill="#f28e2c"/g)).toHaveLength(3);
+    expect(svg.match(/<circle[^>]*fill="#cccccc"/g)).toHaveLength(1);
+    // Both edges start in branch a
+    expect(svg).toMatch(/<path d="M[^>]*stroke="#f28e2c"/);
+    expect(svg).not.toMatch(/<path d="M[^>]*stroke="#4e79a7"/);
+  });
+
+  it('draws a legend with the legend option', () => {
+    const styles = {
+      depths: [{ depth: '*', node: { fillColor: { scale: 'viridis' } } }],
+    };
+
+    expect(render({ styles })).not.toContain('>Depth</text>');
+    const svg = render({ styles, options: { legend: true } });
+    expect(svg).toContain('>Depth</text>');
+    expect(svg).toContain('>Depth 2</text>');
+  });
+
+  it('draws nodes with renderNode', () => {
+    /** @type {string[]} */
+    const ids = [];
+    const svg = render({
+      renderNode: (/** @type {any} */ ctx, /** @type {any} */ nodeData) => {
+        ids.push(nodeData.id);
+        ctx.fillText('*', nodeData.x, nodeData.y);
+      },
+    });
+
+    expect(ids).toEqual(layout().nodes.map((node) => node.id));
+    expect(svg.match(/>\*<\/text>/g)).toHaveLength(ids.length);
+    expect(svg).not.toContain('<circle');
+  });
+
+  it('returns an empty document without nodes', () => {
+    expect(render({ nodes: [], edges: [] })).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600" viewBox="0 0 800 600">\n</svg>',
+    );
+  });
+
+  it('gives the same result for the same input', () => {
+    expect(render()).toBe(render());
+  });
+});
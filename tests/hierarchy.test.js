@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { flattenHierarchy, isNestedInput } from '$lib/hierarchy.js';
+
+const nested = {
+  name: 'root',
+  children: [
+    {
+      name: 'a',
+      children: [{ name: 'c', weight: 3 }, { name: 'd' }],
+    },
+    { name: 'b' },
+  ],
+};
+
+// ── isNestedInput ───────────────────────────────────────────────────────────
+
+describe('isNestedInput', () => {
+  it('treats a single object as nested', () => {
+    expect(isNestedInput(nested)).toBe(true);
+    expect(isNestedInput({ name: 'leaf' })).toBe(true);
+  });
+
+  it('treats flat node arrays as flat', () => {
+    expect(
+      isNestedInput([
+        { id: 'r', name: 'R', parent: null },
+        { id: 'a', name: 'A', parent: 'r' },
+      ]),
+    ).toBe(false);
+    expect(isNestedInput([])).toBe(false);
+  });
+
+  it('treats flat nodes the layout has linked to their children as flat', () => {
+    const root = {
+      id: 'r',
+      name: 'R',
+      parent: null,
+      children: /** @type {any[]} */ ([]),
+    };
+    const child = { id: 'a', name: 'A', parent: 'r' };
+    root.children.push(child);
+
+    expect(isNestedInput([root, child])).toBe(false);
+  });
+
+  it('treats arrays of roots with children as nested', () => {
+    expect(isNestedInput([nested, { name: 'other' }])).toBe(true);
+  });
+
+  it('uses the children accessor', () => {
+    const input = [{ name: 'r', kids: [{ name: 'x' }] }];
+    expect(isNestedInput(input)).toBe(false);
+    expect(isNestedInput(input, { children: 'kids' })).toBe(true);
+  });
+
+  it('returns false for empty input', () => {
+    expect(isNestedInput(null)).toBe(false);
+    expect(isNestedInput(undefined)).toBe(false);
+  });
+});
+
+// ── flattenHierarchy ────────────────────────────────────────────────────────
+
+describe('flattenHierarchy', () => {
+  it('flattens in pre-order with path ids', () => {
+    const nodes = flattenHierarchy(nested);
+
+    expect(nodes.map((n) => [n.id, n.name, n.parent])).toEqual([
+      ['root', 'root', null],
+      ['root/a', 'a', 'root'],
+      ['root/a/c', 'c', 'root/a'],
+      ['root/a/d', 'd', 'root/a'],
+      ['root/b', 'b', 'root'],
+    ]);
+  });
+
+  it('keeps other properties and drops children', () => {
+    const nodes = flattenHierarchy(nested);
+    const c = nodes.find((n) => n.id === 'root/a/c');
+
+    expect(c.weight).toBe(3);
+    expect('children' in nodes[0]).toBe(false);
+  });
+
+  it('does not modify the input', () => {
+    const input = structuredClone(nested);
+    flattenHierarchy(input);
+
+    expect(input).toEqual(nested);
+  });
+
+  it('uses explicit ids when present', () => {
+    const nodes = flattenHierarchy({
+      id: 1,
+      name: 'root',
+      children: [{ id: 2, name: 'a' }, { name: 'b' }],
+    });
+
+    expect(nodes.map((n) => [n.id, n.parent])).toEqual([
+      [1, null],
+      [2, 1],
+      ['root/b', 1],
+    ]);
+  });
+
+  it('disambiguates siblings with equal names', () => {
+    const nodes = flattenHierarchy({
+      name: 'r',
+      children: [{ name: 'x' }, { name: 'x' }, {}],
+    });
+
+    expect(nodes.map((n) => n.id)).toEqual(['r', 'r/x', 'r/x#1', 'r/2']);
+    expect(nodes[3].name).toBe('');
+  });
+
+  it('escapes separators in names so paths do not collide', () => {
+    const nodes = flattenHierarchy([
+      { name: 'a/b' },
+      { name: 'a', children: [{ name: 'b' }] },
+      {
+        name: 'x',
+        children: [{ name: 'y' }, { name: 'y' }, { name: 'y#1' }],
+      },
+      { name: 'c\\', children: [{ name: 'd' }] },
+      { name: 'c\\/d' },
+    ]);
+    const ids = nodes.map((n) => n.id);
+
+    expect(ids).toEqual([
+      'a\\/b',
+      'a',
+      'a/b',
+      'x',
+      'x/y',
+      'x/y#1',
+      'x/y\\#1',
+      'c\\\\',
+      'c\\\\/d',
+      'c\\\\\\/d',
+    ]);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(nodes[0].name).toBe('a/b');
+  });
+
+  it('supports property name and function accessors', () => {
+    const nodes = flattenHierarchy(
+      {
+        key: 'r',
+        title: 'Root',
+        items: [{ key: 'a', title: 'A' }],
+      },
+      {
+        id: 'key',
+        name: (d) => d.title.toLowerCase(),
+        children: 'items',
+      },
+    );
+
+    expect(nodes).toEqual([
+      { key: 'r', title: 'Root', id: 'r', name: 'root', parent: null },
+      { key: 'a', title: 'A', id: 'a', name: 'a', parent: 'r' },
+    ]);
+  });
+
+  it('flattens arrays of roots', () => {
+    const nodes = flattenHierarchy([
+      { name: 'r1', children: [{ name: 'a' }] },
+      { name: 'r2' },
+    ]);
+
+    expect(nodes.map((n) => [n.id, n.parent])).toEqual([
+      ['r1', null],
+      ['r1/a', 'r1'],
+      ['r2', null],
+    ]);
+  });
+
+  it('returns an empty array for empty input', () => {
+    expect(flattenHierarchy(null)).toEqual([]);
+    expect(flattenHierarchy([])).toEqual([]);
+  });
+});
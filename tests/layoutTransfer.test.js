@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toWorkerNodes,
+  packLayout,
+  unpackLayout,
+  packLabelLayout,
+  unpackLabelLayout,
+  transferables,
+} from '$lib/layoutTransfer.js';
+import { calculateLayout } from '$lib/layoutUtils.js';
+
+const options = {
+  overlap: 0.5,
+  arcSpan: Math.PI,
+  sizeGrowthRate: 0.75,
+  orientation: Math.PI / 2,
+  zoom: 1,
+};
+
+function sampleNodes() {
+  return [
+    { id: 'root', name: 'Root', parent: null },
+    { id: 'a', name: 'A', parent: 'root' },
+    { id: 'b', name: 'B', parent: 'root' },
+    { id: 'c', name: 'C', parent: 'a' },
+  ];
+}
+
+// ── toWorkerNodes ───────────────────────────────────────────────────────────
+
+describe('toWorkerNodes', () => {
+  it('copies nodes without the links added by the layout', () => {
+    const nodes = sampleNodes();
+    calculateLayout(800, 600, 1, nodes, options);
+    expect(/** @type {any} */ (nodes[0]).children).toBeDefined();
+
+    const copies = toWorkerNodes(nodes);
+
+    expect(copies).toEqual(sampleNodes());
+    expect(copies[0]).not.toBe(nodes[0]);
+  });
+});
+
+// ── packLayout / unpackLayout ───────────────────────────────────────────────
+
+describe('packLayout / unpackLayout', () => {
+  it('round-trips rendered nodes against another copy of the nodes', () => {
+    const workerNodes = sampleNodes();
+    const rendered = calculateLayout(800, 600, 1, workerNodes, options);
+    const packed = packLayout(
+      rendered,
+      new Map(workerNodes.map((node, i) => [node, i])),
+    );
+
+    expect(packed.order).toBeInstanceOf(Int32Array);
+    expect(packed.geometry).toBeInstanceOf(Float64Array);
+    expect(packed.geometry.length).toBe(rendered.length * 5);
+
+    const nodes = sampleNodes();
+    const unpacked = unpackLayout(packed, nodes);
+
+    expect(unpacked).toHaveLength(rendered.length);
+    unpacked.forEach((nodeData, i) => {
+      expect(nodeData.id).toBe(rendered[i].id);
+      expect(nodeData.x).toBe(rendered[i].x);
+      expect(nodeData.y).toBe(rendered[i].y);
+      expect(nodeData.radius).toBe(rendered[i].radius);
+      expect(nodeData.depth).toBe(rendered[i].depth);
+      expect(nodeData.overlap).toBe(rendered[i].overlap);
+      expect(nodes).toContain(nodeData.node);
+    });
+  });
+
+  it('links the nodes to their children', () => {
+    const workerNodes = sampleNodes();
+    const rendered = calculateLayout(800, 600, 1, workerNodes, options);
+    const packed = packLayout(
+      rendered,
+      new Map(workerNodes.map((node, i) => [node, i])),
+    );
+
+    const nodes = /** @type {any[]} */ (sampleNodes());
+    unpackLayout(packed, nodes);
+
+    expect(nodes[0].children.map((/** @type {any} */ n) => n.id)).toEqual([
+      'a',
+      'b',
+    ]);
+    expect(nodes[2].children).toEqual([]);
+  });
+
+  it('skips entries that do not map to a node', () => {
+    const packed = {
+      order: Int32Array.from([-1, 0]),
+      geometry: Float64Array.from([1, 2, 3, 0, NaN, 4, 5, 6, 0, NaN]),
+    };
+
+    const unpacked = unpackLayout(packed, sampleNodes());
+
+    expect(unpacked).toHaveLength(1);
+    expect(unpacked[0]).toMatchObject({ id: 'root', x: 4, y: 5, radius: 6 });
+    expect(unpacked[0].overlap).toBeUndefined();
+  });
+});
+
+// ── packLabelLayout / unpackLabelLayout ─────────────────────────────────────
+
+describe('packLabelLayout / unpackLabelLayout', () => {
+  const nodes = sampleNodes();
+  const indexById = new Map(nodes.map((node, i) => [node.id, i]));
+  const renderedA = {
+    id: 'a',
+    x: 10,
+    y: 20,
+    radius: 5,
+    depth: 1,
+    node: nodes[1],
+  };
+  const renderedB = {
+    id: 'b',
+    x: 30,
+    y: 40,
+    radius: 2,
+    depth: 1,
+    node: nodes[2],
+  };
+
+  const labelLayout = {
+    labels: [
+      {
+        nodeId: 'a',
+        text: 'A',
+        x: 1,
+        y: 2,
+        width: 3,
+        height: 4,
+        anchor: { x: 10, y: 20, radius: 5 },
+        isInside: true,
+      },
+      {
+        nodeId: 'b',
+        text: 'B',
+        x: 5,
+        y: 6,
+        width: 7,
+        height: 8,
+        anchor: { x: 30, y: 40, radius: 2 },
+        isInside: false,
+      },
+    ],
+    links: [
+      {
+        nodeId: 'b',
+        x1: 31,
+        y1: 41,
+        x2: 5,
+        y2: 6,
+        length: 12,
+        configuredLinkLength: 5,
+      },
+    ],
+    nodesWithLabels: [renderedA, renderedB],
+    labelMinFontSize: 9,
+    labelMaxFontSize: 14,
+  };
+
+  it('round-trips labels and links', () => {
+    const packed = packLabelLayout(labelLayout, indexById);
+    const unpacked = unpackLabelLayout(
+      packed,
+      nodes,
+      new Map([
+        ['a', renderedA],
+        ['b', renderedB],
+      ]),
+    );
+
+    expect(unpacked).toEqual(labelLayout);
+  });
+
+  it('drops labels of nodes that are no longer rendered', () => {
+    const packed = packLabelLayout(labelLayout, indexById);
+    const unpacked = /** @type {any} */ (
+      unpackLabelLayout(packed, nodes, new Map([['a', renderedA]]))
+    );
+
+    expect(unpacked.nodesWithLabels).toEqual([renderedA]);
+    expect(unpacked.labels.map((/** @type {any} */ l) => l.nodeId)).toEqual([
+      'a',
+    ]);
+    expect(unpacked.links).toEqual([]);
+  });
+
+  it('passes null through', () => {
+    expect(packLabelLayout(null, indexById)).toBeNull();
+    expect(unpackLabelLayout(null, nodes, new Map())).toBeNull();
+  });
+});
+
+// ── transferables ───────────────────────────────────────────────────────────
+
+describe('transferables', () => {
+  it('lists the buffers of all typed arrays', () => {
+    const layout = {
+      order: new Int32Array(2),
+      geometry: new Float64Array(10),
+    };
+
+    const buffers = transferables(layout, null);
+
+    expect(buffers).toEqual([layout.order.buffer, layout.geometry.buffer]);
+  });
+});
@@ -60,6 +60,89 @@ describe('calculateLayout', () => {
     }
   });
 
+  it('passes the ordering option to the layout', () => {
+    const nodes = [
+      { id: 'r', name: 'r', parent: null },
+      { id: 'b', name: 'b', parent: 'r' },
+      { id: 'a', name: 'a', parent: 'r' },
+    ];
+
+    /** @param {any} ordering */
+    const angleOrder = (ordering) =>
+      calculateLayout(
+        800,
+        600,
+        1,
+        nodes.map((n) => ({ ...n })),
+        { ...defaultOptions, ordering },
+      )
+        .filter((nd) => nd.depth === 1)
+        .sort((p, q) => p.x - q.x)
+        .map((nd) => nd.id);
+
+    expect(angleOrder('name')).not.toEqual(angleOrder('input'));
+  });
+
+  it('passes edges to edge-aware ordering', () => {
+    const nodes = [
+      { id: 'r', name: 'r', parent: null },
+      { id: 'g1', name: 'g1', parent: 'r' },
+      { id: 'g2', name: 'g2', parent: 'r' },
+      { id: 'a', name: 'a', parent: 'g1' },
+      { id: 'b', name: 'b', parent: 'g1' },
+      { id: 'x', name: 'x', parent: 'g2' },
+      { id: 'y', name: 'y', parent: 'g2' },
+    ];
+    const edges = [{ source: 'a', target: 'y' }];
+
+    /** @param {any} edgeOrdering */
+    const positionOfA = (edgeOrdering) => {
+      const result = calculateLayout(
+        800,
+        600,
+        1,
+        nodes.map((n) => ({ ...n })),
+        { ...defaultOptions, ordering: 'input', edgeOrdering },
+        edges,
+      );
+      const a = /** @type {any} */ (result.find((nd) => nd.id === 'a'));
+      return [a.x, a.y];
+    };
+
+    expect(positionOfA(true)).not.toEqual(positionOfA(false));
+  });
+
+  it('passes the fit option to the layout', () => {
+    const result = calculateLayout(800, 600, 1, sampleNodes, {
+      ...defaultOptions,
+      fit: 'width',
+    });
+    const minX = Math.min(...result.map((nd) => nd.x - nd.radius));
+    const maxX = Math.max(...result.map((nd) => nd.x + nd.radius));
+
+    expect(maxX - minX).toBeCloseTo(800, 6);
+  });
+
+  it('measures labels for fit.labels with the label style', () => {
+    /** @param {number} fontSize */
+    const widthWith = (fontSize) => {
+      const result = calculateLayout(
+        800,
+        600,
+        1,
+        sampleNodes.map((n) => ({ ...n, name: n.name.repeat(15) })),
+        { ...defaultOptions, fit: { labels: true } },
+        [],
+        { label: { outer: { fontSize } } },
+      );
+      const minX = Math.min(...result.map((nd) => nd.x - nd.radius));
+      const maxX = Math.max(...result.map((nd) => nd.x + nd.radius));
+      return maxX - minX;
+    };
+
+    expect(widthWith(24)).toBeLessThan(widthWith(6));
+  });
+
   it('root node has depth 0', () => {
     const result = calculateLayout(800, 600, 1, sampleNodes, defaultOptions);
     const root = result.find((nd) => nd.id === 'root');
@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LEGEND_MARGIN,
+  buildLegend,
+  drawLegend,
+  resolveLegendOptions,
+} from '$lib/legend.js';
+import {
+  expandWildcardDepths,
+  prepareFieldColorScales,
+} from '$lib/colorScale.js';
+import { SvgContext } from '$lib/svgContext.js';
+
+const VIRIDIS_START = '#440154';
+const VIRIDIS_END = '#fde725';
+
+const nodes = [
+  { id: 'root', name: 'Root', parent: null, size: 10 },
+  { id: 'a', name: 'A', parent: 'root', size: 2 },
+  { id: 'b', name: 'B', parent: 'root', size: 4.25 },
+];
+
+// ── resolveLegendOptions ────────────────────────────────────────────────────
+
+describe('resolveLegendOptions', () => {
+  it('is null when the option is off', () => {
+    expect(resolveLegendOptions(undefined)).toBeNull();
+    expect(resolveLegendOptions(false)).toBeNull();
+  });
+
+  it('fills in the defaults', () => {
+    expect(resolveLegendOptions(true)).toEqual({
+      position: 'bottom-right',
+      margin: DEFAULT_LEGEND_MARGIN,
+      maxItems: 10,
+    });
+    expect(resolveLegendOptions({ position: 'top-left', margin: 0 })).toEqual({
+      position: 'top-left',
+      margin: 0,
+      maxItems: 10,
+    });
+  });
+});
+
+// ── buildLegend ─────────────────────────────────────────────────────────────
+
+describe('buildLegend', () => {
+  it('lists the node colors of the depth styles', () => {
+    const mergedStyle = {
+      depths: expandWildcardDepths(
+        [
+          { depth: '*', node: { fillColor: { scale: 'viridis' } } },
+          { depth: 1, node: { strokeColor: '#ff0000' } },
+          { depth: -1, node: { fillColor: '#00ff00' } },
+          { depth: 2, label: { inner: { textColor: '#000000' } } },
+        ],
+        1,
+      ),
+    };
+
+    const [entry] = buildLegend(mergedStyle);
+
+    expect(entry).toEqual({
+      type: 'depths',
+      title: 'Depth',
+      items: [
+        { depth: 0, label: 'Depth 0', fillColor: VIRIDIS_START },
+        {
+          depth: 1,
+          label: 'Depth 1',
+          fillColor: VIRIDIS_END,
+          strokeColor: '#ff0000',
+        },
+        { depth: -1, label: 'Leaves', fillColor: '#00ff00' },
+      ],
+    });
+  });
+
+  it('shows field color scales as gradients over their domain', () => {
+    const mergedStyle = {
+      node: { fillColor: { scale: 'viridis', field: 'size', label: 'Size' } },
+      edge: {
+        strokeColor: { scale: 'viridis', field: 'calls', reverse: true },
+      },
+    };
+    prepareFieldColorScales(mergedStyle, nodes, [{ calls: 1 }, { calls: 9 }]);
+
+    const [size, calls] = buildLegend(mergedStyle);
+
+    expect(size).toMatchObject({
+      type: 'gradient',
+      title: 'Size',
+      domain: [2, 10],
+      scaleType: 'linear',
+    });
+    if (size.type !== 'gradient' || calls.type !== 'gradient') return;
+    expect(size.colors[0]).toBe(VIRIDIS_START);
+    expect(size.colors.at(-1)).toBe(VIRIDIS_END);
+    expect(calls.title).toBe('calls');
+    expect(calls.colors[0]).toBe(VIRIDIS_END);
+  });
+
+  it('shows branch color scales as keys', () => {
+    const mergedStyle = {
+      node: { fillColor: { scale: 'tableau10', branch: true } },
+    };
+    prepareFieldColorScales(mergedStyle, nodes);
+
+    expect(buildLegend(mergedStyle)).toEqual([
+      {
+        type: 'categories',
+        title: 'Branch',
+        items: [
+          { id: 'a', label: 'A', color: '#4e79a7' },
+          { id: 'b', label: 'B', color: '#f28e2c' },
+        ],
+      },
+    ]);
+  });
+
+  it('leaves out scales without colors', () => {
+    const mergedStyle = {
+      node: {
+        fillColor: { scale: 'viridis', field: 'missing' },
+        strokeColor: { scale: 'nonExistent', field: 'size' },
+      },
+    };
+    prepareFieldColorScales(mergedStyle, nodes);
+
+    expect(buildLegend(mergedStyle)).toEqual([]);
+    expect(buildLegend({})).toEqual([]);
+  });
+});
+
+// ── drawLegend ──────────────────────────────────────────────────────────────
+
+describe('drawLegend', () => {
+  const options = { position: 'bottom-right', margin: 10, maxItems: 2 };
+
+  /** @param {any[]} entries @param {any} [drawOptions] */
+  const draw = (entries, drawOptions = options) => {
+    const ctx = new SvgContext(400, 300);
+    drawLegend(/** @type {any} */ (ctx), entries, 400, 300, drawOptions);
+    return ctx.toSVG();
+  };
+
+  it('draws titles, swatches and labels', () => {
+    const svg = draw([
+      {
+        type: 'depths',
+        title: 'Depth',
+        items: [{ depth: 0, label: 'Depth 0', fillColor: '#ff0000' }],
+      },
+    ]);
+
+    expect(svg).toContain('font-weight="bold"');
+    expect(svg).toContain('>Depth</text>');
+    expect(svg).toContain('>Depth 0</text>');
+    expect(svg).toMatch(/<path d="M[^"]*Z" fill="#ff0000"/);
+  });
+
+  it('draws gradients with the ends of their domain', () => {
+    const svg = draw([
+      {
+        type: 'gradient',
+        title: 'size',
+        colors: ['#000000', '#ffffff'],
+        domain: [0, 0.12345],
+        scaleType: 'linear',
+      },
+    ]);
+
+    expect(svg).toContain('fill="#000000"');
+    expect(svg).toContain('fill="#ffffff"');
+    expect(svg).toContain('>0</text>');
+    expect(svg).toContain('>0.123</text>');
+  });
+
+  it('counts the keys beyond maxItems', () => {
+    const items = ['a', 'b', 'c', 'd'].map((id) => ({
+      id,
+      label: id.toUpperCase(),
+      color: '#ff0000',
+    }));
+    const svg = draw([{ type: 'categories', title: 'Branch', items }]);
+
+    expect(svg).toContain('>B</text>');
+    expect(svg).not.toContain('>C</text>');
+    expect(svg).toContain('>+2 more</text>');
+  });
+
+  it('places the legend in the given corner', () => {
+    const entries = [{ type: 'categories', title: 'Branch', items: [] }];
+    /** @param {string} svg */
+    const boxOrigin = (svg) =>
+      /<path d="M([\d.]+),([\d.]+)/.exec(svg)?.slice(1).map(Number);
+
+    expect(
+      boxOrigin(draw(entries, { ...options, position: 'top-left' })),
+    ).toEqual([10, 10]);
+    const [x, y] = /** @type {number[]} */ (boxOrigin(draw(entries)));
+    expect(x).toBeGreaterThan(200);
+    expect(y).toBeGreaterThan(200);
+  });
+
+  it('draws nothing without entries', () => {
+    expect(draw([])).not.toContain('<path');
+  });
+});
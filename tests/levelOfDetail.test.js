@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LOD_MIN_RADIUS,
+  aggregateSubtrees,
+  rerouteEdges,
+  resolveLodMinRadius,
+} from '$lib/levelOfDetail.js';
+
+/**
+ * root (r 50) with a big child `a` and a tiny subtree `b` -> `b1`, `b2`.
+ * @returns {any[]}
+ */
+function sampleRenderedNodes() {
+  /** @param {string} id @param {string|null} parent @param {number} x @param {number} y @param {number} radius @param {number} depth */
+  const nodeData = (id, parent, x, y, radius, depth) => ({
+    id,
+    name: id.toUpperCase(),
+    x,
+    y,
+    radius,
+    depth,
+    node: { id, name: id.toUpperCase(), parent },
+  });
+  return [
+    nodeData('root', null, 100, 100, 50, 0),
+    nodeData('a', 'root', 160, 100, 20, 1),
+    nodeData('b', 'root', 40, 100, 0.5, 1),
+    nodeData('b1', 'b', 39, 100, 0.4, 2),
+    nodeData('b2', 'b', 41, 100, 0.4, 2),
+  ];
+}
+
+/** @param {any[]} renderedNodes */
+function lookupMapsOf(renderedNodes) {
+  const parentToChildrenNodeMap = new Map();
+  for (const nodeData of renderedNodes) {
+    const parentId = nodeData.node.parent;
+    if (!parentId) continue;
+    if (!parentToChildrenNodeMap.has(parentId)) {
+      parentToChildrenNodeMap.set(parentId, []);
+    }
+    parentToChildrenNodeMap.get(parentId).push(nodeData);
+  }
+  return {
+    nodeIdToRenderedNodeMap: new Map(renderedNodes.map((n) => [n.id, n])),
+    parentToChildrenNodeMap,
+  };
+}
+
+// ── resolveLodMinRadius ─────────────────────────────────────────────────────
+
+describe('resolveLodMinRadius', () => {
+  it('is null when the option is off', () => {
+    expect(resolveLodMinRadius(undefined)).toBeNull();
+    expect(resolveLodMinRadius(false)).toBeNull();
+  });
+
+  it('uses the default radius for true and empty options', () => {
+    expect(resolveLodMinRadius(true)).toBe(DEFAULT_LOD_MIN_RADIUS);
+    expect(resolveLodMinRadius({})).toBe(DEFAULT_LOD_MIN_RADIUS);
+  });
+
+  it('uses the given radius', () => {
+    expect(resolveLodMinRadius({ minRadius: 5 })).toBe(5);
+  });
+});
+
+// ── aggregateSubtrees ───────────────────────────────────────────────────────
+
+describe('aggregateSubtrees', () => {
+  it('replaces tiny subtrees with one aggregate circle', () => {
+    const renderedNodes = sampleRenderedNodes();
+    const result = aggregateSubtrees(
+      renderedNodes,
+      lookupMapsOf(renderedNodes),
+      2,
+    );
+
+    expect(result.renderedNodes.map((n) => n.id)).toEqual(['root', 'a', 'b']);
+    const aggregate = result.nodeIdToRenderedNodeMap.get('b');
+    // Bounding box from 38.6 to 41.4 horizontally, 99.5 to 100.5 vertically
+    expect(aggregate.x).toBeCloseTo(40, 6);
+    expect(aggregate.y).toBeCloseTo(100, 6);
+    expect(aggregate.radius).toBeCloseTo(1.4, 6);
+    expect(aggregate.aggregatedCount).toBe(3);
+    expect(aggregate.node).toBe(renderedNodes[2].node);
+    expect(result.aggregateIds).toEqual(
+      new Map([
+        ['b', 'b'],
+        ['b1', 'b'],
+        ['b2', 'b'],
+      ]),
+    );
+  });
+
+  it('keeps the lookup maps consistent with the visible nodes', () => {
+    const renderedNodes = sampleRenderedNodes();
+    const result = aggregateSubtrees(
+      renderedNodes,
+      lookupMapsOf(renderedNodes),
+      2,
+    );
+
+    expect([...result.nodeIdToRenderedNodeMap.keys()]).toEqual([
+      'root',
+      'a',
+      'b',
+    ]);
+    expect(result.parentToChildrenNodeMap.has('b')).toBe(false);
+    expect(result.parentToChildrenNodeMap.get('root')).toEqual([
+      renderedNodes[1],
+      result.nodeIdToRenderedNodeMap.get('b'),
+    ]);
+  });
+
+  it('aggregates only the topmost small subtree', () => {
+    const renderedNodes = sampleRenderedNodes();
+    const result = aggregateSubtrees(
+      renderedNodes,
+      lookupMapsOf(renderedNodes),
+      1000,
+    );
+
+    expect(result.renderedNodes).toHaveLength(1);
+    expect(result.renderedNodes[0].aggregatedCount).toBe(5);
+  });
+
+  it('does not aggregate leaves', () => {
+    const renderedNodes = sampleRenderedNodes().slice(0, 2);
+    const result = aggregateSubtrees(
+      renderedNodes,
+      lookupMapsOf(renderedNodes),
+      21,
+    );
+
+    expect(result.renderedNodes).toEqual(renderedNodes);
+  });
+
+  it('returns the input when nothing is small enough', () => {
+    const renderedNodes = sampleRenderedNodes();
+    const lookupMaps = lookupMapsOf(renderedNodes);
+    const result = aggregateSubtrees(renderedNodes, lookupMaps, 1);
+
+    expect(result.renderedNodes).toBe(renderedNodes);
+    expect(result.nodeIdToRenderedNodeMap).toBe(
+      lookupMaps.nodeIdToRenderedNodeMap,
+    );
+    expect(result.aggregateIds.size).toBe(0);
+  });
+});
+
+// ── rerouteEdges ────────────────────────────────────────────────────────────
+
+describe('rerouteEdges', () => {
+  const aggregateIds = new Map([
+    ['b', 'b'],
+    ['b1', 'b'],
+    ['b2', 'b'],
+  ]);
+
+  it('reroutes edges of aggregated nodes to the aggregate', () => {
+    expect(
+      rerouteEdges([{ source: 'a', target: 'b1', weight: 2 }], aggregateIds),
+    ).toEqual([{ source: 'a', target: 'b', weight: 2 }]);
+  });
+
+  it('drops edges inside an aggregate', () => {
+    expect(
+      rerouteEdges(
+        [
+          { source: 'b1', target: 'b2' },
+          { source: 'b', target: 'b2' },
+        ],
+        aggregateIds,
+      ),
+    ).toEqual([]);
+  });
+
+  it('merges rerouted edges between the same ends', () => {
+    const edges = [
+      { source: 'a', target: 'b1' },
+      { source: 'a', target: 'b2' },
+      { source: 'b2', target: 'a' },
+    ];
+
+    expect(rerouteEdges(edges, aggregateIds)).toEqual([
+      { source: 'a', target: 'b' },
+      { source: 'b', target: 'a' },
+    ]);
+  });
+
+  it('keeps other edges as they are', () => {
+    const edges = [{ source: 'root', target: 'a' }];
+
+    expect(rerouteEdges(edges, aggregateIds)[0]).toBe(edges[0]);
+    expect(rerouteEdges(edges, new Map())).toBe(edges);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DEFAULT_IMAGE_MIN_RADIUS,
+  ImageCache,
+  getImageSource,
+  referenceImage,
+  resolveNodeImage,
+} from '$lib/nodeImages.js';
+
+/** Image stand-in that loads when told to */
+class FakeImage {
+  /** @type {FakeImage[]} */
+  static created = [];
+
+  constructor() {
+    /** @type {string|null} */
+    this.crossOrigin = null;
+    this.src = '';
+    /** @type {(() => void) | null} */
+    this.onload = null;
+    /** @type {(() => void) | null} */
+    this.onerror = null;
+    FakeImage.created.push(this);
+  }
+}
+
+afterEach(() => {
+  FakeImage.created = [];
+  vi.unstubAllGlobals();
+});
+
+// ── getImageSource ──────────────────────────────────────────────────────────
+
+describe('getImageSource', () => {
+  it('reads the image property by default', () => {
+    expect(getImageSource({ id: 'a', image: 'a.png' })).toBe('a.png');
+  });
+
+  it('reads other properties and accessor functions', () => {
+    const node = { id: 'a', icon: 'a.svg' };
+
+    expect(getImageSource(node, 'icon')).toBe('a.svg');
+    expect(getImageSource(node, (n) => `/icons/${n.id}.png`)).toBe(
+      '/icons/a.png',
+    );
+  });
+
+  it('is null without an image', () => {
+    expect(getImageSource({ id: 'a' })).toBeNull();
+    expect(getImageSource({ id: 'a', image: '' })).toBeNull();
+    expect(getImageSource({ id: 'a' }, () => null)).toBeNull();
+  });
+});
+
+// ── resolveNodeImage ────────────────────────────────────────────────────────
+
+describe('resolveNodeImage', () => {
+  /** @param {number} radius @param {number} [depth] */
+  const nodeData = (radius, depth = 2) => ({
+    x: 0,
+    y: 0,
+    radius,
+    depth,
+    node: { id: 'a', image: 'a.png' },
+  });
+  /** @param {any} source */
+  const loaded = (source) => ({ src: source });
+
+  it('returns the loaded image with its style', () => {
+    const mergedStyle = { image: { padding: 2, opacity: 0.5 } };
+
+    expect(
+      resolveNodeImage(nodeData(20), mergedStyle, new Map(), new Map(), loaded),
+    ).toEqual({ image: { src: 'a.png' }, padding: 2, opacity: 0.5 });
+  });
+
+  it('skips nodes below the minimum radius', () => {
+    const radius = DEFAULT_IMAGE_MIN_RADIUS - 1;
+
+    expect(
+      resolveNodeImage(nodeData(radius), {}, new Map(), new Map(), loaded),
+    ).toBeNull();
+    expect(
+      resolveNodeImage(
+        nodeData(radius),
+        { image: { minRadius: 1 } },
+        new Map(),
+        new Map(),
+        loaded,
+      ),
+    ).not.toBeNull();
+  });
+
+  it('applies depth overrides', () => {
+    const mergedStyle = {
+      image: { value: 'image' },
+      depths: [{ depth: 2, image: { value: () => 'leaf.png', opacity: 0.3 } }],
+    };
+
+    const result = resolveNodeImage(
+      nodeData(20),
+      mergedStyle,
+      new Map(),
+      new Map(),
+      loaded,
+    );
+
+    expect(result?.image).toEqual({ src: 'leaf.png' });
+    expect(result?.opacity).toBe(0.3);
+  });
+
+  it('is null while the image is not loaded', () => {
+    expect(
+      resolveNodeImage(nodeData(20), {}, new Map(), new Map(), () => null),
+    ).toBeNull();
+  });
+});
+
+// ── referenceImage ──────────────────────────────────────────────────────────
+
+describe('referenceImage', () => {
+  it('references URLs and keeps other sources', () => {
+    const bitmap = { width: 2, height: 2 };
+
+    expect(referenceImage('a.png')).toEqual({ src: 'a.png' });
+    expect(referenceImage(bitmap)).toBe(bitmap);
+  });
+});
+
+// ── ImageCache ──────────────────────────────────────────────────────────────
+
+describe('ImageCache', () => {
+  it('loads URLs once and reports when they are ready', () => {
+    vi.stubGlobal('Image', FakeImage);
+    const onLoad = vi.fn();
+    const cache = new ImageCache(onLoad);
+
+    expect(cache.get('a.png')).toBeNull();
+    expect(cache.get('a.png')).toBeNull();
+    expect(FakeImage.created).toHaveLength(1);
+
+    const [image] = FakeImage.created;
+    expect(image.src).toBe('a.png');
+    expect(image.crossOrigin).toBe('anonymous');
+    image.onload?.();
+
+    expect(onLoad).toHaveBeenCalledTimes(1);
+    expect(cache.get('a.png')).toBe(image);
+  });
+
+  it('retries without CORS when loading fails', () => {
+    vi.stubGlobal('Image', FakeImage);
+    const onLoad = vi.fn();
+    const cache = new ImageCache(onLoad);
+
+    cache.get('a.png');
+    FakeImage.created[0].onerror?.();
+    const retry = FakeImage.created[1];
+    expect(retry.crossOrigin).toBeNull();
+    retry.onerror?.();
+
+    expect(FakeImage.created).toHaveLength(2);
+    expect(cache.get('a.png')).toBeNull();
+    expect(onLoad).not.toHaveBeenCalled();
+  });
+
+  it('ignores images that finish loading after clear', () => {
+    vi.stubGlobal('Image', FakeImage);
+    const onLoad = vi.fn();
+    const cache = new ImageCache(onLoad);
+
+    cache.get('a.png');
+    cache.clear();
+    FakeImage.created[0].onload?.();
+
+    expect(onLoad).not.toHaveBeenCalled();
+  });
+
+  it('returns other image sources as they are', () => {
+    const bitmap = { width: 2, height: 2 };
+
+    expect(new ImageCache(vi.fn()).get(bitmap)).toBe(bitmap);
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, it, expect, vi } from 'vitest';
+import { prepareFieldColorScales } from '$lib/colorScale.js';
+import {
+  evaluateStyle,
+  resolveEdgeStyles,
+  resolveNodeStyles,
+} from '$lib/styleAccessors.js';
+
+// ── evaluateStyle ───────────────────────────────────────────────────────────
+
+describe('evaluateStyle', () => {
+  it('calls style functions with the given arguments', () => {
+    const style = {
+      node: {
+        fillColor: (/** @type {any} */ node) => node.color,
+        fillOpacity: 1,
+      },
+      label: {
+        outer: {
+          fontSize: (/** @type {any} */ _node, /** @type {number} */ depth) =>
+            10 + depth,
+        },
+      },
+    };
+
+    expect(evaluateStyle(style, [{ color: 'red' }, 2])).toEqual({
+      node: { fillColor: 'red', fillOpacity: 1 },
+      label: { outer: { fontSize: 12 } },
+    });
+  });
+
+  it('keeps styles without functions as they are', () => {
+    const node = { fillColor: 'red' };
+    const style = { node, label: { outer: { fontSize: () => 12 } } };
+    const evaluated = evaluateStyle(style, []);
+
+    expect(evaluateStyle(node, [])).toBe(node);
+    expect(evaluated).not.toBe(style);
+    expect(evaluated.node).toBe(node);
+  });
+
+  it('leaves skipped keys unevaluated', () => {
+    const value = () => 'a.png';
+    const style = { image: { value, opacity: () => 0.5 } };
+
+    expect(evaluateStyle(style, [], new Set(['value']))).toEqual({
+      image: { value, opacity: 0.5 },
+    });
+  });
+
+  it('does not descend into arrays or images', () => {
+    const bitmap = new (class Bitmap {})();
+    const depths = [{ depth: 1, node: { fillColor: () => 'red' } }];
+    const style = { depths, image: { value: bitmap } };
+
+    expect(evaluateStyle(style, [])).toBe(style);
+  });
+});
+
+// ── resolveNodeStyles ───────────────────────────────────────────────────────
+
+describe('resolveNodeStyles', () => {
+  it('evaluates global and depth styles for the node', () => {
+    const mergedStyle = {
+      node: { fillColor: (/** @type {any} */ node) => node.color },
+      depths: [
+        {
+          depth: 1,
+          node: {
+            strokeWidth: (
+              /** @type {any} */ _node,
+              /** @type {number} */ depth,
+            ) => depth * 2,
+          },
+        },
+      ],
+    };
+    const node = { id: 'a', color: 'red' };
+
+    const { style, depthStyle } = resolveNodeStyles(
+      node,
+      1,
+      mergedStyle,
+      new Map(),
+      new Map(),
+    );
+
+    expect(style.node.fillColor).toBe('red');
+    expect(depthStyle.node.strokeWidth).toBe(2);
+  });
+
+  it("merges the node's own style over its depth style", () => {
+    const mergedStyle = {
+      depths: [
+        {
+          depth: 1,
+          node: { fillColor: 'red', strokeColor: 'black' },
+          label: { inner: { textColor: 'black', fontWeight: 'bold' } },
+        },
+      ],
+    };
+    const node = {
+      id: 'a',
+      style: {
+        node: { fillColor: 'blue' },
+        label: { inner: { textColor: () => 'white' } },
+      },
+    };
+
+    const { depthStyle } = resolveNodeStyles(
+      node,
+      1,
+      mergedStyle,
+      new Map(),
+      new Map(),
+    );
+
+    expect(depthStyle.node).toEqual({
+      fillColor: 'blue',
+      strokeColor: 'black',
+    });
+    expect(depthStyle.label.inner).toEqual({
+      textColor: 'white',
+      fontWeight: 'bold',
+    });
+  });
+
+  it('applies a node style without matching depth styles', () => {
+    const node = { id: 'a', style: { node: { fillColor: 'blue' } } };
+
+    expect(
+      resolveNodeStyles(node, 0, {}, new Map(), new Map()).depthStyle,
+    ).toEqual({ node: { fillColor: 'blue' } });
+  });
+
+  it('does not evaluate edge styles or image accessors', () => {
+    const edgeWidth = vi.fn(() => 2);
+    const value = vi.fn(() => 'a.png');
+    const mergedStyle = {
+      edge: { strokeWidth: edgeWidth },
+      highlight: { edge: { strokeWidth: edgeWidth } },
+      image: { value },
+    };
+
+    const { style } = resolveNodeStyles(
+      { id: 'a' },
+      0,
+      mergedStyle,
+      new Map(),
+      new Map(),
+    );
+
+    expect(style.edge.strokeWidth).toBe(edgeWidth);
+    expect(style.image.value).toBe(value);
+    expect(edgeWidth).not.toHaveBeenCalled();
+    expect(value).not.toHaveBeenCalled();
+  });
+
+  it('caches the styles per node in the depth style cache', () => {
+    const fillColor = vi.fn(() => 'red');
+    const mergedStyle = { node: { fillColor } };
+    const node = { id: 'a' };
+    const cache = new Map();
+
+    const first = resolveNodeStyles(node, 0, mergedStyle, cache, new Map());
+    const second = resolveNodeStyles(node, 0, mergedStyle, cache, new Map());
+
+    expect(second).toBe(first);
+    expect(fillColor).toHaveBeenCalledTimes(1);
+  });
+
+  it('evaluates again when the styles change', () => {
+    const mergedStyle = { node: { fillColor: () => 'red' } };
+    /** @type {any} */
+    const node = { id: 'a' };
+    const cache = new Map();
+    resolveNodeStyles(node, 0, mergedStyle, cache, new Map());
+
+    node.style = { node: { fillColor: 'blue' } };
+    expect(
+      resolveNodeStyles(node, 0, mergedStyle, cache, new Map()).depthStyle.node
+        .fillColor,
+    ).toBe('blue');
+
+    const otherStyle = { node: { fillColor: () => 'green' } };
+    expect(
+      resolveNodeStyles(node, 0, otherStyle, cache, new Map()).style.node
+        .fillColor,
+    ).toBe('green');
+  });
+});
+
+// ── resolveEdgeStyles ───────────────────────────────────────────────────────
+
+describe('resolveEdgeStyles', () => {
+  const mergedStyle = {
+    edge: {
+      strokeColor: '#333333',
+      strokeWidth: (/** @type {any} */ edge) => edge.weight,
+    },
+    highlight: {
+      edge: { strokeColor: (/** @type {any} */ edge) => edge.color },
+    },
+  };
+
+  it('evaluates edge styles for the edge', () => {
+    const edge = { source: 'a', target: 'b', weight: 3, color: 'red' };
+
+    expect(resolveEdgeStyles(edge, mergedStyle, null)).toEqual({
+      edge: { strokeColor: '#333333', strokeWidth: 3 },
+      highlight: { strokeColor: 'red' },
+    });
+  });
+
+  it("applies depth styles, then the edge's own style", () => {
+    const edge = {
+      source: 'a',
+      target: 'b',
+      weight: 3,
+      style: { strokeColor: () => 'blue' },
+    };
+    const depthStyle = {
+      edge: { strokeColor: 'green', strokeOpacity: 0.5 },
+      highlight: { edge: { strokeWidth: 4 } },
+    };
+
+    const styles = resolveEdgeStyles(edge, mergedStyle, depthStyle);
+
+    expect(styles.edge).toEqual({
+      strokeColor: 'blue',
+      strokeOpacity: 0.5,
+      strokeWidth: 3,
+    });
+    expect(styles.highlight.strokeWidth).toBe(4);
+  });
+
+  it('caches the styles per edge', () => {
+    const strokeWidth = vi.fn(() => 2);
+    const style = { edge: { strokeWidth } };
+    /** @type {any} */
+    const edge = { source: 'a', target: 'b' };
+
+    const first = resolveEdgeStyles(edge, style, null);
+    expect(resolveEdgeStyles(edge, style, null)).toBe(first);
+    expect(strokeWidth).toHaveBeenCalledTimes(1);
+
+    edge.style = { strokeOpacity: 0.5 };
+    expect(resolveEdgeStyles(edge, style, null).edge.strokeOpacity).toBe(0.5);
+  });
+
+  it("colors edges with ids by their source's branch", () => {
+    const style = {
+      edge: { strokeColor: { scale: 'tableau10', branch: true } },
+    };
+    const nodes = [
+      { id: 'root', parent: null },
+      { id: 'a', parent: 'root' },
+      { id: 'b', parent: 'root' },
+    ];
+    prepareFieldColorScales(style, nodes);
+
+    expect(
+      resolveEdgeStyles({ id: 'e1', source: 'a', target: 'b' }, style, null)
+        .edge.strokeColor,
+    ).toBe('#4e79a7');
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it, expect } from 'vitest';
+import { SvgContext, escapeXml } from '$lib/svgContext.js';
+
+/** @param {SvgContext} ctx */
+function elementsOf(ctx) {
+  return ctx.toSVG().split('\n').slice(1, -1);
+}
+
+// ── Document ────────────────────────────────────────────────────────────────
+
+describe('SvgContext document', () => {
+  it('wraps the elements in an svg element of the given size', () => {
+    expect(new SvgContext(300, 200).toSVG()).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200">\n</svg>',
+    );
+  });
+
+  it('clears everything with clearRect', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.fillText('A', 0, 0);
+    ctx.clearRect();
+
+    expect(elementsOf(ctx)).toEqual([]);
+  });
+});
+
+// ── Paths ───────────────────────────────────────────────────────────────────
+
+describe('SvgContext paths', () => {
+  it('draws a full arc as a circle', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.fillStyle = '#ff0000';
+    ctx.beginPath();
+    ctx.arc(10, 20, 5, 0, 2 * Math.PI);
+    ctx.fill();
+
+    expect(elementsOf(ctx)).toEqual([
+      '<circle cx="10" cy="20" r="5" fill="#ff0000"/>',
+    ]);
+  });
+
+  it('draws lines and curves as a path', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.strokeStyle = '#00ff00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.quadraticCurveTo(5, 5, 10, 0);
+    ctx.lineTo(20, 0);
+    ctx.stroke();
+
+    expect(elementsOf(ctx)).toEqual([
+      '<path d="M0,0 Q5,5 10,0 L20,0" fill="none" stroke="#00ff00" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>',
+    ]);
+  });
+
+  it('draws partial arcs with arc commands', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.beginPath();
+    ctx.arc(0, 0, 10, 0, Math.PI / 2);
+    ctx.stroke();
+
+    expect(elementsOf(ctx)[0]).toContain('d="M10,0 A10,10 0 0,1 0,10"');
+  });
+
+  it('closes paths', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.lineTo(10, 10);
+    ctx.closePath();
+    ctx.fill();
+
+    expect(elementsOf(ctx)[0]).toContain('d="M0,0 L10,0 L10,10 Z"');
+  });
+
+  it('skips strokes without width and empty paths', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.beginPath();
+    ctx.fill();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(1, 1);
+    ctx.lineWidth = 0;
+    ctx.stroke();
+
+    expect(elementsOf(ctx)).toEqual([]);
+  });
+});
+
+// ── Colors & compositing ────────────────────────────────────────────────────
+
+describe('SvgContext colors', () => {
+  it('turns rgba colors and globalAlpha into opacity', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.fillStyle = 'rgba(10, 20, 30, 0.5)';
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    ctx.arc(0, 0, 1, 0, 2 * Math.PI);
+    ctx.fill();
+
+    expect(elementsOf(ctx)[0]).toContain(
+      'fill="rgb(10, 20, 30)" fill-opacity="0.25"',
+    );
+  });
+
+  it('puts destination-over drawing behind what is already drawn', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.fillText('front', 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillText('back', 0, 0);
+
+    const elements = elementsOf(ctx);
+    expect(elements[0]).toContain('>back<');
+    expect(elements[1]).toContain('>front<');
+  });
+});
+
+// ── Transforms & state ──────────────────────────────────────────────────────
+
+describe('SvgContext transforms', () => {
+  it('applies translate and scale to coordinates and sizes', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.translate(10, 20);
+    ctx.scale(2);
+    ctx.beginPath();
+    ctx.arc(1, 1, 3, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    expect(elementsOf(ctx)[0]).toMatch(
+      /^<circle cx="12" cy="22" r="6" [^>]*stroke-width="2"/,
+    );
+  });
+
+  it('restores the transform and styles saved before', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.save();
+    ctx.translate(50, 50);
+    ctx.fillStyle = '#123456';
+    ctx.restore();
+    ctx.fillText('A', 1, 2);
+
+    expect(elementsOf(ctx)[0]).toMatch(/^<text x="1" y="2" .*fill="#000000"/);
+  });
+});
+
+// ── Clipping & images ───────────────────────────────────────────────────────
+
+describe('SvgContext images', () => {
+  it('draws images referenced by src, scaled to the box', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.translate(10, 0);
+    ctx.globalAlpha = 0.5;
+    ctx.drawImage({ src: 'icons/a.png' }, 0, 5, 20, 10);
+
+    expect(elementsOf(ctx)).toEqual([
+      '<image href="icons/a.png" x="10" y="5" width="20" height="10" preserveAspectRatio="xMidYMid slice" opacity="0.5"/>',
+    ]);
+  });
+
+  it('leaves out images it cannot reference', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.drawImage({ width: 0, height: 0 }, 0, 0, 10, 10);
+
+    expect(elementsOf(ctx)).toEqual([]);
+  });
+
+  it('clips to the current path until restored', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, 2 * Math.PI);
+    ctx.clip();
+    ctx.drawImage({ src: 'a.png' }, 40, 40, 20, 20);
+    ctx.restore();
+    ctx.fillText('A', 0, 0);
+
+    const elements = elementsOf(ctx);
+    expect(elements[0]).toBe(
+      '<clipPath id="cactuz-clip-1"><circle cx="50" cy="50" r="10"/></clipPath>',
+    );
+    expect(elements[1]).toContain('clip-path="url(#cactuz-clip-1)"');
+    expect(elements[2]).not.toContain('clip-path');
+  });
+
+  it('intersects nested clips', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, 2 * Math.PI);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.arc(55, 50, 10, 0, 2 * Math.PI);
+    ctx.clip();
+
+    expect(elementsOf(ctx)[1]).toBe(
+      '<clipPath id="cactuz-clip-2" clip-path="url(#cactuz-clip-1)"><circle cx="55" cy="50" r="10"/></clipPath>',
+    );
+  });
+});
+
+// ── Text ────────────────────────────────────────────────────────────────────
+
+describe('SvgContext text', () => {
+  it('maps the font, alignment and baseline', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.font = 'bold 12px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('A', 5, 6);
+
+    expect(elementsOf(ctx)).toEqual([
+      '<text x="5" y="6" font-family="monospace" font-size="12" font-weight="bold" text-anchor="middle" dominant-baseline="central" fill="#000000">A</text>',
+    ]);
+  });
+
+  it('escapes text and attribute values', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.font = '10px "Open Sans", sans-serif';
+    ctx.fillText('a < b & c', 0, 0);
+
+    const [element] = elementsOf(ctx);
+    expect(element).toContain(
+      'font-family="&quot;Open Sans&quot;, sans-serif"',
+    );
+    expect(element).toContain('>a &lt; b &amp; c</text>');
+  });
+
+  it('measures text in the current font', () => {
+    const ctx = new SvgContext(100, 100);
+    ctx.font = '10px monospace';
+
+    expect(ctx.measureText('abcd').width).toBeGreaterThan(0);
+  });
+});
+
+// ── escapeXml ───────────────────────────────────────────────────────────────
+
+describe('escapeXml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml('<a href="x">&</a>')).toBe(
+      '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;',
+    );
+  });
+});
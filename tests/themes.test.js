@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { extendTheme, resolveTheme, themes } from '$lib/themes.js';
+import { mergeStyles } from '$lib/cactusTree.js';
+import classicJson from '../static/styles/classic.json';
+import defaultJson from '../static/styles/default.json';
+import magmaJson from '../static/styles/magma.json';
+import minimalJson from '../static/styles/minimal.json';
+
+// ── themes ──────────────────────────────────────────────────────────────────
+
+describe('themes', () => {
+  it('has a dark variant of every theme', () => {
+    for (const name of ['default', 'classic', 'magma', 'minimal']) {
+      expect(themes).toHaveProperty(name);
+      expect(themes).toHaveProperty(`${name}Dark`);
+    }
+  });
+
+  it('keeps the depth styles of a theme in its dark variant', () => {
+    expect(themes.magmaDark.depths).toContainEqual({
+      depth: '*',
+      node: { fillColor: { scale: 'magma' } },
+    });
+    expect(themes.magmaDark.label?.outer?.textColor).toBe('#dddddd');
+    expect(themes.magmaDark.label?.outer?.fontSize).toBe(9);
+  });
+
+  it('matches the styles served by the demo site', () => {
+    expect(themes.classic).toEqual(classicJson);
+    expect(themes.default).toEqual(defaultJson);
+    expect(themes.magma).toEqual(magmaJson);
+    expect(themes.minimal).toEqual(minimalJson);
+  });
+
+  it('can be sent to a worker', () => {
+    for (const theme of Object.values(themes)) {
+      expect(structuredClone(theme)).toEqual(theme);
+    }
+  });
+});
+
+// ── resolveTheme ────────────────────────────────────────────────────────────
+
+describe('resolveTheme', () => {
+  it('resolves names and passes styles through', () => {
+    const styles = { node: { fillColor: 'red' } };
+
+    expect(resolveTheme('classic')).toBe(themes.classic);
+    expect(resolveTheme(styles)).toBe(styles);
+    expect(resolveTheme(null)).toEqual({});
+  });
+
+  it('throws for unknown names, listing the built-in themes', () => {
+    expect(() => resolveTheme(/** @type {any} */ ('magama'))).toThrow(
+      /Unknown theme "magama".*magma/,
+    );
+    expect(() => resolveTheme(/** @type {any} */ ('toString'))).toThrow();
+  });
+});
+
+// ── extendTheme ─────────────────────────────────────────────────────────────
+
+describe('extendTheme', () => {
+  it('deep-merges styles over the theme', () => {
+    const theme = extendTheme('magma', {
+      label: { outer: { textColor: '#ff0000' } },
+    });
+
+    expect(theme.label?.outer).toEqual({
+      ...themes.magma.label?.outer,
+      textColor: '#ff0000',
+    });
+    expect(theme.edge).toEqual(themes.magma.edge);
+  });
+
+  it('replaces color scales and merges depth entries by depth', () => {
+    const theme = extendTheme('classic', {
+      depths: [
+        { depth: '*', node: { fillColor: { scale: 'blues', field: 'size' } } },
+        { depth: -1, node: { fillOpacity: 1 } },
+        { depth: 2, node: { strokeWidth: 2 } },
+      ],
+    });
+
+    expect(theme.depths?.[0]).toEqual({
+      depth: '*',
+      node: { fillColor: { scale: 'blues', field: 'size' } },
+    });
+    expect(theme.depths?.[1].node).toEqual({
+      ...themes.classic.depths?.[1].node,
+      fillOpacity: 1,
+    });
+    expect(theme.depths?.[1].highlight).toEqual(
+      themes.classic.depths?.[1].highlight,
+    );
+    expect(theme.depths?.[2]).toEqual({ depth: 2, node: { strokeWidth: 2 } });
+  });
+
+  it('merges several styles left to right without changing them', () => {
+    const first = { node: { fillColor: 'red', strokeColor: 'black' } };
+    const second = { node: { fillColor: 'blue' } };
+    const copy = structuredClone(themes.minimal);
+
+    const theme = extendTheme(extendTheme('minimal', first), second);
+
+    expect(theme.node).toEqual({
+      ...themes.minimal.node,
+      fillColor: 'blue',
+      strokeColor: 'black',
+    });
+    expect(themes.minimal).toEqual(copy);
+    expect(first.node.fillColor).toBe('red');
+  });
+
+  it('keeps functions as they are', () => {
+    const fillColor = () => 'red';
+
+    expect(extendTheme('magma', { node: { fillColor } }).node?.fillColor).toBe(
+      fillColor,
+    );
+  });
+});
+
+// ── mergeStyles ─────────────────────────────────────────────────────────────
+
+describe('mergeStyles with a theme', () => {
+  it('merges the theme under the user styles', () => {
+    const merged = mergeStyles(
+      { edge: { strokeWidth: 3 } },
+      { edge: { strokeColor: 'red' } },
+    );
+
+    expect(merged.edge).toEqual({
+      strokeColor: 'red',
+      strokeOpacity: 0.1,
+      strokeWidth: 3,
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import { validateData, ValidationError } from '$lib/validation.js';
+
+const sampleNodes = [
+  { id: 'root', name: 'Root', parent: null },
+  { id: 'a', name: 'A', parent: 'root', weight: 2 },
+  { id: 'b', name: 'B', parent: 'root' },
+  { id: 'c', name: 'C', parent: 'a' },
+];
+
+/**
+ * @param {any[]} nodes
+ * @param {any[]} [edges]
+ * @param {any} [options]
+ */
+function codes(nodes, edges, options) {
+  return validateData(nodes, edges, options).diagnostics.map((d) => d.code);
+}
+
+// ── Valid input ─────────────────────────────────────────────────────────────
+
+describe('validateData with valid input', () => {
+  it('reports nothing for a well-formed tree', () => {
+    expect(validateData(sampleNodes, [{ source: 'b', target: 'c' }])).toEqual({
+      valid: true,
+      diagnostics: [],
+    });
+  });
+
+  it('accepts empty and missing input', () => {
+    expect(validateData([]).valid).toBe(true);
+    expect(validateData(/** @type {any} */ (null)).diagnostics).toEqual([]);
+  });
+
+  it('treats null weights as absent', () => {
+    expect(codes([{ id: 'r', name: 'R', parent: null, weight: null }])).toEqual(
+      [],
+    );
+  });
+});
+
+// ── Node diagnostics ────────────────────────────────────────────────────────
+
+describe('validateData node diagnostics', () => {
+  it('reports duplicate ids once per id', () => {
+    const { diagnostics } = validateData([
+      ...sampleNodes,
+      { id: 'a', name: 'A2', parent: 'root' },
+      { id: 'a', name: 'A3', parent: 'root' },
+    ]);
+
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({
+      code: 'duplicate-id',
+      severity: 'error',
+      ids: ['a'],
+    });
+    expect(diagnostics[0].message).toContain('3 nodes');
+  });
+
+  it('reports dangling parents with both ids', () => {
+    const { valid, diagnostics } = validateData([
+      ...sampleNodes,
+      { id: 'x', name: 'X', parent: 'nope' },
+    ]);
+
+    expect(valid).toBe(false);
+    expect(diagnostics[0]).toMatchObject({
+      code: 'dangling-parent',
+      ids: ['x', 'nope'],
+    });
+  });
+
+  it('reports non-numeric and non-finite weights', () => {
+    const nodes = [
+      { id: 'r', name: 'R', parent: null },
+      { id: 'a', name: 'A', parent: 'r', weight: '3' },
+      { id: 'b', name: 'B', parent: 'r', weight: NaN },
+      { id: 'c', name: 'C', parent: 'r', weight: Infinity },
+    ];
+
+    const { diagnostics } = validateData(nodes);
+
+    expect(diagnostics.map((d) => d.code)).toEqual([
+      'invalid-weight',
+      'invalid-weight',
+      'invalid-weight',
+    ]);
+    expect(diagnostics.map((d) => d.ids[0])).toEqual(['a', 'b', 'c']);
+  });
+
+  it('reports each parent cycle once in chain order', () => {
+    const nodes = [
+      { id: 'root', name: 'Root', parent: null },
+      { id: 'a', name: 'A', parent: 'b' },
+      { id: 'b', name: 'B', parent: 'c' },
+      { id: 'c', name: 'C', parent: 'a' },
+      { id: 'd', name: 'D', parent: 'a' },
+    ];
+
+    const cycles = validateData(nodes).diagnostics.filter(
+      (d) => d.code === 'cycle',
+    );
+
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].ids).toEqual(['a', 'b', 'c']);
+    expect(cycles[0].message).toBe('Parent cycle: "a" -> "b" -> "c" -> "a"');
+  });
+
+  it('reports a self-parented node as a cycle', () => {
+    const nodes = [
+      { id: 'root', name: 'Root', parent: null },
+      { id: 'a', name: 'A', parent: 'a' },
+    ];
+
+    expect(codes(nodes)).toEqual(['cycle']);
+  });
+
+  it('reports missing root', () => {
+    const nodes = [
+      { id: 'a', name: 'A', parent: 'b' },
+      { id: 'b', name: 'B', parent: 'a' },
+    ];
+
+    expect(codes(nodes)).toEqual(['cycle', 'no-root']);
+  });
+
+  it('warns about multiple roots unless forest is set', () => {
+    const nodes = [...sampleNodes, { id: 'r2', name: 'R2', parent: null }];
+
+    const report = validateData(nodes);
+    expect(report.valid).toBe(true);
+    expect(report.diagnostics[0]).toMatchObject({
+      code: 'multiple-roots',
+      severity: 'warning',
+      ids: ['root', 'r2'],
+    });
+
+    expect(codes(nodes, [], { forest: 'pack' })).toEqual([]);
+  });
+});
+
+// ── Edge diagnostics ────────────────────────────────────────────────────────
+
+describe('validateData edge diagnostics', () => {
+  it('reports dangling edges with their index', () => {
+    const { valid, diagnostics } = validateData(sampleNodes, [
+      { source: 'a', target: 'b' },
+      { source: 'a', target: 'ghost' },
+      { source: 'x', target: 'x' },
+    ]);
+
+    expect(valid).toBe(true);
+    expect(diagnostics).toHaveLength(2);
+    expect(diagnostics[0]).toMatchObject({
+      code: 'dangling-edge',
+      severity: 'warning',
+      ids: ['ghost'],
+      edgeIndex: 1,
+    });
+    expect(diagnostics[1].ids).toEqual(['x']);
+  });
+});
+
+// ── Strict mode ─────────────────────────────────────────────────────────────
+
+describe('validateData strict mode', () => {
+  it('throws a ValidationError carrying the diagnostics', () => {
+    const nodes = [...sampleNodes, { id: 'x', name: 'X', parent: 'nope' }];
+
+    /** @type {any} */
+    let error = null;
+    try {
+      validateData(nodes, [], { strict: true });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.name).toBe('ValidationError');
+    expect(error.diagnostics[0].code).toBe('dangling-parent');
+    expect(error.message).toContain('missing parent "nope"');
+  });
+
+  it('throws on warnings too', () => {
+    expect(() =>
+      validateData(sampleNodes, [{ source: 'a', target: 'ghost' }], {
+        strict: true,
+      }),
+    ).toThrow(ValidationError);
+  });
+
+  it('returns normally for valid data', () => {
+    expect(validateData(sampleNodes, [], { strict: true }).valid).toBe(true);
+  });
+});